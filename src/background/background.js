@@ -1,5 +1,10 @@
 console.log('Reddit Comment Expander Pro: Background service worker loaded');
 
+importScripts('../shared/snapshot-index.js', '../shared/snapshot-store.js');
+
+// Thread snapshots live in the extension's IndexedDB, shared with the snapshots and reader pages
+const snapshotStore = new SnapshotStore();
+
 // Background service worker for Manifest V3
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('Extension installed:', details.reason);
@@ -91,10 +96,57 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true;
       
+    case 'STORE_SNAPSHOT':
+      // Content scripts can't reach the extension's IndexedDB, so they hand the thread over
+      snapshotStore.save(message.thread, Date.now(), message.options)
+        .then(snapshot => sendResponse({ snapshot }))
+        .catch(error => {
+          console.error('Failed to store snapshot:', error);
+          sendResponse({ error: error.message });
+        });
+      return true;
+      
     default:
       console.log('Unknown message type:', message.type);
   }
 });
 
+// Relay Reddit's comment-loading responses (sh.reddit partials, old Reddit morechildren,
+// new Reddit's gateway and the JSON API) to the tab, so the content script sees 429s and
+// x-ratelimit-* headers. Observe-only: nothing is blocked or modified.
+const EXPANSION_RESPONSE_URLS = [
+  '*://*.reddit.com/svc/shreddit/*',
+  '*://*.reddit.com/api/morechildren*',
+  '*://*.reddit.com/comments/*',
+  '*://*.reddit.com/r/*/comments/*',
+  '*://gateway.reddit.com/desktopapi/*',
+  '*://gql.reddit.com/*'
+];
+const RELAYED_RESPONSE_HEADERS = ['x-ratelimit-remaining', 'x-ratelimit-reset', 'x-ratelimit-used', 'retry-after'];
+
+if (chrome.webRequest) {
+  chrome.webRequest.onHeadersReceived.addListener((details) => {
+    if (details.tabId < 0) return;
+    
+    const headers = {};
+    (details.responseHeaders || []).forEach(({ name, value }) => {
+      const key = name.toLowerCase();
+      if (RELAYED_RESPONSE_HEADERS.includes(key)) {
+        headers[key] = value;
+      }
+    });
+    
+    const limited = details.statusCode === 429 || details.statusCode === 503;
+    if (!limited && Object.keys(headers).length === 0) return;
+    
+    chrome.tabs.sendMessage(details.tabId, {
+      type: 'REDDIT_RESPONSE',
+      response: { url: details.url, status: details.statusCode, headers }
+    }).catch(() => {
+      // No content script in that tab (or it is still loading)
+    });
+  }, { urls: EXPANSION_RESPONSE_URLS, types: ['xmlhttprequest', 'other'] }, ['responseHeaders']);
+}
+
 // Context menu functionality removed to follow Chrome best practices
 // Users can access functionality via popup or floating button
\ No newline at end of file
@@ -82,9 +82,29 @@ class AccessibilityManager {
         'Alt+Shift+P': 'pauseExpansion', // New: pause shortcut
         'Alt+Shift+R': 'resumeExpansion', // New: resume shortcut
         'Alt+Shift+X': 'stopExpansion', // New: stop shortcut
+        'Alt+Shift+B': 'expandBranch',
+        'Alt+Shift+J': 'nextNewComment',
+        'Alt+Shift+K': 'previousNewComment',
+        'Alt+Shift+F': 'searchComments',
+        'Alt+Shift+O': 'toggleAuthorHighlight',
+        'Alt+Shift+N': 'nextAuthorComment',
+        'Alt+Shift+U': 'previousAuthorComment',
         'Alt+Shift+S': 'toggleSettings',
         'Alt+Shift+H': 'toggleHelp',
         'Escape': 'cancelOperation'
+      },
+      // RES-style single keys for moving through the comment tree; only while
+      // treeNavigation is on (an opt-in, comment pages only), RES isn't running
+      // its own, and focus isn't in a text field
+      treeNavigation: false,
+      treeShortcuts: {
+        'J': 'nextComment',
+        'K': 'previousComment',
+        'Shift+J': 'nextSibling',
+        'Shift+K': 'previousSibling',
+        'P': 'parentComment',
+        'C': 'firstChild',
+        'ENTER': 'toggleCollapse'
       }
     };
 
@@ -92,6 +112,68 @@ class AccessibilityManager {
     document.addEventListener('keydown', (event) => {
       this.handleKeyboardShortcut(event);
     });
+
+    // Capture phase on window runs before Reddit's (and RES's) own key handlers
+    window.addEventListener('keydown', (event) => {
+      this.handleTreeNavigationKey(event);
+    }, true);
+  }
+
+  setTreeNavigation(enabled) {
+    this.keyboardNav.treeNavigation = !!enabled;
+  }
+
+  handleTreeNavigationKey(event) {
+    if (!this.keyboardNav.isEnabled || !this.keyboardNav.treeNavigation) return;
+    if (event.ctrlKey || event.altKey || event.metaKey || event.isComposing) return;
+    // Client-side navigation can leave the thread without a reload; feeds keep Reddit's own J/K
+    if (!window.location.pathname.includes('/comments/')) return;
+    // RES tags the root element and already binds these keys to its own selection
+    if (document.documentElement.classList.contains('res')) return;
+
+    const action = this.keyboardNav.treeShortcuts[this.getKeyCombo(event)];
+    if (!action || this.isTypingTarget(event)) return;
+    // Enter means something else everywhere; only take it on a comment we focused
+    if (action === 'toggleCollapse' && !this.isNavigatorFocus(event)) return;
+
+    // Reddit's j/k would move its own selection as well
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    document.dispatchEvent(new CustomEvent('redditExpander:navigate', {
+      detail: { action }
+    }));
+  }
+
+  /**
+   * Whether a key belongs to whatever has focus: text fields (also inside sh.reddit's
+   * shadow roots, hence composedPath) and, for Enter, links and buttons
+   */
+  isTypingTarget(event) {
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) return false;
+    if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return true;
+    return event.key === 'Enter' && !!target.closest('a[href], button, summary, [role="button"], [role="textbox"]');
+  }
+
+  /**
+   * Small labelled button for the extension's in-page panels
+   */
+  static createPanelButton(label, title, action) {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.textContent = label;
+    element.title = title;
+    element.setAttribute('aria-label', title);
+    element.addEventListener('click', action);
+    return element;
+  }
+
+  /**
+   * Whether the key was pressed on the comment CommentNavigator last focused (or inside it)
+   */
+  isNavigatorFocus(event) {
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    return !!target && target.nodeType === Node.ELEMENT_NODE && !!target.closest('.reddit-expander-nav-focus');
   }
 
   handleKeyboardShortcut(event) {
@@ -125,6 +207,30 @@ class AccessibilityManager {
         // Trigger expansion via custom event
         document.dispatchEvent(new CustomEvent('redditExpander:expandAll'));
         break;
+      case 'expandBranch':
+        this.announceToScreenReader('Expanding the focused comment branch');
+        document.dispatchEvent(new CustomEvent('redditExpander:expandBranch', {
+          detail: { target: document.activeElement }
+        }));
+        break;
+      case 'nextNewComment':
+        document.dispatchEvent(new CustomEvent('redditExpander:nextNew'));
+        break;
+      case 'previousNewComment':
+        document.dispatchEvent(new CustomEvent('redditExpander:previousNew'));
+        break;
+      case 'searchComments':
+        document.dispatchEvent(new CustomEvent('redditExpander:search'));
+        break;
+      case 'toggleAuthorHighlight':
+        document.dispatchEvent(new CustomEvent('redditExpander:authorHighlight'));
+        break;
+      case 'nextAuthorComment':
+        document.dispatchEvent(new CustomEvent('redditExpander:nextAuthor'));
+        break;
+      case 'previousAuthorComment':
+        document.dispatchEvent(new CustomEvent('redditExpander:previousAuthor'));
+        break;
       case 'cancelExpansion':
         this.announceToScreenReader('Cancelling expansion');
         document.dispatchEvent(new CustomEvent('redditExpander:cancel'));
@@ -458,6 +564,15 @@ class AccessibilityManager {
         <h3>Keyboard Shortcuts</h3>
         <ul>
           <li><strong>Alt+Shift+E:</strong> Expand all comments</li>
+          <li><strong>Alt+Shift+B:</strong> Expand the focused comment's branch</li>
+          <li><strong>Alt+Shift+J / Alt+Shift+K:</strong> Next / previous comment new since your last visit</li>
+          <li><strong>Alt+Shift+F:</strong> Search the loaded comments (Enter / Shift+Enter for next / previous match)</li>
+          <li><strong>Alt+Shift+O:</strong> Highlight the original poster's comments (pick another author in the overlay)</li>
+          <li><strong>Alt+Shift+N / Alt+Shift+U:</strong> Next / previous comment by the highlighted author</li>
+          <li><strong>J / K:</strong> Next / previous comment (turn on "Move through comments" in the popup)</li>
+          <li><strong>Shift+J / Shift+K:</strong> Next / previous sibling comment</li>
+          <li><strong>P / C:</strong> Parent / first reply of the focused comment</li>
+          <li><strong>Enter:</strong> Collapse or expand the focused comment</li>
           <li><strong>Alt+Shift+P:</strong> Pause expansion</li>
           <li><strong>Alt+Shift+R:</strong> Resume expansion</li>
           <li><strong>Alt+Shift+X:</strong> Stop expansion</li>
@@ -0,0 +1,270 @@
+/**
+ * Author Highlight for Reddit Comment Expander
+ *
+ * Highlights every loaded comment by one author (the original poster unless another
+ * is picked) and steps through them in document order. A small overlay holds the
+ * author picker, built from the authors on the page, and a "3/12" count. Authors come
+ * from CommentMetadataExtractor.getAuthor, so old Reddit, New Reddit, sh.reddit and
+ * JSON-rendered comments all match; names compare case-insensitively, like Reddit's.
+ * Comments loaded later (expansion, auto-scroll) are picked up by a MutationObserver.
+ */
+
+console.log('📦 Loading author-highlight.js');
+
+class AuthorHighlight {
+  constructor(options = {}) {
+    this.metadata = options.metadata || window.commentMetadata || new CommentMetadataExtractor();
+    this.root = options.root || document;
+    this.announce = options.announce || (() => {});
+    this.refreshDelay = options.refreshDelay !== undefined ? options.refreshDelay : 500;
+
+    this.author = null;
+    this.op = null;
+    this.comments = []; // The author's comments, in document order
+    this.currentIndex = -1;
+    this.authorKeys = '';
+    this.panel = null;
+    this.observer = null;
+    this.refreshTimer = null;
+  }
+
+  isActive() {
+    return !!this.author;
+  }
+
+  /**
+   * The thread's original poster, from the post header or, failing that, an OP-tagged comment
+   */
+  static findOriginalPoster(root = document, metadata = undefined) {
+    if (typeof ThreadExtractor !== 'undefined') {
+      try {
+        const post = new ThreadExtractor({ metadata, root }).extractPost();
+        if (post.author && post.author !== '[deleted]') return post.author;
+      } catch (error) {
+        console.warn('[AuthorHighlight] Could not read the post author:', error);
+      }
+    }
+
+    const submitter = root.querySelector('.thing.comment > .entry .tagline a.author.submitter');
+    return submitter ? submitter.textContent.trim() : null;
+  }
+
+  getOriginalPoster() {
+    return AuthorHighlight.findOriginalPoster(this.root, this.metadata);
+  }
+
+  /**
+   * Highlight an author's comments and show the overlay; defaults to the OP, then the most active author
+   */
+  start(author = null) {
+    this.op = this.getOriginalPoster();
+    const name = author || this.op || (this.getAuthors()[0] || {}).name;
+    if (!name) {
+      this.announce('No comment authors found on this page');
+      return false;
+    }
+
+    this.setAuthor(name);
+    if (!this.observer) {
+      this.observe();
+    }
+    return true;
+  }
+
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    clearTimeout(this.refreshTimer);
+
+    this.root.querySelectorAll('[data-reddit-expander-author-highlight]').forEach(comment => {
+      delete comment.dataset.redditExpanderAuthorHighlight;
+      comment.classList.remove('reddit-expander-author-current');
+    });
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+
+    this.author = null;
+    this.op = null;
+    this.comments = [];
+    this.currentIndex = -1;
+    this.authorKeys = '';
+  }
+
+  toggle() {
+    if (this.isActive()) {
+      this.stop();
+      this.announce('Author highlighting off');
+    } else {
+      this.start();
+    }
+  }
+
+  setAuthor(name) {
+    this.author = name;
+    this.currentIndex = -1;
+    this.root.querySelectorAll('.reddit-expander-author-current').forEach(comment => {
+      comment.classList.remove('reddit-expander-author-current');
+    });
+    this.refresh();
+
+    const count = this.comments.length;
+    this.announce(`Highlighting ${count} ${count === 1 ? 'comment' : 'comments'} by ${name}`);
+  }
+
+  // Comments loaded later are highlighted as they arrive
+  observe() {
+    const body = this.root.body || this.root;
+    this.observer = new MutationObserver(mutations => {
+      const added = mutations.some(mutation => Array.from(mutation.addedNodes)
+        .some(node => node.nodeType === Node.ELEMENT_NODE && !(this.panel && this.panel.contains(node))));
+      if (added) {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), this.refreshDelay);
+      }
+    });
+    this.observer.observe(body, { childList: true, subtree: true });
+  }
+
+  /**
+   * Re-scan the page: mark the author's comments and update the picker and count
+   */
+  refresh() {
+    if (!this.author) return;
+
+    const key = this.author.toLowerCase();
+    const current = this.comments[this.currentIndex] || null;
+    this.comments = [];
+
+    this.metadata.getComments(this.root).forEach(comment => {
+      const author = this.metadata.getAuthor(comment);
+      if (author && author.toLowerCase() === key) {
+        comment.dataset.redditExpanderAuthorHighlight = 'true';
+        this.comments.push(comment);
+      } else if (comment.dataset.redditExpanderAuthorHighlight) {
+        delete comment.dataset.redditExpanderAuthorHighlight;
+        comment.classList.remove('reddit-expander-author-current');
+      }
+    });
+
+    this.currentIndex = current ? this.comments.indexOf(current) : -1;
+    this.renderPanel();
+  }
+
+  /**
+   * Authors on the page with their comment counts, most active first
+   */
+  getAuthors() {
+    const authors = new Map();
+    this.metadata.getComments(this.root).forEach(comment => {
+      const name = this.metadata.getAuthor(comment);
+      if (!name) return;
+      const key = name.toLowerCase();
+      if (!authors.has(key)) authors.set(key, { name, count: 0 });
+      authors.get(key).count++;
+    });
+    return Array.from(authors.values()).sort((a, b) => b.count - a.count);
+  }
+
+  next() {
+    return this.goTo(this.currentIndex + 1);
+  }
+
+  previous() {
+    return this.goTo(this.currentIndex < 0 ? -1 : this.currentIndex - 1);
+  }
+
+  /**
+   * Scroll to the author's comment at index (wrapping around); returns it, or null when there are none
+   */
+  goTo(index) {
+    this.comments = this.comments.filter(comment => comment.isConnected);
+    const total = this.comments.length;
+    if (!this.author || total === 0) {
+      this.announce(this.author ? `No comments by ${this.author}` : 'No author selected');
+      return null;
+    }
+
+    const previous = this.comments[this.currentIndex];
+    if (previous) {
+      previous.classList.remove('reddit-expander-author-current');
+    }
+
+    this.currentIndex = ((index % total) + total) % total;
+    const comment = this.comments[this.currentIndex];
+    comment.classList.add('reddit-expander-author-current');
+    comment.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    this.renderPanel();
+
+    this.announce(`Comment ${this.currentIndex + 1} of ${total} by ${this.author}`);
+    return comment;
+  }
+
+  renderPanel() {
+    if (!this.panel) {
+      this.panel = this.createPanel();
+      document.body.appendChild(this.panel);
+    }
+
+    // Rebuild the picker only when the set of authors changed, so an open dropdown isn't reset
+    const authors = this.getAuthors();
+    const opKey = this.op ? this.op.toLowerCase() : null;
+    if (!authors.some(author => author.name.toLowerCase() === this.author.toLowerCase())) {
+      authors.unshift({ name: this.author, count: 0 });
+    }
+    // OP first, then by comment count
+    authors.sort((a, b) => (b.name.toLowerCase() === opKey) - (a.name.toLowerCase() === opKey));
+    const keys = authors.map(author => `${author.name}:${author.count}`).join('|');
+    const select = this.panel.querySelector('select');
+    if (keys !== this.authorKeys) {
+      this.authorKeys = keys;
+      select.replaceChildren(...authors.map(author => {
+        const option = document.createElement('option');
+        option.value = author.name;
+        option.textContent = `${author.name}${author.name.toLowerCase() === opKey ? ' (OP)' : ''} · ${author.count}`;
+        return option;
+      }));
+    }
+    const selected = Array.from(select.options).find(option => option.value.toLowerCase() === this.author.toLowerCase());
+    if (selected) select.value = selected.value;
+
+    const total = this.comments.length;
+    this.panel.querySelector('.reddit-expander-author-count').textContent = this.currentIndex >= 0
+      ? `${this.currentIndex + 1}/${total}`
+      : `${total} ${total === 1 ? 'comment' : 'comments'}`;
+  }
+
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'reddit-expander-author-panel';
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', 'Author highlight');
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Author to highlight');
+    select.addEventListener('change', () => this.setAuthor(select.value));
+
+    const count = document.createElement('span');
+    count.className = 'reddit-expander-author-count';
+
+    const button = AccessibilityManager.createPanelButton;
+    panel.append(
+      select,
+      count,
+      button('▲', 'Previous comment by this author (Alt+Shift+U)', () => this.previous()),
+      button('▼', 'Next comment by this author (Alt+Shift+N)', () => this.next()),
+      button('×', 'Stop highlighting (Alt+Shift+O)', () => this.stop())
+    );
+    return panel;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuthorHighlight;
+} else {
+  window.AuthorHighlight = AuthorHighlight;
+}
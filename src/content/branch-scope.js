@@ -0,0 +1,88 @@
+/**
+ * Branch Scope for Reddit Comment Expander
+ *
+ * Limits an expansion run to one comment and everything below it. On old Reddit,
+ * sh.reddit and JSON-rendered comments replies are nested inside their parent, so
+ * containment is enough. New Reddit renders the thread as flat, indented rows, so the
+ * branch there is the root's row plus the following rows that are indented deeper.
+ */
+
+console.log('📦 Loading branch-scope.js');
+
+class BranchScope {
+  constructor(root, options = {}) {
+    this.root = root;
+    this.metadata = options.metadata || window.commentMetadata || new CommentMetadataExtractor();
+    this.rowSelector = '[style*="padding-left"]';
+    this.rootRow = null;
+    this.rows = new Set();
+
+    const rootRow = this.getRow(root);
+    if (rootRow && this.metadata.getIndentDepth(root) !== null) {
+      this.rootRow = rootRow;
+      this.refresh();
+    }
+  }
+
+  /**
+   * Recompute the flat New Reddit rows belonging to the branch; call before each
+   * scan since expansions insert new rows. No-op for nested markup.
+   */
+  refresh() {
+    if (!this.rootRow) return;
+
+    this.rows = new Set();
+    const rootDepth = this.metadata.getIndentDepth(this.rootRow);
+    const rows = Array.from(document.querySelectorAll(this.rowSelector));
+    const start = rows.indexOf(this.rootRow);
+    if (start === -1) return;
+
+    for (let i = start + 1; i < rows.length; i++) {
+      // Padded elements inside a row (e.g. body text) belong to that row
+      if (rows[i].parentElement && rows[i].parentElement.closest(this.rowSelector)) continue;
+
+      const depth = this.metadata.getIndentDepth(rows[i]);
+      if (depth === null || depth <= rootDepth) break;
+      this.rows.add(rows[i]);
+    }
+  }
+
+  contains(element) {
+    if (!element) return false;
+    if (this.root.contains(element)) return true;
+    if (!this.rootRow) return false;
+
+    const row = this.getRow(element);
+    return !!row && (row === this.rootRow || this.rows.has(row));
+  }
+
+  /**
+   * Outermost padded element around an element, i.e. its thread row
+   */
+  getRow(element) {
+    let row = element.closest(this.rowSelector);
+    while (row && row.parentElement && row.parentElement.closest(this.rowSelector)) {
+      row = row.parentElement.closest(this.rowSelector);
+    }
+    return row;
+  }
+
+  isConnected() {
+    return this.root.isConnected;
+  }
+
+  /**
+   * Short label for the progress overlay, e.g. "u/someone's comment"
+   */
+  describe() {
+    const meta = this.metadata.extract(this.root);
+    return meta && meta.author ? `u/${meta.author}'s comment` : 'selected comment';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BranchScope;
+} else {
+  window.BranchScope = BranchScope;
+}
@@ -0,0 +1,255 @@
+/**
+ * Comment Navigator for Reddit Comment Expander
+ *
+ * RES-style keyboard movement through the comment tree: next/previous comment,
+ * next/previous sibling, parent, first reply, and collapsing the focused comment.
+ * The tree is read from the visible comments in document order and their depths
+ * (CommentMetadataExtractor), so it works the same on old Reddit's nested things,
+ * sh.reddit's nested shreddit-comments and New Reddit's flat, indented rows.
+ * Comments inside collapsed branches are skipped. The focused comment gets a
+ * focus ring and is announced with its author, level and score.
+ */
+
+console.log('📦 Loading comment-navigator.js');
+
+class CommentNavigator {
+  constructor(options = {}) {
+    this.metadata = options.metadata || window.commentMetadata || new CommentMetadataExtractor();
+    this.root = options.root || document;
+    this.announce = options.announce || (() => {});
+
+    this.current = null;
+    this.depths = new WeakMap(); // comment element -> depth, read once per comment
+  }
+
+  /**
+   * Run a navigation action by name (the treeShortcuts values in AccessibilityManager)
+   */
+  handle(action) {
+    const actions = {
+      nextComment: () => this.next(),
+      previousComment: () => this.previous(),
+      nextSibling: () => this.nextSibling(),
+      previousSibling: () => this.previousSibling(),
+      parentComment: () => this.parent(),
+      firstChild: () => this.firstChild(),
+      toggleCollapse: () => this.toggleCollapse()
+    };
+    return actions[action] ? actions[action]() : null;
+  }
+
+  stop() {
+    if (this.current) {
+      this.blur(this.current);
+      this.current = null;
+    }
+  }
+
+  /**
+   * Visible comments in document order
+   */
+  getComments() {
+    return this.metadata.getComments(this.root).filter(comment => comment.getClientRects().length > 0);
+  }
+
+  getDepth(comment) {
+    if (!this.depths.has(comment)) {
+      const meta = this.metadata.extract(comment);
+      this.depths.set(comment, meta && meta.depth !== null ? meta.depth : 0);
+    }
+    return this.depths.get(comment);
+  }
+
+  /**
+   * The comment to move from: the one holding keyboard focus (the user may have clicked
+   * or tabbed elsewhere since the last move), else the last focused one
+   */
+  getCurrent(comments) {
+    let owner = this.metadata.findOwnerComment(document.activeElement);
+    while (owner && !this.metadata.isCommentRoot(owner)) {
+      owner = owner.parentElement ? owner.parentElement.closest(this.metadata.commentSelector) : null;
+    }
+    if (owner && comments.includes(owner)) return owner;
+    return comments.includes(this.current) ? this.current : null;
+  }
+
+  /**
+   * Find the comment a move lands on; without a focused comment any move starts at the first one on screen
+   */
+  move(step, emptyMessage) {
+    const comments = this.getComments();
+    if (comments.length === 0) {
+      this.announce('No comments on this page');
+      return null;
+    }
+
+    const current = this.getCurrent(comments);
+    if (!current) {
+      const onScreen = comments.find(comment => comment.getBoundingClientRect().bottom > 0);
+      return this.focus(onScreen || comments[0]);
+    }
+
+    const target = step(comments, comments.indexOf(current));
+    if (!target) {
+      this.announce(emptyMessage);
+      return null;
+    }
+    return this.focus(target);
+  }
+
+  next() {
+    return this.move((comments, index) => comments[index + 1], 'Last comment');
+  }
+
+  previous() {
+    return this.move((comments, index) => comments[index - 1], 'First comment');
+  }
+
+  parent() {
+    return this.move((comments, index) => {
+      const depth = this.getDepth(comments[index]);
+      for (let i = index - 1; i >= 0; i--) {
+        if (this.getDepth(comments[i]) < depth) return comments[i];
+      }
+      return null;
+    }, 'Top-level comment, no parent');
+  }
+
+  nextSibling() {
+    return this.move((comments, index) => {
+      const depth = this.getDepth(comments[index]);
+      for (let i = index + 1; i < comments.length; i++) {
+        const other = this.getDepth(comments[i]);
+        if (other === depth) return comments[i];
+        if (other < depth) break;
+      }
+      return null;
+    }, 'No next sibling');
+  }
+
+  previousSibling() {
+    return this.move((comments, index) => {
+      const depth = this.getDepth(comments[index]);
+      for (let i = index - 1; i >= 0; i--) {
+        const other = this.getDepth(comments[i]);
+        if (other === depth) return comments[i];
+        if (other < depth) break;
+      }
+      return null;
+    }, 'No previous sibling');
+  }
+
+  firstChild() {
+    return this.move((comments, index) => {
+      const following = comments[index + 1];
+      return following && this.getDepth(following) > this.getDepth(comments[index]) ? following : null;
+    }, 'No replies shown');
+  }
+
+  focus(comment) {
+    if (this.current && this.current !== comment) {
+      this.blur(this.current);
+    }
+    this.current = comment;
+
+    comment.classList.add('reddit-expander-nav-focus');
+    if (!comment.hasAttribute('tabindex')) {
+      comment.setAttribute('tabindex', '-1');
+      comment.dataset.redditExpanderNavTabindex = 'true';
+    }
+    comment.focus({ preventScroll: true });
+    comment.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+    this.announce(this.describe(comment));
+    return comment;
+  }
+
+  blur(comment) {
+    comment.classList.remove('reddit-expander-nav-focus');
+    if (comment.dataset.redditExpanderNavTabindex) {
+      comment.removeAttribute('tabindex');
+      delete comment.dataset.redditExpanderNavTabindex;
+    }
+  }
+
+  /**
+   * "Comment by alice, level 2, 14 points" (plus "collapsed" when it is)
+   */
+  describe(comment) {
+    const meta = this.metadata.extract(comment) || {};
+    const parts = [
+      `Comment by ${meta.author || 'deleted account'}`,
+      `level ${this.getDepth(comment) + 1}`
+    ];
+    if (meta.score !== null && meta.score !== undefined) {
+      parts.push(`${meta.score} ${Math.abs(meta.score) === 1 ? 'point' : 'points'}`);
+    }
+    if (this.isCollapsed(comment)) {
+      parts.push('collapsed');
+    }
+    return parts.join(', ');
+  }
+
+  isCollapsed(comment) {
+    if (comment.tagName === 'SHREDDIT-COMMENT') {
+      return comment.hasAttribute('collapsed') && comment.getAttribute('collapsed') !== 'false';
+    }
+    if (comment.matches('.thing.comment')) {
+      return comment.classList.contains('collapsed');
+    }
+    if (comment.hasAttribute('data-reddit-expander-json-id')) {
+      return comment.classList.contains('reddit-expander-json-collapsed');
+    }
+    const toggle = comment.querySelector('button[aria-expanded]');
+    return !!toggle && toggle.getAttribute('aria-expanded') === 'false';
+  }
+
+  /**
+   * Collapse or expand the focused comment through the page's own toggle where there is one
+   */
+  toggleCollapse() {
+    const comment = this.getCurrent(this.getComments());
+    if (!comment) {
+      // Nothing focused yet: select a comment first rather than collapse one the user hasn't seen picked
+      return this.move(() => null, '');
+    }
+
+    if (comment.tagName === 'SHREDDIT-COMMENT') {
+      if (this.isCollapsed(comment)) {
+        comment.removeAttribute('collapsed');
+      } else {
+        comment.setAttribute('collapsed', '');
+      }
+    } else if (comment.matches('.thing.comment')) {
+      const toggle = comment.querySelector(':scope > .entry .tagline a.expand');
+      if (toggle) {
+        toggle.click();
+      } else if (comment.classList.contains('collapsed')) {
+        comment.classList.replace('collapsed', 'noncollapsed');
+      } else {
+        comment.classList.remove('noncollapsed');
+        comment.classList.add('collapsed');
+      }
+    } else if (comment.hasAttribute('data-reddit-expander-json-id')) {
+      comment.classList.toggle('reddit-expander-json-collapsed');
+    } else {
+      const toggle = comment.querySelector('button[aria-expanded]');
+      if (!toggle) {
+        this.announce('This comment cannot be collapsed');
+        return null;
+      }
+      toggle.click();
+    }
+
+    // Reddit's toggles may move focus to themselves
+    this.focus(comment);
+    return comment;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommentNavigator;
+} else {
+  window.CommentNavigator = CommentNavigator;
+}
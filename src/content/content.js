@@ -37,6 +37,36 @@ class RedditCommentExpander {
       this.featureGates = new FeatureGates();
       console.log('✅ FeatureGates initialized');
       
+      // Export formats (Markdown, ...) over the extracted thread
+      this.threadExporter = typeof ThreadExporter !== 'undefined' ? new ThreadExporter() : null;
+      this.printView = typeof PrintView !== 'undefined' ? new PrintView() : null;
+      
+      // Marks comments new since the last visit; started per thread in setupExpander
+      this.threadDiff = null;
+      
+      // Find bar over the loaded comments (Alt+Shift+F)
+      this.threadSearch = typeof ThreadSearch !== 'undefined'
+        ? new ThreadSearch({ announce: message => this.accessibility.announceToScreenReader(message) })
+        : null;
+      
+      // Density rail of the comment tree; started per thread in setupExpander
+      this.minimap = null;
+      
+      // OP / chosen-author highlighting (Alt+Shift+O)
+      this.authorHighlight = typeof AuthorHighlight !== 'undefined'
+        ? new AuthorHighlight({ announce: message => this.accessibility.announceToScreenReader(message) })
+        : null;
+      
+      // In-place re-sorting of the loaded comments, restorable to the page's order
+      this.threadSorter = typeof ThreadSorter !== 'undefined'
+        ? new ThreadSorter({ announce: message => this.accessibility.announceToScreenReader(message) })
+        : null;
+      
+      // J/K tree navigation; the keys are only live on comment pages (see AccessibilityManager.setTreeNavigation)
+      this.commentNavigator = typeof CommentNavigator !== 'undefined'
+        ? new CommentNavigator({ announce: message => this.accessibility.announceToScreenReader(message) })
+        : null;
+      
       // Initialize state management
       this.state = new ExpansionState({
         enablePersistence: true,
@@ -58,7 +88,22 @@ class RedditCommentExpander {
       expandComments: true,
       expandDeleted: true,
       expandCrowdControl: true,
-      expandContestMode: true
+      expandContestMode: true,
+      expansionBackend: { oldReddit: 'click', newReddit: 'click', shReddit: 'click' },
+      smartFilterRules: [],
+      maxDepth: 0,
+      confirmAboveMinutes: 3,
+      csvColumns: null,
+      csvDelimiter: 'comma',
+      speechSkipDeleted: false,
+      speechMinScore: null,
+      speechVerbosity: 'full',
+      highlightNewComments: true,
+      visitRetention: 200,
+      showMinimap: true,
+      minimapColorBy: 'depth',
+      minimapCollapsed: false,
+      treeNavigation: false
     };
     // Remove the problematic property assignment since isExpanding is a getter
     this.fab = null;
@@ -312,11 +357,125 @@ class RedditCommentExpander {
       }, 1000);
     }
     
+    // Hover affordance for expanding a single comment's branch
+    if (this.isCommentPage) {
+      this.setupBranchControls();
+    }
+    
     // Set up event listeners for keyboard shortcuts
     this.setupEventListeners();
     
     // Set up message listener for settings updates
     this.setupMessageListener();
+    
+    // Offer to resume an expansion interrupted by a reload or crash
+    if (this.isCommentPage) {
+      this.offerSessionResume();
+      this.startThreadDiff();
+      this.startMinimap();
+      this.accessibility.setTreeNavigation(this.settings.treeNavigation && !!this.commentNavigator);
+    }
+  }
+  
+  /**
+   * Diff the thread against the last visit (visit records live in chrome.storage.local)
+   */
+  startThreadDiff() {
+    if (!this.settings.highlightNewComments || typeof ThreadDiff === 'undefined') return;
+    
+    if (!this.threadDiff) {
+      this.threadDiff = new ThreadDiff({
+        retention: this.settings.visitRetention,
+        announce: message => this.accessibility.announceToScreenReader(message)
+      });
+    }
+    this.threadDiff.start(window.location.href).catch(error => {
+      console.warn('Thread diff failed:', error);
+    });
+  }
+  
+  stopThreadDiff() {
+    if (!this.threadDiff) return;
+    this.threadDiff.stop();
+    this.threadDiff = null;
+  }
+  
+  /**
+   * Minimap rail, fed by the expander's content observer
+   */
+  startMinimap() {
+    if (!this.settings.showMinimap || this.minimap || typeof ThreadMinimap === 'undefined') return;
+    
+    this.minimap = new ThreadMinimap({
+      expander: this.expander,
+      colorBy: this.settings.minimapColorBy,
+      collapsed: this.settings.minimapCollapsed,
+      onToggle: collapsed => {
+        this.settings.minimapCollapsed = collapsed;
+        chrome.storage.sync.set({ minimapCollapsed: collapsed });
+      }
+    });
+    this.minimap.start();
+  }
+  
+  stopMinimap() {
+    if (!this.minimap) return;
+    this.minimap.stop();
+    this.minimap = null;
+  }
+  
+  offerSessionResume() {
+    if (!this.expander || this.isExpanding) return;
+    
+    const session = this.expander.state.loadSession();
+    if (!session || session.pendingStubIds.length === 0) return;
+    
+    console.log('Found interrupted expansion session:', session.progress);
+    this.showResumePrompt(session);
+  }
+  
+  showResumePrompt(session) {
+    const existingPrompt = document.querySelector('.reddit-expander-resume-prompt');
+    if (existingPrompt) {
+      existingPrompt.remove();
+    }
+    
+    const prompt = document.createElement('div');
+    prompt.className = 'reddit-expander-resume-prompt';
+    prompt.setAttribute('role', 'dialog');
+    prompt.setAttribute('aria-label', 'Resume interrupted expansion');
+    prompt.style.cssText = `
+      position: fixed;
+      bottom: 90px;
+      right: 20px;
+      padding: 12px 16px;
+      border-radius: 8px;
+      background: #1a1a1b;
+      color: white;
+      font-size: 14px;
+      z-index: 10001;
+      max-width: 300px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+    `;
+    
+    prompt.innerHTML = `
+      <div style="margin-bottom: 8px;">Your last expansion of this thread was interrupted.</div>
+      <button class="resume-prompt-resume" style="margin-right: 8px;">Resume expansion (${session.progress.percentDone}% done)</button>
+      <button class="resume-prompt-dismiss">Dismiss</button>
+    `;
+    
+    prompt.querySelector('.resume-prompt-resume').addEventListener('click', () => {
+      prompt.remove();
+      this.expandAllComments({ resumeSession: session });
+    });
+    
+    prompt.querySelector('.resume-prompt-dismiss').addEventListener('click', () => {
+      prompt.remove();
+      this.expander.state.clearSession();
+    });
+    
+    document.body.appendChild(prompt);
+    this.accessibility.announceToScreenReader(`Interrupted expansion found, ${session.progress.percentDone}% done. Resume available.`);
   }
   
   createFloatingButton() {
@@ -408,12 +567,14 @@ class RedditCommentExpander {
     }
   }
   
-  async expandAllComments() {
+  async expandAllComments(overrides = {}) {
     if (this.isExpanding) {
       this.showNotification('Expansion already in progress...', 'warning');
       return;
     }
     
+    const { confirmed = false, ...runOverrides } = overrides;
+    
     // Check if user can expand (daily limits for free tier)
     if (!this.featureGates.canExpand()) {
       this.featureGates.showUpgradePrompt('dailyExpansions');
@@ -427,6 +588,15 @@ class RedditCommentExpander {
       return;
     }
     
+    // Runs estimated above the threshold ask first; "Expand anyway" comes back confirmed
+    if (!confirmed && !runOverrides.resumeSession && this.settings.confirmAboveMinutes > 0) {
+      const preview = this.expander.preview(this.buildExpansionOptions(runOverrides));
+      if (preview.estimate.ms > this.settings.confirmAboveMinutes * 60000) {
+        this.showPreviewOverlay(preview, () => this.expandAllComments({ ...runOverrides, confirmed: true }));
+        return;
+      }
+    }
+    
     // Update state to indicate expansion is starting
     if (this.state) {
       this.state.updateStatus('expanding');
@@ -445,20 +615,20 @@ class RedditCommentExpander {
     // Record expansion for usage tracking
     this.featureGates.recordExpansion();
     
-    // Check feature availability for advanced options
-    const expansionOptions = {
-      expandDeleted: this.settings.expandDeleted && this.featureGates.isFeatureAvailable('smartFilters'),
-      expandCrowdControl: this.settings.expandCrowdControl && this.featureGates.isFeatureAvailable('crowdControlHandling'),
-      expandContestMode: this.settings.expandContestMode && this.featureGates.isFeatureAvailable('contestModeSupport'),
-      inlineThreadContinuation: this.featureGates.isFeatureAvailable('inlineThreadContinuation'),
-      respectUserPreferences: true
-    };
+    const expansionOptions = this.buildExpansionOptions(runOverrides);
+    
+    // Starting any expansion supersedes a pending resume offer or preview
+    document.querySelectorAll('.reddit-expander-resume-prompt, .reddit-expander-preview').forEach(prompt => {
+      prompt.remove();
+    });
     
     // Use enhanced expansion engine with persistent progress window
     this.expander.expandAll(expansionOptions).then(async () => {
-      // Start auto-scroll to load all content on the page
-      console.log('Starting auto-scroll to load all content...');
-      await this.expander.startAutoScroll();
+      // Start auto-scroll to load all content on the page (a branch run stays put)
+      if (!expansionOptions.scopeRoot) {
+        console.log('Starting auto-scroll to load all content...');
+        await this.expander.startAutoScroll();
+      }
       
       // Update state to indicate expansion is complete
       if (this.state) {
@@ -483,6 +653,9 @@ class RedditCommentExpander {
       const tierInfo = this.featureGates.getTierInfo();
       
       let message = `Expanded ${stats.expanded} comments successfully!`;
+      if (stats.depthLimit && stats.depthLimit.skipped > 0) {
+        message += ` ${stats.depthLimit.skipped} reply links below depth ${stats.depthLimit.maxDepth} were left collapsed.`;
+      }
       if (tierInfo.tier === 'free') {
         const remaining = tierInfo.remainingExpansions;
         message += ` (${remaining} expansions remaining today)`;
@@ -517,6 +690,240 @@ class RedditCommentExpander {
     });
   }
 
+  /**
+   * Save the loaded thread in an export format (Pro); returns a summary for the popup.
+   * With delivery 'text' nothing is saved and the summary carries the text content instead
+   */
+  exportThread(format, overrides = {}, delivery = 'download') {
+    if (!this.featureGates.isFeatureAvailable('exportFeatures')) {
+      this.featureGates.showUpgradePrompt('exportFeatures');
+      return { error: 'Export is a Pro feature' };
+    }
+    if (!this.threadExporter || !this.threadExporter.has(format)) {
+      return { error: `Export format ${format} is not available` };
+    }
+    if (this.isExpanding) {
+      this.showNotification('Wait for the expansion to finish before exporting', 'warning');
+      return { error: 'Expansion in progress' };
+    }
+    
+    try {
+      const options = { ...this.getExportOptions(format), ...overrides };
+      const result = delivery === 'text'
+        ? this.threadExporter.export(format, options)
+        : this.threadExporter.download(format, options);
+      const remaining = this.detector.getAllExpandableElements().length;
+      
+      if (delivery === 'text') {
+        if (typeof result.content !== 'string') {
+          return { error: `${format.toUpperCase()} exports can only be downloaded` };
+        }
+        return { content: result.content, commentCount: result.thread.commentCount, remaining };
+      }
+      
+      let message = `Exported ${result.thread.commentCount} comments to ${result.filename}`;
+      if (remaining > 0) {
+        message += ` (${remaining} collapsed buttons were not expanded first)`;
+      }
+      this.showNotification(message, remaining > 0 ? 'warning' : 'success');
+      
+      return { filename: result.filename, commentCount: result.thread.commentCount, remaining };
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showNotification(`Export failed: ${error.message}`, 'error');
+      return { error: error.message };
+    }
+  }
+  
+  /**
+   * Saved per-format export options (the popup's export options)
+   */
+  getExportOptions(format) {
+    if (format === 'csv') {
+      return { columns: this.settings.csvColumns, delimiter: this.settings.csvDelimiter };
+    }
+    if (format === 'speech') {
+      return {
+        skipDeleted: this.settings.speechSkipDeleted,
+        minScore: this.settings.speechMinScore,
+        verbosity: this.settings.speechVerbosity
+      };
+    }
+    return {};
+  }
+  
+  /**
+   * Copy a text export to the clipboard (floating button menu; the popup copies on its side)
+   */
+  async copyThread(format) {
+    const result = this.exportThread(format, {}, 'text');
+    if (result.error) {
+      return result;
+    }
+    
+    try {
+      await navigator.clipboard.writeText(result.content);
+      this.showNotification(`Copied ${result.commentCount} comments to the clipboard`, result.remaining > 0 ? 'warning' : 'success');
+      return { commentCount: result.commentCount, remaining: result.remaining };
+    } catch (error) {
+      console.error('Copy failed:', error);
+      this.showNotification(`Copy failed: ${error.message}`, 'error');
+      return { error: error.message };
+    }
+  }
+  
+  /**
+   * Save the loaded thread to the snapshot library (Pro). The background worker stores it
+   * in the extension's IndexedDB, where the snapshots page lists it. options.readLater
+   * also puts it on the offline reader's reading list
+   */
+  async saveSnapshot(options = {}) {
+    const readLater = options.readLater === true;
+    if (!this.featureGates.isFeatureAvailable('exportFeatures')) {
+      this.featureGates.showUpgradePrompt('exportFeatures');
+      return { error: 'Snapshots are a Pro feature' };
+    }
+    if (!this.threadExporter) {
+      return { error: 'Snapshots are not available' };
+    }
+    if (this.isExpanding) {
+      this.showNotification('Wait for the expansion to finish before saving a snapshot', 'warning');
+      return { error: 'Expansion in progress' };
+    }
+    
+    try {
+      const thread = this.threadExporter.extractor.extract();
+      const response = await chrome.runtime.sendMessage({ type: 'STORE_SNAPSHOT', thread, options: { readLater } });
+      if (!response || response.error) {
+        throw new Error(response ? response.error : 'No response from the extension');
+      }
+      
+      const remaining = this.detector.getAllExpandableElements().length;
+      let message = readLater
+        ? `Saved ${thread.commentCount} comments to read later`
+        : `Saved a snapshot of ${thread.commentCount} comments`;
+      if (remaining > 0) {
+        message += ` (${remaining} collapsed buttons were not expanded first)`;
+      }
+      this.showNotification(message, remaining > 0 ? 'warning' : 'success');
+      
+      return { snapshot: response.snapshot, commentCount: thread.commentCount, remaining };
+    } catch (error) {
+      console.error('Snapshot failed:', error);
+      this.showNotification(`Snapshot failed: ${error.message}`, 'error');
+      return { error: error.message };
+    }
+  }
+  
+  /**
+   * Re-render the loaded thread for printing and open the print dialog (Pro)
+   */
+  openPrintView(options = {}) {
+    if (!this.featureGates.isFeatureAvailable('exportFeatures')) {
+      this.featureGates.showUpgradePrompt('exportFeatures');
+      return { error: 'Print view is a Pro feature' };
+    }
+    if (!this.printView) {
+      return { error: 'Print view is not available' };
+    }
+    if (this.isExpanding) {
+      this.showNotification('Wait for the expansion to finish before printing', 'warning');
+      return { error: 'Expansion in progress' };
+    }
+    
+    try {
+      const commentCount = this.printView.open(options);
+      return { commentCount };
+    } catch (error) {
+      console.error('Print view failed:', error);
+      this.showNotification(`Print view failed: ${error.message}`, 'error');
+      return { error: error.message };
+    }
+  }
+  
+  /**
+   * Re-sort sibling comments in place; 'original' puts back the order the page loaded in
+   */
+  sortThread(order) {
+    if (!this.threadSorter) {
+      return { error: 'Sorting is not available' };
+    }
+    if (this.isExpanding) {
+      this.showNotification('Wait for the expansion to finish before sorting', 'warning');
+      return { error: 'Expansion in progress' };
+    }
+    
+    try {
+      const commentCount = this.threadSorter.sort(order);
+      this.showNotification(order === 'original'
+        ? 'Original comment order restored'
+        : `Comments sorted: ${ThreadSorter.label(order)}`, 'success');
+      return { commentCount, order };
+    } catch (error) {
+      console.error('Sorting failed:', error);
+      this.showNotification(`Sorting failed: ${error.message}`, 'error');
+      return { error: error.message };
+    }
+  }
+  
+  /**
+   * Expand only the given comment and the replies below it
+   */
+  expandBranch(comment) {
+    if (!comment) {
+      this.showNotification('Hover or focus a comment to expand its branch', 'warning');
+      return;
+    }
+    
+    this.expandAllComments({ scopeRoot: comment });
+  }
+  
+  /**
+   * Comment the user is pointing at or has focused, ignoring the extension's own UI
+   */
+  findBranchTarget(element) {
+    if (!element || !element.closest || !window.commentMetadata) return null;
+    if (element.closest('.reddit-expander-branch-btn, .reddit-expander-context-menu, #reddit-comment-expander-fab')) {
+      return null;
+    }
+    return element.closest(window.commentMetadata.commentSelector);
+  }
+  
+  setupBranchControls() {
+    if (this.branchButton) return;
+    
+    this.branchTarget = null;
+    this.branchButton = document.createElement('button');
+    this.branchButton.className = 'reddit-expander-branch-btn';
+    this.branchButton.type = 'button';
+    this.branchButton.textContent = '↕️ Branch';
+    this.branchButton.title = 'Expand this branch (Alt+Shift+B)';
+    this.branchButton.setAttribute('aria-label', 'Expand all replies under this comment');
+    this.branchButton.style.display = 'none';
+    
+    this.branchButton.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.branchButton.style.display = 'none';
+      this.expandBranch(this.branchTarget);
+    });
+    
+    const track = (event) => {
+      const comment = this.findBranchTarget(event.target);
+      if (!comment || this.isExpanding) return;
+      
+      this.branchTarget = comment;
+      const rect = comment.getBoundingClientRect();
+      this.branchButton.style.top = `${Math.max(0, rect.top) + window.scrollY + 4}px`;
+      this.branchButton.style.left = `${rect.right + window.scrollX - 96}px`;
+      this.branchButton.style.display = 'block';
+    };
+    
+    document.addEventListener('mouseover', track);
+    document.addEventListener('focusin', track);
+    document.body.appendChild(this.branchButton);
+  }
+  
   async expandScrollContent() {
     // Manually trigger expansion of new content loaded from scrolling
     if (this.expander) {
@@ -544,7 +951,22 @@ class RedditCommentExpander {
         'expandComments',
         'expandDeleted',
         'expandCrowdControl',
-        'expandContestMode'
+        'expandContestMode',
+        'expansionBackend',
+        'smartFilterRules',
+        'maxDepth',
+        'confirmAboveMinutes',
+        'csvColumns',
+        'csvDelimiter',
+        'speechSkipDeleted',
+        'speechMinScore',
+        'speechVerbosity',
+        'highlightNewComments',
+        'visitRetention',
+        'showMinimap',
+        'minimapColorBy',
+        'minimapCollapsed',
+        'treeNavigation'
       ]);
       
       this.settings = {
@@ -556,7 +978,27 @@ class RedditCommentExpander {
         expandComments: result.expandComments !== false,
         expandDeleted: result.expandDeleted !== false,
         expandCrowdControl: result.expandCrowdControl !== false,
-        expandContestMode: result.expandContestMode !== false
+        expandContestMode: result.expandContestMode !== false,
+        expansionBackend: {
+          oldReddit: 'click',
+          newReddit: 'click',
+          shReddit: 'click',
+          ...(result.expansionBackend || {})
+        },
+        smartFilterRules: Array.isArray(result.smartFilterRules) ? result.smartFilterRules : [],
+        maxDepth: parseInt(result.maxDepth, 10) || 0,
+        confirmAboveMinutes: result.confirmAboveMinutes !== undefined ? parseInt(result.confirmAboveMinutes, 10) || 0 : 3,
+        csvColumns: Array.isArray(result.csvColumns) ? result.csvColumns : null, // null = all columns
+        csvDelimiter: result.csvDelimiter || 'comma',
+        speechSkipDeleted: result.speechSkipDeleted === true,
+        speechMinScore: Number.isFinite(result.speechMinScore) ? result.speechMinScore : null, // null = keep all scores
+        speechVerbosity: result.speechVerbosity === 'brief' ? 'brief' : 'full',
+        highlightNewComments: result.highlightNewComments !== false,
+        visitRetention: parseInt(result.visitRetention, 10) || 200,
+        showMinimap: result.showMinimap !== false,
+        minimapColorBy: result.minimapColorBy === 'score' ? 'score' : 'depth',
+        minimapCollapsed: result.minimapCollapsed === true,
+        treeNavigation: result.treeNavigation === true
       };
       
       console.log('Settings loaded:', this.settings);
@@ -564,13 +1006,159 @@ class RedditCommentExpander {
       console.error('Error loading settings:', error);
     }
   }
+
+  // Options for expandAll (and its preview), with advanced options gated by tier
+  buildExpansionOptions(overrides = {}) {
+    return {
+      expandDeleted: this.settings.expandDeleted && this.featureGates.isFeatureAvailable('smartFilters'),
+      expandCrowdControl: this.settings.expandCrowdControl && this.featureGates.isFeatureAvailable('crowdControlHandling'),
+      expandContestMode: this.settings.expandContestMode && this.featureGates.isFeatureAvailable('contestModeSupport'),
+      inlineThreadContinuation: this.featureGates.isFeatureAvailable('inlineThreadContinuation'),
+      respectUserPreferences: true,
+      backend: this.settings.expansionBackend[this.detector.version] || 'click',
+      smartFilters: this.getSmartFilterOptions(),
+      viewportPriority: this.featureGates.isFeatureAvailable('priorityQueue'),
+      maxDepth: this.settings.maxDepth,
+      ...overrides
+    };
+  }
+  
+  /**
+   * Dry run: show what Expand All would do and how long it should take, without clicking
+   */
+  previewExpansion() {
+    if (this.isExpanding) {
+      this.showNotification('Expansion already in progress...', 'warning');
+      return null;
+    }
+    
+    const preview = this.expander.preview(this.buildExpansionOptions());
+    this.showPreviewOverlay(preview, () => this.expandAllComments({ confirmed: true }));
+    return preview;
+  }
+  
+  /**
+   * Preview as display lines, shared by the page overlay and the popup
+   */
+  getPreviewLines(preview) {
+    const lines = [];
+    const hidden = preview.hiddenComments > 0 ? `, ~${preview.hiddenComments} hidden comments` : '';
+    lines.push(`${preview.buttons} buttons to expand${hidden}`);
+    
+    Object.values(preview.categories).forEach(category => {
+      const count = category.hiddenComments > 0 ? ` (${category.hiddenComments} comments)` : '';
+      lines.push(`• ${category.label}: ${category.buttons}${count}`);
+    });
+    
+    if (preview.uncounted > 0) {
+      lines.push(`${preview.uncounted} buttons show no count, so more comments may load`);
+    }
+    if (preview.filtered > 0) {
+      lines.push(`${preview.filtered} buttons skipped by your filters and depth limit`);
+    }
+    
+    const basis = preview.estimate.basis === 'history' ? 'measured speed' : 'default speed';
+    lines.push(`Estimated time: ~${preview.estimate.text} (${basis})`);
+    
+    if (preview.limitedBy === 'elements') {
+      lines.push(`Only the first ${preview.limits.maxElements} buttons are expanded per run`);
+    } else if (preview.limitedBy === 'time') {
+      lines.push(`The run stops after ${Math.round(preview.limits.maxTime / 60000)} minutes; the rest expands as you scroll`);
+    }
+    return lines;
+  }
   
+  showPreviewOverlay(preview, onExpand) {
+    const existing = document.querySelector('.reddit-expander-preview');
+    if (existing) {
+      existing.remove();
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'reddit-expander-preview';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-label', 'Expansion preview');
+    overlay.style.cssText = `
+      position: fixed;
+      bottom: 90px;
+      right: 20px;
+      padding: 12px 16px;
+      border-radius: 8px;
+      background: #1a1a1b;
+      color: white;
+      font-size: 14px;
+      z-index: 10001;
+      max-width: 320px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+    `;
+    
+    const title = document.createElement('div');
+    title.className = 'preview-title';
+    title.textContent = preview.branch ? `Preview: replies under ${preview.branch}` : 'Expansion preview';
+    overlay.appendChild(title);
+    
+    this.getPreviewLines(preview).forEach(line => {
+      const row = document.createElement('div');
+      row.className = 'preview-line';
+      row.textContent = line;
+      overlay.appendChild(row);
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'preview-actions';
+    const expandButton = document.createElement('button');
+    expandButton.className = 'preview-expand';
+    expandButton.textContent = preview.buttons > 0 ? 'Expand' : 'Nothing to expand';
+    expandButton.disabled = preview.buttons === 0;
+    const closeButton = document.createElement('button');
+    closeButton.className = 'preview-close';
+    closeButton.textContent = 'Close';
+    actions.appendChild(expandButton);
+    actions.appendChild(closeButton);
+    overlay.appendChild(actions);
+    
+    expandButton.addEventListener('click', () => {
+      overlay.remove();
+      onExpand();
+    });
+    closeButton.addEventListener('click', () => {
+      overlay.remove();
+    });
+    
+    document.body.appendChild(overlay);
+    this.accessibility.announceToScreenReader(`Preview: ${preview.buttons} buttons, about ${preview.estimate.text}`);
+  }
+  
+  // Smart filter config for this run: score/depth/age need smartFilters,
+  // author/flair need advancedFilters, body and regex matching need regexFiltering
+  getSmartFilterOptions() {
+    if (!this.featureGates.isFeatureAvailable('smartFilters') || this.settings.smartFilterRules.length === 0) {
+      return null;
+    }
+
+    const allowRegex = this.featureGates.isFeatureAvailable('regexFiltering');
+    const allowedFields = ['score', 'depth', 'age'];
+    if (this.featureGates.isFeatureAvailable('advancedFilters')) {
+      allowedFields.push('author', 'flair');
+    }
+    if (allowRegex) {
+      allowedFields.push('body');
+    }
+
+    return { rules: this.settings.smartFilterRules, allowedFields, allowRegex };
+  }
+
   setupEventListeners() {
     // Listen for keyboard shortcut events
     document.addEventListener('redditExpander:expandAll', () => {
       this.expandAllComments();
     });
     
+    document.addEventListener('redditExpander:expandBranch', (event) => {
+      const target = event.detail && event.detail.target;
+      this.expandBranch(this.findBranchTarget(target) || this.branchTarget);
+    });
+    
     document.addEventListener('redditExpander:cancel', () => {
       if (this.isExpanding) {
         this.expander.cancel();
@@ -604,6 +1192,48 @@ class RedditCommentExpander {
       }
     });
     
+    document.addEventListener('redditExpander:nextNew', () => {
+      if (this.threadDiff) {
+        this.threadDiff.next();
+      }
+    });
+    
+    document.addEventListener('redditExpander:previousNew', () => {
+      if (this.threadDiff) {
+        this.threadDiff.previous();
+      }
+    });
+    
+    document.addEventListener('redditExpander:search', () => {
+      if (this.threadSearch) {
+        this.threadSearch.toggle();
+      }
+    });
+    
+    document.addEventListener('redditExpander:authorHighlight', () => {
+      if (this.authorHighlight) {
+        this.authorHighlight.toggle();
+      }
+    });
+    
+    document.addEventListener('redditExpander:nextAuthor', () => {
+      if (this.authorHighlight && this.authorHighlight.isActive()) {
+        this.authorHighlight.next();
+      }
+    });
+    
+    document.addEventListener('redditExpander:previousAuthor', () => {
+      if (this.authorHighlight && this.authorHighlight.isActive()) {
+        this.authorHighlight.previous();
+      }
+    });
+    
+    document.addEventListener('redditExpander:navigate', (event) => {
+      if (this.commentNavigator) {
+        this.commentNavigator.handle(event.detail.action);
+      }
+    });
+    
     document.addEventListener('redditExpander:openSettings', () => {
       // Open settings via popup or show settings dialog
       this.showSettingsDialog();
@@ -616,6 +1246,42 @@ class RedditCommentExpander {
   
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type === 'EXPORT_THREAD') {
+        sendResponse(this.exportThread(message.format, message.options, message.delivery));
+        return;
+      }
+      
+      if (message.type === 'SAVE_SNAPSHOT') {
+        this.saveSnapshot(message.options).then(sendResponse);
+        return true; // Keep message channel open for async response
+      }
+      
+      if (message.type === 'PRINT_VIEW') {
+        sendResponse(this.openPrintView());
+        return;
+      }
+      
+      if (message.type === 'SORT_THREAD') {
+        sendResponse(this.sortThread(message.order));
+        return;
+      }
+      
+      if (message.type === 'PREVIEW_EXPANSION') {
+        const preview = this.previewExpansion();
+        sendResponse(preview
+          ? { preview, lines: this.getPreviewLines(preview) }
+          : { error: 'Expansion already in progress' });
+        return;
+      }
+      
+      // Status and rate-limit headers of Reddit's comment-loading responses, relayed by the background worker
+      if (message.type === 'REDDIT_RESPONSE') {
+        if (this.expander && this.expander.rateLimitMonitor) {
+          this.expander.rateLimitMonitor.handleResponse(message.response);
+        }
+        return;
+      }
+      
       if (message.type === 'SETTINGS_UPDATED') {
         console.log('Settings updated:', message.settings);
         this.settings = { ...this.settings, ...message.settings };
@@ -627,6 +1293,30 @@ class RedditCommentExpander {
           this.fab.remove();
           this.fab = null;
         }
+        
+        // Turning the diff off also stops recording visits
+        if (this.settings.highlightNewComments && !this.threadDiff && this.isCommentPage) {
+          this.startThreadDiff();
+        } else if (!this.settings.highlightNewComments && this.threadDiff) {
+          this.stopThreadDiff();
+        } else if (this.threadDiff) {
+          this.threadDiff.retention = this.settings.visitRetention;
+        }
+        
+        if (this.settings.showMinimap && this.isCommentPage) {
+          this.startMinimap();
+          if (this.minimap) {
+            this.minimap.setColorBy(this.settings.minimapColorBy);
+          }
+        } else {
+          this.stopMinimap();
+        }
+        
+        const treeNavigation = this.settings.treeNavigation && this.isCommentPage && !!this.commentNavigator;
+        this.accessibility.setTreeNavigation(treeNavigation);
+        if (!treeNavigation && this.commentNavigator) {
+          this.commentNavigator.stop();
+        }
       }
     });
   }
@@ -650,7 +1340,37 @@ class RedditCommentExpander {
     const tierInfo = this.featureGates.getTierInfo();
     const menuItems = [
       { text: 'Expand All Comments', action: () => this.expandAllComments() },
+      {
+        text: this.branchTarget ? 'Expand This Branch' : 'Expand This Branch (hover a comment first)',
+        action: () => this.expandBranch(this.branchTarget),
+        disabled: !this.branchTarget || !this.branchTarget.isConnected
+      },
+      { text: 'Preview Expansion', action: () => this.previewExpansion() },
       { text: 'Expand New Scroll Content', action: () => this.expandScrollContent() },
+      ...(this.threadExporter ? this.threadExporter.getFormats() : []).map(format => ({
+        text: `Export → ${format.label}`,
+        action: () => this.exportThread(format.name)
+      })),
+      ...(this.threadExporter && this.threadExporter.has('speech')
+        ? [{ text: 'Copy → Plain text for listening', action: () => this.copyThread('speech') }]
+        : []),
+      { text: 'Save Snapshot', action: () => this.saveSnapshot() },
+      { text: 'Read Later', action: () => this.saveSnapshot({ readLater: true }) },
+      { text: 'Print View', action: () => this.openPrintView() },
+      ...(this.threadSorter
+        ? [this.threadSorter.isSorted()
+          ? { text: 'Restore Original Order', action: () => this.sortThread('original') }
+          : { text: 'Sort by Score', action: () => this.sortThread('score') }]
+        : []),
+      ...(this.threadSearch ? [{ text: 'Search Comments (Alt+Shift+F)', action: () => this.threadSearch.open() }] : []),
+      ...(this.authorHighlight
+        ? [this.authorHighlight.isActive()
+          ? { text: 'Stop Highlighting Author', action: () => this.authorHighlight.stop() }
+          : { text: 'Highlight OP (Alt+Shift+O)', action: () => this.authorHighlight.start() }]
+        : []),
+      ...(this.threadDiff && this.threadDiff.newComments.length > 0
+        ? [{ text: `Next New Comment (${this.threadDiff.newComments.length})`, action: () => this.threadDiff.next() }]
+        : []),
       { text: 'Settings', action: () => this.showSettingsDialog() },
       { text: 'Help', action: () => this.accessibility.createHelpDialog() },
       { text: 'Cancel Expansion', action: () => this.expander.cancel() }
@@ -900,6 +1620,24 @@ class RedditCommentExpander {
       this.statusOverlay = null;
     }
     
+    // Save the visit and remove new-comment marks
+    this.stopThreadDiff();
+    
+    if (this.threadSearch) {
+      this.threadSearch.close();
+    }
+    
+    if (this.authorHighlight) {
+      this.authorHighlight.stop();
+    }
+    
+    this.stopMinimap();
+    
+    this.accessibility.setTreeNavigation(false);
+    if (this.commentNavigator) {
+      this.commentNavigator.stop();
+    }
+    
 
     
     // Cleanup observers
@@ -1094,6 +1832,7 @@ async function bulletproofInitialization() {
       'AccessibilityManager',
       'CommentExpander',
       'ExpansionErrorHandler',
+      'ExpansionStrategyRegistry',
       'FeatureGates'
     ];
     
@@ -15,50 +15,248 @@ window.REDDIT_EXPANDER_EXPANDER_LOADED = true;
 // Utility Classes (defined first to avoid hoisting issues)
 
 // Priority Queue for managing expansion order
+// Binary heap ordered by priority (higher first), then viewport band (closer first),
+// then insertion order; update() re-scores one item in O(log n) instead of re-sorting
 class PriorityQueue {
   constructor() {
-    this.items = [];
+    this.heap = [];
+    this.positions = new Map(); // item -> index in heap
+    this.sequence = 0;
+  }
+
+  compare(a, b) {
+    if ((a.priority || 0) !== (b.priority || 0)) {
+      return (b.priority || 0) - (a.priority || 0); // Higher priority first
+    }
+    const bandA = a.viewportBand === undefined ? ViewportPrioritizer.FAR : a.viewportBand;
+    const bandB = b.viewportBand === undefined ? ViewportPrioritizer.FAR : b.viewportBand;
+    if (bandA !== bandB) {
+      return bandA - bandB; // Visible and nearby items first
+    }
+    return a.queueSequence - b.queueSequence; // Then in document order
   }
 
   enqueue(item) {
-    this.items.push(item);
-    this.items.sort((a, b) => {
-      if (a.priority !== b.priority) {
-        return b.priority - a.priority; // Higher priority first
-      }
-      return b.visible - a.visible; // Visible items first
-    });
+    if (this.positions.has(item)) {
+      this.update(item);
+      return;
+    }
+    item.queueSequence = this.sequence++;
+    this.heap.push(item);
+    this.positions.set(item, this.heap.length - 1);
+    this.siftUp(this.heap.length - 1);
   }
 
   dequeue() {
-    return this.items.shift();
+    if (this.heap.length === 0) return undefined;
+    const top = this.heap[0];
+    this.removeAt(0);
+    return top;
   }
 
   dequeueBatch(size) {
     const batch = [];
-    for (let i = 0; i < size && this.items.length > 0; i++) {
+    for (let i = 0; i < size && this.heap.length > 0; i++) {
       batch.push(this.dequeue());
     }
     return batch;
   }
 
+  /**
+   * Restore heap order after an item's priority or viewportBand changed
+   */
+  update(item) {
+    const index = this.positions.get(item);
+    if (index === undefined) return false;
+    this.siftDown(this.siftUp(index));
+    return true;
+  }
+
+  remove(item) {
+    const index = this.positions.get(item);
+    if (index === undefined) return false;
+    this.removeAt(index);
+    return true;
+  }
+
+  has(item) {
+    return this.positions.has(item);
+  }
+
   peek() {
-    return this.items[0];
+    return this.heap[0];
   }
 
   size() {
-    return this.items.length;
+    return this.heap.length;
   }
 
   isEmpty() {
-    return this.items.length === 0;
+    return this.heap.length === 0;
   }
 
   clear() {
-    this.items = [];
+    this.heap = [];
+    this.positions.clear();
+    this.sequence = 0;
+  }
+
+  /**
+   * Items in dequeue order (copy; the heap itself is only partially ordered)
+   */
+  toArray() {
+    return this.heap.slice().sort((a, b) => this.compare(a, b));
+  }
+
+  removeAt(index) {
+    const last = this.heap.pop();
+    this.positions.delete(this.heap.length === index ? last : this.heap[index]);
+    if (index < this.heap.length) {
+      this.heap[index] = last;
+      this.positions.set(last, index);
+      this.siftDown(this.siftUp(index));
+    }
+  }
+
+  siftUp(index) {
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(this.heap[index], this.heap[parent]) >= 0) break;
+      this.swap(index, parent);
+      index = parent;
+    }
+    return index;
+  }
+
+  siftDown(index) {
+    const length = this.heap.length;
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < length && this.compare(this.heap[left], this.heap[smallest]) < 0) smallest = left;
+      if (right < length && this.compare(this.heap[right], this.heap[smallest]) < 0) smallest = right;
+      if (smallest === index) return index;
+      this.swap(index, smallest);
+      index = smallest;
+    }
+  }
+
+  swap(i, j) {
+    const a = this.heap[i];
+    const b = this.heap[j];
+    this.heap[i] = b;
+    this.heap[j] = a;
+    this.positions.set(b, i);
+    this.positions.set(a, j);
+  }
+}
+
+// Viewport-aware re-prioritization for queued items
+// Nested IntersectionObserver rings sort stubs into bands (visible, near, nearby, far);
+// when a stub changes band as the user scrolls, its position in the queue is updated
+class ViewportPrioritizer {
+  constructor(queue) {
+    this.queue = queue;
+    // One ring per band, innermost first; margins are in viewport heights
+    this.rings = [0, 1, 3];
+    this.items = new Map(); // element -> queued item
+    this.observers = [];
+    this.inRing = new Map(); // element -> Set of ring indexes currently intersecting
+    this.stats = { observed: 0, reprioritized: 0 };
+
+    if (typeof IntersectionObserver === 'undefined') {
+      console.warn('[ViewportPrioritizer] IntersectionObserver unavailable, using static order');
+      return;
+    }
+
+    this.rings.forEach((viewports, ring) => {
+      const observer = new IntersectionObserver(
+        (entries) => this.handleEntries(ring, entries),
+        { rootMargin: `${Math.round(viewports * 100)}% 0px` }
+      );
+      this.observers.push(observer);
+    });
+  }
+
+  /**
+   * Start tracking a queued item; its initial band is measured right away so the
+   * first batch doesn't wait for the observers' first callback
+   */
+  observe(item) {
+    if (!item || !item.element || this.items.has(item.element)) return;
+
+    this.items.set(item.element, item);
+    this.inRing.set(item.element, new Set());
+    item.viewportBand = this.measureBand(item.element);
+    item.visible = item.viewportBand === 0;
+    this.queue.update(item);
+
+    this.observers.forEach(observer => observer.observe(item.element));
+    this.stats.observed++;
+  }
+
+  unobserve(element) {
+    this.observers.forEach(observer => observer.unobserve(element));
+    this.items.delete(element);
+    this.inRing.delete(element);
+  }
+
+  handleEntries(ring, entries) {
+    entries.forEach(entry => {
+      const element = entry.target;
+      const item = this.items.get(element);
+
+      // Already dequeued: stop watching it
+      if (!item || !this.queue.has(item)) {
+        this.unobserve(element);
+        return;
+      }
+
+      const rings = this.inRing.get(element);
+      if (entry.isIntersecting) {
+        rings.add(ring);
+      } else {
+        rings.delete(ring);
+      }
+
+      const band = rings.size > 0 ? Math.min(...rings) : ViewportPrioritizer.FAR;
+      if (band !== item.viewportBand) {
+        item.viewportBand = band;
+        item.visible = band === 0;
+        this.queue.update(item);
+        this.stats.reprioritized++;
+      }
+    });
+  }
+
+  measureBand(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return ViewportPrioritizer.FAR;
+
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+    for (let ring = 0; ring < this.rings.length; ring++) {
+      const margin = viewportHeight * this.rings[ring];
+      if (rect.bottom >= -margin && rect.top <= viewportHeight + margin) {
+        return ring;
+      }
+    }
+    return ViewportPrioritizer.FAR;
+  }
+
+  getStats() {
+    return { ...this.stats, tracked: this.items.size };
+  }
+
+  disconnect() {
+    this.observers.forEach(observer => observer.disconnect());
+    this.items.clear();
+    this.inRing.clear();
   }
 }
 
+ViewportPrioritizer.FAR = 3;
+
 // Adaptive Rate Limiter
 class AdaptiveRateLimiter {
   constructor() {
@@ -67,10 +265,16 @@ class AdaptiveRateLimiter {
     this.currentDelay = this.baseDelay;
     this.failureCount = 0;
     this.successCount = 0;
+    this.pausedUntil = 0; // Set by rate-limit responses (see RateLimitMonitor)
+    this.onPause = null; // Called with the pause length when Reddit rate limits us
   }
 
   async waitIfNeeded() {
     try {
+      const pause = this.getPauseRemaining();
+      if (pause > 0) {
+        await new Promise(resolve => setTimeout(resolve, pause));
+      }
       await new Promise(resolve => setTimeout(resolve, this.currentDelay));
     } catch (error) {
       // AbortError is expected during rapid expansion - handle silently
@@ -95,10 +299,32 @@ class AdaptiveRateLimiter {
     this.successCount = 0;
   }
 
-  onRateLimit() {
+  onRateLimit(retryAfterMs = 0) {
     this.currentDelay = this.maxDelay;
     this.failureCount = 0;
     this.successCount = 0;
+
+    if (retryAfterMs > 0) {
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfterMs);
+      if (this.onPause) {
+        this.onPause(this.getPauseRemaining());
+      }
+    }
+  }
+
+  // Spread the requests left in Reddit's quota window over the time until it resets;
+  // only ever slows down, the success path speeds back up
+  applyQuota(remaining, resetSeconds) {
+    if (remaining < 1) {
+      this.onRateLimit(resetSeconds * 1000);
+      return;
+    }
+    const spacing = (resetSeconds * 1000) / remaining;
+    this.currentDelay = Math.min(this.maxDelay, Math.max(this.currentDelay, spacing));
+  }
+
+  getPauseRemaining() {
+    return Math.max(0, this.pausedUntil - Date.now());
   }
 }
 
@@ -135,6 +361,9 @@ class AdaptiveBatchManager {
     this.errorRate = 0;
     this.maxErrorRate = 0.3; // 30% error rate threshold
     
+    // Performance of the last finished session, kept across reset() for estimates
+    this.previousSession = null;
+    
     console.log('🚀 [AdaptiveBatchManager] Initialized with target:', this.targetElementsPerSecond, 'elements/second');
   }
 
@@ -316,8 +545,29 @@ class AdaptiveBatchManager {
     };
   }
 
+  // Estimate how long expanding a number of buttons takes, from the measured speed of
+  // this session (or the previous one) and the pause the expansion loop makes between batches
+  estimateDuration(elementCount, pauseBetweenBatches = 500) {
+    const measured = this.batchHistory.length > 0 ? this.getPerformanceStats() : this.previousSession;
+    const elementsPerSecond = measured && measured.avgElementsPerSecond > 0
+      ? measured.avgElementsPerSecond
+      : this.targetElementsPerSecond;
+    const batchSize = Math.max(1, Math.round(measured ? measured.currentBatchSize : this.currentBatchSize));
+    const batches = Math.ceil(elementCount / batchSize);
+    
+    return {
+      ms: Math.round((elementCount / elementsPerSecond) * 1000 + batches * pauseBetweenBatches),
+      elementsPerSecond,
+      batchSize,
+      basis: measured ? 'history' : 'default'
+    };
+  }
+
   // Reset for new expansion session
   reset() {
+    if (this.batchHistory.length > 0) {
+      this.previousSession = this.getPerformanceStats();
+    }
     this.batchHistory = [];
     this.processingTimes = [];
     this.batchCount = 0;
@@ -413,12 +663,35 @@ class CommentExpander {
     // These will be removed gradually as code is refactored
     
     this.queue = new PriorityQueue();
+    this.viewportPrioritizer = null; // Re-scores queued stubs as the user scrolls
     this.rateLimiter = new AdaptiveRateLimiter();
+    this.rateLimiter.onPause = () => this.showRateLimitCountdown();
+    this.rateLimitMonitor = typeof RateLimitMonitor !== 'undefined' ? new RateLimitMonitor(this.rateLimiter) : null;
+    this.rateLimitCountdown = null;
     this.batchManager = new AdaptiveBatchManager(); // NEW: Adaptive batch sizing
     this.processed = new WeakSet();
     this.statusOverlay = null;
     this.errorHandler = new ExpansionErrorHandler(); // Targeted error handling
+    this.strategies = window.expansionStrategies || new ExpansionStrategyRegistry(); // Per-version expansion strategies
     this.observers = new Map(); // Initialize observers Map for scroll observer
+    this.mutationListeners = new Set(); // Callbacks fed by the content observer (see addMutationListener)
+    this.backend = 'click'; // 'click' or 'json' (see configureBackend)
+    this.smartFilters = null; // SmartFilterEngine while filter rules are active
+    this.commentMetadata = window.commentMetadata || new CommentMetadataExtractor();
+    this.maxDepth = 0; // 0 = no depth limit (see isBeyondMaxDepth)
+    this.depthSkipped = new WeakSet();
+    this.depthSkippedCount = 0;
+    this.branchScope = null; // BranchScope while expanding a single comment's subtree
+    this.provenance = typeof ExpansionProvenance !== 'undefined' ? new ExpansionProvenance({ metadata: this.commentMetadata }) : null;
+    this.jsonExpander = null;
+    this.inlineThreadContinuation = false;
+    
+    // Resumable sessions (see saveSessionSnapshot)
+    this.processedStubIds = new Set();
+    this.resumeContext = null;
+    this.sessionOptions = null;
+    this.sessionStartedAt = null;
+    window.addEventListener('pagehide', () => this.state.flushSession());
     
     // Initialize auto-scroll and auto-expansion stats
     this.autoScrollStats = {
@@ -598,6 +871,9 @@ class CommentExpander {
       failed: stateData.progress.failed,
       retries: stateData.errors.length,
       categories: stateData.categories,
+      backend: this.backend,
+      jsonBackend: this.jsonExpander ? this.jsonExpander.getStats() : null,
+      smartFilters: this.smartFilters ? this.smartFilters.getStats() : null,
       // NEW: Batch optimization statistics
       batchOptimization: {
         currentBatchSize: batchStats.currentBatchSize,
@@ -664,18 +940,26 @@ class CommentExpander {
         break;
       case ExpansionStatus.PAUSED:
         this.accessibility.announceToScreenReader('Comment expansion paused');
+        this.saveSessionSnapshot({ immediate: true });
         break;
       case ExpansionStatus.COMPLETE:
         this.accessibility.announceCompletion(this.stats);
         this.errorHandler.endExpansion();
+        if (this.sessionOptions) {
+          this.state.clearSession();
+        }
         break;
       case ExpansionStatus.ERROR:
         this.accessibility.announceToScreenReader('Comment expansion encountered an error');
         this.errorHandler.endExpansion();
+        this.saveSessionSnapshot({ immediate: true });
         break;
       case ExpansionStatus.CANCELLED:
         this.accessibility.announceToScreenReader('Comment expansion cancelled');
         this.errorHandler.endExpansion();
+        if (this.sessionOptions) {
+          this.state.clearSession();
+        }
         break;
     }
 
@@ -783,6 +1067,14 @@ class CommentExpander {
       failed: stateData.progress.failed,
       retries: stateData.errors.length,
       categories: stateData.categories,
+      backend: this.backend,
+      jsonBackend: this.jsonExpander ? this.jsonExpander.getStats() : null,
+      smartFilters: this.smartFilters ? this.smartFilters.getStats() : null,
+      viewportPriority: this.viewportPrioritizer ? this.viewportPrioritizer.getStats() : null,
+      depthLimit: { maxDepth: this.maxDepth, skipped: this.depthSkippedCount },
+      branch: this.branchScope ? this.branchScope.describe() : null,
+      rateLimit: this.rateLimitMonitor ? this.rateLimitMonitor.getStats() : null,
+      expandedBy: this.provenance ? this.provenance.getStats() : null,
       // NEW: Batch optimization statistics
       batchOptimization: {
         currentBatchSize: batchStats.currentBatchSize,
@@ -866,6 +1158,12 @@ class CommentExpander {
   }
 
   async _expandAllInternal(options = {}) {
+    // A resumed session brings back the options it was started with
+    const { resumeSession = null, scopeRoot = null, ...expansionOptions } = options;
+    options = resumeSession ? { ...expansionOptions, ...resumeSession.options } : expansionOptions;
+
+    // A branch run stays scoped (including later auto-scroll rescans) until the next full run
+    this.branchScope = scopeRoot ? new BranchScope(scopeRoot, { metadata: this.commentMetadata }) : null;
 
     const {
       expandDeleted = false, // Default to false for free tier
@@ -873,17 +1171,35 @@ class CommentExpander {
       expandContestMode = false, // Default to false for free tier
       inlineThreadContinuation = false, // Default to false for free tier
       respectUserPreferences = true,
-      maxElements = 1000, // Safety limit
-      maxTime = 300000 // 5 minutes max
+      maxElements = CommentExpander.RUN_LIMITS.maxElements, // Safety limit
+      maxTime = CommentExpander.RUN_LIMITS.maxTime, // 5 minutes max
+      backend = 'click', // 'click' or 'json'
+      smartFilters = null, // { rules, allowedFields, allowRegex } or null
+      viewportPriority = true, // Expand stubs near the viewport first
+      maxDepth = 0 // Deepest comment level to load (0 = unlimited)
     } = options;
 
+    this.configureBackend(backend);
+    this.configureSmartFilters(smartFilters);
+    this.configureDepthLimit(maxDepth);
+    this.inlineThreadContinuation = inlineThreadContinuation;
+    if (this.provenance) {
+      this.provenance.snapshot();
+      // Provenance tags the comments the content observer reports; listeners are a Set, so re-adding is harmless
+      this.addMutationListener(this.provenance.handleMutations);
+    }
+
     // Scan for expandable elements first
-    const expandableElements = this.detector.getAllExpandableElements();
+    const expandableElements = this.detector.getAllExpandableElements()
+      .filter(item => !this.branchScope || this.branchScope.contains(item.element));
     
     // Initialize expansion using state manager
     this.state.initializeExpansion(expandableElements, options);
     this.processed = new WeakSet();
     this.queue.clear();
+    this.configureViewportPriority(viewportPriority);
+    // Branch runs are short and partial; they don't replace the page's resumable session
+    this.startSession(this.branchScope ? null : options, resumeSession);
     
     // Reset adaptive batch manager for new expansion session
     this.batchManager.reset();
@@ -956,8 +1272,21 @@ class CommentExpander {
       this.autoExpansionStats.currentOverlay = this.statusOverlay;
       console.log('[Progress] Progress overlay created in expandAll method');
       
+      if (this.branchScope) {
+        this.updatePersistentPhase('Expanding Branch', `Only replies under ${this.branchScope.describe()}`, 'info');
+      }
+      
+      if (resumeSession) {
+        this.updatePersistentPhase(
+          'Resuming Session',
+          `Continuing from ${resumeSession.progress.percentDone}% (${resumeSession.pendingStubIds.length} pending)`,
+          'info'
+        );
+      }
+      
       // Initial scan with priority scoring
       await this.scanAndQueueElements(options);
+      this.saveSessionSnapshot();
       
       // Process queue with intelligent batching
       let processedCount = 0;
@@ -992,6 +1321,7 @@ class CommentExpander {
           
           // Update progress overlay
           this.updatePersistentProgress();
+          this.saveSessionSnapshot();
           
           // Add delay between batches to let Reddit's components settle
           await new Promise(resolve => setTimeout(resolve, 500));
@@ -1060,6 +1390,11 @@ class CommentExpander {
       // Keep scroll observer running for infinite scroll content
       console.log('Main expansion complete, but scroll observer will continue monitoring for new content...');
       
+      // Queue is drained; stop watching stubs that never got dequeued
+      if (this.viewportPrioritizer) {
+        this.viewportPrioritizer.disconnect();
+      }
+      
       // Mark expansion as complete using state manager
       this.state.completeExpansion();
       
@@ -1086,8 +1421,283 @@ class CommentExpander {
     }
   }
 
+  /**
+   * Select how "more" stubs are resolved: by clicking Reddit's buttons or
+   * by fetching the missing comments from the JSON API
+   */
+  configureBackend(backend) {
+    if (backend === 'json' && this.getJsonExpander()) {
+      this.backend = 'json';
+    } else {
+      if (backend === 'json') {
+        console.warn('[Expander] JsonApiExpander not loaded, using click backend');
+      }
+      this.backend = 'click';
+    }
+
+    console.log(`[Expander] Using ${this.backend} expansion backend for ${this.detector.version}`);
+  }
+
+  /**
+   * Build the smart filter engine for this run; no rules means no filtering
+   */
+  configureSmartFilters(config) {
+    this.smartFilters = this.createSmartFilters(config);
+    if (this.smartFilters) {
+      console.log(`[Expander] Smart filters active: ${this.smartFilters.rules.length} rule(s)`);
+    }
+  }
+
+  /**
+   * A SmartFilterEngine for a rule config, or null when there are no rules to apply
+   */
+  createSmartFilters(config) {
+    if (!config || !Array.isArray(config.rules) || config.rules.length === 0) return null;
+
+    if (typeof SmartFilterEngine === 'undefined') {
+      console.warn('[Expander] Smart filter rules set but SmartFilterEngine is not loaded');
+      return null;
+    }
+
+    const engine = new SmartFilterEngine(config);
+    return engine.hasRules() ? engine : null;
+  }
+
+  /**
+   * isStubBeyondDepth() against the run's max depth, counting each skipped stub
+   */
+  isBeyondMaxDepth(item) {
+    if (!this.isStubBeyondDepth(item, this.maxDepth)) return false;
+
+    // Rescans see the same stubs again; count each once
+    if (!this.depthSkipped.has(item.element)) {
+      this.depthSkipped.add(item.element);
+      this.depthSkippedCount++;
+    }
+    return true;
+  }
+
+  /**
+   * Whether a stub would load comments below a max depth. Only reply stubs are
+   * limited (old Reddit labels nested ones "load more comments"), never toggles
+   * for comments already on the page; top-level stubs have depth 0 and always pass.
+   */
+  isStubBeyondDepth(item, maxDepth) {
+    if (!maxDepth || !['moreReplies', 'continueThread', 'moreComments'].includes(item.category)) {
+      return false;
+    }
+
+    const depth = this.commentMetadata.getStubDepth(item.element);
+    return depth !== null && depth >= maxDepth;
+  }
+
+  configureDepthLimit(maxDepth) {
+    this.maxDepth = maxDepth > 0 ? maxDepth : 0;
+    this.depthSkipped = new WeakSet();
+    this.depthSkippedCount = 0;
+    if (this.jsonExpander) {
+      this.jsonExpander.maxDepth = this.maxDepth;
+    }
+  }
+
+  /**
+   * Opt-in categories (deleted, crowd control, contest mode) need their option set
+   */
+  isCategoryEnabled(category, options) {
+    if (category === 'deleted') return !!options.expandDeleted;
+    if (category === 'crowdControl') return !!options.expandCrowdControl;
+    if (category === 'contestMode') return !!options.expandContestMode;
+    return true;
+  }
+
+  /**
+   * Dry run of expandAll: scan with the same options and filters, total the hidden
+   * comment counts from the button labels and estimate the duration. Nothing is clicked.
+   */
+  preview(options = {}) {
+    const {
+      scopeRoot = null,
+      smartFilters = null,
+      maxDepth = 0,
+      maxElements = CommentExpander.RUN_LIMITS.maxElements,
+      maxTime = CommentExpander.RUN_LIMITS.maxTime
+    } = options;
+
+    // Filters and depth are the run's would-be settings; a preview must not change the live ones
+    const scope = scopeRoot ? new BranchScope(scopeRoot, { metadata: this.commentMetadata }) : null;
+    const filters = this.createSmartFilters(smartFilters);
+    const depthLimit = maxDepth > 0 ? maxDepth : 0;
+
+    const categories = {};
+    let buttons = 0;
+    let hiddenComments = 0;
+    let uncounted = 0;
+    let filtered = 0;
+
+    this.detector.getAllExpandableElements().forEach(item => {
+      if (scope && !scope.contains(item.element)) return;
+      if (!this.isCategoryEnabled(item.category, options) || this.isStubBeyondDepth(item, depthLimit) ||
+          (filters && filters.shouldSkip(item))) {
+        filtered++;
+        return;
+      }
+
+      if (!categories[item.category]) {
+        categories[item.category] = {
+          label: CommentExpander.CATEGORY_LABELS[item.category] || item.category,
+          buttons: 0,
+          hiddenComments: 0
+        };
+      }
+      const count = this.detector.getHiddenCount(item.element);
+      categories[item.category].buttons++;
+      buttons++;
+      if (count === null) {
+        uncounted++;
+      } else {
+        categories[item.category].hiddenComments += count;
+        hiddenComments += count;
+      }
+    });
+
+    const estimate = this.batchManager.estimateDuration(Math.min(buttons, maxElements));
+    let limitedBy = null;
+    if (buttons > maxElements) {
+      limitedBy = 'elements';
+    } else if (estimate.ms > maxTime) {
+      limitedBy = 'time';
+    }
+
+    return {
+      buttons,
+      hiddenComments,
+      uncounted,
+      filtered,
+      categories,
+      estimate: { ...estimate, text: this.formatDuration(estimate.ms) },
+      limitedBy,
+      limits: { maxElements, maxTime },
+      branch: scope ? scope.describe() : null
+    };
+  }
+
+  formatDuration(ms) {
+    const seconds = Math.max(1, Math.round(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return rest > 0 ? `${minutes}m ${rest}s` : `${minutes}m`;
+  }
+
+  /**
+   * User-configured limits that keep a found element out of the queue
+   */
+  isFilteredOut(item) {
+    if (this.branchScope && !this.branchScope.contains(item.element)) return true;
+    if (this.isBeyondMaxDepth(item)) return true;
+    return !!(this.smartFilters && this.smartFilters.shouldSkip(item));
+  }
+
+  /**
+   * (Re)create the viewport prioritizer for a run; registered with the other
+   * observers so cleanup() disconnects it
+   */
+  configureViewportPriority(enabled) {
+    if (this.viewportPrioritizer) {
+      this.viewportPrioritizer.disconnect();
+      this.observers.delete('viewportPriority');
+      this.viewportPrioritizer = null;
+    }
+
+    if (enabled) {
+      this.viewportPrioritizer = new ViewportPrioritizer(this.queue);
+      this.observers.set('viewportPriority', this.viewportPrioritizer);
+    }
+  }
+
+  /**
+   * Start (or resume) the persisted session for this thread
+   */
+  startSession(options, resumeSession = null) {
+    this.sessionOptions = options;
+
+    if (resumeSession) {
+      this.processedStubIds = new Set(resumeSession.processedIds);
+      this.resumeContext = { pending: new Set(resumeSession.pendingStubIds) };
+      this.sessionStartedAt = resumeSession.startedAt || Date.now();
+
+      // Continue the counters from where the previous page left off
+      const { processed = 0, successful = 0, failed = 0 } = resumeSession.progress;
+      this.state.updateState({ progress: { processed, successful, failed } });
+      console.log(`[Expander] Resuming session: ${resumeSession.pendingStubIds.length} pending, ${this.processedStubIds.size} already processed`);
+    } else {
+      this.processedStubIds = new Set();
+      this.resumeContext = null;
+      this.sessionStartedAt = Date.now();
+    }
+  }
+
+  /**
+   * Stable id for an expandable element that survives a reload: category plus
+   * the fullname of the owning comment, plus the stub's own marker when it has one
+   */
+  getStubId(element, category) {
+    const owner = element.closest('shreddit-comment, .thing.comment, [id^="t1_"]');
+    const ownerId = owner
+      ? (owner.getAttribute('thingid') || owner.getAttribute('data-fullname') || owner.id)
+      : 'root';
+
+    const stubContainer = element.closest('[id^="moreComments-"], .thing.morechildren');
+    let marker = element.id || (stubContainer ? stubContainer.id : '');
+    if (!marker && element.tagName === 'A' && element.href) {
+      marker = new URL(element.href, window.location.href).pathname;
+    }
+
+    return `${category}:${ownerId}${marker ? `:${marker}` : ''}`;
+  }
+
+  /**
+   * Persist what is needed to resume after a reload or crash: pending stub ids,
+   * processed stub ids, the options used and the progress so far
+   */
+  saveSessionSnapshot(saveOptions = {}) {
+    if (!this.sessionOptions) return;
+
+    const pendingStubIds = this.queue.toArray().map(item => item.stubId || this.getStubId(item.element, item.category));
+    const progress = this.state.getProgress();
+    const known = progress.processed + pendingStubIds.length;
+
+    this.state.saveSession({
+      url: window.location.href,
+      redditVersion: this.detector.version,
+      options: this.sessionOptions,
+      pendingStubIds,
+      processedIds: Array.from(this.processedStubIds),
+      progress: {
+        processed: progress.processed,
+        successful: progress.successful,
+        failed: progress.failed,
+        percentDone: known > 0 ? Math.round((progress.processed / known) * 100) : 0
+      },
+      startedAt: this.sessionStartedAt
+    }, saveOptions);
+  }
+
+  /**
+   * Lazily create the JSON expander (used by the JSON backend and inline thread continuation)
+   */
+  getJsonExpander() {
+    if (!this.jsonExpander && typeof JsonApiExpander !== 'undefined') {
+      this.jsonExpander = new JsonApiExpander(this.detector, { rateLimiter: this.rateLimiter, maxDepth: this.maxDepth });
+    }
+    return this.jsonExpander;
+  }
+
   async scanAndQueueElements(options) {
     console.log('Scanning for expandable elements...');
+    if (this.branchScope) {
+      this.branchScope.refresh();
+    }
     
     const scoredElements = this.detector.getAllExpandableElements();
     console.log(`Found ${scoredElements.length} expandable elements`);
@@ -1110,15 +1720,12 @@ class CommentExpander {
       }
       
       // Apply user preferences
-      if (!options.expandDeleted && category === 'deleted') {
+      if (!this.isCategoryEnabled(category, options)) {
         return false;
       }
       
-      if (!options.expandCrowdControl && category === 'crowdControl') {
-        return false;
-      }
-      
-      if (!options.expandContestMode && category === 'contestMode') {
+      // Max depth and user-defined rules on the owning comment (score, author, ...)
+      if (this.isFilteredOut(item)) {
         return false;
       }
       
@@ -1132,9 +1739,14 @@ class CommentExpander {
     });
     console.log('[Expander] Filtered elements by category:', categoryCounts);
     
-    // Add to priority queue
+    // Add to priority queue; stubs left pending by a resumed session go first
     filteredElements.forEach(item => {
+      item.stubId = this.getStubId(item.element, item.category);
+      item.priority = this.resumeContext && this.resumeContext.pending.has(item.stubId) ? 1 : 0;
       this.queue.enqueue(item);
+      if (this.viewportPrioritizer) {
+        this.viewportPrioritizer.observe(item);
+      }
     });
     
     console.log(`Queued ${filteredElements.length} elements for expansion`);
@@ -1157,14 +1769,19 @@ class CommentExpander {
         await this.rateLimiter.waitIfNeeded();
         // Debug: log before calling expandElement
         console.log('[Expander] Calling expandElement for category:', item.category);
+        const stubId = item.stubId || this.getStubId(item.element, item.category);
+        const isReplay = this.processedStubIds.has(stubId);
         const success = await this.expandElement(item.element, item.category);
         // Debug: log after calling expandElement
         console.log('[Expander] expandElement result:', success, item.category, item.element.outerHTML);
         
-        // Record result in state manager
-        this.state.recordElementResult(item.category, success);
+        // Record result in state manager (replays of a resumed session were counted before the reload)
+        if (!isReplay) {
+          this.state.recordElementResult(item.category, success);
+        }
         
         if (success) {
+          this.processedStubIds.add(stubId);
           this.rateLimiter.onSuccess();
           // Mark as processed to prevent reprocessing
           item.element.dataset.redditExpanderProcessed = 'true';
@@ -1237,27 +1854,31 @@ class CommentExpander {
       return false;
     }
 
+    // Tag the comments this expansion reveals with its category (used by exports)
+    const provenance = this.provenance ? this.provenance.begin(element, category) : null;
+    const success = await this.runExpansion(element, category);
+    if (success && provenance) {
+      this.provenance.record(provenance);
+    }
+    return success;
+  }
+
+  async runExpansion(element, category) {
     try {
-      // Different expansion strategies based on category
-      switch (category) {
-        case 'collapsed':
-          return await this.expandCollapsedComment(element);
-        case 'moreComments':
-        case 'moreReplies':
-          return await this.expandMoreComments(element);
-        case 'continueThread':
-          return await this.expandContinueThread(element);
-        case 'crowdControl':
-          return await this.expandCrowdControl(element);
-        case 'contestMode':
-          return await this.expandContestMode(element);
-        case 'deleted':
-          return await this.expandDeletedComment(element);
-        case 'viewRest':
-          return await this.expandViewRest(element);
-        default:
-          return await this.expandGeneric(element);
+      // JSON backend resolves "more" stubs from data; null means fall back to clicking
+      if (this.backend === 'json' && this.jsonExpander && this.jsonExpander.canHandle(category)) {
+        const result = await this.jsonExpander.expand(element, category);
+        if (result !== null) {
+          return result;
+        }
       }
+
+      // Strategy per (Reddit version, category): detect, expand, verify
+      return await this.strategies.run(element, {
+        expander: this,
+        version: this.detector.version,
+        category
+      });
     } catch (error) {
       // Handle AbortError silently, log other errors
       if (error.name === 'AbortError') {
@@ -1472,6 +2093,11 @@ class CommentExpander {
   }
 
   async expandContinueThread(element) {
+    // Links are loaded in place when inline continuation is on; clicking them navigates away
+    if (this.inlineThreadContinuation && element.tagName === 'A') {
+      return await this.loadThreadInline(element);
+    }
+
     // Handle "Continue this thread" links and faceplate-partial elements
     try {
       return await this.errorHandler.executeWithAbortHandling(async () => {
@@ -1585,14 +2211,57 @@ class CommentExpander {
     }
   }
 
+  /**
+   * Fetch a "Continue this thread" target and graft it under its parent comment.
+   * Never falls back to clicking, since that would navigate away from the thread.
+   */
+  async loadThreadInline(element) {
+    if (element.dataset.redditExpanderInline === 'loaded') {
+      return true;
+    }
+
+    const jsonExpander = this.getJsonExpander();
+    if (!jsonExpander) {
+      console.warn('[Expander] JsonApiExpander not loaded, cannot continue threads inline');
+      return false;
+    }
+
+    const result = await jsonExpander.loadContinuation(element);
+    if (result === null) {
+      // Not a continuation of this thread (e.g. a permalink); leave it alone
+      element.dataset.redditExpanderProcessed = 'true';
+      return false;
+    }
+    return result;
+  }
+
   async loadContinuedThreadsInline() {
-    // This would implement inline loading of continued threads
-    // For now, we'll just log that we're checking for them
-    const continuedLinks = this.detector.findElements('continueThread');
-    
-    if (continuedLinks.length > 0) {
-      console.log(`Found ${continuedLinks.length} continued thread links`);
-      // Future implementation: fetch and inject content inline
+    // Continue links appear as expansions (and inline loads) reveal deeper levels
+    const continuedLinks = this.detector.findElements('continueThread').filter(link =>
+      link.tagName === 'A' &&
+      !link.dataset.redditExpanderProcessed &&
+      !this.isFilteredOut({ element: link, category: 'continueThread' }) &&
+      this.getJsonExpander() &&
+      this.jsonExpander.parseContinueLink(link)
+    );
+
+    if (continuedLinks.length === 0) return;
+
+    console.log(`[Expander] Loading ${continuedLinks.length} continued threads inline`);
+    this.updatePersistentPhase('Inline Threads', `Loading ${continuedLinks.length} continued threads in place`, 'info');
+
+    for (const link of continuedLinks) {
+      if (this.shouldCancel) break;
+      await this.rateLimiter.waitIfNeeded();
+
+      const success = await this.loadThreadInline(link);
+      this.state.recordElementResult('continueThread', success);
+      if (success) {
+        this.rateLimiter.onSuccess();
+        this.autoExpansionStats.totalProcessed++;
+      } else {
+        this.rateLimiter.onFailure();
+      }
     }
   }
 
@@ -1620,10 +2289,35 @@ class CommentExpander {
 
   async checkForNewElements() {
     // Set up mutation observer to watch for new content during expansion
+    this.setupContentObserver();
+    
+    // Set up persistent scroll-based observer for infinite scroll content
+    this.setupScrollObserver();
+  }
+
+  /**
+   * Feed every batch of mutations the content observer sees to a listener (e.g. the
+   * minimap), whether or not an expansion is running; returns an unsubscribe function
+   */
+  addMutationListener(listener) {
+    this.mutationListeners.add(listener);
+    this.setupContentObserver();
+    return () => this.mutationListeners.delete(listener);
+  }
+
+  setupContentObserver() {
     if (!this.observers.has('content')) {
       let rescanTimeout = null;
       
       const observer = new MutationObserver((mutations) => {
+        this.mutationListeners.forEach(listener => {
+          try {
+            listener(mutations);
+          } catch (error) {
+            console.warn('[ContentObserver] Mutation listener failed:', error);
+          }
+        });
+        
         // Skip if not currently expanding to avoid interference
         if (!this.isExpanding) return;
         
@@ -1678,9 +2372,6 @@ class CommentExpander {
       
       this.observers.set('content', observer);
     }
-    
-    // Set up persistent scroll-based observer for infinite scroll content
-    this.setupScrollObserver();
   }
 
   setupScrollObserver() {
@@ -1778,7 +2469,10 @@ class CommentExpander {
       const hasExpandOutline = btn.querySelector('svg[icon-name="expand-outline"]');
       const hasExpandableIcon = hasJoinOutline || hasPlus || hasPlusOutline || hasExpand || hasExpandOutline;
       const notProcessed = !btn.dataset.redditExpanderProcessed;
-      return hasExpandableIcon && notProcessed;
+      if (!hasExpandableIcon || !notProcessed) return false;
+      // join-outline / plus-outline are sh.reddit's "N more replies" buttons; the rest expand collapsed comments
+      const category = hasJoinOutline || hasPlusOutline ? 'moreReplies' : 'collapsed';
+      return !this.isFilteredOut({ element: btn, category });
     });
     
     if (allExpandableButtons.length > 0) {
@@ -1815,8 +2509,13 @@ class CommentExpander {
       return;
     }
     
+    if (this.branchScope) {
+      this.branchScope.refresh();
+    }
+    
     // NEW: Start auto-scroll if not already active to ensure we load all content
-    if (!this.autoScrollStats.isActive && !this.autoScrollStats.isComplete) {
+    // (not for a branch: the rest of the page is deliberately left alone)
+    if (!this.branchScope && !this.autoScrollStats.isActive && !this.autoScrollStats.isComplete) {
       console.log('[Expander] Starting auto-scroll to load all content...');
       await this.startAutoScroll();
     }
@@ -1826,7 +2525,8 @@ class CommentExpander {
     
     // Filter out already processed elements and undefined elements
     const unprocessedElements = newElements.filter(item => 
-      item && item.element && item.element.dataset && !item.element.dataset.redditExpanderProcessed
+      item && item.element && item.element.dataset && !item.element.dataset.redditExpanderProcessed &&
+      !this.isFilteredOut(item)
     );
     
     if (unprocessedElements.length > 0) {
@@ -2049,6 +2749,17 @@ class CommentExpander {
         </div>
       </div>
       
+      <div class="persistent-filter-hits" style="
+        display: none;
+        font-size: 12px;
+        color: #495057;
+        background: #f8f9fa;
+        border-radius: 8px;
+        padding: 8px 12px;
+        margin-bottom: 16px;
+        border: 1px solid rgba(0, 0, 0, 0.05);
+      "></div>
+      
       <div style="display: flex; gap: 8px;">
         <button class="persistent-pause-btn" style="
           flex: 1;
@@ -2239,6 +2950,42 @@ class CommentExpander {
       pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
       pauseBtn.style.background = isPaused ? '#28a745' : '#ffa500';
     }
+    
+    this.updateFilterHits(overlay);
+  }
+
+  // Per-rule hit counts for active smart filters
+  updateFilterHits(overlay) {
+    const container = overlay.querySelector('.persistent-filter-hits');
+    if (!container) return;
+    
+    if (!this.smartFilters) {
+      container.style.display = 'none';
+      return;
+    }
+    
+    container.style.display = 'block';
+    container.textContent = '';
+    
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: 600; margin-bottom: 4px;';
+    title.textContent = 'Filters';
+    container.appendChild(title);
+    
+    this.smartFilters.getHitCounts().forEach(({ name, action, hits }) => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; justify-content: space-between; gap: 8px;';
+      
+      const label = document.createElement('span');
+      label.textContent = `${action === 'skip' ? 'Skip' : 'Include'}: ${name}`;
+      const count = document.createElement('span');
+      count.style.cssText = 'font-weight: 600;';
+      count.textContent = String(hits);
+      
+      row.appendChild(label);
+      row.appendChild(count);
+      container.appendChild(row);
+    });
   }
 
   // NEW: Update phase and detail information
@@ -2289,6 +3036,28 @@ class CommentExpander {
     // Update the main progress display
     this.updatePersistentProgress();
   }
+
+  /**
+   * "Rate limited, retrying in Ns" countdown in the overlay while the rate limiter is paused
+   */
+  showRateLimitCountdown() {
+    if (this.rateLimitCountdown || (!this.isExpanding && !this.autoExpansionStats.isActive)) return;
+    
+    this.accessibility.announceToScreenReader('Reddit is rate limiting requests, pausing expansion');
+    const tick = () => {
+      const remainingMs = this.rateLimiter.getPauseRemaining();
+      if (remainingMs <= 0) {
+        clearInterval(this.rateLimitCountdown);
+        this.rateLimitCountdown = null;
+        this.updatePersistentPhase('Expanding', 'Rate limit lifted, continuing', 'info');
+        return;
+      }
+      this.updatePersistentPhase('Rate Limited', `⚠️ Rate limited, retrying in ${Math.ceil(remainingMs / 1000)}s...`, 'warning');
+    };
+    
+    tick();
+    this.rateLimitCountdown = setInterval(tick, 1000);
+  }
   
   showAutoExpansionIndicator(count) {
     // Create a subtle notification that doesn't interfere with browsing
@@ -2358,6 +3127,11 @@ class CommentExpander {
 
   // Clean up observers
   cleanup() {
+    if (this.rateLimitCountdown) {
+      clearInterval(this.rateLimitCountdown);
+      this.rateLimitCountdown = null;
+    }
+    
     this.observers.forEach((observer, name) => {
       observer.disconnect();
       console.log(`Disconnected ${name} observer`);
@@ -3161,6 +3935,35 @@ class CommentExpander {
     }, 3000);
   }
   
+  // Extra lines for the completion summary (e.g. stubs left out by the depth limit, new comments since the last visit)
+  getCompletionNotesHtml() {
+    let notes = '';
+    
+    if (this.maxDepth && this.depthSkippedCount > 0) {
+      const links = this.depthSkippedCount === 1 ? 'reply link' : 'reply links';
+      notes += `
+      <div class="completion-depth-note" style="font-size: 12px; color: #6c757d; margin: 8px 0;">
+        ${this.depthSkippedCount} ${links} below depth ${this.maxDepth} not loaded
+      </div>
+    `;
+    }
+    
+    const threadDiff = this.contentManager && this.contentManager.threadDiff;
+    if (threadDiff) {
+      threadDiff.refresh();
+      const summary = threadDiff.getSummary();
+      if (summary) {
+        notes += `
+      <div class="completion-new-note" style="font-size: 12px; color: #ff4500; font-weight: 600; margin: 8px 0;">
+        ${summary}
+      </div>
+    `;
+      }
+    }
+    
+    return notes;
+  }
+  
   showAutoExpansionCompletion() {
     if (!this.autoExpansionStats.currentOverlay) return;
     
@@ -3260,6 +4063,7 @@ class CommentExpander {
             <div style="font-size: 13px; color: #495057; font-weight: 600; font-variant-numeric: tabular-nums;">${(this.autoExpansionStats.totalProcessed / totalTime).toFixed(1)}/s</div>
           </div>
         </div>
+        ${this.getCompletionNotesHtml()}
         
         <button class="auto-close-btn" style="
           background: linear-gradient(135deg, #4CAF50, #45a049);
@@ -3488,6 +4292,7 @@ class CommentExpander {
               <div style="font-size: 13px; color: #495057; font-weight: 600; font-variant-numeric: tabular-nums;">${(this.autoExpansionStats.totalProcessed / totalTime).toFixed(1)}/s</div>
             </div>
           </div>
+          ${this.getCompletionNotesHtml()}
           
           <button class="auto-close-btn" style="
             background: linear-gradient(135deg, #4CAF50, #45a049);
@@ -3564,13 +4369,30 @@ class CommentExpander {
   }
 }
 
+// Per-run safety limits, shared by expandAll and preview
+CommentExpander.RUN_LIMITS = { maxElements: 1000, maxTime: 300000 };
+
+// Human-readable names for the detector's categories (preview breakdown)
+CommentExpander.CATEGORY_LABELS = {
+  moreComments: 'Load more comments',
+  moreReplies: 'More replies',
+  collapsed: 'Collapsed comments',
+  continueThread: 'Continue this thread',
+  crowdControl: 'Crowd control',
+  contestMode: 'Contest mode',
+  deleted: 'Deleted comments',
+  viewRest: 'View rest of comments'
+};
+
 // Priority Queue implementation
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { CommentExpander, PriorityQueue, AdaptiveRateLimiter, ExpansionErrorHandler };
+  module.exports = { CommentExpander, PriorityQueue, ViewportPrioritizer, AdaptiveRateLimiter, AdaptiveBatchManager, ExpansionErrorHandler };
 } else {
   window.CommentExpander = CommentExpander;
   window.PriorityQueue = PriorityQueue;
+  window.ViewportPrioritizer = ViewportPrioritizer;
   window.AdaptiveRateLimiter = AdaptiveRateLimiter;
+  window.AdaptiveBatchManager = AdaptiveBatchManager;
   window.ExpansionErrorHandler = ExpansionErrorHandler;
 } 
\ No newline at end of file
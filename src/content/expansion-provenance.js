@@ -0,0 +1,142 @@
+/**
+ * Expansion Provenance for Reddit Comment Expander
+ *
+ * Records which expander category revealed each comment, as
+ * data-reddit-expander-expanded-by on the comment element, so exports can tell
+ * comments that were on the page apart from ones the expander loaded or uncovered.
+ *
+ * Comments present at the start of a run are known and stay untagged. Comments added
+ * after that are collected from the expander's content observer (handleMutations), so
+ * an expansion only looks at what arrived rather than rescanning the page. After each
+ * successful expansion the collected comments in its scope (the owner comment for
+ * nested markup, the whole page for New Reddit's flat rows and top-level stubs) get
+ * the category. Reveal categories also tag the comment they uncovered. Replies that
+ * render after the expansion resolved are picked up when the next one begins.
+ */
+
+console.log('📦 Loading expansion-provenance.js');
+
+// Categories that uncover a comment already in the DOM rather than loading new ones
+const PROVENANCE_REVEAL_CATEGORIES = ['collapsed', 'crowdControl', 'contestMode', 'deleted'];
+
+class ExpansionProvenance {
+  constructor(options = {}) {
+    this.metadata = options.metadata || window.commentMetadata || new CommentMetadataExtractor();
+    this.root = options.root || document;
+    this.known = new WeakSet();
+    this.added = new Set(); // Comments added since the snapshot that no expansion has claimed yet
+    this.started = false;
+    this.pending = null; // Last recorded expansion, swept again for late replies
+    this.counts = {};
+    this.handleMutations = mutations => this.collect(mutations);
+  }
+
+  /**
+   * Treat every comment currently on the page as already there; call at the start of a run
+   */
+  snapshot() {
+    this.metadata.getComments(this.root).forEach(comment => this.known.add(comment));
+    this.added.clear();
+    this.started = true;
+    this.pending = null;
+  }
+
+  /**
+   * Remember comments in added nodes; pass to CommentExpander.addMutationListener
+   */
+  collect(mutations) {
+    if (!this.started) return;
+
+    mutations.forEach(mutation => {
+      Array.from(mutation.addedNodes).forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        if (node.matches(this.metadata.commentSelector) && this.metadata.isCommentRoot(node)) {
+          this.addCandidate(node);
+        }
+        this.metadata.getComments(node).forEach(comment => this.addCandidate(comment));
+      });
+    });
+  }
+
+  addCandidate(comment) {
+    if (!this.known.has(comment)) {
+      this.added.add(comment);
+    }
+  }
+
+  /**
+   * Call before expanding; the owner has to be resolved while the stub is still attached
+   */
+  begin(element, category) {
+    if (!this.started) {
+      this.snapshot();
+    }
+    this.sweep();
+
+    const owner = this.metadata.findOwnerComment(element);
+    const nested = !!owner && owner.matches('shreddit-comment, .thing.comment, [data-reddit-expander-json-id]');
+    return { category, owner, scope: nested ? owner : this.root };
+  }
+
+  /**
+   * Call after a successful expansion with the entry begin() returned
+   */
+  record(entry) {
+    if (!entry) return 0;
+
+    let tagged = 0;
+    if (entry.owner && PROVENANCE_REVEAL_CATEGORIES.includes(entry.category)) {
+      [entry.owner, ...this.metadata.getComments(entry.owner)].forEach(comment => {
+        if (this.tag(comment, entry.category)) tagged++;
+      });
+    }
+
+    tagged += this.tagNew(entry);
+    this.pending = entry;
+    return tagged;
+  }
+
+  sweep() {
+    if (!this.pending) return;
+    if (this.pending.scope === this.root || this.pending.scope.isConnected) {
+      this.tagNew(this.pending);
+    }
+  }
+
+  tagNew(entry) {
+    let tagged = 0;
+    this.added.forEach(comment => {
+      // Comments outside the scope wait for an expansion that covers them; detached ones never will
+      if (!comment.isConnected || this.known.has(comment)) {
+        this.added.delete(comment);
+        return;
+      }
+      if (entry.scope !== this.root && !entry.scope.contains(comment)) return;
+      if (this.tag(comment, entry.category)) tagged++;
+      this.known.add(comment);
+      this.added.delete(comment);
+    });
+    return tagged;
+  }
+
+  /**
+   * The first category to reveal a comment wins
+   */
+  tag(comment, category) {
+    if (comment.dataset.redditExpanderExpandedBy) return false;
+    comment.dataset.redditExpanderExpandedBy = category;
+    this.counts[category] = (this.counts[category] || 0) + 1;
+    return true;
+  }
+
+  getStats() {
+    return { ...this.counts };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpansionProvenance;
+} else {
+  window.ExpansionProvenance = ExpansionProvenance;
+}
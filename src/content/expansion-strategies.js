@@ -0,0 +1,246 @@
+/**
+ * Expansion Strategy Registry for Reddit Comment Expander
+ *
+ * Maps each (redditVersion, category) pair to a strategy object with hooks:
+ * - detect(element, context): is this element still something the strategy can expand?
+ * - expand(element, context):  perform the expansion, resolve to true if attempted successfully
+ * - verify(element, context):  confirm the expansion took effect
+ *
+ * Lookup order: exact version + category, then '*' + category, then the generic fallback.
+ * A strategy whose detect hook turns an element down passes it on to the next one in that order.
+ * context is { expander, version, category }, so strategies can reuse the expander's
+ * helpers (waitForExpansion, errorHandler, ...) without living inside it.
+ *
+ * Add or override behaviour at runtime:
+ *   window.expansionStrategies.register('shReddit', 'crowdControl', { expand, verify });
+ */
+
+console.log('📦 Loading expansion-strategies.js');
+
+const ANY_VERSION = '*';
+const GENERIC_CATEGORY = '*';
+
+class ExpansionStrategyRegistry {
+  constructor(options = {}) {
+    this.strategies = new Map();
+
+    if (options.registerDefaults !== false) {
+      this.registerDefaults();
+    }
+  }
+
+  createKey(version, category) {
+    return `${version}:${category}`;
+  }
+
+  /**
+   * Register a strategy; missing detect/verify hooks default to permissive ones
+   */
+  register(version, category, strategy) {
+    if (!strategy || typeof strategy.expand !== 'function') {
+      throw new Error(`Strategy for ${version}:${category} must have an expand() hook`);
+    }
+
+    const normalized = {
+      name: strategy.name || `${version}:${category}`,
+      detect: typeof strategy.detect === 'function' ? strategy.detect : (element) => !!element && element.isConnected,
+      expand: strategy.expand,
+      verify: typeof strategy.verify === 'function' ? strategy.verify : async () => true
+    };
+
+    this.strategies.set(this.createKey(version, category), normalized);
+    return this;
+  }
+
+  unregister(version, category) {
+    return this.strategies.delete(this.createKey(version, category));
+  }
+
+  has(version, category) {
+    return this.strategies.has(this.createKey(version, category));
+  }
+
+  /**
+   * Find the most specific strategy for a version and category
+   */
+  resolve(version, category) {
+    return this.strategies.get(this.createKey(version, category)) ||
+      this.strategies.get(this.createKey(ANY_VERSION, category)) ||
+      this.strategies.get(this.createKey(ANY_VERSION, GENERIC_CATEGORY));
+  }
+
+  /**
+   * The most specific strategy whose detect hook accepts the element
+   */
+  resolveFor(element, context) {
+    const candidates = [
+      this.strategies.get(this.createKey(context.version, context.category)),
+      this.strategies.get(this.createKey(ANY_VERSION, context.category)),
+      this.strategies.get(this.createKey(ANY_VERSION, GENERIC_CATEGORY))
+    ];
+    return candidates.find(strategy => strategy && strategy.detect(element, context)) || null;
+  }
+
+  /**
+   * Run a strategy's hooks in order: detect, expand, verify
+   */
+  async run(element, context) {
+    const strategy = this.resolveFor(element, context);
+
+    if (!strategy) {
+      console.log(`[ExpansionStrategies] No ${context.version}:${context.category} strategy detected an expandable element`);
+      return false;
+    }
+
+    const expanded = await strategy.expand(element, context);
+    if (!expanded) {
+      return false;
+    }
+
+    const verified = await strategy.verify(element, context);
+    if (!verified) {
+      console.log(`[ExpansionStrategies] ${strategy.name} could not verify expansion`);
+    }
+    return verified;
+  }
+
+  list() {
+    return Array.from(this.strategies.keys());
+  }
+
+  /**
+   * Defaults delegate to the expander's click-based methods; version-specific
+   * overrides below replace the ones that used to fall through to a blind click
+   */
+  registerDefaults() {
+    this.register(ANY_VERSION, 'collapsed', {
+      name: 'collapsed',
+      expand: (element, { expander }) => expander.expandCollapsedComment(element)
+    });
+
+    ['moreComments', 'moreReplies'].forEach(category => {
+      this.register(ANY_VERSION, category, {
+        name: category,
+        expand: (element, { expander }) => expander.expandMoreComments(element)
+      });
+    });
+
+    this.register(ANY_VERSION, 'continueThread', {
+      name: 'continueThread',
+      expand: (element, { expander }) => expander.expandContinueThread(element)
+    });
+
+    this.register(ANY_VERSION, 'crowdControl', {
+      name: 'crowdControl',
+      expand: (element, { expander }) => expander.expandCrowdControl(element)
+    });
+
+    this.register(ANY_VERSION, 'contestMode', {
+      name: 'contestMode',
+      expand: (element, { expander }) => expander.expandContestMode(element)
+    });
+
+    this.register(ANY_VERSION, 'deleted', {
+      name: 'deleted',
+      expand: (element, { expander }) => expander.expandDeletedComment(element)
+    });
+
+    this.register(ANY_VERSION, 'viewRest', {
+      name: 'viewRest',
+      expand: (element, { expander }) => expander.expandViewRest(element)
+    });
+
+    this.register(ANY_VERSION, GENERIC_CATEGORY, {
+      name: 'generic',
+      expand: (element, { expander }) => expander.expandGeneric(element)
+    });
+
+    this.registerShRedditStrategies();
+    this.registerOldRedditStrategies();
+  }
+
+  /**
+   * sh.reddit hides crowd-control, contest-mode and deleted comments as
+   * shreddit-comment[collapsed]; reveal them through the comment's own expand toggle
+   * so the component updates its state. Anything else matched for these categories
+   * goes on to the default strategies.
+   */
+  registerShRedditStrategies() {
+    const revealShredditComment = {
+      detect: (element) => element.isConnected && element.tagName === 'SHREDDIT-COMMENT' &&
+        this.isShredditCollapsed(element) && !!this.findShredditToggle(element),
+      expand: async (element, { expander }) => {
+        const toggle = this.findShredditToggle(element);
+        if (!toggle) {
+          return false;
+        }
+
+        toggle.click();
+        await expander.waitForExpansion(toggle, 2000);
+        return true;
+      },
+      verify: async (element) => !this.isShredditCollapsed(element)
+    };
+
+    ['crowdControl', 'contestMode', 'deleted'].forEach(category => {
+      this.register('shReddit', category, { name: `shReddit:${category}`, ...revealShredditComment });
+    });
+  }
+
+  /**
+   * Old Reddit collapses with a [+] link in the tagline and a .collapsed class on the thing
+   */
+  registerOldRedditStrategies() {
+    const revealOldRedditComment = {
+      detect: (element) => element.isConnected && !!this.findOldRedditThing(element),
+      expand: async (element) => {
+        const thing = this.findOldRedditThing(element);
+        if (!thing.classList.contains('collapsed')) {
+          return true;
+        }
+
+        const toggle = thing.querySelector(':scope > .entry .tagline a.expand') ||
+          (element.matches('a.expand') ? element : null);
+        if (!toggle) {
+          return false;
+        }
+
+        toggle.click();
+        return true;
+      },
+      verify: async (element) => {
+        const thing = this.findOldRedditThing(element);
+        return !!thing && !thing.classList.contains('collapsed');
+      }
+    };
+
+    ['collapsed', 'crowdControl', 'contestMode', 'deleted'].forEach(category => {
+      this.register('oldReddit', category, { name: `oldReddit:${category}`, ...revealOldRedditComment });
+    });
+  }
+
+  /**
+   * The comment's own collapse toggle: in its light DOM (meta slot) or its shadow root
+   */
+  findShredditToggle(element) {
+    const selector = ':scope > button[aria-expanded="false"], :scope > [slot="commentMeta"] button[aria-expanded="false"]';
+    return element.querySelector(selector) ||
+      (element.shadowRoot ? element.shadowRoot.querySelector('button[aria-expanded="false"]') : null);
+  }
+
+  isShredditCollapsed(element) {
+    return element.hasAttribute('collapsed') && element.getAttribute('collapsed') !== 'false';
+  }
+
+  findOldRedditThing(element) {
+    return element.closest('.thing.comment');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpansionStrategyRegistry;
+} else {
+  window.ExpansionStrategyRegistry = ExpansionStrategyRegistry;
+  window.expansionStrategies = new ExpansionStrategyRegistry();
+}
@@ -0,0 +1,636 @@
+/**
+ * JSON-API Expansion Backend for Reddit Comment Expander
+ *
+ * Alternative to button clicking: identifies the "more" stub behind an
+ * expandable element, resolves it through RedditJsonApi and splices the
+ * returned comments into the page in the markup of the current Reddit version.
+ * Also loads "Continue this thread" targets inline (loadContinuation).
+ *
+ * expand() returns:
+ * - true  when the comments were spliced in and the stub removed
+ * - false when the request failed in a way clicking would not fix (rate limit)
+ * - null  when the stub could not be identified, so the caller falls back to clicking
+ */
+
+console.log('📦 Loading json-expander.js');
+
+class JsonApiExpander {
+  constructor(detector, options = {}) {
+    this.detector = detector;
+    this.api = options.api || new RedditJsonApi(options.apiOptions || {});
+    this.rateLimiter = options.rateLimiter || null;
+    this.maxRounds = options.maxRounds || 25;
+    this.maxDepth = options.maxDepth || 0; // kept in sync with the expander's depth limit; 0 = unlimited
+
+    // Categories that are backed by a "more" stub in the listing
+    this.supportedCategories = new Set(['moreComments', 'moreReplies', 'viewRest']);
+
+    this.stats = {
+      stubsResolved: 0,
+      threadsLoadedInline: 0,
+      commentsInserted: 0,
+      fallbacks: 0,
+      failures: 0
+    };
+
+    console.log(`[JsonApiExpander] Initialized for ${this.detector.version}`);
+  }
+
+  get version() {
+    return this.detector.version;
+  }
+
+  canHandle(category) {
+    return this.supportedCategories.has(category);
+  }
+
+  /**
+   * Resolve the stub behind an element and splice its comments into the page
+   */
+  async expand(element, category) {
+    if (!this.canHandle(category) || !element || !element.isConnected) {
+      return null;
+    }
+
+    try {
+      const listing = await this.api.fetchThreadListing();
+      const stub = this.identifyStub(element, listing);
+
+      if (!stub) {
+        console.log(`[JsonApiExpander] No stub found for ${category} element, falling back to click`);
+        this.stats.fallbacks++;
+        return null;
+      }
+
+      const things = await this.api.resolveStub(listing.linkFullname, stub, {
+        maxRounds: this.maxRounds,
+        maxDepth: this.maxDepth,
+        throttle: this.rateLimiter ? () => this.rateLimiter.waitIfNeeded() : null
+      });
+
+      const inserted = this.splice(element, things, listing);
+      this.stats.stubsResolved++;
+      this.stats.commentsInserted += inserted;
+
+      console.log(`[JsonApiExpander] Resolved ${stub.name} (${stub.children.length} ids): inserted ${inserted} comments`);
+      return true;
+    } catch (error) {
+      this.stats.failures++;
+
+      if (error.status === 429) {
+        console.warn('[JsonApiExpander] Rate limited by Reddit:', error.message);
+        if (this.rateLimiter) {
+          this.rateLimiter.onRateLimit(error.retryAfter);
+        }
+        return false;
+      }
+
+      console.warn(`[JsonApiExpander] JSON expansion failed for ${category}, falling back to click:`, error);
+      this.stats.fallbacks++;
+      return null;
+    }
+  }
+
+  /**
+   * Load a "Continue this thread" target in the background and graft its
+   * replies in place under the parent comment instead of navigating away.
+   * Same return contract as expand().
+   */
+  async loadContinuation(element) {
+    if (!element || !element.isConnected) {
+      return null;
+    }
+
+    const target = this.parseContinueLink(element);
+    if (!target) {
+      return null;
+    }
+
+    const depthOffset = this.getContinuationDepth(element);
+    try {
+      const thread = await this.api.fetchCommentThread(target.linkId, target.commentId, {
+        maxRounds: this.maxRounds,
+        maxDepth: this.maxDepth,
+        depthOffset,
+        throttle: this.rateLimiter ? () => this.rateLimiter.waitIfNeeded() : null
+      });
+
+      const inserted = this.graftContinuation(element, thread, depthOffset);
+      this.stats.threadsLoadedInline++;
+      this.stats.commentsInserted += inserted;
+
+      console.log(`[JsonApiExpander] Loaded thread below t1_${target.commentId} inline: ${inserted} comments`);
+      return true;
+    } catch (error) {
+      this.stats.failures++;
+
+      if (error.status === 429) {
+        console.warn('[JsonApiExpander] Rate limited by Reddit:', error.message);
+        if (this.rateLimiter) {
+          this.rateLimiter.onRateLimit(error.retryAfter);
+        }
+        return false;
+      }
+
+      console.warn('[JsonApiExpander] Inline thread continuation failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Extract link and comment id from a continue link pointing into this thread.
+   * Handles /comments/<link>/<slug>/<comment>/ and sh.reddit's /comments/<link>/comment/<comment>/
+   */
+  parseContinueLink(element) {
+    if (element.tagName !== 'A' || !element.href || !this.isContinueLink(element)) {
+      return null;
+    }
+
+    const match = /\/comments\/([a-z0-9]+)\/[^/?#]*\/([a-z0-9]+)/i.exec(element.href);
+    if (!match) {
+      return null;
+    }
+
+    const currentLinkId = this.api.getLinkId();
+    if (currentLinkId && currentLinkId !== match[1]) {
+      return null;
+    }
+
+    return { linkId: match[1], commentId: match[2] };
+  }
+
+  /**
+   * Page depth of the comment a continue link continues (the depths in its thread count from it)
+   */
+  getContinuationDepth(element) {
+    if (!window.commentMetadata) return 0;
+    const childDepth = window.commentMetadata.getStubDepth(element);
+    return childDepth ? childDepth - 1 : 0;
+  }
+
+  /**
+   * Permalinks also match /comments/, so only treat real continuation links as such
+   */
+  isContinueLink(element) {
+    const text = (element.textContent || '').toLowerCase();
+    const label = (element.getAttribute('aria-label') || '').toLowerCase();
+    return text.includes('continue this thread') ||
+      label.includes('continue this thread') ||
+      !!element.closest('.deepthread') ||
+      element.getAttribute('slot') === 'more-comments-permalink';
+  }
+
+  /**
+   * Replace the continue link with the fetched replies, indented to where the link sat.
+   * The thread's depths count from the continued comment, which sits at depthOffset on the page.
+   */
+  graftContinuation(element, thread, depthOffset = 0) {
+    const parentFullname = thread.comment.name;
+    const container = this.getContinueContainer(element);
+    const fresh = thread.things
+      .filter(thing => !this.isRendered(thing.data.name, container))
+      .map(thing => ({ ...thing, data: { ...thing.data, depth: (thing.data.depth || 0) + depthOffset } }));
+    const roots = this.api.buildTree(fresh).filter(node => node.thing.data.parent_id === parentFullname);
+    let inserted = 0;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'reddit-expander-inline-thread';
+    wrapper.setAttribute('data-reddit-expander-inline', 'true');
+    wrapper.setAttribute('data-parent-fullname', parentFullname);
+    wrapper.setAttribute('role', 'group');
+    wrapper.setAttribute('aria-label', 'Thread continuation loaded inline');
+
+    const label = document.createElement('div');
+    label.className = 'reddit-expander-inline-label';
+    label.textContent = '↳ Continued thread loaded inline';
+    wrapper.appendChild(label);
+
+    roots.forEach(node => {
+      const rendered = this.renderNode(node, thread);
+      if (rendered) {
+        rendered.setAttribute('data-reddit-expander-inline', 'true');
+        wrapper.appendChild(rendered);
+        inserted += this.countComments(node);
+      }
+    });
+
+    const parentComment = this.version === 'shReddit' ? element.closest('shreddit-comment') : null;
+    if (parentComment) {
+      wrapper.setAttribute('slot', 'children');
+      parentComment.appendChild(wrapper);
+    } else {
+      container.parentNode.insertBefore(wrapper, container);
+
+      // Flat layouts (new Reddit) indent per row, so match the link's offset
+      const offset = element.getBoundingClientRect().left - wrapper.getBoundingClientRect().left;
+      if (offset > 0) {
+        wrapper.style.marginLeft = `${Math.round(offset)}px`;
+      }
+    }
+
+    element.dataset.redditExpanderInline = 'loaded';
+    element.dataset.redditExpanderProcessed = 'true';
+    container.remove();
+    return inserted;
+  }
+
+  getContinueContainer(element) {
+    if (this.version === 'oldReddit') {
+      return element.closest('.deepthread') || element;
+    }
+    return element;
+  }
+
+  /**
+   * Map a DOM element back to the "more" stub it represents
+   */
+  identifyStub(element, listing) {
+    switch (this.version) {
+      case 'oldReddit':
+        return this.identifyOldRedditStub(element, listing);
+      case 'newReddit':
+        return this.identifyNewRedditStub(element, listing);
+      default:
+        return this.identifyStubByParent(element, listing);
+    }
+  }
+
+  /**
+   * Old Reddit puts the child ids right into the link:
+   * onclick="return morechildren(this, 't3_abc', 'confidence', 'id1,id2', 'False')"
+   */
+  identifyOldRedditStub(element, listing) {
+    const container = element.closest('.morechildren, .morecomments') || element;
+    const link = container.matches('a[onclick]') ? container : container.querySelector('a[onclick*="morechildren"]');
+    const match = link && /morechildren\(\s*this\s*,\s*'([^']*)'\s*,\s*'([^']*)'\s*,\s*'([^']*)'/.exec(link.getAttribute('onclick'));
+
+    if (match) {
+      const childIds = match[3].split(',').map(id => id.trim()).filter(Boolean);
+      if (childIds.length > 0) {
+        return this.api.findStubByChildId(childIds[0]) || {
+          name: `t1_${childIds[0]}`,
+          parent_id: this.getParentFullname(container, listing),
+          children: childIds
+        };
+      }
+    }
+
+    return this.identifyStubByParent(container, listing);
+  }
+
+  /**
+   * New Reddit wraps the stub in div#moreComments-<stub name>
+   */
+  identifyNewRedditStub(element, listing) {
+    const container = element.closest('[id^="moreComments-"]');
+    if (container) {
+      const stub = this.api.findStubByName(container.id.replace('moreComments-', ''));
+      if (stub) return stub;
+    }
+
+    return this.identifyStubByParent(element, listing);
+  }
+
+  /**
+   * sh.reddit (and the fallback for other versions): the stub is the
+   * unresolved "more" child of the enclosing comment, or of the post itself
+   */
+  identifyStubByParent(element, listing) {
+    const parentFullname = this.getParentFullname(element, listing);
+    const stubs = this.api.findStubsByParent(parentFullname);
+    return stubs.length > 0 ? stubs[0] : null;
+  }
+
+  /**
+   * Fullname of the comment that owns the stub (t3_ of the post for top level)
+   */
+  getParentFullname(element, listing) {
+    const shredditComment = element.closest('shreddit-comment');
+    if (shredditComment && shredditComment.getAttribute('thingid')) {
+      return shredditComment.getAttribute('thingid');
+    }
+
+    // Old Reddit: skip the .morechildren thing itself, which also carries data-fullname
+    const oldRedditComment = element.closest('.thing.comment');
+    if (oldRedditComment && oldRedditComment.dataset.fullname) {
+      return oldRedditComment.dataset.fullname;
+    }
+
+    const newRedditComment = element.closest('[id^="t1_"]');
+    if (newRedditComment) {
+      return newRedditComment.id;
+    }
+
+    return listing.linkFullname;
+  }
+
+  /**
+   * Render the resolved things and put them where the stub was
+   */
+  splice(element, things, listing) {
+    const stubContainer = this.getStubContainer(element);
+    const fresh = things.filter(thing => !this.isRendered(thing.data.name, stubContainer));
+    const roots = this.api.buildTree(fresh);
+    let inserted = 0;
+
+    const fragment = document.createDocumentFragment();
+    roots.forEach(node => {
+      const rendered = this.renderNode(node, listing);
+      if (rendered) {
+        fragment.appendChild(rendered);
+        inserted += this.countComments(node);
+      }
+    });
+
+    if (this.version === 'shReddit') {
+      const parentComment = element.closest('shreddit-comment');
+      if (parentComment) {
+        Array.from(fragment.children).forEach(child => child.setAttribute('slot', 'children'));
+        parentComment.appendChild(fragment);
+        this.removeStub(element);
+        return inserted;
+      }
+    }
+
+    stubContainer.parentNode.insertBefore(fragment, stubContainer);
+    this.removeStub(element);
+    return inserted;
+  }
+
+  getStubContainer(element) {
+    switch (this.version) {
+      case 'oldReddit':
+        return element.closest('.thing.morechildren') || element.closest('.morecomments') || element;
+      case 'newReddit':
+        return element.closest('[id^="moreComments-"]') || element;
+      default:
+        return element.closest('faceplate-partial') || element;
+    }
+  }
+
+  removeStub(element) {
+    const stubContainer = this.getStubContainer(element);
+    stubContainer.dataset.redditExpanderProcessed = 'true';
+    stubContainer.remove();
+  }
+
+  /**
+   * Skip comments that are already on the page, since the DOM and our
+   * listing may have been loaded with different limits. The stub itself is
+   * ignored, since old Reddit gives it the fullname of its first child.
+   */
+  isRendered(fullname, stubContainer) {
+    const id = fullname.replace(/^t1_/, '');
+    const matches = document.querySelectorAll(
+      `[thingid="${fullname}"], [data-fullname="${fullname}"], #${CSS.escape(fullname)}, #thing_${CSS.escape(fullname)}, [data-reddit-expander-json-id="${id}"]`
+    );
+    return Array.from(matches).some(match => !stubContainer || !stubContainer.contains(match));
+  }
+
+  countComments(node) {
+    const self = node.thing.kind === 't1' ? 1 : 0;
+    return node.replies.reduce((total, child) => total + this.countComments(child), self);
+  }
+
+  renderNode(node, listing) {
+    const { thing } = node;
+
+    if (thing.kind === 'more') {
+      return this.renderMoreStub(thing.data, listing);
+    }
+
+    if (thing.kind !== 't1') {
+      return null;
+    }
+
+    const commentElement = this.version === 'oldReddit'
+      ? this.renderOldRedditComment(thing.data, listing)
+      : this.renderGenericComment(thing.data, listing);
+
+    const childContainer = commentElement.querySelector('[data-reddit-expander-children]');
+    node.replies.forEach(child => {
+      const rendered = this.renderNode(child, listing);
+      if (rendered) childContainer.appendChild(rendered);
+    });
+
+    return commentElement;
+  }
+
+  /**
+   * Old Reddit .thing.comment markup, so native styles and our selectors apply
+   */
+  renderOldRedditComment(data, listing) {
+    const thing = document.createElement('div');
+    thing.className = `thing comment id-${data.name} noncollapsed reddit-expander-json-comment`;
+    thing.id = `thing_${data.name}`;
+    this.applyDataAttributes(thing, data);
+
+    const entry = document.createElement('div');
+    entry.className = 'entry unvoted';
+
+    const tagline = document.createElement('p');
+    tagline.className = 'tagline';
+    tagline.appendChild(this.renderAuthor(data, 'author'));
+    tagline.appendChild(document.createTextNode(' '));
+    const score = document.createElement('span');
+    score.className = 'score unvoted';
+    score.textContent = this.formatScore(data);
+    tagline.appendChild(score);
+    tagline.appendChild(document.createTextNode(' '));
+    tagline.appendChild(this.renderTime(data, 'live-timestamp'));
+
+    const body = document.createElement('div');
+    body.className = 'usertext-body';
+    const md = document.createElement('div');
+    md.className = 'md';
+    md.appendChild(this.sanitizeHtml(data.body_html));
+    body.appendChild(md);
+
+    const buttons = document.createElement('ul');
+    buttons.className = 'flat-list buttons';
+    const permalinkItem = document.createElement('li');
+    permalinkItem.className = 'first';
+    const permalink = document.createElement('a');
+    permalink.className = 'bylink';
+    permalink.href = this.getPermalink(data, listing);
+    permalink.textContent = 'permalink';
+    permalinkItem.appendChild(permalink);
+    buttons.appendChild(permalinkItem);
+
+    entry.append(tagline, body, buttons);
+
+    const child = document.createElement('div');
+    child.className = 'child';
+    const sitetable = document.createElement('div');
+    sitetable.className = 'sitetable listing';
+    sitetable.setAttribute('data-reddit-expander-children', '');
+    child.appendChild(sitetable);
+
+    const clear = document.createElement('div');
+    clear.className = 'clearleft';
+
+    thing.append(entry, child, clear);
+    return thing;
+  }
+
+  /**
+   * Version-neutral markup for new Reddit and sh.reddit, whose components
+   * cannot be instantiated from JSON
+   */
+  renderGenericComment(data, listing) {
+    const comment = document.createElement('div');
+    comment.className = 'reddit-expander-json-comment';
+    comment.setAttribute('role', 'article');
+    comment.setAttribute('aria-label', `Comment by ${data.author}`);
+    this.applyDataAttributes(comment, data);
+
+    const meta = document.createElement('div');
+    meta.className = 'reddit-expander-json-meta';
+    meta.appendChild(this.renderAuthor(data, 'reddit-expander-json-author'));
+    meta.appendChild(document.createTextNode(' · '));
+    const score = document.createElement('span');
+    score.className = 'reddit-expander-json-score';
+    score.textContent = this.formatScore(data);
+    meta.appendChild(score);
+    meta.appendChild(document.createTextNode(' · '));
+    const permalink = document.createElement('a');
+    permalink.href = this.getPermalink(data, listing);
+    permalink.appendChild(this.renderTime(data, 'reddit-expander-json-time'));
+    meta.appendChild(permalink);
+
+    const body = document.createElement('div');
+    body.className = 'reddit-expander-json-body';
+    body.appendChild(this.sanitizeHtml(data.body_html));
+
+    const children = document.createElement('div');
+    children.className = 'reddit-expander-json-children';
+    children.setAttribute('data-reddit-expander-children', '');
+
+    comment.append(meta, body, children);
+    return comment;
+  }
+
+  /**
+   * "Continue this thread" stubs become plain links (resolved by the
+   * continueThread category); leftover "more" stubs past the round cap
+   * become a note so the count is not lost silently
+   */
+  renderMoreStub(data, listing) {
+    if (data.children && data.children.length > 0) {
+      const note = document.createElement('div');
+      note.className = 'reddit-expander-json-more';
+      note.textContent = `${data.count || data.children.length} more replies not loaded`;
+      return note;
+    }
+
+    const parentId = (data.parent_id || '').replace(/^t1_/, '');
+    const link = document.createElement('a');
+    link.href = `${listing.post?.permalink || this.api.getThreadPath(listing.linkId) + '/'}${parentId}/`;
+    link.textContent = 'Continue this thread →';
+
+    if (this.version === 'oldReddit') {
+      const wrapper = document.createElement('span');
+      wrapper.className = 'deepthread';
+      wrapper.appendChild(link);
+      return wrapper;
+    }
+
+    link.className = 'reddit-expander-json-continue';
+    link.setAttribute('aria-label', 'Continue this thread');
+    return link;
+  }
+
+  applyDataAttributes(element, data) {
+    element.setAttribute('data-reddit-expander-json', 'true');
+    element.setAttribute('data-reddit-expander-json-id', data.id);
+    element.dataset.fullname = data.name;
+    element.dataset.author = data.author;
+    element.dataset.score = String(data.score);
+    element.dataset.depth = String(data.depth || 0);
+    element.dataset.parentId = data.parent_id;
+    element.dataset.created = String(data.created_utc || 0);
+    if (data.edited) {
+      element.dataset.edited = String(data.edited);
+    }
+    if (data.author_flair_text) {
+      element.dataset.flair = data.author_flair_text;
+    }
+    if (data.permalink) {
+      element.dataset.permalink = data.permalink;
+    }
+  }
+
+  renderAuthor(data, className) {
+    if (!data.author || data.author === '[deleted]') {
+      const span = document.createElement('span');
+      span.className = className;
+      span.textContent = '[deleted]';
+      return span;
+    }
+
+    const author = document.createElement('a');
+    author.className = className;
+    author.href = `/user/${encodeURIComponent(data.author)}`;
+    author.textContent = data.author;
+    return author;
+  }
+
+  renderTime(data, className) {
+    const time = document.createElement('time');
+    time.className = className;
+    const created = new Date((data.created_utc || 0) * 1000);
+    time.setAttribute('datetime', created.toISOString());
+    time.title = created.toString();
+    time.textContent = created.toLocaleString();
+    return time;
+  }
+
+  formatScore(data) {
+    if (data.score_hidden) return '[score hidden]';
+    return `${data.score} ${Math.abs(data.score) === 1 ? 'point' : 'points'}`;
+  }
+
+  getPermalink(data, listing) {
+    if (data.permalink) return data.permalink;
+    return `${listing.post?.permalink || this.api.getThreadPath(listing.linkId) + '/'}${data.id}/`;
+  }
+
+  /**
+   * Parse Reddit's body_html into inert nodes: no scripts, frames, styles or handlers
+   */
+  sanitizeHtml(html) {
+    const fragment = document.createDocumentFragment();
+    if (!html) return fragment;
+
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    parsed.querySelectorAll('script, iframe, object, embed, style, link, meta, form').forEach(node => node.remove());
+    parsed.querySelectorAll('*').forEach(node => {
+      Array.from(node.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        const value = attribute.value.trim().toLowerCase();
+        if (name.startsWith('on') || ((name === 'href' || name === 'src') && value.startsWith('javascript:'))) {
+          node.removeAttribute(attribute.name);
+        }
+      });
+    });
+
+    Array.from(parsed.body.childNodes).forEach(node => {
+      fragment.appendChild(document.importNode(node, true));
+    });
+    return fragment;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      api: this.api.getStats()
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JsonApiExpander;
+} else {
+  window.JsonApiExpander = JsonApiExpander;
+}
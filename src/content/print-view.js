@@ -0,0 +1,204 @@
+/**
+ * Print View for Reddit Comment Expander
+ *
+ * Re-renders the loaded thread as a plain document on top of the page and opens
+ * the print dialog, so "Save as PDF" gets the whole expanded tree instead of
+ * Reddit's sidebars and web components. Comments are flat rows indented by depth
+ * with one guide line per level, which paginates better than nested boxes; the
+ * print rules in content.css hide the rest of the page while the view is open.
+ */
+
+console.log('📦 Loading print-view.js');
+
+class PrintView {
+  constructor(options = {}) {
+    this.extractor = options.extractor || new ThreadExtractor();
+    this.sanitizer = options.sanitizer || (typeof HtmlExporter !== 'undefined' ? new HtmlExporter() : null);
+    this.container = null;
+    this.thread = null;
+  }
+
+  isOpen() {
+    return !!this.container && this.container.isConnected;
+  }
+
+  /**
+   * Render the thread and open the print dialog; returns the number of comments rendered
+   */
+  open(options = {}) {
+    const { hideDeleted = false, print = true } = options;
+    this.close();
+
+    this.thread = this.extractor.extract();
+    this.container = this.render(this.thread);
+    this.setHideDeleted(hideDeleted);
+
+    document.body.appendChild(this.container);
+    document.documentElement.classList.add('reddit-expander-printing');
+    this.container.querySelector('.reddit-expander-print-toolbar button').focus();
+
+    if (print) {
+      this.print();
+    }
+    return this.thread.commentCount;
+  }
+
+  close() {
+    if (this.container) {
+      this.container.remove();
+      this.container = null;
+    }
+    document.documentElement.classList.remove('reddit-expander-printing');
+  }
+
+  // Let the view lay out before the dialog snapshots it
+  print() {
+    requestAnimationFrame(() => setTimeout(() => window.print(), 0));
+  }
+
+  setHideDeleted(hide) {
+    if (!this.container) return;
+    this.container.classList.toggle('hide-deleted', hide);
+    const checkbox = this.container.querySelector('.reddit-expander-print-toolbar input[type="checkbox"]');
+    if (checkbox) {
+      checkbox.checked = hide;
+    }
+  }
+
+  render(thread) {
+    const container = document.createElement('div');
+    container.id = 'reddit-expander-print-view';
+    container.className = 'reddit-expander-print-view';
+    container.setAttribute('role', 'dialog');
+    container.setAttribute('aria-label', 'Print view');
+    container.addEventListener('keydown', event => {
+      if (event.key === 'Escape') this.close();
+    });
+
+    container.appendChild(this.renderToolbar(thread));
+    container.appendChild(this.renderPost(thread));
+
+    const comments = document.createElement('section');
+    comments.className = 'reddit-expander-print-comments';
+    this.appendComments(thread.comments, comments, thread.post.author);
+    container.appendChild(comments);
+
+    return container;
+  }
+
+  renderToolbar(thread) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'reddit-expander-print-toolbar';
+
+    const count = document.createElement('span');
+    count.textContent = `${thread.commentCount} comments`;
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.addEventListener('change', () => this.setHideDeleted(checkbox.checked));
+    label.append(checkbox, ' Hide deleted comments');
+
+    const printButton = document.createElement('button');
+    printButton.type = 'button';
+    printButton.textContent = 'Print / Save as PDF';
+    printButton.addEventListener('click', () => this.print());
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', () => this.close());
+
+    toolbar.append(count, label, printButton, closeButton);
+    return toolbar;
+  }
+
+  renderPost(thread) {
+    const { post } = thread;
+    const article = document.createElement('header');
+    article.className = 'reddit-expander-print-post';
+
+    const title = document.createElement('h1');
+    title.textContent = post.title || 'Reddit thread';
+
+    const byline = document.createElement('p');
+    byline.className = 'reddit-expander-print-byline';
+    byline.textContent = [
+      post.subreddit,
+      post.author ? `u/${post.author}` : null,
+      this.formatScore(post.score),
+      this.formatTime(post.createdAt)
+    ].filter(Boolean).join(' · ');
+
+    const source = document.createElement('p');
+    source.className = 'reddit-expander-print-byline';
+    source.textContent = `${thread.url} · printed ${this.formatTime(thread.extractedAt)}`;
+
+    article.append(title, byline, source);
+    if (post.bodyHtml || post.body) {
+      article.appendChild(this.renderBody(post.bodyHtml, post.body));
+    }
+    return article;
+  }
+
+  /**
+   * Depth-first rows; replies of a hidden deleted comment stay visible
+   */
+  appendComments(comments, into, opAuthor) {
+    comments.forEach(comment => {
+      const row = document.createElement('div');
+      row.className = 'reddit-expander-print-comment';
+      row.style.setProperty('--depth', comment.depth);
+      if (comment.flags && comment.flags.deleted) {
+        row.dataset.deleted = 'true';
+      }
+
+      const header = document.createElement('div');
+      header.className = 'reddit-expander-print-header';
+      const author = document.createElement('strong');
+      author.textContent = comment.author ? `u/${comment.author}` : '[deleted]';
+      if (comment.author && comment.author === opAuthor) {
+        author.textContent += ' (OP)';
+      }
+      const meta = [
+        comment.flair,
+        this.formatScore(comment.score),
+        this.formatTime(comment.createdAt),
+        comment.editedAt ? `edited ${this.formatTime(comment.editedAt)}` : null
+      ].filter(Boolean).join(' · ');
+      header.append(author, meta ? ` · ${meta}` : '');
+
+      row.append(header, this.renderBody(comment.bodyHtml, comment.body));
+      into.appendChild(row);
+
+      this.appendComments(comment.replies, into, opAuthor);
+    });
+  }
+
+  renderBody(html, text) {
+    const body = document.createElement('div');
+    body.className = 'reddit-expander-print-body';
+    if (html && this.sanitizer) {
+      body.innerHTML = this.sanitizer.sanitizeBody(html, { postId: null, commentIds: new Set() });
+    } else {
+      body.textContent = text || '';
+    }
+    return body;
+  }
+
+  formatScore(score) {
+    if (score === null || score === undefined) return null;
+    return `${score} ${Math.abs(score) === 1 ? 'point' : 'points'}`;
+  }
+
+  formatTime(ms) {
+    return ms ? new Date(ms).toLocaleString() : null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PrintView;
+} else {
+  window.PrintView = PrintView;
+}
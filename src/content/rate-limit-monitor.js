@@ -0,0 +1,92 @@
+/**
+ * Rate Limit Monitor for Reddit Comment Expander
+ *
+ * Turns Reddit's own responses to comment-loading requests (sh.reddit partials,
+ * old Reddit morechildren, the JSON API) into rate limiter decisions. The background
+ * worker observes those responses and relays their status and rate-limit headers here:
+ * a 429/503 pauses the limiter for Retry-After (or until the quota window resets), and
+ * a shrinking x-ratelimit-remaining spreads the remaining requests over the window.
+ */
+
+console.log('📦 Loading rate-limit-monitor.js');
+
+class RateLimitMonitor {
+  constructor(rateLimiter, options = {}) {
+    this.rateLimiter = rateLimiter;
+    this.defaultRetryMs = options.defaultRetryMs || 10000; // 429 without any timing headers
+    this.stats = {
+      responses: 0,
+      rateLimited: 0,
+      lastStatus: null,
+      remaining: null,
+      resetAt: null
+    };
+  }
+
+  /**
+   * Handle one relayed response: { url, status, headers } with lowercase header names
+   */
+  handleResponse(response) {
+    if (!response || !this.rateLimiter) return { limited: false };
+
+    const { status, headers = {} } = response;
+    const remaining = parseFloat(headers['x-ratelimit-remaining']);
+    const resetSeconds = parseFloat(headers['x-ratelimit-reset']);
+
+    this.stats.responses++;
+    this.stats.lastStatus = status;
+    if (!Number.isNaN(remaining)) {
+      this.stats.remaining = remaining;
+    }
+    if (!Number.isNaN(resetSeconds)) {
+      this.stats.resetAt = Date.now() + resetSeconds * 1000;
+    }
+
+    if (status === 429 || status === 503) {
+      const retryAfterMs = this.parseRetryAfter(headers['retry-after']);
+      let waitMs = this.defaultRetryMs;
+      if (retryAfterMs !== null) {
+        waitMs = retryAfterMs;
+      } else if (!Number.isNaN(resetSeconds)) {
+        waitMs = resetSeconds * 1000;
+      }
+
+      this.stats.rateLimited++;
+      console.warn(`[RateLimitMonitor] ${status} from ${response.url}, pausing ${Math.round(waitMs / 1000)}s`);
+      this.rateLimiter.onRateLimit(waitMs);
+      return { limited: true, waitMs };
+    }
+
+    if (!Number.isNaN(remaining) && !Number.isNaN(resetSeconds)) {
+      this.rateLimiter.applyQuota(remaining, resetSeconds);
+    }
+    return { limited: false };
+  }
+
+  /**
+   * Retry-After is either delay-seconds or an HTTP date; returns ms or null
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+      return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      pausedForMs: this.rateLimiter ? this.rateLimiter.getPauseRemaining() : 0,
+      currentDelay: this.rateLimiter ? Math.round(this.rateLimiter.currentDelay) : null
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RateLimitMonitor;
+} else {
+  window.RateLimitMonitor = RateLimitMonitor;
+}
@@ -19,6 +19,11 @@ class RedditDetector {
     console.log(`Reddit Comment Expander: Using SelectorFactory for ${this.selectorFactory.version}`);
   }
 
+  // Reddit version as detected by SelectorFactory ('oldReddit', 'newReddit', 'shReddit')
+  get version() {
+    return this.selectorFactory.version;
+  }
+
   // Simplified element detection using SelectorFactory
   findElements(category) {
     return this.selectorFactory.findElements(category);
@@ -218,6 +223,18 @@ class RedditDetector {
     return uniqueElements;
   }
 
+  // Number of hidden comments an expandable element stands for, read from labels like
+  // "12 more replies", "load more comments (12 replies)" or "[+] (3 children)";
+  // null when the label carries no count (icon-only buttons, "continue this thread")
+  getHiddenCount(element) {
+    if (!element) return null;
+
+    const label = `${element.getAttribute('aria-label') || ''} ${element.textContent || ''}`;
+    const match = label.match(/(\d[\d,]*)\s+more\s+(?:repl|comment)/i) ||
+                  label.match(/\((\d[\d,]*)\s+(?:repl|child|comment)/i);
+    return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+  }
+
   // Check if element is visible
   isElementVisible(element) {
     if (!element) return false;
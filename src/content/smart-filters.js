@@ -0,0 +1,202 @@
+/**
+ * Smart Filter Engine for Reddit Comment Expander
+ *
+ * Decides, before an expandable element is queued, whether it should be expanded,
+ * based on rules over the comment it belongs to (see CommentMetadataExtractor).
+ *
+ * Rule shape:
+ *   { id, name?, enabled?, action: 'include' | 'skip',
+ *     conditions: [{ field, op, value }, ...] }   // all conditions must match
+ *
+ * Fields: score, depth, age (hours), author, flair, body
+ * Operators: lt, lte, gt, gte, eq, neq (numbers); is, isNot, contains, matches (text)
+ *
+ * Rules are checked in order and the first match decides, so an include rule placed
+ * before a skip rule works as an exception to it. Elements no rule matches are expanded.
+ * A condition on a value the page doesn't show (e.g. a hidden score) never matches.
+ */
+
+console.log('📦 Loading smart-filters.js');
+
+const FILTER_FIELDS = {
+  score: { type: 'number', read: (meta) => meta.score },
+  depth: { type: 'number', read: (meta) => meta.depth },
+  age: {
+    type: 'number',
+    read: (meta) => (meta.createdAt === null ? null : (Date.now() - meta.createdAt) / 3600000)
+  },
+  author: { type: 'text', read: (meta) => meta.author },
+  flair: { type: 'text', read: (meta) => meta.flair },
+  body: { type: 'text', read: (meta) => meta.body }
+};
+
+const FILTER_OPERATORS = {
+  number: {
+    lt: (actual, expected) => actual < expected,
+    lte: (actual, expected) => actual <= expected,
+    gt: (actual, expected) => actual > expected,
+    gte: (actual, expected) => actual >= expected,
+    eq: (actual, expected) => actual === expected,
+    neq: (actual, expected) => actual !== expected
+  },
+  text: {
+    is: (actual, expected) => actual.toLowerCase() === expected.toLowerCase(),
+    isNot: (actual, expected) => actual.toLowerCase() !== expected.toLowerCase(),
+    contains: (actual, expected) => actual.toLowerCase().includes(expected.toLowerCase()),
+    matches: (actual, expected) => expected.test(actual)
+  }
+};
+
+const OPERATOR_LABELS = {
+  lt: '<', lte: '≤', gt: '>', gte: '≥', eq: '=', neq: '≠',
+  is: 'is', isNot: 'is not', contains: 'contains', matches: 'matches'
+};
+
+class SmartFilterEngine {
+  /**
+   * @param {Object} options
+   * @param {Array} options.rules - Rules in evaluation order
+   * @param {Array|null} options.allowedFields - Fields unlocked by feature gates (null = all)
+   * @param {boolean} options.allowRegex - Whether the 'matches' operator is unlocked
+   * @param {CommentMetadataExtractor} options.metadata - Metadata source
+   */
+  constructor(options = {}) {
+    this.allowedFields = options.allowedFields || Object.keys(FILTER_FIELDS);
+    this.allowRegex = options.allowRegex !== false;
+    this.metadata = options.metadata || window.commentMetadata || new CommentMetadataExtractor();
+
+    this.decisions = new WeakMap(); // element -> decision, so rescans don't recount hits
+    this.stats = { evaluated: 0, skipped: 0 };
+    this.rules = (options.rules || [])
+      .map(rule => this.compileRule(rule))
+      .filter(Boolean);
+  }
+
+  /**
+   * Validate a stored rule and compile its regexes; returns null for unusable rules
+   */
+  compileRule(rule) {
+    if (!rule || rule.enabled === false) return null;
+
+    if (rule.action !== 'include' && rule.action !== 'skip') {
+      console.warn(`[SmartFilters] Ignoring rule ${rule.id}: unknown action "${rule.action}"`);
+      return null;
+    }
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+      console.warn(`[SmartFilters] Ignoring rule ${rule.id}: no conditions`);
+      return null;
+    }
+
+    const conditions = [];
+    for (const condition of rule.conditions) {
+      const compiled = this.compileCondition(condition);
+      if (!compiled) {
+        console.warn(`[SmartFilters] Ignoring rule ${rule.id}: unsupported condition`, condition);
+        return null;
+      }
+      conditions.push(compiled);
+    }
+
+    return {
+      id: rule.id,
+      name: rule.name || this.describeConditions(rule.conditions),
+      action: rule.action,
+      conditions,
+      hits: 0
+    };
+  }
+
+  compileCondition(condition) {
+    const field = FILTER_FIELDS[condition.field];
+    if (!field || !this.allowedFields.includes(condition.field)) return null;
+
+    const compare = FILTER_OPERATORS[field.type][condition.op];
+    if (!compare) return null;
+
+    let expected = condition.value;
+    if (condition.op === 'matches') {
+      if (!this.allowRegex) return null;
+      try {
+        expected = new RegExp(condition.value, 'i');
+      } catch (error) {
+        console.warn(`[SmartFilters] Invalid regex "${condition.value}":`, error.message);
+        return null;
+      }
+    } else if (field.type === 'number') {
+      expected = Number(condition.value);
+      if (Number.isNaN(expected)) return null;
+    } else {
+      expected = String(condition.value);
+    }
+
+    return { read: field.read, compare, expected };
+  }
+
+  /**
+   * Decide what to do with a queued item ({ element, category })
+   * @returns {{action: 'include'|'skip', ruleId: string|null}}
+   */
+  evaluate(item) {
+    const cached = this.decisions.get(item.element);
+    if (cached) return cached;
+
+    const meta = this.metadata.extractForElement(item.element);
+    let decision = { action: 'include', ruleId: null };
+
+    if (meta) {
+      const rule = this.rules.find(candidate => this.matches(candidate, meta));
+      if (rule) {
+        rule.hits++;
+        decision = { action: rule.action, ruleId: rule.id };
+      }
+    }
+
+    this.stats.evaluated++;
+    if (decision.action === 'skip') {
+      this.stats.skipped++;
+    }
+    this.decisions.set(item.element, decision);
+    return decision;
+  }
+
+  shouldSkip(item) {
+    return this.evaluate(item).action === 'skip';
+  }
+
+  matches(rule, meta) {
+    return rule.conditions.every(({ read, compare, expected }) => {
+      const actual = read(meta);
+      return actual !== null && actual !== undefined && compare(actual, expected);
+    });
+  }
+
+  describeConditions(conditions) {
+    return conditions
+      .map(({ field, op, value }) => `${field} ${OPERATOR_LABELS[op] || op} ${value}`)
+      .join(' and ');
+  }
+
+  hasRules() {
+    return this.rules.length > 0;
+  }
+
+  getHitCounts() {
+    return this.rules.map(({ id, name, action, hits }) => ({ id, name, action, hits }));
+  }
+
+  getStats() {
+    return {
+      rules: this.rules.length,
+      evaluated: this.stats.evaluated,
+      skipped: this.stats.skipped,
+      hits: this.getHitCounts()
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartFilterEngine;
+} else {
+  window.SmartFilterEngine = SmartFilterEngine;
+}
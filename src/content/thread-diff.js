@@ -0,0 +1,366 @@
+/**
+ * Thread Diff for Reddit Comment Expander
+ *
+ * Marks comments that are new since the last visit to a thread. Each visit stores
+ * the thread's comment fullnames in chrome.storage.local, which unlike localStorage
+ * is shared by old.reddit, www.reddit and sh.reddit, so a thread read on one is
+ * diffed on the others. New comments get data-reddit-expander-new and a
+ * "new since <date>" badge; a small panel counts them and steps through them.
+ *
+ * Stored ids accumulate (the previous visit's plus everything loaded in this one),
+ * so a visit that loaded fewer comments doesn't make the rest look new next time.
+ * Only the most recently visited `retention` threads are kept; a small index key
+ * lists them by visit time, so pruning never reads the other records. A record keeps
+ * at most `maxIds` ids (the latest ones), and when chrome.storage.local's quota is
+ * full the least recently visited threads are evicted until the write fits.
+ */
+
+console.log('📦 Loading thread-diff.js');
+
+const THREAD_DIFF_INDEX_KEY = 'threadVisitIndex';
+const THREAD_DIFF_RECORD_PREFIX = 'threadVisit:';
+
+class ThreadDiff {
+  constructor(options = {}) {
+    this.metadata = options.metadata || window.commentMetadata || new CommentMetadataExtractor();
+    this.root = options.root || document;
+    this.storage = options.storage || chrome.storage.local;
+    this.retention = options.retention || 200;
+    this.maxIds = options.maxIds || 10000; // ~150 KB per thread
+    this.announce = options.announce || (() => {});
+    this.refreshDelay = options.refreshDelay !== undefined ? options.refreshDelay : 1000;
+    this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 2000;
+
+    this.threadId = null;
+    this.visitedAt = null;
+    this.baseline = null; // Previous visit: { visitedAt, ids }, null on a first visit
+    this.seen = new Set();
+    this.newComments = [];
+    this.currentIndex = -1;
+    this.panel = null;
+    this.observer = null;
+    this.refreshTimer = null;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Link id of a thread URL; comment permalinks and sort parameters map to the same thread
+   */
+  static getThreadId(url) {
+    const match = /\/comments\/([a-z0-9]+)/i.exec(url || '');
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  /**
+   * Load the previous visit, mark what's new and record this visit; false off thread pages
+   */
+  async start(url = window.location.href) {
+    await this.stop();
+
+    const threadId = ThreadDiff.getThreadId(url);
+    if (!threadId) return false;
+
+    this.threadId = threadId;
+    this.visitedAt = Date.now();
+    const record = await this.loadRecord(threadId);
+    // stop() may have run while the record loaded
+    if (this.threadId !== threadId) return false;
+
+    this.baseline = record ? { visitedAt: record.visitedAt, ids: new Set(record.ids) } : null;
+    this.refresh();
+    await this.save();
+    this.observe();
+    return true;
+  }
+
+  /**
+   * Save this visit and remove marks, panel and observer
+   */
+  async stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    clearTimeout(this.refreshTimer);
+    clearTimeout(this.saveTimer);
+
+    if (this.threadId) {
+      await this.save();
+    }
+
+    this.root.querySelectorAll('[data-reddit-expander-new]').forEach(comment => {
+      delete comment.dataset.redditExpanderNew;
+      comment.classList.remove('reddit-expander-new-current');
+    });
+    this.root.querySelectorAll('.reddit-expander-new-badge').forEach(badge => badge.remove());
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+
+    this.threadId = null;
+    this.baseline = null;
+    this.seen = new Set();
+    this.newComments = [];
+    this.currentIndex = -1;
+  }
+
+  // Comments loaded later (expansion, auto-scroll, Reddit's own buttons) are diffed as they arrive.
+  // Our own badges and panel updates are not, or every refresh would schedule the next one.
+  observe() {
+    const body = this.root.body || this.root;
+    this.observer = new MutationObserver(mutations => {
+      const added = mutations.some(mutation => Array.from(mutation.addedNodes).some(node =>
+        node.nodeType === Node.ELEMENT_NODE &&
+        !node.classList.contains('reddit-expander-new-badge') &&
+        !(this.panel && this.panel.contains(node))));
+      if (added) {
+        this.scheduleRefresh();
+      }
+    });
+    this.observer.observe(body, { childList: true, subtree: true });
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      // New Reddit navigates between threads without reloading
+      const threadId = ThreadDiff.getThreadId(window.location.href);
+      if (threadId && threadId !== this.threadId) {
+        this.start(window.location.href);
+      } else {
+        this.refresh();
+      }
+    }, this.refreshDelay);
+  }
+
+  /**
+   * Scan the page: remember every comment and mark the ones missing from the previous visit
+   */
+  refresh() {
+    if (!this.threadId) return;
+
+    const comments = this.metadata.getComments(this.root);
+    const seenBefore = this.seen.size;
+    comments.forEach(comment => {
+      const id = this.metadata.getFullname(comment);
+      if (!id) return;
+      this.seen.add(id);
+      if (this.baseline && !this.baseline.ids.has(id) && !comment.dataset.redditExpanderNew) {
+        this.mark(comment);
+      }
+    });
+
+    const current = this.newComments[this.currentIndex] || null;
+    this.newComments = comments.filter(comment => comment.dataset.redditExpanderNew);
+    this.currentIndex = current ? this.newComments.indexOf(current) : -1;
+    this.renderPanel();
+
+    if (this.seen.size > seenBefore) {
+      this.scheduleSave();
+    }
+  }
+
+  mark(comment) {
+    comment.dataset.redditExpanderNew = 'true';
+
+    const badge = document.createElement('span');
+    badge.className = 'reddit-expander-new-badge';
+    badge.textContent = `new since ${this.formatDate(this.baseline.visitedAt)}`;
+
+    const host = this.getBadgeHost(comment);
+    if (host) {
+      host.appendChild(badge);
+    } else {
+      comment.prepend(badge);
+    }
+  }
+
+  /**
+   * Where the badge goes: next to the author in each version's comment header
+   */
+  getBadgeHost(comment) {
+    if (comment.tagName === 'SHREDDIT-COMMENT') {
+      return comment.querySelector(':scope > [slot="commentMeta"]');
+    }
+    if (comment.matches('.thing.comment')) {
+      return comment.querySelector(':scope > .entry .tagline');
+    }
+    if (comment.hasAttribute('data-reddit-expander-json-id')) {
+      return comment.querySelector(':scope > .reddit-expander-json-meta');
+    }
+    const author = comment.querySelector('[data-testid="comment_author_link"]');
+    return author ? author.parentElement : null;
+  }
+
+  next() {
+    return this.goTo(this.currentIndex + 1);
+  }
+
+  previous() {
+    return this.goTo(this.currentIndex < 0 ? -1 : this.currentIndex - 1);
+  }
+
+  /**
+   * Scroll to the new comment at index (wrapping around); returns it, or null when there are none
+   */
+  goTo(index) {
+    this.newComments = this.newComments.filter(comment => comment.isConnected);
+    const total = this.newComments.length;
+    if (total === 0) {
+      this.announce('No new comments');
+      return null;
+    }
+
+    const previous = this.newComments[this.currentIndex];
+    if (previous) {
+      previous.classList.remove('reddit-expander-new-current');
+    }
+
+    this.currentIndex = ((index % total) + total) % total;
+    const comment = this.newComments[this.currentIndex];
+    comment.classList.add('reddit-expander-new-current');
+    comment.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    this.renderPanel();
+
+    const meta = this.metadata.extract(comment);
+    const author = meta && meta.author ? ` by ${meta.author}` : '';
+    this.announce(`New comment ${this.currentIndex + 1} of ${total}${author}`);
+    return comment;
+  }
+
+  /**
+   * One line for overlays, or null on a first visit
+   */
+  getSummary() {
+    if (!this.baseline) return null;
+    const count = this.newComments.length;
+    const since = this.formatDate(this.baseline.visitedAt);
+    return count === 0
+      ? `No new comments since ${since}`
+      : `${count} new ${count === 1 ? 'comment' : 'comments'} since ${since}`;
+  }
+
+  renderPanel() {
+    if (!this.baseline || this.newComments.length === 0) {
+      if (this.panel) {
+        this.panel.remove();
+        this.panel = null;
+      }
+      return;
+    }
+
+    if (!this.panel) {
+      this.panel = this.createPanel();
+      document.body.appendChild(this.panel);
+    }
+
+    const position = this.currentIndex >= 0 ? `${this.currentIndex + 1}/${this.newComments.length} · ` : '';
+    this.panel.querySelector('.reddit-expander-new-summary').textContent = `${position}${this.getSummary()}`;
+  }
+
+  createPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'reddit-expander-new-panel';
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', 'New comments');
+
+    const summary = document.createElement('span');
+    summary.className = 'reddit-expander-new-summary';
+
+    const button = AccessibilityManager.createPanelButton;
+    panel.append(
+      summary,
+      button('▲', 'Previous new comment (Alt+Shift+K)', () => this.previous()),
+      button('▼', 'Next new comment (Alt+Shift+J)', () => this.next()),
+      button('×', 'Hide new comment navigation', () => {
+        panel.hidden = true;
+      })
+    );
+    return panel;
+  }
+
+  formatDate(ms) {
+    const date = new Date(ms);
+    const options = { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+    if (date.getFullYear() !== new Date().getFullYear()) {
+      options.year = 'numeric';
+    }
+    return date.toLocaleString(undefined, options);
+  }
+
+  async loadRecord(threadId) {
+    const key = `${THREAD_DIFF_RECORD_PREFIX}${threadId}`;
+    try {
+      const result = await this.storage.get([key]);
+      const record = result[key];
+      return record && Array.isArray(record.ids) ? record : null;
+    } catch (error) {
+      console.warn('[ThreadDiff] Could not load visit record:', error);
+      return null;
+    }
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+  }
+
+  /**
+   * Write this visit and drop the records of threads beyond the retention limit,
+   * evicting the least recently visited ones while the storage quota is full
+   */
+  async save() {
+    clearTimeout(this.saveTimer);
+    if (!this.threadId) return;
+
+    // Set order is oldest first: the previous visits' ids, then this visit's
+    const ids = new Set(this.baseline ? this.baseline.ids : []);
+    this.seen.forEach(id => ids.add(id));
+    const threadId = this.threadId;
+    const record = { visitedAt: this.visitedAt, ids: Array.from(ids).slice(-this.maxIds) };
+
+    try {
+      const result = await this.storage.get([THREAD_DIFF_INDEX_KEY]);
+      const index = result[THREAD_DIFF_INDEX_KEY] || {};
+      index[threadId] = this.visitedAt;
+
+      const others = Object.keys(index)
+        .filter(id => id !== threadId)
+        .sort((a, b) => index[b] - index[a]);
+      const expired = others.splice(this.retention - 1);
+      expired.forEach(id => {
+        delete index[id];
+      });
+      if (expired.length > 0) {
+        await this.storage.remove(expired.map(id => `${THREAD_DIFF_RECORD_PREFIX}${id}`));
+      }
+
+      for (;;) {
+        try {
+          await this.storage.set({
+            [THREAD_DIFF_INDEX_KEY]: index,
+            [`${THREAD_DIFF_RECORD_PREFIX}${threadId}`]: record
+          });
+          break;
+        } catch (error) {
+          if (!/quota/i.test(error && error.message) || others.length === 0) throw error;
+
+          const oldest = others.pop();
+          delete index[oldest];
+          await this.storage.remove([`${THREAD_DIFF_RECORD_PREFIX}${oldest}`]);
+          console.log(`[ThreadDiff] Storage full, evicted the visit record of ${oldest}`);
+        }
+      }
+    } catch (error) {
+      console.warn('[ThreadDiff] Could not save visit record:', error);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThreadDiff;
+} else {
+  window.ThreadDiff = ThreadDiff;
+}
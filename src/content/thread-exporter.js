@@ -0,0 +1,120 @@
+/**
+ * Thread Exporter for Reddit Comment Expander
+ *
+ * Registry of export formats over the ThreadExtractor model. A format is an object with
+ * { label, extension, mimeType, serialize(thread, options) }; serialize returns the file
+ * content (a string, or a Uint8Array or Blob for binary formats); options are
+ * format-specific. Formats in src/exporters register themselves as defaults here;
+ * more can be added at runtime:
+ *   redditCommentExpander.threadExporter.register('name', exporter);
+ */
+
+console.log('📦 Loading thread-exporter.js');
+
+class ThreadExporter {
+  constructor(options = {}) {
+    this.extractor = options.extractor || new ThreadExtractor();
+    this.formats = new Map();
+
+    if (options.registerDefaults !== false) {
+      this.registerDefaults();
+    }
+  }
+
+  registerDefaults() {
+    if (typeof MarkdownExporter !== 'undefined') {
+      this.register('markdown', new MarkdownExporter());
+    }
+    if (typeof JsonExporter !== 'undefined') {
+      this.register('json', new JsonExporter());
+    }
+    if (typeof HtmlExporter !== 'undefined') {
+      this.register('html', new HtmlExporter());
+    }
+    if (typeof CsvExporter !== 'undefined') {
+      this.register('csv', new CsvExporter());
+    }
+    if (typeof EpubExporter !== 'undefined' && typeof ZipWriter !== 'undefined') {
+      this.register('epub', new EpubExporter());
+    }
+    if (typeof SpeechExporter !== 'undefined') {
+      this.register('speech', new SpeechExporter());
+    }
+  }
+
+  register(name, exporter) {
+    if (!exporter || typeof exporter.serialize !== 'function') {
+      throw new Error(`Export format ${name} must have a serialize() method`);
+    }
+    this.formats.set(name, exporter);
+    return this;
+  }
+
+  has(name) {
+    return this.formats.has(name);
+  }
+
+  getFormats() {
+    return Array.from(this.formats.entries()).map(([name, exporter]) => ({ name, label: exporter.label || name }));
+  }
+
+  /**
+   * Extract the thread and serialize it; returns { filename, mimeType, content, thread }
+   */
+  export(name, options = {}) {
+    const exporter = this.formats.get(name);
+    if (!exporter) {
+      throw new Error(`Unknown export format: ${name}`);
+    }
+
+    const thread = this.extractor.extract();
+    return {
+      filename: this.getFilename(thread, exporter.extension || 'txt'),
+      mimeType: exporter.mimeType || 'text/plain;charset=utf-8',
+      content: exporter.serialize(thread, options),
+      thread
+    };
+  }
+
+  /**
+   * Export and save through a temporary download link
+   */
+  download(name, options = {}) {
+    const result = this.export(name, options);
+    const blob = result.content instanceof Blob ? result.content : new Blob([result.content], { type: result.mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = result.filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    console.log(`[ThreadExporter] Exported ${result.thread.commentCount} comments as ${result.filename}`);
+    return result;
+  }
+
+  /**
+   * e.g. "reddit-askscience-why-is-the-sky-blue.md"
+   */
+  getFilename(thread, extension) {
+    const subreddit = (thread.post.subreddit || '').replace(/^r\//, '');
+    const slug = (thread.post.title || 'thread')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60)
+      .replace(/-+$/, '');
+    return ['reddit', subreddit, slug || 'thread'].filter(Boolean).join('-') + `.${extension}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThreadExporter;
+} else {
+  window.ThreadExporter = ThreadExporter;
+}
@@ -0,0 +1,322 @@
+/**
+ * Thread Minimap for Reddit Comment Expander
+ *
+ * A rail along the right edge of the page drawing every loaded comment as a line at
+ * its position in the page, indented by depth and colored by depth or score, so long
+ * threads show where the dense and deep branches are. OP comments get a blue tick and
+ * search hits a yellow one; the box is the viewport, and clicking the rail scrolls there.
+ *
+ * Kept cheap on huge threads: metadata and page offsets are read once per comment as
+ * comments arrive through the expander's content observer (CommentExpander.addMutationListener),
+ * and redraws are throttled to one canvas pass. Offsets are only read again for every
+ * comment after a resize or a removal (an expansion replaces its stub), which can move
+ * the comments below.
+ */
+
+console.log('📦 Loading thread-minimap.js');
+
+const THREAD_MINIMAP_DEPTH_COLORS = ['#0079d3', '#46d160', '#ffb000', '#ff4500', '#a757f5', '#00a6a5', '#ff66ac', '#7c7c7c'];
+
+class ThreadMinimap {
+  constructor(options = {}) {
+    this.metadata = options.metadata || window.commentMetadata || new CommentMetadataExtractor();
+    this.root = options.root || document;
+    this.expander = options.expander || null;
+    this.colorBy = options.colorBy === 'score' ? 'score' : 'depth';
+    this.collapsed = !!options.collapsed;
+    this.onToggle = options.onToggle || (() => {});
+    this.drawInterval = options.drawInterval !== undefined ? options.drawInterval : 250;
+
+    this.entries = new Map(); // comment element -> { depth, score, op, top }
+    this.hits = null; // Page offsets of search hits; null until read
+    this.positionsStale = true;
+    this.op = null;
+    this.rail = null;
+    this.canvas = null;
+    this.viewport = null;
+    this.toggleButton = null;
+    this.unsubscribe = null;
+    this.drawTimer = null;
+    this.lastDraw = 0;
+    this.viewportFrame = null;
+    this.scale = 0;
+
+    this.handleScroll = () => this.scheduleViewportUpdate();
+    this.handleResize = () => {
+      this.positionsStale = true;
+      this.scheduleDraw();
+    };
+  }
+
+  static depthColor(depth) {
+    return THREAD_MINIMAP_DEPTH_COLORS[(depth || 0) % THREAD_MINIMAP_DEPTH_COLORS.length];
+  }
+
+  /**
+   * Gray around zero, shading to green for upvoted and red for downvoted (log scale, saturating at 1000)
+   */
+  static scoreColor(score) {
+    if (score === null || score === undefined) return '#b0b0b0';
+    const strength = Math.min(1, Math.log10(Math.abs(score) + 1) / 3);
+    const lightness = Math.round(70 - strength * 30);
+    return score < 0 ? `hsl(0, 80%, ${lightness}%)` : `hsl(120, ${Math.round(strength * 70)}%, ${lightness}%)`;
+  }
+
+  isActive() {
+    return !!this.rail;
+  }
+
+  start() {
+    if (this.rail) return;
+
+    this.op = typeof AuthorHighlight !== 'undefined' ? AuthorHighlight.findOriginalPoster(this.root, this.metadata) : null;
+    this.rail = this.createRail();
+    document.body.appendChild(this.rail);
+
+    this.metadata.getComments(this.root).forEach(comment => this.addComment(comment));
+    if (this.expander) {
+      this.unsubscribe = this.expander.addMutationListener(mutations => this.handleMutations(mutations));
+    }
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    window.addEventListener('resize', this.handleResize);
+    this.draw();
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('resize', this.handleResize);
+    clearTimeout(this.drawTimer);
+    this.drawTimer = null;
+    if (this.viewportFrame) {
+      cancelAnimationFrame(this.viewportFrame);
+      this.viewportFrame = null;
+    }
+    if (this.rail) {
+      this.rail.remove();
+      this.rail = null;
+    }
+    this.entries.clear();
+    this.hits = null;
+    this.positionsStale = true;
+  }
+
+  createRail() {
+    const rail = document.createElement('div');
+    rail.className = 'reddit-expander-minimap';
+    rail.classList.toggle('reddit-expander-minimap-collapsed', this.collapsed);
+
+    this.toggleButton = document.createElement('button');
+    this.toggleButton.type = 'button';
+    this.toggleButton.className = 'reddit-expander-minimap-toggle';
+    this.toggleButton.addEventListener('click', () => this.setCollapsed(!this.collapsed));
+
+    // The strip is a picture of the page; keyboard and screen reader users have the other navigation
+    const strip = document.createElement('div');
+    strip.className = 'reddit-expander-minimap-strip';
+    strip.setAttribute('aria-hidden', 'true');
+    this.canvas = document.createElement('canvas');
+    this.viewport = document.createElement('div');
+    this.viewport.className = 'reddit-expander-minimap-viewport';
+    strip.append(this.canvas, this.viewport);
+    strip.addEventListener('click', event => {
+      this.scrollToRailY(event.clientY - strip.getBoundingClientRect().top);
+    });
+
+    rail.append(this.toggleButton, strip);
+    this.updateToggle();
+    return rail;
+  }
+
+  setCollapsed(collapsed) {
+    this.collapsed = collapsed;
+    if (this.rail) {
+      this.rail.classList.toggle('reddit-expander-minimap-collapsed', collapsed);
+      this.updateToggle();
+      if (!collapsed) this.draw();
+    }
+    this.onToggle(collapsed);
+  }
+
+  updateToggle() {
+    const label = this.collapsed ? 'Show thread minimap' : 'Hide thread minimap';
+    this.toggleButton.textContent = this.collapsed ? '‹' : '›';
+    this.toggleButton.title = label;
+    this.toggleButton.setAttribute('aria-label', label);
+    this.toggleButton.setAttribute('aria-expanded', String(!this.collapsed));
+  }
+
+  setColorBy(colorBy) {
+    this.colorBy = colorBy === 'score' ? 'score' : 'depth';
+    this.scheduleDraw();
+  }
+
+  addComment(comment) {
+    if (this.entries.has(comment)) return;
+    const meta = this.metadata.extract(comment);
+    const author = this.metadata.getAuthor(comment);
+    this.entries.set(comment, {
+      depth: meta && meta.depth !== null ? meta.depth : 0,
+      score: meta ? meta.score : null,
+      op: !!author && !!this.op && author.toLowerCase() === this.op.toLowerCase(),
+      top: undefined // page offset, read on the next draw; null while it takes no space
+    });
+  }
+
+  /**
+   * Index comments inside added nodes; any change to the page (including search marks) redraws
+   */
+  handleMutations(mutations) {
+    if (!this.rail) return;
+
+    let changed = false;
+    mutations.forEach(mutation => {
+      if (mutation.removedNodes.length > 0) {
+        changed = true;
+        this.positionsStale = true;
+      }
+      Array.from(mutation.addedNodes).forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE || this.rail.contains(node)) return;
+        changed = true;
+        if (node.matches('mark.reddit-expander-search-hit') || node.querySelector('mark.reddit-expander-search-hit')) {
+          this.hits = null;
+        }
+        if (node.matches(this.metadata.commentSelector) && this.metadata.isCommentRoot(node)) {
+          this.addComment(node);
+        }
+        this.metadata.getComments(node).forEach(comment => this.addComment(comment));
+      });
+    });
+
+    if (changed) {
+      this.scheduleDraw();
+    }
+  }
+
+  scheduleDraw() {
+    if (this.drawTimer) return;
+    const wait = Math.max(0, this.drawInterval - (Date.now() - this.lastDraw));
+    this.drawTimer = setTimeout(() => {
+      this.drawTimer = null;
+      this.draw();
+    }, wait);
+  }
+
+  /**
+   * Rail positions (in rail pixels) of the comments and search hits, in page order
+   */
+  layout(railHeight) {
+    const doc = document.documentElement;
+    const pageHeight = Math.max(doc.scrollHeight, document.body.scrollHeight, window.innerHeight, 1);
+    this.scale = railHeight / pageHeight;
+    this.measure();
+
+    const comments = [];
+    this.entries.forEach(entry => {
+      if (entry.top !== null) {
+        comments.push({ y: entry.top * this.scale, ...entry });
+      }
+    });
+    comments.sort((a, b) => a.y - b.y);
+
+    return { comments, hits: this.hits.map(top => top * this.scale) };
+  }
+
+  /**
+   * Read page offsets for comments indexed since the last draw, or for all of them when stale
+   */
+  measure() {
+    const offset = window.scrollY;
+    const all = this.positionsStale;
+    this.entries.forEach((entry, comment) => {
+      if (!comment.isConnected) {
+        this.entries.delete(comment);
+        return;
+      }
+      if (!all && entry.top !== undefined) return;
+      const rect = comment.getBoundingClientRect();
+      // Collapsed and hidden branches take no space
+      entry.top = rect.height === 0 ? null : rect.top + offset;
+    });
+
+    if (all || this.hits === null) {
+      this.hits = Array.from(this.root.querySelectorAll('mark.reddit-expander-search-hit'))
+        .map(mark => mark.getBoundingClientRect())
+        .filter(rect => rect.height > 0)
+        .map(rect => rect.top + offset);
+    }
+    this.positionsStale = false;
+  }
+
+  draw() {
+    clearTimeout(this.drawTimer);
+    this.drawTimer = null;
+    this.lastDraw = Date.now();
+    if (!this.rail || this.collapsed) return;
+
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    const ratio = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(width * ratio);
+    this.canvas.height = Math.round(height * ratio);
+
+    const { comments, hits } = this.layout(height);
+    this.updateViewport();
+    this.rail.title = `Thread minimap: ${comments.length} comments, colored by ${this.colorBy}. Click to jump.`;
+
+    const context = this.canvas.getContext('2d');
+    if (!context) return;
+    context.scale(ratio, ratio);
+    context.clearRect(0, 0, width, height);
+
+    // Overlapping translucent lines make dense stretches darker
+    context.globalAlpha = 0.6;
+    comments.forEach(comment => {
+      const indent = Math.min(comment.depth, 6) * 1.5;
+      context.fillStyle = this.colorBy === 'score' ? ThreadMinimap.scoreColor(comment.score) : ThreadMinimap.depthColor(comment.depth);
+      context.fillRect(indent, comment.y, width - indent - 3, 1);
+    });
+
+    context.globalAlpha = 1;
+    context.fillStyle = '#0079d3';
+    comments.filter(comment => comment.op).forEach(comment => {
+      context.fillRect(width - 3, comment.y - 1, 3, 3);
+    });
+    context.fillStyle = '#ffd635';
+    hits.forEach(y => {
+      context.fillRect(0, y - 1, width, 2);
+    });
+  }
+
+  scheduleViewportUpdate() {
+    if (this.viewportFrame) return;
+    this.viewportFrame = requestAnimationFrame(() => {
+      this.viewportFrame = null;
+      this.updateViewport();
+    });
+  }
+
+  updateViewport() {
+    if (!this.viewport || !this.scale) return;
+    this.viewport.style.top = `${window.scrollY * this.scale}px`;
+    this.viewport.style.height = `${Math.max(4, window.innerHeight * this.scale)}px`;
+  }
+
+  /**
+   * Center the page on the point the rail position y stands for
+   */
+  scrollToRailY(y) {
+    if (!this.scale) return;
+    window.scrollTo({ top: Math.max(0, y / this.scale - window.innerHeight / 2), behavior: 'smooth' });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThreadMinimap;
+} else {
+  window.ThreadMinimap = ThreadMinimap;
+}
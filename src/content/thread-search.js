@@ -0,0 +1,361 @@
+/**
+ * In-Thread Search for Reddit Comment Expander
+ *
+ * A find bar for the loaded comments. The browser's find misses bodies of collapsed
+ * comments, so this searches each comment's body text (via CommentMetadataExtractor)
+ * whether or not it is visible, wraps hits in <mark> elements, and opens collapsed
+ * ancestors when jumping to one. Matching runs on a body's whole text, so hits may
+ * span formatting (a match across "**bold** text" gets one mark per text node).
+ */
+
+console.log('📦 Loading thread-search.js');
+
+const THREAD_SEARCH_MAX_HITS = 5000;
+
+class ThreadSearch {
+  constructor(options = {}) {
+    this.metadata = options.metadata || window.commentMetadata || new CommentMetadataExtractor();
+    this.root = options.root || document;
+    this.announce = options.announce || (() => {});
+    this.searchDelay = options.searchDelay !== undefined ? options.searchDelay : 250;
+
+    this.bar = null;
+    this.input = null;
+    this.count = null;
+    this.query = ''; // Kept across close/open
+    this.options = { regex: false, caseSensitive: false };
+    this.hits = []; // { comment, marks } in document order
+    this.currentIndex = -1;
+    this.truncated = false;
+    this.searchTimer = null;
+    this.lastFocused = null;
+  }
+
+  /**
+   * Build the matcher; throws SyntaxError for an invalid regular expression
+   */
+  static buildPattern(query, options = {}) {
+    const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+  }
+
+  isOpen() {
+    return !!this.bar;
+  }
+
+  /**
+   * Show the bar (or focus it again) with the query selected; reopening repeats
+   * the last search, so comments loaded in between are included
+   */
+  open() {
+    if (!this.bar) {
+      this.lastFocused = document.activeElement;
+      this.bar = this.createBar();
+      document.body.appendChild(this.bar);
+      if (this.query) {
+        this.search();
+      }
+    }
+    this.input.focus();
+    this.input.select();
+  }
+
+  close() {
+    clearTimeout(this.searchTimer);
+    this.clear();
+    if (this.bar) {
+      this.bar.remove();
+      this.bar = null;
+      this.input = null;
+      this.count = null;
+    }
+    if (this.lastFocused && this.lastFocused.isConnected && this.lastFocused.focus) {
+      this.lastFocused.focus();
+    }
+    this.lastFocused = null;
+  }
+
+  toggle() {
+    if (this.bar && document.activeElement === this.input) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  createBar() {
+    const bar = document.createElement('div');
+    bar.className = 'reddit-expander-search-bar';
+    bar.setAttribute('role', 'search');
+    bar.setAttribute('aria-label', 'Search comments');
+
+    this.input = document.createElement('input');
+    this.input.type = 'search';
+    this.input.value = this.query;
+    this.input.placeholder = 'Search comments';
+    this.input.setAttribute('aria-label', 'Search comments');
+    this.input.addEventListener('input', () => this.scheduleSearch());
+    this.input.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        if (event.shiftKey) {
+          this.previous();
+        } else {
+          this.next();
+        }
+      } else if (event.key === 'Escape') {
+        // Escape otherwise cancels the expansion
+        event.preventDefault();
+        event.stopPropagation();
+        this.close();
+      }
+    });
+
+    const option = (label, title, key) => {
+      const wrapper = document.createElement('label');
+      wrapper.title = title;
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.options[key];
+      checkbox.setAttribute('aria-label', title);
+      checkbox.addEventListener('change', () => {
+        this.options[key] = checkbox.checked;
+        this.search();
+      });
+      wrapper.append(checkbox, label);
+      return wrapper;
+    };
+
+    this.count = document.createElement('span');
+    this.count.className = 'reddit-expander-search-count';
+
+    const button = AccessibilityManager.createPanelButton;
+    bar.append(
+      this.input,
+      option('Aa', 'Match case', 'caseSensitive'),
+      option('.*', 'Regular expression', 'regex'),
+      this.count,
+      button('▲', 'Previous match (Shift+Enter)', () => this.previous()),
+      button('▼', 'Next match (Enter)', () => this.next()),
+      button('×', 'Close search (Escape)', () => this.close())
+    );
+    return bar;
+  }
+
+  scheduleSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.search(), this.searchDelay);
+  }
+
+  /**
+   * Highlight every match of the bar's query (or the given one) and jump to the first
+   */
+  search(query = this.input ? this.input.value : this.query) {
+    clearTimeout(this.searchTimer);
+    this.clear();
+    this.query = query;
+
+    if (!query) {
+      this.setCount('');
+      return 0;
+    }
+
+    let pattern;
+    try {
+      pattern = ThreadSearch.buildPattern(query, this.options);
+    } catch (error) {
+      this.setCount('Invalid regular expression', true);
+      return 0;
+    }
+
+    for (const comment of this.metadata.getComments(this.root)) {
+      const body = this.metadata.getBodyElement(comment);
+      if (body) {
+        this.highlightMatches(comment, body, pattern);
+      }
+      if (this.truncated) break;
+    }
+
+    if (this.hits.length === 0) {
+      this.setCount('No matches');
+      this.announce('No matches');
+      return 0;
+    }
+
+    this.goTo(0);
+    return this.hits.length;
+  }
+
+  // Match against the body's concatenated text, then wrap each hit's share of every text node
+  highlightMatches(comment, body, pattern) {
+    const nodes = [];
+    const walker = document.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+    let text = '';
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      nodes.push({ node, start: text.length });
+      text += node.data;
+    }
+
+    const ranges = [];
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        // Zero-length matches (e.g. /x*/) would loop forever and highlight nothing
+        pattern.lastIndex++;
+        continue;
+      }
+      if (this.hits.length + ranges.length >= THREAD_SEARCH_MAX_HITS) {
+        this.truncated = true;
+        break;
+      }
+      ranges.push({ start: match.index, end: match.index + match[0].length, marks: [] });
+    }
+    if (ranges.length === 0) return;
+
+    nodes.forEach(({ node, start }) => {
+      const end = start + node.data.length;
+      // Last piece first, so splitting leaves the earlier offsets intact
+      ranges.filter(range => range.start < end && range.end > start).reverse().forEach(range => {
+        const from = Math.max(range.start, start) - start;
+        const to = Math.min(range.end, end) - start;
+        const piece = from > 0 ? node.splitText(from) : node;
+        if (to - from < piece.data.length) {
+          piece.splitText(to - from);
+        }
+        const mark = document.createElement('mark');
+        mark.className = 'reddit-expander-search-hit';
+        piece.replaceWith(mark);
+        mark.appendChild(piece);
+        range.marks.push(mark);
+      });
+    });
+
+    ranges.forEach(range => this.hits.push({ comment, marks: range.marks }));
+  }
+
+  /**
+   * Remove the highlights and restore the original text nodes
+   */
+  clear() {
+    const parents = new Set();
+    this.root.querySelectorAll('mark.reddit-expander-search-hit').forEach(mark => {
+      parents.add(mark.parentNode);
+      mark.replaceWith(...mark.childNodes);
+    });
+    parents.forEach(parent => parent.normalize());
+
+    this.hits = [];
+    this.currentIndex = -1;
+    this.truncated = false;
+  }
+
+  next() {
+    return this.goTo(this.currentIndex + 1);
+  }
+
+  previous() {
+    return this.goTo(this.currentIndex < 0 ? -1 : this.currentIndex - 1);
+  }
+
+  /**
+   * Make the hit at index (wrapping around) current, open its collapsed ancestors and scroll to it
+   */
+  goTo(index) {
+    const total = this.hits.length;
+    if (total === 0) {
+      this.announce('No matches');
+      return null;
+    }
+
+    const previous = this.hits[this.currentIndex];
+    if (previous) {
+      previous.marks.forEach(mark => mark.classList.remove('reddit-expander-search-current'));
+    }
+
+    this.currentIndex = ((index % total) + total) % total;
+    const hit = this.hits[this.currentIndex];
+    hit.marks.forEach(mark => mark.classList.add('reddit-expander-search-current'));
+    this.openAncestors(hit.comment);
+    hit.marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    const position = `${this.currentIndex + 1} of ${total}${this.truncated ? '+' : ''}`;
+    this.setCount(position);
+
+    const meta = this.metadata.extract(hit.comment);
+    const author = meta && meta.author ? `, comment by ${meta.author}` : '';
+    this.announce(`Match ${position}${author}: ${hit.marks.map(mark => mark.textContent).join('')}`);
+    return hit;
+  }
+
+  /**
+   * Expand the comment and every collapsed comment above it so the hit is visible
+   */
+  openAncestors(comment) {
+    if (this.metadata.isFlat(comment)) {
+      this.openFlatAncestors(comment);
+      return;
+    }
+
+    for (let node = comment; node; node = node.parentElement ? node.parentElement.closest(this.metadata.commentSelector) : null) {
+      if (node.tagName === 'SHREDDIT-COMMENT') {
+        if (node.hasAttribute('collapsed') && node.getAttribute('collapsed') !== 'false') {
+          node.removeAttribute('collapsed');
+        }
+      } else if (node.matches('.thing.comment') && node.classList.contains('collapsed')) {
+        const toggle = node.querySelector(':scope > .entry .tagline a.expand');
+        if (toggle) {
+          toggle.click();
+        } else {
+          node.classList.replace('collapsed', 'noncollapsed');
+        }
+      } else if (node.hasAttribute('data-reddit-expander-json-id')) {
+        node.classList.remove('reddit-expander-json-collapsed');
+      }
+    }
+  }
+
+  /**
+   * New Reddit's ancestors are the nearest earlier rows of lower depth; each row opens
+   * through its own expand button, outermost first
+   */
+  openFlatAncestors(comment) {
+    const comments = this.metadata.getComments(this.root);
+    const depthOf = node => {
+      const meta = this.metadata.extract(node);
+      return meta && meta.depth !== null ? meta.depth : 0;
+    };
+
+    const rows = [comment];
+    let depth = depthOf(comment);
+    for (let i = comments.indexOf(comment) - 1; i >= 0 && depth > 0; i--) {
+      const rowDepth = depthOf(comments[i]);
+      if (rowDepth < depth) {
+        rows.unshift(comments[i]);
+        depth = rowDepth;
+      }
+    }
+
+    rows.forEach(node => {
+      const row = node.closest('[style*="padding-left"]') || node;
+      const toggle = row.querySelector('button[aria-expanded="false"]');
+      if (toggle) {
+        toggle.click();
+      }
+    });
+  }
+
+
+  setCount(text, isError = false) {
+    if (!this.count) return;
+    this.count.textContent = text;
+    this.count.classList.toggle('reddit-expander-search-error', isError);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThreadSearch;
+} else {
+  window.ThreadSearch = ThreadSearch;
+}
@@ -0,0 +1,278 @@
+/**
+ * Thread Sorter for Reddit Comment Expander
+ *
+ * Re-sorts the loaded comment tree in place, without a reload: every set of siblings
+ * is ordered by score, newest, oldest, controversial (many replies for little score)
+ * or reply count, and the order the page arrived in can be put back. Ties fall back
+ * to creation time and then id, so contest-mode threads get a stable order too.
+ *
+ * Only comment elements move, each within its own parent, so "load more" stubs and
+ * old Reddit's separators keep their places; New Reddit's flat rows move as whole
+ * subtrees. Moves use Element.moveBefore where the browser has it, which keeps
+ * sh.reddit's components connected instead of tearing them down and re-creating them.
+ */
+
+console.log('📦 Loading thread-sorter.js');
+
+const THREAD_SORTER_LABELS = {
+  original: 'Original order',
+  score: 'Top score',
+  new: 'Newest',
+  old: 'Oldest',
+  controversial: 'Controversial',
+  replies: 'Most replies'
+};
+
+class ThreadSorter {
+  constructor(options = {}) {
+    this.metadata = options.metadata || window.commentMetadata || new CommentMetadataExtractor();
+    this.root = options.root || document;
+    this.announce = options.announce || (() => {});
+
+    this.order = 'original';
+    this.originalIndex = new WeakMap(); // comment element -> position when first seen
+    this.nextIndex = 0;
+    this.flatContainer = null;
+  }
+
+  static get orders() {
+    return Object.keys(THREAD_SORTER_LABELS);
+  }
+
+  static label(order) {
+    return THREAD_SORTER_LABELS[order] || order;
+  }
+
+  /**
+   * Sort key of a tree node under an order (lower sorts first; null when the value is unknown)
+   */
+  static sortKey(order, node) {
+    const { score, createdAt } = node.meta;
+    switch (order) {
+      case 'score':
+        return score === null ? null : -score;
+      case 'new':
+        return createdAt === null ? null : -createdAt;
+      case 'old':
+        return createdAt;
+      case 'controversial':
+        // Arguments draw replies without votes either way; hidden scores count as zero
+        return -node.replies / (Math.abs(score || 0) + 1);
+      case 'replies':
+        return -node.replies;
+      default:
+        return node.index;
+    }
+  }
+
+  /**
+   * Comparator for an order: unknown values last, then oldest first, then by id
+   */
+  static comparator(order) {
+    const byKey = (a, b) => {
+      if (a === b) return 0;
+      if (a === null) return 1;
+      if (b === null) return -1;
+      return a - b;
+    };
+
+    return (a, b) => byKey(ThreadSorter.sortKey(order, a), ThreadSorter.sortKey(order, b)) ||
+      byKey(a.meta.createdAt, b.meta.createdAt) ||
+      String(a.meta.fullname || '').localeCompare(String(b.meta.fullname || '')) ||
+      a.index - b.index;
+  }
+
+  isSorted() {
+    return this.order !== 'original';
+  }
+
+  /**
+   * The comment tree from document order and depth: [{ comment, meta, depth, index, replies, children }]
+   */
+  buildTree() {
+    const comments = this.metadata.getComments(this.root);
+    // Positions are recorded before the first sort, so "original" can always return to them
+    comments.forEach(comment => {
+      if (!this.originalIndex.has(comment)) {
+        this.originalIndex.set(comment, this.nextIndex++);
+      }
+    });
+
+    const flat = comments.filter(comment => this.metadata.isFlat(comment));
+    this.flatContainer = flat.length > 1 ? this.commonAncestor(flat[0], flat[flat.length - 1]) : null;
+
+    const roots = [];
+    const stack = [];
+    comments.forEach(comment => {
+      const meta = this.metadata.extract(comment);
+      // Without its indent a New Reddit row can't be told apart from its parent's siblings
+      if (meta.depth === null && this.metadata.isFlat(comment)) {
+        throw new Error('Could not read the reply depth of every comment; the thread was left as it is');
+      }
+      const node = {
+        comment,
+        meta,
+        depth: meta.depth !== null ? meta.depth : 0,
+        index: this.originalIndex.get(comment),
+        replies: 0,
+        children: []
+      };
+      while (stack.length > 0 && stack[stack.length - 1].depth >= node.depth) {
+        stack.pop();
+      }
+      stack.forEach(ancestor => ancestor.replies++);
+      (stack.length > 0 ? stack[stack.length - 1].children : roots).push(node);
+      stack.push(node);
+    });
+    return roots;
+  }
+
+  commonAncestor(a, b) {
+    let ancestor = a.parentElement;
+    while (ancestor && !ancestor.contains(b)) {
+      ancestor = ancestor.parentElement;
+    }
+    return ancestor;
+  }
+
+  /**
+   * Sort every set of siblings; returns the number of comments in the tree
+   */
+  sort(order) {
+    if (!THREAD_SORTER_LABELS[order]) {
+      throw new Error(`Unknown sort order: ${order}`);
+    }
+
+    const roots = this.buildTree();
+    this.checkScoresReadable(order, roots);
+    const compare = ThreadSorter.comparator(order);
+    let total = 0;
+    // Parents first: New Reddit's child rows are only contiguous ranges again once their parent has moved
+    const visit = siblings => {
+      total += siblings.length;
+      this.sortSiblings(siblings, compare);
+      siblings.forEach(node => visit(node.children));
+    };
+    visit(roots);
+
+    this.order = order;
+    this.announce(order === 'original'
+      ? 'Original comment order restored'
+      : `${total} ${total === 1 ? 'comment' : 'comments'} sorted: ${ThreadSorter.label(order)}`);
+    return total;
+  }
+
+  /**
+   * New Reddit's scores come from its vote arrows; if none could be read, a score-based
+   * order would only shuffle by time, so refuse it rather than mis-sort
+   */
+  checkScoresReadable(order, roots) {
+    if (order !== 'score' && order !== 'controversial') return;
+
+    const flat = [];
+    const visit = nodes => nodes.forEach(node => {
+      if (this.metadata.isFlat(node.comment)) flat.push(node);
+      visit(node.children);
+    });
+    visit(roots);
+    if (flat.length > 0 && flat.every(node => node.meta.score === null)) {
+      throw new Error('Could not read comment scores on this page; sort by newest, oldest or replies instead');
+    }
+  }
+
+  restore() {
+    return this.sort('original');
+  }
+
+  sortSiblings(siblings, compare) {
+    // Siblings normally share a parent element; group in case a page splits them up
+    const groups = new Map();
+    siblings.forEach(node => {
+      const first = this.getUnitNodes(node)[0];
+      if (!first.parentNode) return;
+      if (!groups.has(first.parentNode)) groups.set(first.parentNode, []);
+      groups.get(first.parentNode).push(node);
+    });
+
+    groups.forEach(group => {
+      if (group.length < 2) return;
+      this.reorder(group, [...group].sort(compare));
+    });
+  }
+
+  /**
+   * The nodes that move with a comment: the comment itself, or on New Reddit its row and its replies' rows
+   */
+  getUnitNodes(node) {
+    if (!this.metadata.isFlat(node.comment) || !this.flatContainer) {
+      return [node.comment];
+    }
+
+    let last = node;
+    while (last.children.length > 0) {
+      last = last.children[last.children.length - 1];
+    }
+    const start = this.getRow(node.comment);
+    const end = this.getRow(last.comment);
+    const nodes = [];
+    for (let current = start; current; current = current.nextSibling) {
+      nodes.push(current);
+      if (current === end) break;
+    }
+    return nodes;
+  }
+
+  getRow(comment) {
+    let row = comment;
+    while (row.parentElement && row.parentElement !== this.flatContainer) {
+      row = row.parentElement;
+    }
+    return row;
+  }
+
+  /**
+   * Put the units of `sorted` into the slots `current` occupies. A marker before each slot
+   * keeps the slots apart while units move; whatever sits between slots stays put.
+   */
+  reorder(current, sorted) {
+    if (sorted.every((node, index) => node === current[index])) return;
+
+    const markers = current.map(node => {
+      const marker = document.createComment('reddit-expander-sort');
+      const first = this.getUnitNodes(node)[0];
+      first.parentNode.insertBefore(marker, first);
+      return marker;
+    });
+
+    sorted.forEach((node, index) => {
+      if (node === current[index]) return;
+      const marker = markers[index];
+      const reference = marker.nextSibling;
+      this.getUnitNodes(node).forEach(element => ThreadSorter.move(marker.parentNode, element, reference));
+    });
+
+    markers.forEach(marker => marker.remove());
+  }
+
+  /**
+   * Move without disconnecting where supported, so custom elements and iframes keep their state
+   */
+  static move(parent, node, reference) {
+    if (typeof parent.moveBefore === 'function') {
+      try {
+        parent.moveBefore(node, reference);
+        return;
+      } catch (error) {
+        // Some nodes can't be moved atomically; a plain insert still works
+      }
+    }
+    parent.insertBefore(node, reference);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThreadSorter;
+} else {
+  window.ThreadSorter = ThreadSorter;
+}
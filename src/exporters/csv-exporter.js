@@ -0,0 +1,98 @@
+/**
+ * CSV Exporter for Reddit Comment Expander
+ *
+ * One row per comment in page order, for spreadsheets. Fields are quoted per
+ * RFC 4180 (delimiter, quote or line break inside → quoted, quotes doubled) with
+ * line breaks normalized to \n, so multi-line bodies stay in one cell. Text that a
+ * spreadsheet would run as a formula (=, +, -, @) gets a leading apostrophe.
+ *
+ * Options: { columns: [key], delimiter: 'comma' | 'semicolon' | 'tab' }
+ */
+
+console.log('📦 Loading csv-exporter.js');
+
+class CsvExporter {
+  constructor() {
+    this.label = 'CSV';
+    this.extension = 'csv';
+    this.mimeType = 'text/csv;charset=utf-8';
+  }
+
+  serialize(thread, options = {}) {
+    const columns = this.getColumns(options.columns);
+    const delimiter = CsvExporter.DELIMITERS[options.delimiter] || CsvExporter.DELIMITERS.comma;
+
+    const rows = [columns.map(column => column.header)];
+    this.collectRows(thread.comments, columns, rows);
+
+    // The BOM makes Excel read the file as UTF-8
+    return `\uFEFF${rows.map(row => row.map(value => this.formatField(value, delimiter)).join(delimiter)).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Requested columns in the canonical order; unknown keys are ignored, none selected means all
+   */
+  getColumns(keys) {
+    const selected = Array.isArray(keys) ? CsvExporter.COLUMNS.filter(column => keys.includes(column.key)) : [];
+    return selected.length > 0 ? selected : CsvExporter.COLUMNS;
+  }
+
+  collectRows(comments, columns, rows) {
+    comments.forEach(comment => {
+      rows.push(columns.map(column => column.value(comment, this)));
+      this.collectRows(comment.replies, columns, rows);
+    });
+  }
+
+  /**
+   * Body as plain text with paragraph and line breaks kept (textContent runs paragraphs together)
+   */
+  getBodyText(comment) {
+    if (!comment.bodyHtml) return comment.body || '';
+
+    const template = document.createElement('template');
+    template.innerHTML = comment.bodyHtml;
+    template.content.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    template.content.querySelectorAll('p, li, blockquote, pre, h1, h2, h3, h4, h5, h6, tr').forEach(block => block.append('\n'));
+    return template.content.textContent.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  formatField(value, delimiter) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value).replace(/\r\n?/g, '\n');
+    if (/^[=+\-@\t]/.test(text)) {
+      text = `'${text}`;
+    }
+    if (text.includes(delimiter) || /["\n]/.test(text) || text !== text.trim()) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+}
+
+CsvExporter.COLUMNS = [
+  { key: 'id', header: 'id', value: comment => comment.id },
+  { key: 'parentId', header: 'parent_id', value: comment => comment.parentId },
+  { key: 'depth', header: 'depth', value: comment => comment.depth },
+  { key: 'author', header: 'author', value: comment => comment.author },
+  { key: 'score', header: 'score', value: comment => comment.score },
+  { key: 'timestamp', header: 'timestamp', value: comment => (comment.createdAt ? new Date(comment.createdAt).toISOString() : null) },
+  { key: 'charCount', header: 'char_count', value: (comment, exporter) => Array.from(exporter.getBodyText(comment)).length },
+  { key: 'expandedBy', header: 'expanded_by', value: comment => comment.expandedBy },
+  { key: 'body', header: 'body', value: (comment, exporter) => exporter.getBodyText(comment) }
+];
+
+CsvExporter.DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CsvExporter;
+} else {
+  window.CsvExporter = CsvExporter;
+}
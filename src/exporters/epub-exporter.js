@@ -0,0 +1,276 @@
+/**
+ * EPUB Exporter for Reddit Comment Expander
+ *
+ * Serializes a ThreadExtractor model as an EPUB 3 book for e-readers, built in
+ * the browser with ZipWriter. The post is the title page and every top-level
+ * comment is a chapter holding its nested replies; the table of contents is
+ * written both as an EPUB 3 nav document and as an NCX for older readers.
+ * Bodies go through the HTML exporter's sanitizer and are re-serialized as XHTML,
+ * and links to comments of the thread point to the chapter that contains them.
+ */
+
+console.log('📦 Loading epub-exporter.js');
+
+// Characters XML 1.0 does not allow, even escaped
+const EPUB_INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+class EpubExporter {
+  constructor(options = {}) {
+    this.label = 'EPUB';
+    this.extension = 'epub';
+    this.mimeType = 'application/epub+zip';
+    this.html = options.html || new HtmlExporter();
+  }
+
+  /**
+   * Returns the .epub file as a Uint8Array
+   */
+  serialize(thread) {
+    const { post } = thread;
+    const commentIds = new Set();
+    this.html.collectIds(thread.comments, commentIds);
+    const context = { op: post.author, postId: post.id, commentIds, unnamed: 0, baseUrl: thread.url, files: new Map() };
+
+    const digits = String(thread.comments.length).length;
+    const chapters = thread.comments.map((comment, index) => {
+      const file = `chapter-${String(index + 1).padStart(Math.max(digits, 3), '0')}.xhtml`;
+      this.mapFiles(comment, file, context.files);
+      return { id: `chapter-${index + 1}`, file, title: this.getChapterTitle(comment), comment };
+    });
+
+    const zip = new ZipWriter({ date: thread.extractedAt });
+    zip.add('mimetype', this.mimeType);
+    zip.add('META-INF/container.xml', EpubExporter.CONTAINER);
+    zip.add('OEBPS/content.opf', this.renderPackage(thread, chapters));
+    zip.add('OEBPS/nav.xhtml', this.renderNav(thread, chapters));
+    zip.add('OEBPS/toc.ncx', this.renderNcx(thread, chapters));
+    zip.add('OEBPS/style.css', EpubExporter.STYLES);
+    zip.add('OEBPS/title.xhtml', this.renderTitlePage(thread, context));
+    chapters.forEach(chapter => {
+      zip.add(`OEBPS/${chapter.file}`, this.renderChapter(chapter, context));
+    });
+    return zip.toUint8Array();
+  }
+
+  // Comment id → chapter file, for links between chapters
+  mapFiles(comment, file, files) {
+    if (comment.id) files.set(comment.id, file);
+    comment.replies.forEach(reply => this.mapFiles(reply, file, files));
+  }
+
+  getChapterTitle(comment) {
+    const author = comment.author ? `u/${comment.author}` : '[deleted]';
+    const text = (comment.body || '').replace(/\s+/g, ' ').trim();
+    const excerpt = Array.from(text).length > 60 ? `${Array.from(text).slice(0, 60).join('').trim()}…` : text;
+    return excerpt ? `${author}: ${excerpt}` : author;
+  }
+
+  getIdentifier(thread) {
+    return thread.post.permalink || thread.url || `urn:reddit:${thread.post.id || 'thread'}`;
+  }
+
+  renderPackage(thread, chapters) {
+    const { post } = thread;
+    const modified = new Date(thread.extractedAt || Date.now()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const metadata = [
+      `<dc:identifier id="book-id">${this.escape(this.getIdentifier(thread))}</dc:identifier>`,
+      `<dc:title>${this.escape(post.title || 'Reddit thread')}</dc:title>`,
+      '<dc:language>en</dc:language>',
+      post.author ? `<dc:creator>u/${this.escape(post.author)}</dc:creator>` : null,
+      post.subreddit ? `<dc:subject>${this.escape(post.subreddit)}</dc:subject>` : null,
+      post.createdAt ? `<dc:date>${new Date(post.createdAt).toISOString().replace(/\.\d{3}Z$/, 'Z')}</dc:date>` : null,
+      `<dc:source>${this.escape(thread.url)}</dc:source>`,
+      `<dc:description>${thread.commentCount} ${thread.commentCount === 1 ? 'comment' : 'comments'}, exported ${this.html.formatTimestamp(thread.extractedAt)}</dc:description>`,
+      `<meta property="dcterms:modified">${modified}</meta>`
+    ].filter(Boolean).join('\n    ');
+
+    const items = [
+      '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+      '<item id="style" href="style.css" media-type="text/css"/>',
+      '<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>',
+      ...chapters.map(chapter => `<item id="${chapter.id}" href="${chapter.file}" media-type="application/xhtml+xml"/>`)
+    ].join('\n    ');
+
+    const spine = ['<itemref idref="title"/>', ...chapters.map(chapter => `<itemref idref="${chapter.id}"/>`)].join('\n    ');
+
+    return this.clean(`<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    ${metadata}
+  </metadata>
+  <manifest>
+    ${items}
+  </manifest>
+  <spine toc="ncx">
+    ${spine}
+  </spine>
+</package>
+`);
+  }
+
+  renderNav(thread, chapters) {
+    const entries = [
+      `<li><a href="title.xhtml">${this.escape(thread.post.title || 'Reddit thread')}</a></li>`,
+      ...chapters.map(chapter => `<li><a href="${chapter.file}">${this.escape(chapter.title)}</a></li>`)
+    ].join('\n');
+
+    return this.renderDocument('Contents', `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${entries}
+</ol>
+</nav>`);
+  }
+
+  renderNcx(thread, chapters) {
+    const points = [
+      { file: 'title.xhtml', title: thread.post.title || 'Reddit thread' },
+      ...chapters
+    ].map((point, index) => `<navPoint id="point-${index + 1}" playOrder="${index + 1}"><navLabel><text>${this.escape(point.title)}</text></navLabel><content src="${point.file}"/></navPoint>`).join('\n    ');
+
+    return this.clean(`<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${this.escapeAttribute(this.getIdentifier(thread))}"/>
+  </head>
+  <docTitle><text>${this.escape(thread.post.title || 'Reddit thread')}</text></docTitle>
+  <navMap>
+    ${points}
+  </navMap>
+</ncx>
+`);
+  }
+
+  renderTitlePage(thread, context) {
+    const { post } = thread;
+    const byline = [
+      post.subreddit ? this.escape(post.subreddit) : null,
+      post.author ? `u/${this.escape(post.author)}` : null,
+      this.html.formatScore(post.score),
+      this.html.formatTimestamp(post.createdAt)
+    ].filter(Boolean).join(' · ');
+
+    return this.renderDocument(post.title || 'Reddit thread', `<section epub:type="titlepage" class="title-page">
+<h1>${this.escape(post.title || 'Reddit thread')}</h1>
+<p class="byline">${byline}</p>
+${post.url && post.url !== post.permalink ? `<p class="link"><a href="${this.escapeAttribute(post.url)}">${this.escape(post.url)}</a></p>` : ''}
+${post.bodyHtml ? `<div class="body">${this.toXhtml(post.bodyHtml, context)}</div>` : ''}
+<p class="source">${thread.commentCount} ${thread.commentCount === 1 ? 'comment' : 'comments'} · exported ${this.html.formatTimestamp(thread.extractedAt)} from <a href="${this.escapeAttribute(thread.url)}">${this.escape(thread.url)}</a></p>
+</section>`);
+  }
+
+  renderChapter(chapter, context) {
+    return this.renderDocument(chapter.title, `<section epub:type="chapter" class="chapter">
+<h2>${this.escape(chapter.title)}</h2>
+${this.renderComment(chapter.comment, context)}
+</section>`);
+  }
+
+  /**
+   * One <article> per comment; replies nest inside their parent
+   */
+  renderComment(comment, context) {
+    const anchor = this.html.getAnchor(comment, context);
+    const isOp = !!comment.author && comment.author === context.op;
+    const meta = [
+      comment.author ? `<b>u/${this.escape(comment.author)}</b>${isOp ? ' <span class="tag">OP</span>' : ''}` : '<i>[deleted]</i>',
+      comment.flair ? this.escape(comment.flair) : null,
+      this.html.formatScore(comment.score),
+      this.html.formatTimestamp(comment.createdAt),
+      comment.editedAt ? `edited ${this.html.formatTimestamp(comment.editedAt)}` : null
+    ].filter(Boolean).join(' · ');
+
+    const body = comment.bodyHtml
+      ? this.toXhtml(comment.bodyHtml, context)
+      : `<p>${this.escape(comment.body || '[no text]')}</p>`;
+    const replies = comment.replies.length > 0
+      ? `\n<div class="replies">\n${comment.replies.map(reply => this.renderComment(reply, context)).join('\n')}\n</div>`
+      : '';
+
+    return `<article class="comment${isOp ? ' is-op' : ''}" id="${this.escapeAttribute(anchor)}">
+<p class="meta">${meta}</p>
+<div class="body">${body}</div>${replies}
+</article>`;
+  }
+
+  /**
+   * Sanitized body markup as XHTML; in-thread "#t1_..." anchors point into their chapter
+   */
+  toXhtml(html, context) {
+    const container = document.createElement('div');
+    container.innerHTML = this.html.sanitizeBody(html, context);
+    container.querySelectorAll('a[href^="#"]').forEach(link => {
+      const id = link.getAttribute('href').slice(1);
+      const file = context.files.get(id);
+      if (file) {
+        link.setAttribute('href', `${file}#${id}`);
+      } else {
+        link.removeAttribute('href');
+      }
+    });
+
+    // The serializer adds an xmlns to the wrapper only; strip the wrapper itself
+    return new XMLSerializer().serializeToString(container)
+      .replace(/^<div[^>]*>/, '')
+      .replace(/<\/div>$/, '')
+      .trim();
+  }
+
+  renderDocument(title, body) {
+    return this.clean(`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>${this.escape(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`);
+  }
+
+  clean(xml) {
+    return xml.replace(EPUB_INVALID_XML_CHARS, '');
+  }
+
+  escape(text) {
+    return this.html.escape(text);
+  }
+
+  escapeAttribute(text) {
+    return this.html.escapeAttribute(text);
+  }
+}
+
+EpubExporter.CONTAINER = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+// E-readers apply their own fonts and colors; only structure is styled
+EpubExporter.STYLES = `
+h1 { font-size: 1.4em; margin: 0 0 0.3em; }
+h2 { font-size: 1.1em; margin: 0 0 0.6em; }
+.byline, .source, .meta { font-size: 0.85em; margin: 0.2em 0; }
+.meta { margin-top: 0.8em; }
+.tag { font-weight: bold; }
+.body p { margin: 0.3em 0; }
+.body blockquote { border-left: 2px solid #888; margin: 0.3em 0; padding-left: 0.6em; }
+.body pre { white-space: pre-wrap; font-size: 0.9em; }
+.replies { border-left: 1px solid #999; margin-left: 0.3em; padding-left: 0.6em; }
+nav ol { list-style: none; padding-left: 0; }
+`;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EpubExporter;
+} else {
+  window.EpubExporter = EpubExporter;
+}
@@ -0,0 +1,295 @@
+/**
+ * HTML Exporter for Reddit Comment Expander
+ *
+ * Serializes a ThreadExtractor model as one standalone HTML file for archiving:
+ * inline CSS and script, no external requests (a Content-Security-Policy blocks
+ * them and images become links), so the file opens the same way years later.
+ * Comment branches are <details> elements that collapse without script; the
+ * inline script adds author highlighting and opens collapsed branches when an
+ * anchor inside them is followed. Links to comments of the same thread point
+ * to the comment inside the file.
+ */
+
+console.log('📦 Loading html-exporter.js');
+
+// Body markup kept as-is; anything else is unwrapped to its children or dropped
+const HTML_EXPORT_ALLOWED_TAGS = new Set([
+  'a', 'p', 'br', 'hr', 'em', 'i', 'strong', 'b', 'del', 's', 'strike', 'sup', 'sub', 'code', 'pre',
+  'blockquote', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'span'
+]);
+const HTML_EXPORT_DROPPED_TAGS = 'script, style, link, meta, iframe, object, embed, video, audio, source, picture, svg, canvas, form, input, button, noscript, template';
+
+class HtmlExporter {
+  constructor() {
+    this.label = 'Offline HTML';
+    this.extension = 'html';
+    this.mimeType = 'text/html;charset=utf-8';
+  }
+
+  /**
+   * options.script: false leaves out the inline script, for pages that embed the
+   * file under a CSP that blocks it and wire up the same behavior themselves
+   */
+  serialize(thread, options = {}) {
+    const { post } = thread;
+    const commentIds = new Set();
+    this.collectIds(thread.comments, commentIds);
+    const context = { op: post.author, postId: post.id, commentIds, unnamed: 0, baseUrl: thread.url };
+
+    const byline = [
+      post.subreddit ? this.escape(post.subreddit) : null,
+      post.author ? `<span class="author is-op">u/${this.escape(post.author)}</span>` : null,
+      this.formatScore(post.score),
+      this.formatTimestamp(post.createdAt)
+    ].filter(Boolean).join(' · ');
+
+    const comments = thread.comments.map(comment => this.renderComment(comment, context)).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="Reddit Comment Expander">
+<title>${this.escape(post.title || 'Reddit thread')}</title>
+<style>${HtmlExporter.STYLES}</style>
+</head>
+<body>
+<header class="post" id="post">
+<h1>${this.escape(post.title || 'Reddit thread')}</h1>
+<p class="byline">${byline}</p>
+${post.url && post.url !== post.permalink ? `<p class="link"><a href="${this.escapeAttribute(post.url)}">${this.escape(post.url)}</a></p>` : ''}
+${post.bodyHtml ? `<div class="body">${this.sanitizeBody(post.bodyHtml, context)}</div>` : ''}
+<p class="archive-note">Archived ${this.formatTimestamp(thread.extractedAt)} from <a href="${this.escapeAttribute(thread.url)}">${this.escape(thread.url)}</a></p>
+<nav class="toolbar">
+<span>${thread.commentCount} ${thread.commentCount === 1 ? 'comment' : 'comments'}</span>
+<button type="button" data-action="expand">Expand all</button>
+<button type="button" data-action="collapse">Collapse all</button>
+<button type="button" data-action="clear" hidden>Clear highlight</button>
+</nav>
+</header>
+<main class="comments">
+${comments}
+</main>
+${options.script === false ? '' : `<script>${HtmlExporter.SCRIPT}</script>
+`}</body>
+</html>
+`;
+  }
+
+  /**
+   * One <details> per comment; replies nest inside so collapsing hides the branch
+   */
+  renderComment(comment, context) {
+    const anchor = this.getAnchor(comment, context);
+    const isOp = !!comment.author && comment.author === context.op;
+    const author = comment.author
+      ? `<button type="button" class="author${isOp ? ' is-op' : ''}" title="Highlight comments by u/${this.escapeAttribute(comment.author)}">u/${this.escape(comment.author)}</button>${isOp ? ' <span class="tag">OP</span>' : ''}`
+      : '<span class="author deleted">[deleted]</span>';
+    const parentLink = comment.parentId && context.commentIds.has(comment.parentId)
+      ? ` · <a href="#${this.escapeAttribute(comment.parentId)}">parent</a>`
+      : '';
+
+    const meta = [
+      author,
+      comment.flair ? `<span class="flair">${this.escape(comment.flair)}</span>` : null,
+      this.formatScore(comment.score),
+      comment.createdAt ? `<time datetime="${new Date(comment.createdAt).toISOString()}">${this.formatTimestamp(comment.createdAt)}</time>` : null,
+      comment.editedAt ? `<span class="edited">edited ${this.formatTimestamp(comment.editedAt)}</span>` : null
+    ].filter(Boolean).join(' · ');
+
+    const body = comment.bodyHtml
+      ? this.sanitizeBody(comment.bodyHtml, context)
+      : `<p>${this.escape(comment.body || '[no text]')}</p>`;
+    const replies = comment.replies.length > 0
+      ? `\n<div class="replies">\n${comment.replies.map(reply => this.renderComment(reply, context)).join('\n')}\n</div>`
+      : '';
+
+    return `<details class="comment${isOp ? ' is-op' : ''}" id="${this.escapeAttribute(anchor)}" data-author="${this.escapeAttribute(comment.author || '')}" open>
+<summary>${meta} · <a href="#${this.escapeAttribute(anchor)}">link</a>${parentLink}${comment.replies.length > 0 ? ` <span class="count">(${this.countReplies(comment)} hidden)</span>` : ''}</summary>
+<div class="body">${body}</div>${replies}
+</details>`;
+  }
+
+  /**
+   * Reduce Reddit's body markup to inert formatting: allowed tags, href only,
+   * images as links; links to comments in this thread become in-file anchors
+   */
+  sanitizeBody(html, context) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const root = template.content;
+
+    root.querySelectorAll(HTML_EXPORT_DROPPED_TAGS).forEach(node => node.remove());
+    root.querySelectorAll('img').forEach(img => {
+      const src = img.getAttribute('src');
+      const link = document.createElement('a');
+      link.setAttribute('href', src || '');
+      link.textContent = `[image${img.getAttribute('alt') ? `: ${img.getAttribute('alt')}` : ''}]`;
+      img.replaceWith(link);
+    });
+
+    // Deepest first, so unwrapping a node never skips its children
+    Array.from(root.querySelectorAll('*')).reverse().forEach(node => {
+      const tag = node.tagName.toLowerCase();
+      if (!HTML_EXPORT_ALLOWED_TAGS.has(tag)) {
+        node.replaceWith(...node.childNodes);
+        return;
+      }
+
+      const href = tag === 'a' ? this.rewriteHref(node.getAttribute('href'), context) : null;
+      Array.from(node.attributes).forEach(attribute => node.removeAttribute(attribute.name));
+      if (href) {
+        node.setAttribute('href', href);
+      }
+    });
+
+    const container = document.createElement('div');
+    container.appendChild(root);
+    return container.innerHTML.trim();
+  }
+
+  /**
+   * Absolute http(s) links, or "#t1_..." for comments of this thread; null drops the href
+   */
+  rewriteHref(href, context) {
+    if (!href) return null;
+    if (/^#t1_[a-z0-9]+$/i.test(href)) return href;
+
+    let url;
+    try {
+      url = new URL(href, context.baseUrl || window.location.origin);
+    } catch (error) {
+      return null;
+    }
+    if (!/^https?:$/.test(url.protocol)) return null;
+
+    // /r/sub/comments/<post>/<slug>/<comment>/ or sh.reddit's /r/sub/comments/<post>/comment/<comment>/
+    const match = /\/comments\/([a-z0-9]+)\/[^/]*\/([a-z0-9]+)\/?$/i.exec(url.pathname);
+    const postId = context.postId ? context.postId.replace(/^t3_/, '') : null;
+    if (match && (!postId || match[1] === postId) && context.commentIds.has(`t1_${match[2]}`)) {
+      return `#t1_${match[2]}`;
+    }
+    return url.href;
+  }
+
+  // New Reddit rows without a t1_ id still need a unique anchor
+  getAnchor(comment, context) {
+    return comment.id || `comment-${++context.unnamed}`;
+  }
+
+  collectIds(comments, ids) {
+    comments.forEach(comment => {
+      if (comment.id) ids.add(comment.id);
+      this.collectIds(comment.replies, ids);
+    });
+  }
+
+  countReplies(comment) {
+    return comment.replies.reduce((total, reply) => total + 1 + this.countReplies(reply), 0);
+  }
+
+  formatScore(score) {
+    if (score === null || score === undefined) return null;
+    return `${score} ${Math.abs(score) === 1 ? 'point' : 'points'}`;
+  }
+
+  formatTimestamp(ms) {
+    if (!ms) return null;
+    return `${new Date(ms).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  }
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  escapeAttribute(text) {
+    return this.escape(text).replace(/"/g, '&quot;');
+  }
+}
+
+HtmlExporter.STYLES = `
+:root { color-scheme: light dark; --bg: #fff; --fg: #1c1c1c; --muted: #6a6a6a; --line: #d8dde1; --accent: #0079d3; --op: #e8f3fc; --mark: #fff4c2; }
+@media (prefers-color-scheme: dark) { :root { --bg: #1a1a1b; --fg: #d7dadc; --muted: #8b8d8f; --line: #343536; --accent: #4fbcff; --op: #1d2a36; --mark: #3d3614; } }
+* { box-sizing: border-box; }
+body { margin: 0 auto; max-width: 960px; padding: 24px 16px 64px; background: var(--bg); color: var(--fg); font: 15px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+a { color: var(--accent); }
+h1 { font-size: 1.5em; margin: 0 0 4px; }
+.byline, .archive-note, summary { color: var(--muted); font-size: 0.85em; }
+.post { border-bottom: 1px solid var(--line); padding-bottom: 12px; margin-bottom: 12px; }
+.toolbar { display: flex; gap: 8px; align-items: center; font-size: 0.85em; }
+.toolbar span { margin-right: auto; font-weight: 600; }
+button { font: inherit; cursor: pointer; }
+.toolbar button { border: 1px solid var(--line); border-radius: 4px; background: transparent; color: inherit; padding: 2px 8px; }
+.comment { border-left: 2px solid var(--line); margin: 8px 0 0; padding: 2px 0 2px 10px; }
+.comment:target > summary { outline: 2px solid var(--accent); outline-offset: 2px; }
+.comment.is-op > summary { background: var(--op); }
+.comment.highlighted { border-left-color: #ffb000; background: var(--mark); }
+summary { cursor: pointer; padding: 2px 4px; border-radius: 3px; }
+summary .author { border: 0; background: none; padding: 0; color: var(--fg); font-weight: 600; }
+.author.is-op, .tag { color: var(--accent); }
+.tag { font-weight: 700; font-size: 0.9em; }
+.author.deleted { font-style: italic; }
+.flair { border-radius: 2px; background: var(--line); padding: 0 4px; }
+details[open] > summary .count { display: none; }
+.body { overflow-wrap: anywhere; }
+.body p { margin: 4px 0; }
+.body blockquote { border-left: 3px solid var(--line); color: var(--muted); margin: 4px 0; padding-left: 8px; }
+.body pre { overflow-x: auto; background: var(--line); padding: 8px; border-radius: 4px; }
+.replies { margin-left: 4px; }
+@media print { .toolbar { display: none; } }
+`;
+
+// Runs inside the exported file, not in the extension
+HtmlExporter.SCRIPT = `
+(function () {
+  var comments = Array.prototype.slice.call(document.querySelectorAll('details.comment'));
+  var clear = document.querySelector('[data-action="clear"]');
+  var highlighted = null;
+
+  function openTo(id) {
+    var target = id && document.getElementById(id);
+    for (var node = target; node; node = node.parentElement) {
+      if (node.tagName === 'DETAILS') node.open = true;
+    }
+    if (target) target.scrollIntoView();
+  }
+
+  function highlight(author) {
+    highlighted = highlighted === author ? null : author;
+    comments.forEach(function (comment) {
+      comment.classList.toggle('highlighted', !!highlighted && comment.getAttribute('data-author') === highlighted);
+    });
+    clear.hidden = !highlighted;
+  }
+
+  document.addEventListener('click', function (event) {
+    var author = event.target.closest('button.author');
+    if (author) {
+      event.preventDefault();
+      highlight(author.closest('details').getAttribute('data-author'));
+      return;
+    }
+    var action = event.target.closest('[data-action]');
+    if (action) {
+      if (action.getAttribute('data-action') === 'clear') return highlight(highlighted);
+      var open = action.getAttribute('data-action') === 'expand';
+      comments.forEach(function (comment) { comment.open = open; });
+    }
+  });
+
+  window.addEventListener('hashchange', function () { openTo(decodeURIComponent(location.hash.slice(1))); });
+  if (location.hash) openTo(decodeURIComponent(location.hash.slice(1)));
+})();
+`;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HtmlExporter;
+} else {
+  window.HtmlExporter = HtmlExporter;
+}
@@ -0,0 +1,104 @@
+/**
+ * JSON Exporter for Reddit Comment Expander
+ *
+ * Serializes a ThreadExtractor model as normalized JSON for analysis: post metadata
+ * plus a flat comments array in page order, linked by parent_id. The format is
+ * documented in thread-export.schema.json next to this file; bump
+ * JsonExporter.SCHEMA_VERSION on any incompatible change.
+ *
+ * Field values do not depend on the Reddit version the thread was exported from,
+ * except body_html (Reddit's rendered markup) and permalinks.
+ */
+
+console.log('📦 Loading json-exporter.js');
+
+class JsonExporter {
+  constructor() {
+    this.label = 'JSON';
+    this.extension = 'json';
+    this.mimeType = 'application/json;charset=utf-8';
+  }
+
+  serialize(thread) {
+    return `${JSON.stringify(this.build(thread), null, 2)}\n`;
+  }
+
+  /**
+   * The export document as a plain object
+   */
+  build(thread) {
+    const { post } = thread;
+    const comments = [];
+    this.flatten(thread.comments, comments);
+
+    return {
+      schema: JsonExporter.SCHEMA_ID,
+      schema_version: JsonExporter.SCHEMA_VERSION,
+      exported_at: this.formatTime(thread.extractedAt),
+      source: {
+        url: thread.url,
+        reddit_version: thread.version
+      },
+      post: {
+        id: post.id,
+        title: post.title,
+        author: this.normalizeAuthor(post.author),
+        score: post.score,
+        created: this.formatTime(post.createdAt),
+        subreddit: post.subreddit,
+        permalink: post.permalink,
+        url: post.url,
+        body_text: post.body || '',
+        body_html: post.bodyHtml || ''
+      },
+      comment_count: comments.length,
+      comments
+    };
+  }
+
+  /**
+   * Depth-first, so every comment follows its parent
+   */
+  flatten(nodes, into) {
+    nodes.forEach(comment => {
+      into.push({
+        id: comment.id,
+        parent_id: comment.parentId,
+        depth: comment.depth,
+        author: this.normalizeAuthor(comment.author),
+        score: comment.score,
+        created: this.formatTime(comment.createdAt),
+        edited: this.formatTime(comment.editedAt),
+        permalink: comment.permalink,
+        body_text: comment.body || '',
+        body_html: comment.bodyHtml || '',
+        flags: {
+          deleted: !!comment.flags.deleted,
+          crowdControl: !!comment.flags.crowdControl,
+          contestMode: !!comment.flags.contestMode
+        },
+        expandedBy: comment.expandedBy || null
+      });
+      this.flatten(comment.replies, into);
+    });
+  }
+
+  // sh.reddit and the JSON API spell out "[deleted]" where old Reddit leaves the author empty
+  normalizeAuthor(author) {
+    return author && author !== '[deleted]' ? author : null;
+  }
+
+  formatTime(ms) {
+    return ms ? new Date(ms).toISOString() : null;
+  }
+}
+
+JsonExporter.SCHEMA_ID = 'reddit-comment-expander/thread-export';
+JsonExporter.SCHEMA_VERSION = 1;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JsonExporter;
+} else {
+  window.JsonExporter = JsonExporter;
+}
@@ -0,0 +1,204 @@
+/**
+ * Markdown Exporter for Reddit Comment Expander
+ *
+ * Serializes a ThreadExtractor model as Markdown: the post as a heading with its
+ * byline and body, then every comment as a nested blockquote (one ">" per level)
+ * headed by author, score, timestamp and permalink. Comment bodies are converted
+ * from Reddit's rendered HTML back to Markdown.
+ */
+
+console.log('📦 Loading markdown-exporter.js');
+
+class MarkdownExporter {
+  constructor() {
+    this.label = 'Markdown';
+    this.extension = 'md';
+    this.mimeType = 'text/markdown;charset=utf-8';
+  }
+
+  serialize(thread) {
+    const lines = [];
+    const { post } = thread;
+    // Relative links resolve against the thread, which is not the current page for saved snapshots
+    this.baseUrl = thread.url || window.location.origin;
+
+    lines.push(`# ${post.title || 'Reddit thread'}`, '');
+    lines.push(this.renderByline([
+      post.subreddit,
+      post.author ? `u/${post.author}` : null,
+      this.formatScore(post.score),
+      this.formatTimestamp(post.createdAt),
+      post.permalink || thread.url ? `[permalink](${post.permalink || thread.url})` : null
+    ]), '');
+
+    if (post.url && post.url !== post.permalink) {
+      lines.push(`<${post.url}>`, '');
+    }
+
+    const postBody = this.htmlToMarkdown(post.bodyHtml) || post.body;
+    if (postBody) {
+      lines.push(postBody, '');
+    }
+
+    lines.push('---', '');
+    lines.push(`## Comments (${thread.commentCount})`, '');
+
+    thread.comments.forEach(comment => {
+      this.renderComment(comment, 0, lines);
+      lines.push('');
+    });
+
+    lines.push('---', '', `*Exported ${this.formatTimestamp(thread.extractedAt)} from ${thread.url}*`, '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Append a comment and its replies; each level adds one ">" so the nesting survives
+   * any body content (lists, code blocks) without indentation rules getting in the way
+   */
+  renderComment(comment, level, lines) {
+    const prefix = '>'.repeat(level + 1);
+    const quote = line => (line ? `${prefix} ${line}` : prefix);
+
+    lines.push(quote(this.renderByline([
+      comment.author ? `**u/${comment.author}**` : '**[deleted]**',
+      comment.flair ? `*${comment.flair}*` : null,
+      this.formatScore(comment.score),
+      this.formatTimestamp(comment.createdAt),
+      comment.permalink ? `[permalink](${comment.permalink})` : null
+    ])));
+    lines.push(prefix);
+
+    const body = this.htmlToMarkdown(comment.bodyHtml) || comment.body || '*[no text]*';
+    body.split('\n').forEach(line => lines.push(quote(line)));
+
+    comment.replies.forEach(reply => {
+      lines.push(prefix);
+      this.renderComment(reply, level + 1, lines);
+    });
+  }
+
+  renderByline(parts) {
+    return parts.filter(Boolean).join(' · ');
+  }
+
+  formatScore(score) {
+    if (score === null || score === undefined) return null;
+    return `${score} ${Math.abs(score) === 1 ? 'point' : 'points'}`;
+  }
+
+  formatTimestamp(ms) {
+    if (!ms) return null;
+    return `${new Date(ms).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  }
+
+  /**
+   * Convert Reddit's rendered comment HTML back to Markdown
+   */
+  htmlToMarkdown(html) {
+    if (!html) return '';
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return this.convertChildren(template.content)
+      .replace(/[ \t]+\n/g, match => (match.startsWith('  ') ? '  \n' : '\n'))
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  convertChildren(node) {
+    return Array.from(node.childNodes).map(child => this.convertNode(child)).join('');
+  }
+
+  convertNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    const inner = () => this.convertChildren(node);
+
+    switch (tag) {
+      case 'p':
+      case 'div':
+        return `\n\n${inner().trim()}\n\n`;
+      case 'br':
+        return '  \n';
+      case 'strong':
+      case 'b':
+        return `**${inner()}**`;
+      case 'em':
+      case 'i':
+        return `*${inner()}*`;
+      case 'del':
+      case 's':
+      case 'strike':
+        return `~~${inner()}~~`;
+      case 'sup':
+        return `^(${inner()})`;
+      case 'code':
+        return `\`${node.textContent}\``;
+      case 'pre':
+        return `\n\n\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+      case 'a': {
+        const href = node.getAttribute('href');
+        const text = inner().trim();
+        if (!href) return text;
+        const url = this.absoluteUrl(href);
+        return text && text !== url ? `[${text}](${url})` : `<${url}>`;
+      }
+      case 'img':
+        return node.getAttribute('src') ? `![${node.getAttribute('alt') || ''}](${this.absoluteUrl(node.getAttribute('src'))})` : '';
+      case 'blockquote':
+        return `\n\n${inner().trim().split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n`;
+      case 'ul':
+      case 'ol':
+        return `\n\n${this.convertList(node)}\n\n`;
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        return `\n\n${'#'.repeat(Number(tag[1]))} ${inner().trim()}\n\n`;
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'script':
+      case 'style':
+      case 'button':
+        return '';
+      default:
+        return inner();
+    }
+  }
+
+  convertList(list) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    return Array.from(list.children)
+      .filter(item => item.tagName.toLowerCase() === 'li')
+      .map((item, index) => {
+        const marker = ordered ? `${index + 1}. ` : '- ';
+        const text = this.convertChildren(item).trim().replace(/\n{3,}/g, '\n\n');
+        return marker + text.split('\n').map((line, i) => (i === 0 || !line ? line : ' '.repeat(marker.length) + line)).join('\n');
+      })
+      .join('\n');
+  }
+
+  absoluteUrl(href) {
+    try {
+      return new URL(href, this.baseUrl || window.location.origin).href;
+    } catch (error) {
+      return href;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownExporter;
+} else {
+  window.MarkdownExporter = MarkdownExporter;
+}
@@ -0,0 +1,239 @@
+/**
+ * Speech Exporter for Reddit Comment Expander
+ *
+ * Serializes a ThreadExtractor model as plain text meant to be listened to with
+ * text-to-speech tools (Speechify, Read Aloud) or a screen reader. Every comment
+ * gets a spoken-style header in the register of AccessibilityManager's
+ * announcements ("Comment 3 of 40. Reply, level 2, by user alice, 45 points."),
+ * bodies lose their markup, and links, quotes, code and spoilers are announced
+ * in words instead of being read out symbol by symbol.
+ *
+ * Options: {
+ *   skipDeleted: false,    // leave out deleted and removed comments (their replies stay)
+ *   minScore: null,        // leave out comments scoring below this (their replies stay)
+ *   verbosity: 'full'      // 'full' adds position, date and who is being replied to; 'brief' does not
+ * }
+ */
+
+console.log('📦 Loading speech-exporter.js');
+
+// Elements that end a sentence or paragraph when read aloud
+const SPEECH_BLOCK_TAGS = new Set(['p', 'div', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'tr', 'table', 'ul', 'ol', 'hr']);
+
+class SpeechExporter {
+  constructor() {
+    this.label = 'Plain text for listening';
+    this.extension = 'txt';
+    this.mimeType = 'text/plain;charset=utf-8';
+  }
+
+  serialize(thread, options = {}) {
+    const settings = { skipDeleted: false, minScore: null, verbosity: 'full', ...options };
+    const { post } = thread;
+    this.baseUrl = thread.url || window.location.origin;
+
+    const entries = [];
+    this.collect(thread.comments, null, settings, entries);
+    const skipped = thread.commentCount - entries.length;
+
+    const sections = [this.sentence(this.speakable(post.title || 'Reddit thread'))];
+    const byline = [
+      post.author ? `by user ${post.author}` : null,
+      this.formatScore(post.score),
+      settings.verbosity === 'full' ? this.formatDate(post.createdAt) : null
+    ].filter(Boolean).join(', ');
+    const posted = post.subreddit ? `Posted in ${this.speakable(post.subreddit)}` : 'Posted';
+    sections.push(this.sentence(byline ? `${posted} ${byline}` : posted));
+
+    const postBody = this.getBodyText(post.bodyHtml, post.body);
+    if (postBody) {
+      sections.push(postBody);
+    }
+
+    sections.push(this.sentence(`${entries.length} ${entries.length === 1 ? 'comment' : 'comments'}${skipped > 0 ? `, ${skipped} skipped` : ''}`));
+
+    entries.forEach((entry, index) => {
+      const body = this.getBodyText(entry.comment.bodyHtml, entry.comment.body) || 'No text.';
+      sections.push(`${this.getHeader(entry, index, entries.length, post.author, settings)}\n${body}`);
+    });
+
+    sections.push('End of thread.');
+    return `${sections.join('\n\n')}\n`;
+  }
+
+  /**
+   * Included comments in page order, each with the comment it replies to
+   */
+  collect(comments, parent, settings, entries) {
+    comments.forEach(comment => {
+      if (!this.isSkipped(comment, settings)) {
+        entries.push({ comment, parent });
+      }
+      this.collect(comment.replies, comment, settings, entries);
+    });
+  }
+
+  isSkipped(comment, settings) {
+    if (settings.skipDeleted && this.isDeleted(comment)) return true;
+    const minScore = settings.minScore === '' || settings.minScore === null || settings.minScore === undefined ? NaN : Number(settings.minScore);
+    return !Number.isNaN(minScore) && comment.score !== null && comment.score !== undefined && comment.score < minScore;
+  }
+
+  isDeleted(comment) {
+    return !!(comment.flags && comment.flags.deleted) || /^\s*\[(deleted|removed)\]\s*$/.test(comment.body || '');
+  }
+
+  /**
+   * e.g. "Comment 3 of 40. Reply, level 2, by user alice, the original poster, 45 points, March 1, 2024. Replying to user bob."
+   */
+  getHeader(entry, index, total, opAuthor, settings) {
+    const { comment, parent } = entry;
+    const full = settings.verbosity !== 'brief';
+    const kind = comment.depth > 0 ? `Reply, level ${comment.depth + 1},` : 'Top-level comment';
+    const parts = [
+      `${kind} ${comment.author ? `by user ${comment.author}` : 'by a deleted account'}`,
+      comment.author && comment.author === opAuthor ? 'the original poster' : null,
+      this.formatScore(comment.score),
+      full ? this.formatDate(comment.createdAt) : null,
+      full && comment.editedAt ? 'edited' : null
+    ].filter(Boolean);
+
+    let header = this.sentence(parts.join(', '));
+    if (full) {
+      header = `Comment ${index + 1} of ${total}. ${header}`;
+      if (parent) {
+        header += ` Replying to ${parent.author ? `user ${parent.author}` : 'a deleted account'}.`;
+      }
+    }
+    return header;
+  }
+
+  /**
+   * Body markup as speakable text: paragraphs kept, links, quotes, code, images and spoilers announced
+   */
+  getBodyText(html, text) {
+    let spoken;
+    if (html) {
+      const template = document.createElement('template');
+      template.innerHTML = html;
+      spoken = this.speakNodes(template.content.childNodes);
+    } else {
+      spoken = (text || '').replace(/^>\s?(.*)$/gm, 'Quote: $1 End quote.');
+    }
+
+    return this.speakable(spoken)
+      .split(/\n{2,}/)
+      .map(paragraph => paragraph.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/[ \t]+/g, ' ').replace(/ ([,.;:!?])/g, '$1').trim())
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  speakNodes(nodes) {
+    return Array.from(nodes).map(node => this.speakNode(node)).join('');
+  }
+
+  speakNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const tag = node.tagName.toLowerCase();
+    if (['script', 'style', 'template', 'button', 'svg'].includes(tag)) return '';
+    if (tag === 'br') return '\n';
+    if (tag === 'img') {
+      return ` Image${node.getAttribute('alt') ? `: ${node.getAttribute('alt')}` : ''}. `;
+    }
+    if (tag === 'a') {
+      return this.speakLink(node);
+    }
+    if (tag === 'blockquote') {
+      return `\n\nQuote: ${this.speakNodes(node.childNodes).trim()} End quote.\n\n`;
+    }
+    if (tag === 'pre') {
+      return `\n\nCode block: ${node.textContent.trim()} End code block.\n\n`;
+    }
+    if (this.isSpoiler(node)) {
+      return ` Spoiler: ${this.speakNodes(node.childNodes).trim()} End spoiler. `;
+    }
+    if (tag === 'td' || tag === 'th') {
+      return `${this.speakNodes(node.childNodes).trim()}, `;
+    }
+
+    const inner = this.speakNodes(node.childNodes);
+    if (tag === 'li') return inner.trim() ? `\n${this.sentence(inner.trim())}` : '';
+    if (SPEECH_BLOCK_TAGS.has(tag)) return `\n\n${inner}\n\n`;
+    return inner;
+  }
+
+  isSpoiler(node) {
+    const className = typeof node.className === 'string' ? node.className : '';
+    return /(^|\s)(md-spoiler-text|spoiler-text|spoiler)(\s|$)/.test(className) || node.tagName.toLowerCase() === 'spoiler-text';
+  }
+
+  /**
+   * "text (link to example.com)"; bare URLs become "link to example.com",
+   * links to users and subreddits are read as their name only
+   */
+  speakLink(link) {
+    const text = link.textContent.trim();
+    const href = link.getAttribute('href');
+    const host = this.getHost(href);
+
+    if (!host) return text;
+    if (/^\/?[ur]\/[\w-]+$/i.test(text)) return text;
+    if (!text || this.looksLikeUrl(text)) return ` link to ${host} `;
+    return `${text} (link to ${host})`;
+  }
+
+  getHost(href) {
+    if (!href || href.startsWith('#')) return null;
+    try {
+      const url = new URL(href, this.baseUrl || window.location.origin);
+      if (!/^https?:$/.test(url.protocol)) return null;
+      return url.hostname.replace(/^(www|old|new|np)\./, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  looksLikeUrl(text) {
+    return /^(https?:\/\/|www\.)\S+$/i.test(text);
+  }
+
+  /**
+   * Spell out what speech engines read badly: bare URLs, u/ and r/ prefixes, invisible characters
+   */
+  speakable(text) {
+    return String(text)
+      .replace(/[\u200B-\u200D\uFEFF]/g, '')
+      .replace(/\u00A0/g, ' ')
+      .replace(/\b(https?:\/\/|www\.)[^\s)]+/gi, match => ` link to ${this.getHost(match.startsWith('www.') ? `https://${match}` : match) || 'a website'} `)
+      .replace(/(^|[^\w/])\/?u\/([\w-]+)/g, '$1user $2')
+      .replace(/(^|[^\w/])\/?r\/(\w+)/g, '$1subreddit $2')
+      .replace(/[ \t]{2,}/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Ends a spoken line with a full stop unless it already ends in punctuation
+  sentence(text) {
+    return /[.!?:…]$/.test(text) ? text : `${text}.`;
+  }
+
+  formatScore(score) {
+    if (score === null || score === undefined) return null;
+    const amount = score < 0 ? `minus ${Math.abs(score)}` : String(score);
+    return `${amount} ${Math.abs(score) === 1 ? 'point' : 'points'}`;
+  }
+
+  formatDate(ms) {
+    if (!ms) return null;
+    return new Date(ms).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpeechExporter;
+} else {
+  window.SpeechExporter = SpeechExporter;
+}
@@ -3,6 +3,24 @@ console.log('Reddit Comment Expander Pro: Popup script loaded');
 class PopupController {
   constructor() {
     this.expandBtn = document.getElementById('expandAllBtn');
+    this.previewBtn = document.getElementById('previewBtn');
+    this.previewResult = document.getElementById('previewResult');
+    this.exportFormat = document.getElementById('exportFormat');
+    this.exportBtn = document.getElementById('exportBtn');
+    this.printBtn = document.getElementById('printBtn');
+    this.sortOrder = document.getElementById('sortOrder');
+    this.sortBtn = document.getElementById('sortBtn');
+    this.copyBtn = document.getElementById('copyBtn');
+    this.saveSnapshotBtn = document.getElementById('saveSnapshotBtn');
+    this.readLaterBtn = document.getElementById('readLaterBtn');
+    this.openSnapshotsBtn = document.getElementById('openSnapshotsBtn');
+    this.openReaderBtn = document.getElementById('openReaderBtn');
+    this.exportOptionPanels = Array.from(document.querySelectorAll('.export-options[data-format]'));
+    this.csvDelimiter = document.getElementById('csvDelimiter');
+    this.csvColumnInputs = Array.from(document.querySelectorAll('input[name="csvColumn"]'));
+    this.speechSkipDeleted = document.getElementById('speechSkipDeleted');
+    this.speechMinScore = document.getElementById('speechMinScore');
+    this.speechVerbosity = document.getElementById('speechVerbosity');
     this.status = document.getElementById('status');
     this.statusText = document.querySelector('.status-text');
     
@@ -16,6 +34,23 @@ class PopupController {
     this.expandDeleted = document.getElementById('expandDeleted');
     this.expandCrowdControl = document.getElementById('expandCrowdControl');
     this.expandContestMode = document.getElementById('expandContestMode');
+    this.maxDepth = document.getElementById('maxDepth');
+    this.confirmAboveMinutes = document.getElementById('confirmAboveMinutes');
+    this.highlightNewComments = document.getElementById('highlightNewComments');
+    this.visitRetention = document.getElementById('visitRetention');
+    this.showMinimap = document.getElementById('showMinimap');
+    this.minimapColorBy = document.getElementById('minimapColorBy');
+    this.treeNavigation = document.getElementById('treeNavigation');
+    this.backendOldReddit = document.getElementById('backendOldReddit');
+    this.backendNewReddit = document.getElementById('backendNewReddit');
+    this.backendShReddit = document.getElementById('backendShReddit');
+    this.filterRuleList = document.getElementById('filterRuleList');
+    this.filterAction = document.getElementById('filterAction');
+    this.filterField = document.getElementById('filterField');
+    this.filterOp = document.getElementById('filterOp');
+    this.filterValue = document.getElementById('filterValue');
+    this.addFilterRuleBtn = document.getElementById('addFilterRule');
+    this.smartFilterRules = [];
     this.viewLogsBtn = document.getElementById('viewLogs');
     
     // Upgrade elements
@@ -31,6 +66,50 @@ class PopupController {
       this.expandComments();
     });
     
+    this.previewBtn.addEventListener('click', () => {
+      this.previewExpansion();
+    });
+    
+    this.exportBtn.addEventListener('click', () => {
+      this.exportThread();
+    });
+    
+    this.printBtn.addEventListener('click', () => {
+      this.openPrintView();
+    });
+    
+    this.sortBtn.addEventListener('click', () => {
+      this.sortThread();
+    });
+    
+    this.copyBtn.addEventListener('click', () => {
+      this.copyThread();
+    });
+    
+    this.saveSnapshotBtn.addEventListener('click', () => {
+      this.saveSnapshot();
+    });
+    
+    this.readLaterBtn.addEventListener('click', () => {
+      this.saveSnapshot({ readLater: true });
+    });
+    
+    this.openSnapshotsBtn.addEventListener('click', () => {
+      chrome.tabs.create({
+        url: chrome.runtime.getURL('src/popup/snapshots.html')
+      });
+    });
+    
+    this.openReaderBtn.addEventListener('click', () => {
+      chrome.tabs.create({
+        url: chrome.runtime.getURL('src/popup/reader.html')
+      });
+    });
+    
+    this.exportFormat.addEventListener('change', () => {
+      this.updateExportOptions();
+    });
+    
     // Load and setup settings
     this.loadSettings();
     this.setupSettingsListeners();
@@ -54,10 +133,18 @@ class PopupController {
         this.updateStatus('Navigate to a Reddit comment page', 'warning');
         this.expandBtn.disabled = true;
         this.expandBtn.classList.add('loading');
+        this.previewBtn.disabled = true;
+        this.exportBtn.disabled = true;
+        this.printBtn.disabled = true;
+        this.sortBtn.disabled = true;
       } else {
         this.updateStatus('Not on Reddit - extension inactive', 'error');
         this.expandBtn.disabled = true;
         this.expandBtn.classList.add('loading');
+        this.previewBtn.disabled = true;
+        this.exportBtn.disabled = true;
+        this.printBtn.disabled = true;
+        this.sortBtn.disabled = true;
       }
     } catch (error) {
       console.error('Error checking current page:', error);
@@ -65,6 +152,183 @@ class PopupController {
     }
   }
   
+  // Ask the content script for a dry-run scan; it also shows the preview on the page
+  async previewExpansion() {
+    this.previewBtn.disabled = true;
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'PREVIEW_EXPANSION' });
+      
+      if (!response || response.error) {
+        this.updateStatus(response ? response.error : 'Preview unavailable', 'warning');
+        return;
+      }
+      
+      this.previewResult.innerHTML = '';
+      response.lines.forEach(line => {
+        const row = document.createElement('div');
+        row.textContent = line;
+        this.previewResult.appendChild(row);
+      });
+      this.previewResult.hidden = false;
+    } catch (error) {
+      console.error('Error previewing expansion:', error);
+      this.updateStatus('Reload the page to preview', 'error');
+    } finally {
+      this.previewBtn.disabled = false;
+    }
+  }
+  
+  // The content script extracts the thread and saves the file from the page
+  async exportThread() {
+    this.exportBtn.disabled = true;
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const format = this.exportFormat.value;
+      const options = this.getExportOptions(format);
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'EXPORT_THREAD', format, options });
+      
+      if (!response || response.error) {
+        this.updateStatus(response ? response.error : 'Export unavailable', 'warning');
+        return;
+      }
+      
+      const note = response.remaining > 0 ? `, ${response.remaining} still collapsed` : '';
+      this.updateStatus(`Saved ${response.commentCount} comments${note}`, response.remaining > 0 ? 'warning' : 'success');
+    } catch (error) {
+      console.error('Error exporting thread:', error);
+      this.updateStatus('Reload the page to export', 'error');
+    } finally {
+      this.exportBtn.disabled = false;
+    }
+  }
+  
+  // The page returns the export as text and the popup copies it: the page is not focused, so it can't write the clipboard
+  async copyThread() {
+    this.copyBtn.disabled = true;
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const format = this.exportFormat.value;
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        type: 'EXPORT_THREAD',
+        format,
+        options: this.getExportOptions(format),
+        delivery: 'text'
+      });
+      
+      if (!response || response.error) {
+        this.updateStatus(response ? response.error : 'Copy unavailable', 'warning');
+        return;
+      }
+      
+      await navigator.clipboard.writeText(response.content);
+      const note = response.remaining > 0 ? `, ${response.remaining} still collapsed` : '';
+      this.updateStatus(`Copied ${response.commentCount} comments${note}`, response.remaining > 0 ? 'warning' : 'success');
+    } catch (error) {
+      console.error('Error copying thread:', error);
+      this.updateStatus('Reload the page to copy', 'error');
+    } finally {
+      this.copyBtn.disabled = false;
+    }
+  }
+  
+  // Format-specific options show under the export row
+  updateExportOptions() {
+    this.exportOptionPanels.forEach(panel => {
+      panel.hidden = panel.dataset.format !== this.exportFormat.value;
+    });
+  }
+  
+  getExportOptions(format) {
+    if (format === 'csv') {
+      return { columns: this.getCsvColumns(), delimiter: this.csvDelimiter.value };
+    }
+    if (format === 'speech') {
+      return {
+        skipDeleted: this.speechSkipDeleted.checked,
+        minScore: this.getSpeechMinScore(),
+        verbosity: this.speechVerbosity.value
+      };
+    }
+    return {};
+  }
+  
+  getSpeechMinScore() {
+    const value = parseInt(this.speechMinScore.value, 10);
+    return Number.isNaN(value) ? null : value;
+  }
+  
+  getCsvColumns() {
+    return this.csvColumnInputs.filter(input => input.checked).map(input => input.value);
+  }
+  
+  // The page extracts the thread and hands it to the background worker, which stores it
+  async saveSnapshot(options = {}) {
+    const button = options.readLater ? this.readLaterBtn : this.saveSnapshotBtn;
+    button.disabled = true;
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'SAVE_SNAPSHOT', options });
+      
+      if (!response || response.error) {
+        this.updateStatus(response ? response.error : 'Snapshots unavailable', 'warning');
+        return;
+      }
+      
+      const note = response.remaining > 0 ? `, ${response.remaining} still collapsed` : '';
+      const saved = options.readLater ? 'Saved to read later' : 'Snapshot saved';
+      this.updateStatus(`${saved}: ${response.commentCount} comments${note}`, response.remaining > 0 ? 'warning' : 'success');
+    } catch (error) {
+      console.error('Error saving snapshot:', error);
+      this.updateStatus('Reload the page to save a snapshot', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+  
+  // The print view renders in the page, which then opens the print dialog
+  async openPrintView() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'PRINT_VIEW' });
+      
+      if (!response || response.error) {
+        this.updateStatus(response ? response.error : 'Print view unavailable', 'warning');
+        return;
+      }
+      
+      this.updateStatus(`Print view ready: ${response.commentCount} comments`, 'success');
+    } catch (error) {
+      console.error('Error opening print view:', error);
+      this.updateStatus('Reload the page to print', 'error');
+    }
+  }
+  
+  // Sorting happens in the page; the popup only picks the order
+  async sortThread() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'SORT_THREAD', order: this.sortOrder.value });
+      
+      if (!response || response.error) {
+        this.updateStatus(response ? response.error : 'Sorting unavailable', 'warning');
+        return;
+      }
+      
+      const label = this.sortOrder.options[this.sortOrder.selectedIndex].textContent;
+      this.updateStatus(response.order === 'original'
+        ? `Original order restored: ${response.commentCount} comments`
+        : `Sorted ${response.commentCount} comments: ${label}`, 'success');
+    } catch (error) {
+      console.error('Error sorting comments:', error);
+      this.updateStatus('Reload the page to sort comments', 'error');
+    }
+  }
+  
   async expandComments() {
     this.updateStatus('Expanding comments...', 'loading');
     this.expandBtn.classList.add('loading');
@@ -109,7 +373,21 @@ async loadSettings() {
       'expandComments',
       'expandDeleted',
       'expandCrowdControl',
-      'expandContestMode'
+      'expandContestMode',
+      'expansionBackend',
+      'smartFilterRules',
+      'maxDepth',
+      'confirmAboveMinutes',
+      'csvColumns',
+      'csvDelimiter',
+      'speechSkipDeleted',
+      'speechMinScore',
+      'speechVerbosity',
+      'highlightNewComments',
+      'visitRetention',
+      'showMinimap',
+      'minimapColorBy',
+      'treeNavigation'
     ]);
     
     // Set default values if not found
@@ -122,6 +400,28 @@ async loadSettings() {
     this.expandDeleted.checked = result.expandDeleted !== false;
     this.expandCrowdControl.checked = result.expandCrowdControl !== false;
     this.expandContestMode.checked = result.expandContestMode !== false;
+    this.maxDepth.value = String(result.maxDepth || 0);
+    this.confirmAboveMinutes.value = String(result.confirmAboveMinutes !== undefined ? result.confirmAboveMinutes : 3);
+    this.csvDelimiter.value = result.csvDelimiter || 'comma';
+    this.csvColumnInputs.forEach(input => {
+      input.checked = !Array.isArray(result.csvColumns) || result.csvColumns.includes(input.value);
+    });
+    this.speechSkipDeleted.checked = result.speechSkipDeleted === true;
+    this.speechMinScore.value = Number.isFinite(result.speechMinScore) ? String(result.speechMinScore) : '';
+    this.speechVerbosity.value = result.speechVerbosity === 'brief' ? 'brief' : 'full';
+    this.highlightNewComments.checked = result.highlightNewComments !== false;
+    this.visitRetention.value = String(result.visitRetention || 200);
+    this.showMinimap.checked = result.showMinimap !== false;
+    this.minimapColorBy.value = result.minimapColorBy === 'score' ? 'score' : 'depth';
+    this.treeNavigation.checked = result.treeNavigation === true;
+    
+    const expansionBackend = result.expansionBackend || {};
+    this.backendOldReddit.value = expansionBackend.oldReddit || 'click';
+    this.backendNewReddit.value = expansionBackend.newReddit || 'click';
+    this.backendShReddit.value = expansionBackend.shReddit || 'click';
+    
+    this.smartFilterRules = Array.isArray(result.smartFilterRules) ? result.smartFilterRules : [];
+    this.renderFilterRules();
     
   } catch (error) {
     console.error('Error loading settings:', error);
@@ -153,6 +453,143 @@ setupSettingsListeners() {
   this.expandComments.addEventListener('change', () => {
     this.saveSettings();
   });
+  
+  this.maxDepth.addEventListener('change', () => {
+    this.saveSettings();
+  });
+  
+  this.confirmAboveMinutes.addEventListener('change', () => {
+    this.saveSettings();
+  });
+  
+  [this.highlightNewComments, this.visitRetention, this.showMinimap, this.minimapColorBy, this.treeNavigation].forEach(input => {
+    input.addEventListener('change', () => {
+      this.saveSettings();
+    });
+  });
+  
+  [this.csvDelimiter, this.speechSkipDeleted, this.speechMinScore, this.speechVerbosity].forEach(input => {
+    input.addEventListener('change', () => {
+      this.saveSettings();
+    });
+  });
+  
+  // At least one column stays selected
+  this.csvColumnInputs.forEach(input => {
+    input.addEventListener('change', () => {
+      if (this.getCsvColumns().length === 0) {
+        input.checked = true;
+      }
+      this.saveSettings();
+    });
+  });
+  
+  [this.backendOldReddit, this.backendNewReddit, this.backendShReddit].forEach(select => {
+    select.addEventListener('change', () => {
+      this.saveSettings();
+    });
+  });
+  
+  this.updateFilterOperators();
+  this.filterField.addEventListener('change', () => {
+    this.updateFilterOperators();
+  });
+  
+  this.addFilterRuleBtn.addEventListener('click', () => {
+    this.addFilterRule();
+  });
+  
+  this.filterValue.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      this.addFilterRule();
+    }
+  });
+}
+
+// Numeric fields compare, text fields match; keep in sync with SmartFilterEngine
+updateFilterOperators() {
+  const numeric = ['score', 'depth', 'age'].includes(this.filterField.value);
+  const operators = numeric
+    ? [['lt', '<'], ['lte', '≤'], ['gt', '>'], ['gte', '≥'], ['eq', '='], ['neq', '≠']]
+    : [['is', 'is'], ['isNot', 'is not'], ['contains', 'contains'], ['matches', 'matches regex']];
+  
+  this.filterOp.innerHTML = '';
+  operators.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    this.filterOp.appendChild(option);
+  });
+  
+  if (this.filterField.value === 'body') {
+    this.filterOp.value = 'matches';
+  }
+  this.filterValue.placeholder = numeric ? '-10' : 'text';
+}
+
+addFilterRule() {
+  const value = this.filterValue.value.trim();
+  if (!value) return;
+  
+  const field = this.filterField.value;
+  if (['score', 'depth', 'age'].includes(field) && Number.isNaN(Number(value))) {
+    this.updateStatus('Filter value must be a number', 'error');
+    return;
+  }
+  if (this.filterOp.value === 'matches') {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      this.updateStatus('Invalid regular expression', 'error');
+      return;
+    }
+  }
+  
+  this.smartFilterRules.push({
+    id: `rule-${Date.now()}`,
+    action: this.filterAction.value,
+    conditions: [{ field, op: this.filterOp.value, value }]
+  });
+  this.filterValue.value = '';
+  this.renderFilterRules();
+  this.saveSettings();
+}
+
+removeFilterRule(id) {
+  this.smartFilterRules = this.smartFilterRules.filter(rule => rule.id !== id);
+  this.renderFilterRules();
+  this.saveSettings();
+}
+
+renderFilterRules() {
+  this.filterRuleList.innerHTML = '';
+  
+  if (this.smartFilterRules.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'filter-empty';
+    empty.textContent = 'No rules - everything is expanded';
+    this.filterRuleList.appendChild(empty);
+    return;
+  }
+  
+  this.smartFilterRules.forEach(rule => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    const conditions = rule.conditions.map(({ field, op, value }) => `${field} ${op} ${value}`).join(' and ');
+    label.textContent = `${rule.action === 'skip' ? 'Skip' : 'Include'} when ${conditions}`;
+    
+    const remove = document.createElement('button');
+    remove.className = 'filter-rule-remove';
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', 'Remove rule');
+    remove.addEventListener('click', () => {
+      this.removeFilterRule(rule.id);
+    });
+    
+    item.appendChild(label);
+    item.appendChild(remove);
+    this.filterRuleList.appendChild(item);
+  });
 }
 
 async saveSettings() {
@@ -166,7 +603,25 @@ async saveSettings() {
       expandComments: this.expandComments.checked,
       expandDeleted: this.expandDeleted.checked,
       expandCrowdControl: this.expandCrowdControl.checked,
-      expandContestMode: this.expandContestMode.checked
+      expandContestMode: this.expandContestMode.checked,
+      maxDepth: parseInt(this.maxDepth.value),
+      confirmAboveMinutes: parseInt(this.confirmAboveMinutes.value),
+      csvColumns: this.getCsvColumns(),
+      csvDelimiter: this.csvDelimiter.value,
+      speechSkipDeleted: this.speechSkipDeleted.checked,
+      speechMinScore: this.getSpeechMinScore(),
+      speechVerbosity: this.speechVerbosity.value,
+      highlightNewComments: this.highlightNewComments.checked,
+      visitRetention: parseInt(this.visitRetention.value),
+      showMinimap: this.showMinimap.checked,
+      minimapColorBy: this.minimapColorBy.value,
+      treeNavigation: this.treeNavigation.checked,
+      expansionBackend: {
+        oldReddit: this.backendOldReddit.value,
+        newReddit: this.backendNewReddit.value,
+        shReddit: this.backendShReddit.value
+      },
+      smartFilterRules: this.smartFilterRules
     };
     
     await chrome.storage.sync.set(settings);
@@ -0,0 +1,341 @@
+// Reader page: renders saved snapshots offline and searches across all of them
+class OfflineReader {
+  constructor(options = {}) {
+    this.store = options.store || new SnapshotStore();
+    this.html = new HtmlExporter();
+    this.searchForm = document.getElementById('searchForm');
+    this.searchInput = document.getElementById('searchInput');
+    this.status = document.getElementById('status');
+    this.results = document.getElementById('results');
+    this.placeholder = document.getElementById('placeholder');
+    this.frame = document.getElementById('threadFrame');
+
+    this.snapshots = [];
+    this.current = null;
+    this.highlighted = null;
+    this.searchTimer = null;
+    this.searchToken = 0;
+
+    this.setupEventListeners();
+    this.init();
+  }
+
+  async init() {
+    const { id, anchor, query } = this.parseLocation();
+    this.searchInput.value = query;
+    await this.refresh();
+    await this.search();
+    if (id !== null) {
+      await this.openSnapshot(id, anchor);
+    }
+  }
+
+  setupEventListeners() {
+    this.searchForm.addEventListener('submit', event => {
+      event.preventDefault();
+      this.search();
+    });
+
+    this.searchInput.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.search(), 250);
+    });
+
+    this.results.addEventListener('click', event => {
+      const link = event.target.closest('a[data-snapshot]');
+      if (!link) return;
+      event.preventDefault();
+      this.openSnapshot(Number(link.dataset.snapshot), link.dataset.anchor || null, true);
+    });
+
+    window.addEventListener('popstate', () => {
+      const { id, anchor } = this.parseLocation();
+      if (id !== null) this.openSnapshot(id, anchor);
+    });
+
+    // The thread is the HTML export without its inline script, which the page's CSP blocks
+    this.frame.addEventListener('load', () => this.bindFrame());
+  }
+
+  parseLocation() {
+    const params = new URLSearchParams(window.location.search);
+    const id = parseInt(params.get('id'), 10);
+    return {
+      id: Number.isNaN(id) ? null : id,
+      anchor: window.location.hash ? decodeURIComponent(window.location.hash.slice(1)) : null,
+      query: params.get('q') || ''
+    };
+  }
+
+  // Links are real URLs (?id=3#t1_abc), so they can be bookmarked and opened in a new tab
+  getUrl(id, anchor) {
+    const params = new URLSearchParams();
+    if (id !== null && id !== undefined) params.set('id', id);
+    const query = this.searchInput.value.trim();
+    if (query) params.set('q', query);
+    const search = params.toString();
+    return `${window.location.pathname}${search ? `?${search}` : ''}${anchor ? `#${encodeURIComponent(anchor)}` : ''}`;
+  }
+
+  updateUrl(push = false) {
+    const url = this.getUrl(this.current ? this.current.id : null, this.current ? this.current.anchor : null);
+    window.history[push ? 'pushState' : 'replaceState'](null, '', url);
+  }
+
+  async refresh() {
+    try {
+      this.snapshots = await this.store.list();
+    } catch (error) {
+      console.error('Failed to load snapshots:', error);
+      this.setStatus(`Could not open the snapshot library: ${error.message}`, true);
+      this.snapshots = [];
+    }
+  }
+
+  async search() {
+    clearTimeout(this.searchTimer);
+    const query = this.searchInput.value.trim();
+    const token = ++this.searchToken;
+    this.updateUrl();
+
+    if (!query) {
+      this.setStatus('');
+      this.renderLibrary();
+      return;
+    }
+
+    try {
+      const hits = await this.store.search(query, { limit: OfflineReader.HIT_LIMIT });
+      // A later keystroke started another search
+      if (token !== this.searchToken) return;
+      this.renderHits(hits);
+    } catch (error) {
+      console.error('Search failed:', error);
+      this.setStatus(`Search failed: ${error.message}`, true);
+    }
+  }
+
+  renderLibrary() {
+    const sections = [];
+    const readingList = this.snapshots.filter(snapshot => snapshot.readLater && !snapshot.readAt);
+    if (readingList.length > 0) {
+      sections.push(this.renderSection('Reading list', readingList.map(snapshot => this.renderThreadItem(snapshot))));
+    }
+    if (this.snapshots.length > 0) {
+      sections.push(this.renderSection('Saved threads', this.snapshots.map(snapshot => this.renderThreadItem(snapshot))));
+    } else {
+      this.setStatus('No saved threads yet');
+    }
+    this.results.replaceChildren(...sections);
+    this.markCurrent();
+  }
+
+  // Hits grouped under their thread, newest snapshot first
+  renderHits(hits) {
+    const groups = new Map();
+    hits.forEach(hit => {
+      if (!groups.has(hit.snapshot.id)) groups.set(hit.snapshot.id, []);
+      groups.get(hit.snapshot.id).push(hit);
+    });
+
+    const more = hits.length >= OfflineReader.HIT_LIMIT ? ' (showing the first ones)' : '';
+    this.setStatus(hits.length === 0
+      ? 'No matches'
+      : `${hits.length} ${hits.length === 1 ? 'match' : 'matches'} in ${groups.size} ${groups.size === 1 ? 'thread' : 'threads'}${more}`);
+
+    this.results.replaceChildren(...Array.from(groups.values(), group => {
+      const { snapshot } = group[0];
+      const title = `${snapshot.title || snapshot.url}${snapshot.subreddit ? ` · ${snapshot.subreddit}` : ''}`;
+      return this.renderSection(title, group.map(hit => this.renderHitItem(hit)));
+    }));
+    this.markCurrent();
+  }
+
+  renderSection(heading, items) {
+    const section = document.createElement('section');
+    const title = document.createElement('h2');
+    title.textContent = heading;
+    const list = document.createElement('ul');
+    list.append(...items);
+    section.append(title, list);
+    return section;
+  }
+
+  renderThreadItem(snapshot) {
+    const title = this.createText('item-title', snapshot.title || snapshot.url);
+    if (snapshot.readLater && !snapshot.readAt) {
+      title.appendChild(this.createText('badge', 'unread'));
+    }
+    const meta = [
+      snapshot.subreddit,
+      `${snapshot.commentCount} ${snapshot.commentCount === 1 ? 'comment' : 'comments'}`,
+      `saved ${new Date(snapshot.savedAt).toLocaleDateString()}`
+    ].filter(Boolean).join(' · ');
+
+    return this.createItem(snapshot.id, null, [title, this.createText('item-meta', meta)]);
+  }
+
+  renderHitItem(hit) {
+    const meta = hit.anchor === 'post' ? 'Post' : `Comment by ${hit.author ? `u/${hit.author}` : '[deleted]'}`;
+    return this.createItem(hit.snapshot.id, hit.anchor, [
+      this.createText('item-meta', meta),
+      this.createText('item-snippet', hit.snippet || '[no text]')
+    ]);
+  }
+
+  createItem(id, anchor, children) {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = this.getUrl(id, anchor);
+    link.dataset.snapshot = String(id);
+    if (anchor) link.dataset.anchor = anchor;
+    link.append(...children);
+    item.appendChild(link);
+    return item;
+  }
+
+  createText(className, text) {
+    const span = document.createElement('span');
+    span.className = className;
+    span.textContent = text;
+    return span;
+  }
+
+  markCurrent() {
+    this.results.querySelectorAll('a[data-snapshot]').forEach(link => {
+      // Thread links stay current while reading any comment of the thread
+      const anchor = link.dataset.anchor || null;
+      const isCurrent = !!this.current && Number(link.dataset.snapshot) === this.current.id &&
+        (anchor === null || anchor === this.current.anchor);
+      if (isCurrent) {
+        link.setAttribute('aria-current', 'page');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  async openSnapshot(id, anchor = null, push = false) {
+    if (this.current && this.current.id === id) {
+      this.current.anchor = anchor;
+      this.openTo(anchor);
+      this.updateUrl(push);
+      this.markCurrent();
+      return;
+    }
+
+    let snapshot;
+    try {
+      snapshot = await this.store.get(id);
+    } catch (error) {
+      console.error('Failed to open snapshot:', error);
+      this.setStatus(`Could not open the snapshot: ${error.message}`, true);
+      return;
+    }
+    if (!snapshot) {
+      this.setStatus('That snapshot no longer exists', true);
+      return;
+    }
+
+    this.current = { id, anchor, snapshot };
+    document.title = `${snapshot.title || 'Saved thread'} - Reader`;
+    this.placeholder.hidden = true;
+    this.frame.hidden = false;
+    this.frame.srcdoc = this.html.serialize(snapshot.thread, { script: false });
+    this.updateUrl(push);
+    this.markCurrent();
+
+    if (snapshot.readLater && !snapshot.readAt) {
+      await this.store.markRead(id);
+      await this.refresh();
+      if (!this.searchInput.value.trim()) this.renderLibrary();
+    }
+  }
+
+  // Same behavior as the exported file's script: author highlighting, expand/collapse, in-thread links
+  bindFrame() {
+    const doc = this.frame.contentDocument;
+    if (!doc || !doc.body || !this.current) return;
+
+    const style = doc.createElement('style');
+    style.textContent = '.comment.reader-target > summary { outline: 2px solid var(--accent); outline-offset: 2px; }';
+    doc.head.appendChild(style);
+
+    this.highlighted = null;
+    doc.addEventListener('click', event => this.handleFrameClick(event));
+    this.openTo(this.current.anchor);
+  }
+
+  handleFrameClick(event) {
+    const doc = this.frame.contentDocument;
+    const author = event.target.closest('button.author');
+    if (author) {
+      event.preventDefault();
+      this.highlight(author.closest('details').getAttribute('data-author'));
+      return;
+    }
+
+    const action = event.target.closest('[data-action]');
+    if (action) {
+      if (action.dataset.action === 'clear') {
+        this.highlight(this.highlighted);
+        return;
+      }
+      const open = action.dataset.action === 'expand';
+      doc.querySelectorAll('details.comment').forEach(comment => {
+        comment.open = open;
+      });
+      return;
+    }
+
+    // A srcdoc frame resolves "#id" against this page's URL, so follow links here
+    const link = event.target.closest('a[href]');
+    if (link) {
+      event.preventDefault();
+      const href = link.getAttribute('href');
+      if (href.startsWith('#')) {
+        this.openSnapshot(this.current.id, decodeURIComponent(href.slice(1)), true);
+      } else {
+        window.open(link.href, '_blank', 'noopener');
+      }
+    }
+  }
+
+  openTo(anchor) {
+    const doc = this.frame.contentDocument;
+    if (!doc || !doc.body) return;
+
+    doc.querySelectorAll('.reader-target').forEach(node => node.classList.remove('reader-target'));
+    const target = anchor ? doc.getElementById(anchor) : null;
+    if (!target) {
+      doc.defaultView.scrollTo(0, 0);
+      return;
+    }
+
+    for (let node = target; node; node = node.parentElement) {
+      if (node.tagName === 'DETAILS') node.open = true;
+    }
+    target.classList.add('reader-target');
+    target.scrollIntoView();
+  }
+
+  highlight(author) {
+    const doc = this.frame.contentDocument;
+    this.highlighted = this.highlighted === author ? null : author;
+    doc.querySelectorAll('details.comment').forEach(comment => {
+      comment.classList.toggle('highlighted', !!this.highlighted && comment.getAttribute('data-author') === this.highlighted);
+    });
+    const clear = doc.querySelector('[data-action="clear"]');
+    if (clear) clear.hidden = !this.highlighted;
+  }
+
+  setStatus(message, isError = false) {
+    this.status.textContent = message;
+    this.status.classList.toggle('error', isError);
+  }
+}
+
+OfflineReader.HIT_LIMIT = 200;
+
+// Initialize reader
+new OfflineReader();
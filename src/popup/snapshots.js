@@ -0,0 +1,248 @@
+// Snapshots page: lists threads saved with "Save snapshot" or "Read later", re-exports and deletes them
+class SnapshotLibrary {
+  constructor(options = {}) {
+    this.store = options.store || new SnapshotStore();
+    this.table = document.getElementById('snapshotTable');
+    this.rows = document.getElementById('snapshotRows');
+    this.emptyState = document.getElementById('emptyState');
+    this.summary = document.getElementById('summary');
+    this.status = document.getElementById('status');
+    this.subredditFilter = document.getElementById('subredditFilter');
+    this.exportFormat = document.getElementById('exportFormat');
+
+    this.snapshots = [];
+    this.sort = { key: 'savedAt', descending: true };
+    this.exportSettings = {};
+
+    this.setupEventListeners();
+    this.init();
+  }
+
+  async init() {
+    this.populateFormats();
+    await this.loadExportSettings();
+    await this.refresh();
+  }
+
+  setupEventListeners() {
+    this.subredditFilter.addEventListener('change', () => {
+      this.render();
+    });
+
+    this.table.querySelectorAll('th[data-sort] button').forEach(button => {
+      button.addEventListener('click', () => {
+        const key = button.parentElement.dataset.sort;
+        this.sort = {
+          key,
+          // Dates and sizes start with the largest, text columns alphabetically
+          descending: this.sort.key === key ? !this.sort.descending : ['savedAt', 'commentCount', 'size'].includes(key)
+        };
+        this.render();
+      });
+    });
+  }
+
+  populateFormats() {
+    const exporter = new ThreadExporter({ extractor: { extract: () => null } });
+    exporter.getFormats().forEach(format => {
+      const option = document.createElement('option');
+      option.value = format.name;
+      option.textContent = format.label;
+      this.exportFormat.appendChild(option);
+    });
+  }
+
+  // The same CSV and listening options the popup saves for exports from the page
+  async loadExportSettings() {
+    try {
+      this.exportSettings = await chrome.storage.sync.get([
+        'csvColumns',
+        'csvDelimiter',
+        'speechSkipDeleted',
+        'speechMinScore',
+        'speechVerbosity'
+      ]);
+    } catch (error) {
+      console.warn('Could not load export settings:', error);
+    }
+  }
+
+  getExportOptions(format) {
+    const settings = this.exportSettings;
+    if (format === 'csv') {
+      return { columns: settings.csvColumns, delimiter: settings.csvDelimiter };
+    }
+    if (format === 'speech') {
+      return {
+        skipDeleted: settings.speechSkipDeleted === true,
+        minScore: Number.isFinite(settings.speechMinScore) ? settings.speechMinScore : null,
+        verbosity: settings.speechVerbosity === 'brief' ? 'brief' : 'full'
+      };
+    }
+    return {};
+  }
+
+  async refresh() {
+    try {
+      this.snapshots = await this.store.list();
+    } catch (error) {
+      console.error('Failed to load snapshots:', error);
+      this.setStatus(`Could not open the snapshot library: ${error.message}`, true);
+      this.snapshots = [];
+    }
+    this.updateSubreddits();
+    this.render();
+  }
+
+  updateSubreddits() {
+    const selected = this.subredditFilter.value;
+    const subreddits = Array.from(new Set(this.snapshots.map(snapshot => snapshot.subreddit).filter(Boolean)))
+      .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+
+    this.subredditFilter.length = 1;
+    subreddits.forEach(subreddit => {
+      const option = document.createElement('option');
+      option.value = subreddit;
+      option.textContent = subreddit;
+      this.subredditFilter.appendChild(option);
+    });
+    this.subredditFilter.value = subreddits.includes(selected) ? selected : '';
+  }
+
+  getVisibleSnapshots() {
+    const { key, descending } = this.sort;
+    const subreddit = this.subredditFilter.value;
+
+    return this.snapshots
+      .filter(snapshot => !subreddit || snapshot.subreddit === subreddit)
+      .sort((a, b) => {
+        const order = typeof a[key] === 'number' || typeof b[key] === 'number'
+          ? (a[key] || 0) - (b[key] || 0)
+          : String(a[key] || '').localeCompare(String(b[key] || ''), undefined, { sensitivity: 'base' });
+        return descending ? -order : order;
+      });
+  }
+
+  render() {
+    const visible = this.getVisibleSnapshots();
+    const totalSize = this.snapshots.reduce((total, snapshot) => total + (snapshot.size || 0), 0);
+
+    this.summary.textContent = `${this.snapshots.length} ${this.snapshots.length === 1 ? 'snapshot' : 'snapshots'} · ${this.formatSize(totalSize)}`;
+    this.table.hidden = this.snapshots.length === 0;
+    this.emptyState.hidden = this.snapshots.length > 0;
+
+    this.table.querySelectorAll('th[data-sort]').forEach(header => {
+      if (header.dataset.sort === this.sort.key) {
+        header.setAttribute('aria-sort', this.sort.descending ? 'descending' : 'ascending');
+      } else {
+        header.removeAttribute('aria-sort');
+      }
+    });
+
+    this.rows.replaceChildren(...visible.map(snapshot => this.renderRow(snapshot)));
+  }
+
+  renderRow(snapshot) {
+    const row = document.createElement('tr');
+
+    const subreddit = document.createElement('td');
+    subreddit.textContent = snapshot.subreddit || '—';
+
+    const title = document.createElement('td');
+    const link = document.createElement('a');
+    link.href = snapshot.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = snapshot.title || snapshot.url;
+    title.appendChild(link);
+    if (snapshot.readLater && !snapshot.readAt) {
+      const badge = document.createElement('span');
+      badge.className = 'badge';
+      badge.textContent = 'read later';
+      title.appendChild(badge);
+    }
+
+    const saved = document.createElement('td');
+    saved.textContent = new Date(snapshot.savedAt).toLocaleString();
+
+    const comments = document.createElement('td');
+    comments.className = 'number';
+    comments.textContent = String(snapshot.commentCount);
+
+    const size = document.createElement('td');
+    size.className = 'number';
+    size.textContent = this.formatSize(snapshot.size);
+
+    const actions = document.createElement('td');
+    actions.className = 'actions';
+    const readButton = document.createElement('button');
+    readButton.type = 'button';
+    readButton.textContent = 'Read';
+    readButton.addEventListener('click', () => {
+      window.location.href = `reader.html?id=${snapshot.id}`;
+    });
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.textContent = 'Export';
+    exportButton.addEventListener('click', () => this.exportSnapshot(snapshot.id));
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'delete-btn';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => this.deleteSnapshot(snapshot));
+    actions.append(readButton, ' ', exportButton, ' ', deleteButton);
+
+    row.append(subreddit, title, saved, comments, size, actions);
+    return row;
+  }
+
+  // Exporters read the stored thread instead of the page
+  async exportSnapshot(id) {
+    const format = this.exportFormat.value;
+
+    try {
+      const snapshot = await this.store.get(id);
+      if (!snapshot) {
+        this.setStatus('That snapshot no longer exists', true);
+        await this.refresh();
+        return;
+      }
+
+      const exporter = new ThreadExporter({ extractor: { extract: () => snapshot.thread } });
+      const result = exporter.download(format, this.getExportOptions(format));
+      this.setStatus(`Exported ${result.thread.commentCount} comments to ${result.filename}`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.setStatus(`Export failed: ${error.message}`, true);
+    }
+  }
+
+  async deleteSnapshot(snapshot) {
+    if (!window.confirm(`Delete the snapshot of "${snapshot.title || snapshot.url}" saved ${new Date(snapshot.savedAt).toLocaleString()}?`)) {
+      return;
+    }
+
+    try {
+      await this.store.delete(snapshot.id);
+      this.setStatus('Snapshot deleted');
+    } catch (error) {
+      console.error('Delete failed:', error);
+      this.setStatus(`Delete failed: ${error.message}`, true);
+    }
+    await this.refresh();
+  }
+
+  setStatus(message, isError = false) {
+    this.status.textContent = message;
+    this.status.classList.toggle('error', isError);
+  }
+
+  formatSize(bytes) {
+    if (!bytes) return '0 KB';
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+// Initialize snapshot library
+new SnapshotLibrary();
@@ -0,0 +1,354 @@
+/**
+ * Comment Metadata Extractor for Reddit Comment Expander
+ *
+ * Reads author, score, flair, depth, creation and edit time, body text and
+ * moderation flags from a comment element on old Reddit (.thing.comment), new Reddit ([id^="t1_"]), sh.reddit
+ * (shreddit-comment) and comments rendered by the JSON-API backend (data-* attributes).
+ * Missing values come back as null rather than guesses.
+ */
+
+console.log('📦 Loading comment-metadata.js');
+
+// New Reddit indents each comment row with inline padding: 16px at the top level, +21px per level
+const NEW_REDDIT_BASE_INDENT = 16;
+const NEW_REDDIT_LEVEL_INDENT = 21;
+
+class CommentMetadataExtractor {
+  constructor() {
+    this.commentSelector = 'shreddit-comment, .thing.comment, [data-reddit-expander-json-id], [id^="t1_"]';
+  }
+
+  /**
+   * The comment an element belongs to: the comment itself for toggles, the
+   * parent comment for "more replies" / "continue this thread" stubs
+   */
+  findOwnerComment(element) {
+    if (!element || !element.closest) return null;
+
+    // Old Reddit stubs are .thing.morechildren siblings inside the parent's .child
+    const start = element.closest('.thing.morechildren') || element;
+    const base = start.parentElement && start.matches('.thing.morechildren') ? start.parentElement : start;
+    return base.closest(this.commentSelector);
+  }
+
+  /**
+   * Every comment element under root, in document order
+   */
+  getComments(root = document) {
+    return Array.from(root.querySelectorAll(this.commentSelector))
+      .filter(element => this.isCommentRoot(element));
+  }
+
+  /**
+   * Old Reddit, sh.reddit and JSON-rendered comments contain their replies; New Reddit's are rows after them
+   */
+  isFlat(comment) {
+    return !comment.matches('shreddit-comment, .thing.comment') && !comment.hasAttribute('data-reddit-expander-json-id');
+  }
+
+  /**
+   * Whether an element is a comment itself rather than something inside one:
+   * sh.reddit and New Reddit reuse t1_ prefixes for inner ids (e.g. "t1_abc-comment-rtjson-content")
+   */
+  isCommentRoot(element) {
+    if (element.hasAttribute('data-reddit-expander-json-id')) return true;
+    if (element.matches('shreddit-comment, .thing.comment')) return true;
+    return /^t1_[a-z0-9]+$/i.test(element.id);
+  }
+
+  /**
+   * Extract metadata from a comment element; returns null when there is no comment
+   */
+  extract(comment) {
+    if (!comment) return null;
+
+    if (comment.tagName === 'SHREDDIT-COMMENT') {
+      return this.extractShReddit(comment);
+    }
+    if (comment.matches('.thing.comment')) {
+      return this.extractOldReddit(comment);
+    }
+    if (comment.hasAttribute('data-reddit-expander-json-id')) {
+      return this.extractJsonRendered(comment);
+    }
+    return this.extractNewReddit(comment);
+  }
+
+  /**
+   * The comment's t1_ fullname without reading the rest of its metadata, or null
+   */
+  getFullname(comment) {
+    if (!comment) return null;
+
+    if (comment.tagName === 'SHREDDIT-COMMENT') {
+      return comment.getAttribute('thingid') || null;
+    }
+    if (comment.matches('.thing.comment')) {
+      return comment.getAttribute('data-fullname') || null;
+    }
+    if (comment.hasAttribute('data-reddit-expander-json-id')) {
+      return comment.dataset.fullname || null;
+    }
+    return /^t1_[a-z0-9]+$/i.test(comment.id) ? comment.id : null;
+  }
+
+  /**
+   * The comment's author without reading the rest of its metadata; null for deleted accounts
+   */
+  getAuthor(comment) {
+    if (!comment) return null;
+
+    let author = null;
+    if (comment.tagName === 'SHREDDIT-COMMENT') {
+      author = comment.getAttribute('author');
+    } else if (comment.matches('.thing.comment')) {
+      const link = comment.querySelector(':scope > .entry .tagline a.author');
+      author = comment.getAttribute('data-author') || (link ? link.textContent : null);
+    } else if (comment.hasAttribute('data-reddit-expander-json-id')) {
+      author = comment.dataset.author;
+    } else {
+      const link = comment.querySelector('[data-testid="comment_author_link"]');
+      author = link ? link.textContent : null;
+    }
+
+    author = author ? author.trim().replace(/^u\//, '') : '';
+    return author && author !== '[deleted]' ? author : null;
+  }
+
+  /**
+   * Convenience: metadata of the comment owning an expandable element
+   */
+  extractForElement(element) {
+    return this.extract(this.findOwnerComment(element));
+  }
+
+  /**
+   * The element holding a comment's rendered body text, or null
+   */
+  getBodyElement(comment) {
+    if (!comment) return null;
+
+    if (comment.tagName === 'SHREDDIT-COMMENT') {
+      return comment.querySelector(':scope > [slot="comment"]');
+    }
+    if (comment.matches('.thing.comment')) {
+      return comment.querySelector(':scope > .entry .usertext-body .md');
+    }
+    if (comment.hasAttribute('data-reddit-expander-json-id')) {
+      return comment.querySelector(':scope > .reddit-expander-json-body');
+    }
+    return comment.querySelector('[data-testid="comment"]');
+  }
+
+  /**
+   * Moderation state shown on a comment: { deleted, crowdControl, contestMode }.
+   * Flags stay set after the comment has been expanded.
+   */
+  getFlags(comment) {
+    const meta = this.extract(comment);
+    const reason = (comment.getAttribute('collapsed-reason-code') || comment.getAttribute('data-collapsed-reason-code') || '').toLowerCase();
+    // New Reddit marks the row's contents rather than the comment element
+    const marker = testId => comment.matches('shreddit-comment, .thing') ? null : comment.querySelector(`[data-testid="${testId}"]`);
+
+    return {
+      deleted: comment.matches('.deleted, [data-deleted="true"], [deleted]') ||
+        reason.includes('delete') ||
+        meta.author === '[deleted]' ||
+        meta.body === '[deleted]' ||
+        meta.body === '[removed]' ||
+        !!marker('comment-deleted-collapsed'),
+      crowdControl: comment.matches('[class*="crowd-control"], [data-crowd-control="true"]') ||
+        reason.includes('crowd') ||
+        !!marker('comment-crowd-control-collapsed'),
+      contestMode: comment.matches('[class*="contest"], [data-contest-mode="true"]') ||
+        reason.includes('contest') ||
+        !!marker('comment-hidden-contest-mode')
+    };
+  }
+
+  /**
+   * Nesting depth (0 = top level) of the comments a stub would load: one below
+   * the comment it hangs under, 0 for stubs at the top of the thread.
+   * Returns null when the depth can't be determined.
+   */
+  getStubDepth(element) {
+    const owner = this.findOwnerComment(element);
+    if (owner) {
+      const meta = this.extract(owner);
+      if (meta.depth !== null) return meta.depth + 1;
+    }
+
+    // New Reddit stubs are flat rows next to their parent, not inside it
+    const indentDepth = this.getIndentDepth(element);
+    if (indentDepth !== null) return indentDepth;
+
+    return owner ? null : 0;
+  }
+
+  /**
+   * Depth from New Reddit's row indentation; null outside New Reddit rows
+   */
+  getIndentDepth(element) {
+    if (element.closest('shreddit-comment, .thing')) return null;
+
+    const row = element.closest('[style*="padding-left"]');
+    if (!row) return null;
+
+    const indent = parseFloat(row.style.paddingLeft);
+    if (Number.isNaN(indent)) return null;
+    return Math.max(0, Math.round((indent - NEW_REDDIT_BASE_INDENT) / NEW_REDDIT_LEVEL_INDENT));
+  }
+
+  extractShReddit(comment) {
+    const timeago = comment.querySelector('faceplate-timeago[ts], time[datetime]');
+    const body = this.getBodyElement(comment);
+    const meta = comment.querySelector(':scope > [slot="commentMeta"]');
+    const flair = meta ? meta.querySelector('.flair-content, author-flair-event-handler') : null;
+    // "• Edited 2h ago": a second timestamp whose label mentions the edit
+    const edited = meta ? Array.from(meta.querySelectorAll('faceplate-timeago[ts], time[datetime]'))
+      .find(time => time !== timeago && /edited/i.test(time.parentElement.textContent)) : null;
+
+    return this.normalize({
+      fullname: comment.getAttribute('thingid'),
+      author: comment.getAttribute('author'),
+      score: comment.getAttribute('score'),
+      flair: flair ? flair.textContent : null,
+      depth: comment.getAttribute('depth'),
+      createdAt: timeago ? (timeago.getAttribute('ts') || timeago.getAttribute('datetime')) : null,
+      editedAt: edited ? (edited.getAttribute('ts') || edited.getAttribute('datetime')) : null,
+      body: body ? body.textContent : null,
+      permalink: comment.getAttribute('permalink')
+    });
+  }
+
+  extractOldReddit(comment) {
+    const entry = comment.querySelector(':scope > .entry');
+    const tagline = entry ? entry.querySelector('.tagline') : null;
+    // The tagline carries dislikes/unvoted/likes variants (score -1, 0, +1) for the vote arrows; unvoted is the score
+    const scoreElement = comment.querySelector(':scope > .entry .tagline .score.unvoted');
+    const time = tagline ? tagline.querySelector('time[datetime]:not(.edited-timestamp)') : null;
+    const edited = tagline ? tagline.querySelector('time.edited-timestamp[datetime]') : null;
+    const flair = tagline ? tagline.querySelector('.flair') : null;
+    const body = this.getBodyElement(comment);
+
+    let depth = 0;
+    let ancestor = comment.parentElement ? comment.parentElement.closest('.thing.comment') : null;
+    while (ancestor) {
+      depth++;
+      ancestor = ancestor.parentElement ? ancestor.parentElement.closest('.thing.comment') : null;
+    }
+
+    return this.normalize({
+      fullname: comment.getAttribute('data-fullname'),
+      author: comment.getAttribute('data-author'),
+      score: comment.dataset.score !== undefined
+        ? comment.dataset.score
+        : (scoreElement ? scoreElement.getAttribute('title') || scoreElement.textContent : null),
+      flair: flair ? flair.textContent : comment.dataset.flair,
+      depth,
+      createdAt: time ? time.getAttribute('datetime') : comment.dataset.created,
+      editedAt: edited ? edited.getAttribute('datetime') : comment.dataset.edited,
+      body: body ? body.textContent : null,
+      permalink: comment.getAttribute('data-permalink')
+    });
+  }
+
+  extractJsonRendered(comment) {
+    const body = this.getBodyElement(comment);
+
+    return this.normalize({
+      fullname: comment.dataset.fullname,
+      author: comment.dataset.author,
+      score: comment.dataset.score,
+      flair: comment.dataset.flair,
+      depth: comment.dataset.depth,
+      createdAt: comment.dataset.created,
+      editedAt: comment.dataset.edited,
+      body: body ? body.textContent : null,
+      permalink: comment.dataset.permalink
+    });
+  }
+
+  extractNewReddit(comment) {
+    const author = comment.querySelector('[data-testid="comment_author_link"]');
+    const body = this.getBodyElement(comment);
+    const time = comment.querySelector('time[datetime]');
+
+    return this.normalize({
+      fullname: comment.id && comment.id.startsWith('t1_') ? comment.id : null,
+      author: author ? author.textContent : null,
+      score: this.getNewRedditScore(comment),
+      flair: null,
+      depth: this.getIndentDepth(comment),
+      createdAt: time ? time.getAttribute('datetime') : null,
+      body: body ? body.textContent : null,
+      permalink: null
+    });
+  }
+
+  /**
+   * New Reddit shows the score between the comment's vote arrows ("vote-arrows-t1_abc"), which
+   * sit in the comment's row; "Vote" or "•" when the score is hidden, "1.2k" once it is large
+   */
+  getNewRedditScore(comment) {
+    if (!comment.id) return null;
+    const arrowsId = `vote-arrows-${comment.id}`;
+    const row = comment.closest('[style*="padding-left"]') || comment;
+    const arrows = Array.from(row.querySelectorAll('[id^="vote-arrows-"]')).find(element => element.id === arrowsId);
+    if (!arrows) return null;
+
+    // The arrows are buttons around the score; skip any text they carry for screen readers
+    const text = Array.from(arrows.childNodes)
+      .filter(node => !(node.nodeType === Node.ELEMENT_NODE && node.matches('button')))
+      .map(node => node.textContent)
+      .join('');
+    const match = text.replace(/,/g, '').trim().match(/^(-?\d+(?:\.\d+)?)\s*([km])?$/i);
+    if (!match) return null;
+    const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+    return Math.round(Number(match[1]) * multiplier);
+  }
+
+  /**
+   * Coerce raw attribute strings into numbers, trimmed strings and epoch ms
+   */
+  normalize(raw) {
+    return {
+      fullname: raw.fullname || null,
+      author: raw.author ? raw.author.trim().replace(/^u\//, '') : null,
+      score: this.parseNumber(raw.score),
+      flair: raw.flair ? raw.flair.trim() : null,
+      depth: this.parseNumber(raw.depth),
+      createdAt: this.parseTime(raw.createdAt),
+      editedAt: this.parseTime(raw.editedAt),
+      body: raw.body ? raw.body.trim() : null,
+      permalink: raw.permalink || null
+    };
+  }
+
+  parseNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return value;
+    const match = String(value).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : null;
+  }
+
+  /**
+   * Accepts ISO strings and epoch seconds (the JSON API's created_utc)
+   */
+  parseTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (/^\d+(\.\d+)?$/.test(String(value))) {
+      return Number(value) * 1000;
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommentMetadataExtractor;
+} else {
+  window.CommentMetadataExtractor = CommentMetadataExtractor;
+  window.commentMetadata = new CommentMetadataExtractor();
+}
@@ -5,6 +5,7 @@
  * - ExpansionState class with status tracking
  * - Observer pattern for UI updates
  * - State persistence to localStorage
+ * - Resumable per-thread expansion sessions
  * - Safe state updates with validation
  * - Progress tracking and error collection
  */
@@ -47,9 +48,18 @@ class ExpansionState {
       maxErrorHistory: options.maxErrorHistory || 50,
       enableLogging: options.enableLogging !== false,
       validateUpdates: options.validateUpdates !== false,
+      sessionKeyPrefix: options.sessionKeyPrefix || 'reddit-expander-session:',
+      sessionMaxAge: options.sessionMaxAge || 24 * 60 * 60 * 1000, // 24 hours
+      sessionMaxCount: options.sessionMaxCount || 5, // threads with a saved session
+      sessionMaxChars: options.sessionMaxChars || 1000000, // all sessions together, in JSON characters
+      sessionSaveInterval: options.sessionSaveInterval || 2000,
       ...options
     };
 
+    // Pending session snapshot waiting for the throttled write
+    this.pendingSession = null;
+    this.sessionSaveTimer = null;
+
     // Core state properties
     this.state = this.createInitialState();
     
@@ -724,6 +734,168 @@ class ExpansionState {
     }
   }
 
+  /**
+   * Resumable sessions: one localStorage entry per thread, so a reload or
+   * crash mid-expansion can pick up where it stopped. Keyed by link id so
+   * sort/context query strings and comment permalinks map to the same thread.
+   */
+  getThreadKey(url = window.location.href) {
+    const match = /\/comments\/([a-z0-9]+)/i.exec(url);
+    return match ? `${this.options.sessionKeyPrefix}${match[1]}` : null;
+  }
+
+  /**
+   * Save a session snapshot (throttled unless immediate)
+   */
+  saveSession(session, options = {}) {
+    const key = this.getThreadKey(session.url);
+    if (!key) return;
+
+    this.pendingSession = { key, session: { ...session, updatedAt: Date.now() } };
+
+    if (options.immediate) {
+      this.flushSession();
+    } else if (!this.sessionSaveTimer) {
+      this.sessionSaveTimer = setTimeout(() => this.flushSession(), this.options.sessionSaveInterval);
+    }
+  }
+
+  /**
+   * Write the pending session snapshot now
+   */
+  flushSession() {
+    if (this.sessionSaveTimer) {
+      clearTimeout(this.sessionSaveTimer);
+      this.sessionSaveTimer = null;
+    }
+    if (!this.pendingSession) return;
+
+    const { key, session } = this.pendingSession;
+    this.pendingSession = null;
+
+    // A huge thread alone would use up the budget: keep what is needed to continue
+    let value = JSON.stringify(session);
+    if (value.length > this.options.sessionMaxChars) {
+      value = JSON.stringify({ ...session, processedIds: [] });
+    }
+    this.pruneSessions(key, value.length);
+
+    try {
+      localStorage.setItem(key, value);
+      this.log(`Session saved (${session.pendingStubIds.length} pending, ${session.processedIds.length} processed)`);
+    } catch (error) {
+      // Quota exceeded on huge threads: keep what is needed to continue
+      this.log('Error saving session, retrying without processed ids:', error);
+      try {
+        localStorage.setItem(key, JSON.stringify({ ...session, processedIds: [] }));
+      } catch (retryError) {
+        this.log('Error saving reduced session:', retryError);
+      }
+    }
+  }
+
+  /**
+   * Sessions live in reddit.com's own localStorage, so keep them from piling up:
+   * drop expired or unreadable sessions of every thread, then the oldest ones until
+   * the rest and the session about to be written fit sessionMaxCount and sessionMaxChars.
+   * Returns the number of sessions removed.
+   */
+  pruneSessions(currentKey = null, reservedChars = 0) {
+    const now = Date.now();
+    const sessions = [];
+
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key || !key.startsWith(this.options.sessionKeyPrefix) || key === currentKey) continue;
+
+        const value = localStorage.getItem(key) || '';
+        let updatedAt = 0;
+        try {
+          updatedAt = JSON.parse(value).updatedAt || 0;
+        } catch (error) {
+          // Unreadable entries count as expired
+        }
+        sessions.push({ key, updatedAt, size: value.length });
+      }
+
+      // Newest first; once one doesn't fit, every older one goes too
+      sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+      let count = currentKey ? 1 : 0;
+      let chars = reservedChars;
+      let full = false;
+      const stale = sessions.filter(({ updatedAt, size }) => {
+        full = full || count >= this.options.sessionMaxCount || chars + size > this.options.sessionMaxChars;
+        if (full || now - updatedAt > this.options.sessionMaxAge) return true;
+        count++;
+        chars += size;
+        return false;
+      });
+
+      stale.forEach(({ key }) => localStorage.removeItem(key));
+      if (stale.length > 0) {
+        this.log(`Pruned ${stale.length} old sessions`);
+      }
+      return stale.length;
+    } catch (error) {
+      this.log('Error pruning sessions:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Load the unfinished session for a thread, if any
+   */
+  loadSession(url = window.location.href) {
+    const key = this.getThreadKey(url);
+    if (!key) return null;
+
+    try {
+      const saved = localStorage.getItem(key);
+      if (!saved) return null;
+
+      const session = JSON.parse(saved);
+      const isValid = session &&
+        Array.isArray(session.pendingStubIds) &&
+        Array.isArray(session.processedIds) &&
+        session.progress && typeof session.progress === 'object';
+
+      if (!isValid || Date.now() - (session.updatedAt || 0) > this.options.sessionMaxAge) {
+        localStorage.removeItem(key);
+        this.log('Discarded invalid or expired session');
+        return null;
+      }
+
+      return session;
+    } catch (error) {
+      this.log('Error loading session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Drop the session for a thread (completed, stopped or dismissed)
+   */
+  clearSession(url = window.location.href) {
+    const key = this.getThreadKey(url);
+    if (!key) return;
+
+    if (this.pendingSession && this.pendingSession.key === key) {
+      this.pendingSession = null;
+    }
+    if (this.sessionSaveTimer) {
+      clearTimeout(this.sessionSaveTimer);
+      this.sessionSaveTimer = null;
+    }
+
+    try {
+      localStorage.removeItem(key);
+      this.log('Session cleared');
+    } catch (error) {
+      this.log('Error clearing session:', error);
+    }
+  }
+
   /**
    * Get state summary for debugging
    */
@@ -771,6 +943,9 @@ class ExpansionState {
     // Clear all observers
     this.observers.clear();
     
+    // Don't lose the last session snapshot
+    this.flushSession();
+    
     // Clear persisted state if needed
     if (this.options.clearOnDestroy) {
       this.clearPersistedState();
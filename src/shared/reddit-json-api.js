@@ -0,0 +1,417 @@
+/**
+ * Reddit JSON API Client for Reddit Comment Expander
+ *
+ * Reads thread data straight from Reddit's JSON endpoints instead of the DOM:
+ * - Thread listing via `<permalink>.json`
+ * - Single comment subtrees ("Continue this thread") via `<permalink>/<comment>.json`
+ * - "more" stub resolution via `/api/morechildren.json`
+ * - Indexing of unresolved "more" stubs by name and parent
+ *
+ * The fetch implementation and base URL are injectable so the client can be
+ * pointed at a local mock endpoint in tests.
+ */
+
+console.log('📦 Loading reddit-json-api.js');
+
+class RedditJsonApi {
+  constructor(options = {}) {
+    this.options = {
+      baseUrl: options.baseUrl || window.location.origin,
+      fetchImpl: options.fetchImpl || window.fetch.bind(window),
+      timeout: options.timeout || 15000,
+      listingLimit: options.listingLimit || 500,
+      maxChildrenPerRequest: options.maxChildrenPerRequest || 100,
+      sort: options.sort || 'confidence',
+      threadUrl: options.threadUrl || null, // defaults to the current page
+      ...options
+    };
+
+    // Cached thread listings keyed by link fullname
+    this.listings = new Map();
+
+    // Unresolved "more" stubs indexed two ways, because each Reddit version
+    // exposes a different handle on the stub in its markup
+    this.stubsByName = new Map();
+    this.stubsByParent = new Map();
+
+    this.stats = {
+      requests: 0,
+      failedRequests: 0,
+      commentsFetched: 0
+    };
+  }
+
+  /**
+   * Extract the link id (without t3_ prefix) from a thread URL
+   */
+  getLinkId(url = this.options.threadUrl || window.location.href) {
+    const match = /\/comments\/([a-z0-9]+)/i.exec(url);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Build the canonical thread path for a link id
+   */
+  getThreadPath(linkId) {
+    return `/comments/${linkId}`;
+  }
+
+  /**
+   * Perform a GET request against the configured base URL and parse JSON
+   */
+  async request(path, params = {}) {
+    const query = new URLSearchParams({ raw_json: '1', ...params }).toString();
+    const url = `${this.options.baseUrl}${path}?${query}`;
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeoutId = controller ? setTimeout(() => controller.abort(), this.options.timeout) : null;
+
+    this.stats.requests++;
+
+    try {
+      const response = await this.options.fetchImpl(url, {
+        credentials: 'include',
+        headers: { Accept: 'application/json' },
+        signal: controller ? controller.signal : undefined
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Reddit JSON request failed with status ${response.status}: ${path}`);
+        error.name = response.status === 429 ? 'RateLimitError' : 'NetworkError';
+        error.status = response.status;
+        error.retryAfter = this.getRetryAfter(response.headers);
+        throw error;
+      }
+
+      return await response.json();
+    } catch (error) {
+      this.stats.failedRequests++;
+      throw error;
+    } finally {
+      if (timeoutId) clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * How long Reddit asked us to wait, in ms: Retry-After (delay-seconds or an HTTP date),
+   * else the seconds until the rate-limit window resets; null when neither header is sent
+   */
+  getRetryAfter(headers) {
+    if (!headers || typeof headers.get !== 'function') return null;
+
+    const retryAfter = (headers.get('retry-after') || '').trim();
+    if (/^\d+(\.\d+)?$/.test(retryAfter)) {
+      return Number(retryAfter) * 1000;
+    }
+    const date = retryAfter ? Date.parse(retryAfter) : NaN;
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    const resetSeconds = parseFloat(headers.get('x-ratelimit-reset'));
+    return Number.isNaN(resetSeconds) ? null : resetSeconds * 1000;
+  }
+
+  /**
+   * Fetch (and cache) the full comment listing of a thread
+   */
+  async fetchThreadListing(linkId = this.getLinkId(), options = {}) {
+    if (!linkId) {
+      throw new Error('Cannot fetch thread listing: no link id in URL');
+    }
+
+    const linkFullname = `t3_${linkId}`;
+    if (!options.force && this.listings.has(linkFullname)) {
+      return this.listings.get(linkFullname);
+    }
+
+    const data = await this.request(`${this.getThreadPath(linkId)}.json`, {
+      limit: String(this.options.listingLimit),
+      sort: this.options.sort
+    });
+
+    if (!Array.isArray(data) || data.length < 2) {
+      throw new Error('Unexpected thread listing shape');
+    }
+
+    const listing = {
+      linkId,
+      linkFullname,
+      post: data[0]?.data?.children?.[0]?.data || null,
+      comments: data[1]?.data?.children || []
+    };
+
+    this.listings.set(linkFullname, listing);
+    this.indexStubs(listing.comments);
+
+    console.log(`[RedditJsonApi] Loaded listing for ${linkFullname}: ${listing.comments.length} top-level things, ${this.stubsByName.size} unresolved stubs`);
+    return listing;
+  }
+
+  /**
+   * Resolve a set of child ids through /api/morechildren, batching as needed.
+   * Returns the flat list of things (comments and nested "more" stubs).
+   */
+  async fetchMoreChildren(linkFullname, childIds, options = {}) {
+    const { throttle = null } = options;
+    const things = [];
+
+    for (let i = 0; i < childIds.length; i += this.options.maxChildrenPerRequest) {
+      if (throttle && i > 0) {
+        await throttle();
+      }
+
+      const batch = childIds.slice(i, i + this.options.maxChildrenPerRequest);
+      const data = await this.request('/api/morechildren.json', {
+        api_type: 'json',
+        link_id: linkFullname,
+        children: batch.join(','),
+        sort: this.options.sort,
+        limit_children: 'false'
+      });
+
+      const errors = data?.json?.errors || [];
+      if (errors.length > 0) {
+        throw new Error(`morechildren returned errors: ${JSON.stringify(errors)}`);
+      }
+
+      const batchThings = data?.json?.data?.things || [];
+      things.push(...batchThings);
+    }
+
+    this.stats.commentsFetched += things.filter(thing => thing.kind === 't1').length;
+    this.indexStubs(things);
+    return things;
+  }
+
+  /**
+   * Resolve a "more" stub completely: fetch its children, then keep resolving
+   * any nested "more" stubs returned until none are left (or the cap is hit).
+   * "Continue this thread" stubs, and with a maxDepth the stubs at or below it,
+   * are left in the result for the caller. depthOffset is added to the depths
+   * Reddit reports (they count from the focused comment on a continuation).
+   */
+  async resolveStub(linkFullname, stub, options = {}) {
+    const { maxRounds = 10, maxDepth = 0, depthOffset = 0, throttle = null } = options;
+    const collected = [];
+    let pending = [stub];
+    let rounds = 0;
+
+    while (pending.length > 0 && rounds < maxRounds) {
+      rounds++;
+      const childIds = pending.flatMap(item => item.children || []);
+      pending.forEach(item => this.forgetStub(item));
+
+      if (childIds.length === 0) break;
+
+      const things = await this.fetchMoreChildren(linkFullname, childIds, { throttle });
+      const queue = thing => this.isResolvableMore(thing) && !this.isBeyondDepth(thing, maxDepth, depthOffset);
+      collected.push(...things.filter(thing => !queue(thing)));
+      pending = things
+        .filter(queue)
+        .map(thing => thing.data);
+
+      if (throttle && pending.length > 0) {
+        await throttle();
+      }
+    }
+
+    // Anything still pending past the round cap stays visible as a stub
+    pending.forEach(item => collected.push({ kind: 'more', data: item }));
+    return collected;
+  }
+
+  /**
+   * Fetch the subtree below a single comment ("Continue this thread" target),
+   * resolving any "more" stubs inside it. Returns the focused comment and the
+   * flat list of its descendants.
+   */
+  async fetchCommentThread(linkId, commentId, options = {}) {
+    const { maxRounds = 10, maxDepth = 0, depthOffset = 0, throttle = null } = options;
+    const linkFullname = `t3_${linkId}`;
+
+    const data = await this.request(`${this.getThreadPath(linkId)}/_/${commentId}.json`, {
+      limit: String(this.options.listingLimit),
+      sort: this.options.sort
+    });
+
+    if (!Array.isArray(data) || data.length < 2) {
+      throw new Error('Unexpected comment thread shape');
+    }
+
+    const focused = (data[1]?.data?.children || []).find(thing => thing.data?.id === commentId);
+    if (!focused) {
+      throw new Error(`Comment ${commentId} not found in thread ${linkFullname}`);
+    }
+
+    const descendants = this.flattenReplies(focused.data.replies);
+    const queue = thing => this.isResolvableMore(thing) && !this.isBeyondDepth(thing, maxDepth, depthOffset);
+    const things = descendants.filter(thing => !queue(thing));
+    const stubs = descendants.filter(queue);
+
+    for (const stub of stubs) {
+      if (throttle) {
+        await throttle();
+      }
+      things.push(...await this.resolveStub(linkFullname, stub.data, { maxRounds, maxDepth, depthOffset, throttle }));
+    }
+
+    this.stats.commentsFetched += descendants.filter(thing => thing.kind === 't1').length;
+
+    return {
+      linkId,
+      linkFullname,
+      post: data[0]?.data?.children?.[0]?.data || null,
+      comment: focused.data,
+      things
+    };
+  }
+
+  /**
+   * Flatten a nested replies listing into a list of things (parent_id keeps the shape)
+   */
+  flattenReplies(replies) {
+    const things = [];
+    const walk = (listing) => {
+      for (const thing of listing?.data?.children || []) {
+        things.push(thing);
+        if (thing.kind === 't1' && thing.data?.replies) {
+          walk(thing.data.replies);
+        }
+      }
+    };
+
+    walk(replies);
+    return things;
+  }
+
+  /**
+   * A "more" thing that morechildren can resolve (as opposed to a
+   * "continue this thread" stub, which has no children listed)
+   */
+  isResolvableMore(thing) {
+    return thing && thing.kind === 'more' && Array.isArray(thing.data?.children) && thing.data.children.length > 0;
+  }
+
+  /**
+   * Whether a thing sits at or below a depth limit (0 means no limit)
+   */
+  isBeyondDepth(thing, maxDepth, depthOffset = 0) {
+    return maxDepth > 0 && (thing.data?.depth || 0) + depthOffset >= maxDepth;
+  }
+
+  /**
+   * A "continue this thread" stub
+   */
+  isContinueStub(thing) {
+    return thing && thing.kind === 'more' && (!thing.data?.children || thing.data.children.length === 0);
+  }
+
+  /**
+   * Walk a listing tree and index every resolvable "more" stub
+   */
+  indexStubs(things) {
+    const walk = (items) => {
+      for (const thing of items || []) {
+        if (this.isResolvableMore(thing)) {
+          this.stubsByName.set(thing.data.name, thing.data);
+          if (!this.stubsByParent.has(thing.data.parent_id)) {
+            this.stubsByParent.set(thing.data.parent_id, []);
+          }
+          this.stubsByParent.get(thing.data.parent_id).push(thing.data);
+        } else if (thing && thing.kind === 't1' && thing.data?.replies) {
+          walk(thing.data.replies.data?.children);
+        }
+      }
+    };
+
+    walk(things);
+  }
+
+  /**
+   * Remove a stub from the indexes once it has been resolved
+   */
+  forgetStub(stub) {
+    this.stubsByName.delete(stub.name);
+    const siblings = this.stubsByParent.get(stub.parent_id);
+    if (siblings) {
+      const remaining = siblings.filter(item => item.name !== stub.name);
+      if (remaining.length > 0) {
+        this.stubsByParent.set(stub.parent_id, remaining);
+      } else {
+        this.stubsByParent.delete(stub.parent_id);
+      }
+    }
+  }
+
+  /**
+   * Look up unresolved stubs
+   */
+  findStubByName(name) {
+    return this.stubsByName.get(name) || null;
+  }
+
+  findStubsByParent(parentFullname) {
+    return this.stubsByParent.get(parentFullname) || [];
+  }
+
+  /**
+   * Find a stub that lists the given comment id among its children
+   */
+  findStubByChildId(childId) {
+    for (const stub of this.stubsByName.values()) {
+      if (stub.children.includes(childId)) {
+        return stub;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Arrange a flat list of things into a forest keyed by parent_id.
+   * Roots are things whose parent is not part of the list.
+   */
+  buildTree(things) {
+    const nodes = new Map();
+    things.forEach(thing => {
+      nodes.set(thing.data.name, { thing, replies: [] });
+    });
+
+    const roots = [];
+    things.forEach(thing => {
+      const node = nodes.get(thing.data.name);
+      const parent = nodes.get(thing.data.parent_id);
+      if (parent) {
+        parent.replies.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    return roots;
+  }
+
+  /**
+   * Reset cached listings and stub indexes (e.g. after SPA navigation)
+   */
+  reset() {
+    this.listings.clear();
+    this.stubsByName.clear();
+    this.stubsByParent.clear();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      cachedListings: this.listings.size,
+      unresolvedStubs: this.stubsByName.size
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RedditJsonApi;
+} else {
+  window.RedditJsonApi = RedditJsonApi;
+}
@@ -0,0 +1,119 @@
+/**
+ * Snapshot Index for Reddit Comment Expander
+ *
+ * Tokenizing and query parsing for the full-text index over saved snapshots.
+ * The index is inverted: SnapshotStore keeps one posting per (term, snapshot)
+ * listing the anchors that contain the term, so a search reads a few postings
+ * instead of every saved thread. Anchors are the ids the offline reader renders
+ * ("t1_..." comments, "post" for the post itself, "comment-N" for New Reddit rows
+ * without an id, numbered like HtmlExporter.getAnchor).
+ *
+ * Query syntax: plain words (all must match, each as a prefix), author:name or
+ * u/name, subreddit:name or r/name.
+ */
+
+console.log('📦 Loading snapshot-index.js');
+
+// Too common to narrow a search; left out of the index
+const SNAPSHOT_INDEX_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'i', 'if', 'in', 'is', 'it',
+  'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'with', 'you'
+]);
+
+class SnapshotIndex {
+  /**
+   * Unique index terms of a text: lowercased, accents folded, stop words and single characters dropped
+   */
+  static tokenize(text) {
+    const words = SnapshotIndex.normalize(text).split(/[^\p{L}\p{N}_]+/u);
+    return Array.from(new Set(words.filter(word => word.length > 1 && word.length <= 40 && !SNAPSHOT_INDEX_STOP_WORDS.has(word))));
+  }
+
+  static normalize(text) {
+    return String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * Visit the post and every comment in page order with its anchor
+   */
+  static walk(thread, callback) {
+    callback(null, 'post');
+
+    let unnamed = 0;
+    const visit = comments => comments.forEach(comment => {
+      callback(comment, comment.id || `comment-${++unnamed}`);
+      visit(comment.replies);
+    });
+    visit(thread.comments);
+  }
+
+  /**
+   * Postings for one snapshot: [{ term, snapshotId, ids }]; authors are indexed as "author:name"
+   */
+  static postings(snapshotId, thread) {
+    const terms = new Map();
+    const add = (term, anchor) => {
+      if (!terms.has(term)) terms.set(term, new Set());
+      terms.get(term).add(anchor);
+    };
+
+    SnapshotIndex.walk(thread, (comment, anchor) => {
+      const author = comment ? comment.author : thread.post.author;
+      const text = comment ? comment.body : `${thread.post.title || ''} ${thread.post.body || ''}`;
+      SnapshotIndex.tokenize(text).forEach(term => add(term, anchor));
+      if (author) {
+        add(`author:${author.toLowerCase()}`, anchor);
+      }
+    });
+
+    return Array.from(terms, ([term, ids]) => ({ term, snapshotId, ids: Array.from(ids) }));
+  }
+
+  static parseQuery(query) {
+    const parsed = { words: [], authors: [], subreddits: [] };
+    String(query || '').trim().split(/\s+/).filter(Boolean).forEach(part => {
+      const author = /^(?:author:|\/?u\/)([\w-]+)$/i.exec(part);
+      const subreddit = /^(?:subreddit:|\/?r\/)(\w+)$/i.exec(part);
+      if (author) {
+        parsed.authors.push(author[1].toLowerCase());
+      } else if (subreddit) {
+        parsed.subreddits.push(subreddit[1].toLowerCase());
+      } else {
+        parsed.words.push(...SnapshotIndex.tokenize(part));
+      }
+    });
+    return parsed;
+  }
+
+  static isEmpty(parsed) {
+    return parsed.words.length === 0 && parsed.authors.length === 0 && parsed.subreddits.length === 0;
+  }
+
+  static matchesSubreddit(summary, subreddits) {
+    if (subreddits.length === 0) return true;
+    const name = (summary.subreddit || '').replace(/^r\//i, '').toLowerCase();
+    return subreddits.includes(name);
+  }
+
+  /**
+   * About `length` characters of text around the first query word
+   */
+  static snippet(text, words, length = 160) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= length) return clean;
+
+    const normalized = SnapshotIndex.normalize(clean);
+    const positions = words.map(word => normalized.indexOf(word)).filter(position => position >= 0);
+    const start = positions.length > 0 ? Math.max(0, Math.min(...positions) - Math.floor(length / 3)) : 0;
+    const end = Math.min(clean.length, start + length);
+    return `${start > 0 ? '…' : ''}${clean.slice(start, end).trim()}${end < clean.length ? '…' : ''}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SnapshotIndex;
+} else {
+  // Also loaded by the background service worker, which has no window
+  self.SnapshotIndex = SnapshotIndex;
+}
@@ -0,0 +1,256 @@
+/**
+ * Snapshot Store for Reddit Comment Expander
+ *
+ * Saved copies of expanded threads (the ThreadExtractor model) in the extension's
+ * IndexedDB. ExpansionState's localStorage key is per Reddit origin and far too
+ * small for thread content; IndexedDB in the extension origin is shared by the
+ * background worker, which saves snapshots sent by content scripts, and the
+ * snapshots page, which lists, re-exports and deletes them.
+ *
+ * Summaries (subreddit, title, date, size) and thread content live in separate
+ * object stores, so listing never loads the comments. A third store holds the
+ * SnapshotIndex postings for searching across every saved thread; it is written
+ * in the same transaction as the snapshot, so the two cannot drift apart.
+ */
+
+console.log('📦 Loading snapshot-store.js');
+
+class SnapshotStore {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'reddit-expander-snapshots';
+    this.indexedDB = options.indexedDB || self.indexedDB;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, SnapshotStore.DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const transaction = request.transaction;
+          if (!db.objectStoreNames.contains('snapshots')) {
+            const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+            snapshots.createIndex('savedAt', 'savedAt');
+            snapshots.createIndex('subreddit', 'subreddit');
+            snapshots.createIndex('postId', 'postId');
+          }
+          if (!db.objectStoreNames.contains('threads')) {
+            db.createObjectStore('threads', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('terms')) {
+            const terms = db.createObjectStore('terms', { autoIncrement: true });
+            terms.createIndex('term', 'term');
+            terms.createIndex('snapshotId', 'snapshotId');
+
+            // Index snapshots saved before search existed
+            transaction.objectStore('threads').openCursor().onsuccess = event => {
+              const cursor = event.target.result;
+              if (!cursor) return;
+              SnapshotIndex.postings(cursor.value.id, cursor.value.thread).forEach(posting => terms.add(posting));
+              cursor.continue();
+            };
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Snapshot database is blocked by another open page'));
+      });
+      // Allow a retry after a failed open
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Store a thread; returns its summary including the new id.
+   * options.readLater puts it on the reader's reading list.
+   */
+  async save(thread, savedAt = Date.now(), options = {}) {
+    const summary = SnapshotStore.summarize(thread, savedAt);
+    if (options.readLater) {
+      summary.readLater = true;
+      summary.readAt = null;
+    }
+    const db = await this.open();
+    const transaction = db.transaction(['snapshots', 'threads', 'terms'], 'readwrite');
+
+    const request = transaction.objectStore('snapshots').add(summary);
+    request.onsuccess = () => {
+      summary.id = request.result;
+      transaction.objectStore('threads').put({ id: request.result, thread });
+      const terms = transaction.objectStore('terms');
+      SnapshotIndex.postings(request.result, thread).forEach(posting => terms.add(posting));
+    };
+
+    await SnapshotStore.complete(transaction);
+    return summary;
+  }
+
+  /**
+   * All summaries, newest first
+   */
+  async list() {
+    const db = await this.open();
+    const transaction = db.transaction('snapshots', 'readonly');
+    const summaries = await SnapshotStore.result(transaction.objectStore('snapshots').getAll());
+    return summaries.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Summary plus thread, or null when the snapshot does not exist
+   */
+  async get(id) {
+    const db = await this.open();
+    const transaction = db.transaction(['snapshots', 'threads'], 'readonly');
+    const [summary, content] = await Promise.all([
+      SnapshotStore.result(transaction.objectStore('snapshots').get(id)),
+      SnapshotStore.result(transaction.objectStore('threads').get(id))
+    ]);
+    return summary && content ? { ...summary, thread: content.thread } : null;
+  }
+
+  async delete(id) {
+    const db = await this.open();
+    const transaction = db.transaction(['snapshots', 'threads', 'terms'], 'readwrite');
+    transaction.objectStore('snapshots').delete(id);
+    transaction.objectStore('threads').delete(id);
+
+    const terms = transaction.objectStore('terms');
+    terms.index('snapshotId').getAllKeys(id).onsuccess = event => {
+      event.target.result.forEach(key => terms.delete(key));
+    };
+    await SnapshotStore.complete(transaction);
+  }
+
+  /**
+   * Take a read-later snapshot off the reading list
+   */
+  async markRead(id, readAt = Date.now()) {
+    const db = await this.open();
+    const transaction = db.transaction('snapshots', 'readwrite');
+    const snapshots = transaction.objectStore('snapshots');
+
+    snapshots.get(id).onsuccess = event => {
+      const summary = event.target.result;
+      if (summary && summary.readLater && !summary.readAt) {
+        snapshots.put({ ...summary, readAt });
+      }
+    };
+    await SnapshotStore.complete(transaction);
+  }
+
+  /**
+   * Search every saved thread (see SnapshotIndex for the query syntax).
+   * Returns hits newest snapshot first, in page order within a snapshot:
+   * [{ snapshot, anchor, author, snippet }]. A subreddit-only query returns one
+   * hit per thread with the post as its anchor.
+   */
+  async search(query, options = {}) {
+    const limit = options.limit || 200;
+    const parsed = SnapshotIndex.parseQuery(query);
+    if (SnapshotIndex.isEmpty(parsed)) return [];
+
+    const summaries = (await this.list()).filter(summary => SnapshotIndex.matchesSubreddit(summary, parsed.subreddits));
+    if (parsed.words.length === 0 && parsed.authors.length === 0) {
+      return summaries.slice(0, limit).map(summary => ({ snapshot: summary, anchor: 'post', author: summary.author, snippet: summary.title || '' }));
+    }
+
+    const db = await this.open();
+    const index = db.transaction('terms', 'readonly').objectStore('terms').index('term');
+    const ranges = [
+      // Words match as prefixes, so "crash" finds "crashes"
+      ...parsed.words.map(word => IDBKeyRange.bound(word, `${word}\uffff`)),
+      ...parsed.authors.map(author => IDBKeyRange.only(`author:${author}`))
+    ];
+    const postingLists = await Promise.all(ranges.map(range => SnapshotStore.result(index.getAll(range))));
+
+    // Anchors per snapshot that match every part of the query
+    let matches = null;
+    postingLists.forEach(postings => {
+      const found = new Map();
+      postings.forEach(posting => {
+        if (matches && !matches.has(posting.snapshotId)) return;
+        if (!found.has(posting.snapshotId)) found.set(posting.snapshotId, new Set());
+        posting.ids.forEach(anchor => {
+          if (!matches || matches.get(posting.snapshotId).has(anchor)) {
+            found.get(posting.snapshotId).add(anchor);
+          }
+        });
+      });
+      matches = found;
+    });
+
+    const hits = [];
+    for (const summary of summaries) {
+      if (hits.length >= limit) break;
+      const anchors = matches.get(summary.id);
+      if (!anchors || anchors.size === 0) continue;
+
+      const snapshot = await this.get(summary.id);
+      if (!snapshot) continue;
+      SnapshotIndex.walk(snapshot.thread, (comment, anchor) => {
+        if (hits.length >= limit || !anchors.has(anchor)) return;
+        const { post } = snapshot.thread;
+        hits.push({
+          snapshot: summary,
+          anchor,
+          author: comment ? comment.author : post.author,
+          snippet: SnapshotIndex.snippet(comment ? comment.body : `${post.title || ''} ${post.body || ''}`, parsed.words)
+        });
+      });
+    }
+    return hits;
+  }
+
+  close() {
+    if (this.dbPromise) {
+      this.dbPromise.then(db => db.close()).catch(() => {});
+      this.dbPromise = null;
+    }
+  }
+
+  static summarize(thread, savedAt) {
+    const { post } = thread;
+    return {
+      url: thread.url,
+      postId: post.id || null,
+      subreddit: post.subreddit || null,
+      title: post.title || null,
+      author: post.author || null,
+      version: thread.version || null,
+      savedAt,
+      commentCount: thread.commentCount,
+      // UTF-8 size of the stored thread, as shown in the list
+      size: new TextEncoder().encode(JSON.stringify(thread)).length
+    };
+  }
+
+  static result(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  static complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Snapshot transaction aborted'));
+    });
+  }
+}
+
+// 2: search index ('terms')
+SnapshotStore.DB_VERSION = 2;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SnapshotStore;
+} else {
+  // Also loaded by the background service worker, which has no window
+  self.SnapshotStore = SnapshotStore;
+}
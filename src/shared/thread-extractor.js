@@ -0,0 +1,235 @@
+/**
+ * Thread Extractor for Reddit Comment Expander
+ *
+ * Reads the post and the loaded comment tree of the current thread into a plain,
+ * serializable model that the exporters work from:
+ *
+ *   { version, url, extractedAt, post, comments: [comment], commentCount }
+ *   comment = { id, parentId, author, score, flair, createdAt, editedAt, permalink, depth, body, bodyHtml,
+ *               flags: { deleted, crowdControl, contestMode }, expandedBy, replies: [comment] }
+ *
+ * Old Reddit, sh.reddit and JSON-rendered comments nest replies inside their parent;
+ * New Reddit renders flat rows, so there the tree is rebuilt from row indentation.
+ * Only what is on the page is extracted: run an expansion first for the full thread.
+ * expandedBy is the expander category that revealed a comment (see ExpansionProvenance),
+ * null for comments that were already on the page.
+ */
+
+console.log('📦 Loading thread-extractor.js');
+
+// Comment root elements per Reddit version (as detected by SelectorFactory)
+const THREAD_COMMENT_SELECTORS = {
+  shReddit: 'shreddit-comment, [data-reddit-expander-json-id]',
+  oldReddit: '.thing.comment',
+  newReddit: '[id^="t1_"], [data-reddit-expander-json-id]'
+};
+
+class ThreadExtractor {
+  constructor(options = {}) {
+    this.metadata = options.metadata || window.commentMetadata || new CommentMetadataExtractor();
+    this.root = options.root || document;
+    this.version = options.version || this.detectVersion();
+  }
+
+  /**
+   * Same detection the expander uses; the shared SelectorFactory instance has it cached
+   */
+  detectVersion() {
+    if (window.selectorFactory && window.selectorFactory.version) {
+      return window.selectorFactory.version;
+    }
+    return SelectorFactory.prototype.detectRedditVersion.call(null);
+  }
+
+  extract() {
+    const post = this.extractPost();
+    const comments = this.extractComments(post);
+
+    return {
+      version: this.version,
+      url: this.getThreadUrl(post),
+      extractedAt: Date.now(),
+      post,
+      comments,
+      commentCount: this.countComments(comments)
+    };
+  }
+
+  extractPost() {
+    if (this.version === 'shReddit') return this.extractShRedditPost();
+    if (this.version === 'oldReddit') return this.extractOldRedditPost();
+    return this.extractNewRedditPost();
+  }
+
+  extractShRedditPost() {
+    const post = this.root.querySelector('shreddit-post');
+    if (!post) return this.extractFallbackPost();
+
+    const body = post.querySelector('[slot="text-body"]');
+    return this.normalizePost({
+      id: post.getAttribute('id') || post.getAttribute('thingid'),
+      title: post.getAttribute('post-title'),
+      author: post.getAttribute('author'),
+      score: post.getAttribute('score'),
+      createdAt: post.getAttribute('created-timestamp'),
+      permalink: post.getAttribute('permalink'),
+      subreddit: post.getAttribute('subreddit-prefixed-name'),
+      url: post.getAttribute('content-href'),
+      bodyElement: body
+    });
+  }
+
+  extractOldRedditPost() {
+    const post = this.root.querySelector('#siteTable .thing.link, .thing.link');
+    if (!post) return this.extractFallbackPost();
+
+    const title = post.querySelector('a.title');
+    const time = post.querySelector('.tagline time[datetime]');
+    const score = post.querySelector('.score.unvoted');
+    return this.normalizePost({
+      id: post.getAttribute('data-fullname'),
+      title: title ? title.textContent : null,
+      author: post.getAttribute('data-author'),
+      score: post.dataset.score !== undefined ? post.dataset.score : (score ? score.getAttribute('title') || score.textContent : null),
+      createdAt: time ? time.getAttribute('datetime') : post.dataset.timestamp,
+      permalink: post.getAttribute('data-permalink'),
+      subreddit: post.getAttribute('data-subreddit-prefixed') || (post.dataset.subreddit ? `r/${post.dataset.subreddit}` : null),
+      url: post.getAttribute('data-url'),
+      bodyElement: post.querySelector('.expando .usertext-body .md')
+    });
+  }
+
+  extractNewRedditPost() {
+    const post = this.root.querySelector('[data-test-id="post-content"], [data-testid="post-container"]');
+    if (!post) return this.extractFallbackPost();
+
+    const title = post.querySelector('h1');
+    const author = post.querySelector('[data-testid="post_author_link"]');
+    const time = post.querySelector('time[datetime]');
+    const subreddit = post.querySelector('[data-click-id="subreddit"]');
+    return this.normalizePost({
+      id: post.id || null,
+      title: title ? title.textContent : null,
+      author: author ? author.textContent : null,
+      score: null,
+      createdAt: time ? time.getAttribute('datetime') : null,
+      permalink: null,
+      subreddit: subreddit ? subreddit.textContent : null,
+      url: null,
+      bodyElement: post.querySelector('[data-click-id="text"]')
+    });
+  }
+
+  extractFallbackPost() {
+    return this.normalizePost({ title: document.title });
+  }
+
+  normalizePost(raw) {
+    const body = raw.bodyElement || null;
+    return {
+      id: raw.id || null,
+      title: raw.title ? raw.title.trim() : null,
+      author: raw.author ? raw.author.trim().replace(/^u\//, '') : null,
+      score: this.metadata.parseNumber(raw.score),
+      createdAt: this.metadata.parseTime(raw.createdAt),
+      permalink: this.absoluteUrl(raw.permalink),
+      subreddit: raw.subreddit ? raw.subreddit.trim() : null,
+      url: this.absoluteUrl(raw.url),
+      body: body ? body.textContent.trim() : '',
+      bodyHtml: body ? body.innerHTML.trim() : ''
+    };
+  }
+
+  /**
+   * Comment tree in page order
+   */
+  extractComments(post = null) {
+    const selector = THREAD_COMMENT_SELECTORS[this.version] || THREAD_COMMENT_SELECTORS.newReddit;
+    const elements = Array.from(this.root.querySelectorAll(selector)).filter(element => this.metadata.isCommentRoot(element));
+    const threadUrl = this.getThreadUrl(post);
+
+    const nodes = new Map();
+    const roots = [];
+    const rows = []; // New Reddit: open ancestors as { node, indent }
+
+    elements.forEach(element => {
+      const meta = this.metadata.extract(element);
+      const bodyElement = this.metadata.getBodyElement(element);
+
+      let ancestor = this.findParentElement(element, selector);
+      while (ancestor && !nodes.has(ancestor)) {
+        ancestor = this.findParentElement(ancestor, selector);
+      }
+      let parent = ancestor ? nodes.get(ancestor) : null;
+
+      const indent = this.metadata.getIndentDepth(element);
+      if (!parent && indent !== null) {
+        while (rows.length > 0 && rows[rows.length - 1].indent >= indent) {
+          rows.pop();
+        }
+        parent = rows.length > 0 ? rows[rows.length - 1].node : null;
+      }
+
+      const node = {
+        id: meta.fullname,
+        parentId: parent ? parent.id : (post ? post.id : null),
+        author: meta.author,
+        score: meta.score,
+        flair: meta.flair,
+        createdAt: meta.createdAt,
+        editedAt: meta.editedAt,
+        permalink: this.absoluteUrl(meta.permalink) || this.buildPermalink(threadUrl, meta.fullname),
+        depth: parent ? parent.depth + 1 : 0,
+        body: meta.body || '',
+        bodyHtml: bodyElement ? bodyElement.innerHTML.trim() : '',
+        flags: this.metadata.getFlags(element),
+        expandedBy: element.dataset.redditExpanderExpandedBy || null,
+        replies: []
+      };
+
+      (parent ? parent.replies : roots).push(node);
+      nodes.set(element, node);
+      if (indent !== null) {
+        rows.push({ node, indent });
+      }
+    });
+
+    return roots;
+  }
+
+  findParentElement(element, selector) {
+    return element.parentElement ? element.parentElement.closest(selector) : null;
+  }
+
+  countComments(comments) {
+    return comments.reduce((total, comment) => total + 1 + this.countComments(comment.replies), 0);
+  }
+
+  getThreadUrl(post = null) {
+    if (post && post.permalink) return post.permalink;
+    const match = /^(.*\/comments\/[a-z0-9]+(?:\/[^/]*)?)/i.exec(window.location.pathname);
+    const path = match ? match[1] : window.location.pathname;
+    return `${window.location.origin}${path.endsWith('/') ? path : `${path}/`}`;
+  }
+
+  buildPermalink(threadUrl, fullname) {
+    if (!threadUrl || !fullname) return null;
+    return `${threadUrl.endsWith('/') ? threadUrl : `${threadUrl}/`}${fullname.replace(/^t1_/, '')}/`;
+  }
+
+  absoluteUrl(href) {
+    if (!href) return null;
+    try {
+      return new URL(href, window.location.origin).href;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThreadExtractor;
+} else {
+  window.ThreadExtractor = ThreadExtractor;
+}
@@ -0,0 +1,135 @@
+/**
+ * ZIP Writer for Reddit Comment Expander
+ *
+ * Builds a ZIP archive in memory for container formats such as EPUB. Entries are
+ * stored uncompressed: archives are written synchronously, in the order entries
+ * are added (EPUB requires its "mimetype" entry first and uncompressed), and
+ * exported threads are small enough that deflate would not be worth a dependency.
+ */
+
+console.log('📦 Loading zip-writer.js');
+
+class ZipWriter {
+  constructor(options = {}) {
+    this.entries = [];
+    this.date = options.date ? new Date(options.date) : new Date();
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Add a file; content is a string (written as UTF-8) or a Uint8Array
+   */
+  add(path, content) {
+    if (this.entries.some(entry => entry.path === path)) {
+      throw new Error(`Duplicate ZIP entry: ${path}`);
+    }
+    const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+    this.entries.push({ path, name: this.encoder.encode(path), data, crc: ZipWriter.crc32(data) });
+    return this;
+  }
+
+  toUint8Array() {
+    const { time, date } = this.getDosDateTime();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    this.entries.forEach(entry => {
+      // Bit 11: the name is UTF-8
+      const flags = entry.name.length !== entry.path.length ? 0x0800 : 0;
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, flags, true);
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.data.length, true);
+      local.setUint32(22, entry.data.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true); // no extra field
+      locals.push(new Uint8Array(local.buffer), entry.name, entry.data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true); // version made by
+      central.setUint16(6, 20, true); // version needed
+      central.setUint16(8, flags, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, entry.crc, true);
+      central.setUint32(20, entry.data.length, true);
+      central.setUint32(24, entry.data.length, true);
+      central.setUint16(28, entry.name.length, true);
+      central.setUint32(42, offset, true);
+      centrals.push(new Uint8Array(central.buffer), entry.name);
+
+      offset += 30 + entry.name.length + entry.data.length;
+    });
+
+    const centralSize = centrals.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return ZipWriter.concat([...locals, ...centrals, new Uint8Array(end.buffer)]);
+  }
+
+  toBlob(mimeType = 'application/zip') {
+    return new Blob([this.toUint8Array()], { type: mimeType });
+  }
+
+  // MS-DOS time and date fields, in local time, two-second resolution
+  getDosDateTime() {
+    const date = this.date;
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  static concat(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      result.set(part, offset);
+      offset += part.length;
+    });
+    return result;
+  }
+
+  static crc32(data) {
+    if (!ZipWriter.CRC_TABLE) {
+      ZipWriter.CRC_TABLE = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipWriter.CRC_TABLE[n] = c;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = ZipWriter.CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+ZipWriter.CRC_TABLE = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ZipWriter;
+} else {
+  window.ZipWriter = ZipWriter;
+}
@@ -0,0 +1,196 @@
+/**
+ * Automated Test for Author Highlight
+ *
+ * Tests:
+ * - Author extraction from old Reddit, New Reddit, sh.reddit and JSON-rendered comments
+ * - Starting picks the original poster and highlights their comments, case-insensitively
+ * - Next/previous step through the author's comments in document order and wrap around
+ * - Picking another author in the overlay moves the highlight
+ * - Comments loaded later are highlighted without restarting
+ * - Stopping removes the highlight and the overlay
+ *
+ * Runs against sample comments in a sandbox; run in the browser console on a
+ * Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Author Highlight Test Suite...');
+
+class AuthorHighlightTester extends SandboxTester {
+  constructor() {
+    super('author-highlight');
+    this.metadata = new CommentMetadataExtractor();
+    this.announcements = [];
+  }
+
+  oldComment(id, author, replies = '') {
+    return `
+      <div class="thing comment" data-fullname="t1_${id}" data-author="${author}">
+        <div class="entry"><p class="tagline"><a class="author">${author}</a></p><div class="usertext-body"><div class="md"><p>${id}</p></div></div></div>
+        <div class="child"><div class="sitetable listing">${replies}</div></div>
+      </div>`;
+  }
+
+  // The post in every version's markup, so the OP resolves whichever version this page is
+  posts(author) {
+    return `
+      <div class="thing link" data-fullname="t3_post" data-author="${author}"><a class="title">Post</a></div>
+      <shreddit-post id="t3_post" post-title="Post" author="${author}"></shreddit-post>
+      <div data-test-id="post-content"><h1>Post</h1><a data-testid="post_author_link">u/${author}</a></div>`;
+  }
+
+  mountThread() {
+    return this.mountFixture(
+      this.posts('OP_user') +
+      this.oldComment('a', 'OP_user', this.oldComment('b', 'alice', this.oldComment('c', 'op_user'))) +
+      this.oldComment('d', 'bob') +
+      this.oldComment('e', 'alice') +
+      this.oldComment('f', 'OP_user')
+    );
+  }
+
+  createHighlight() {
+    this.announcements = [];
+    return new AuthorHighlight({
+      metadata: this.metadata,
+      root: this.sandbox,
+      refreshDelay: 0,
+      announce: message => this.announcements.push(message)
+    });
+  }
+
+  ids(comments) {
+    return comments.map(comment => this.metadata.getFullname(comment)).join();
+  }
+
+  // Test 1: Author extraction per version
+  testAuthorExtraction() {
+    this.mountFixture(`
+      <div class="thing comment" data-fullname="t1_old" data-author="old_user"><div class="entry"><p class="tagline"><a class="author">old_user</a></p></div></div>
+      <div class="thing comment" data-fullname="t1_tagline"><div class="entry"><p class="tagline"><a class="author">tagline_user</a></p></div></div>
+      <div class="thing comment" data-fullname="t1_gone" data-author="[deleted]"><div class="entry"><p class="tagline"><span>[deleted]</span></p></div></div>
+      <shreddit-comment thingid="t1_sh" author="sh_user"></shreddit-comment>
+      <div id="t1_new"><a data-testid="comment_author_link">u/new_user</a></div>
+      <div class="reddit-expander-json-comment" data-reddit-expander-json-id="json" data-author="json_user"></div>`);
+
+    const authors = Array.from(this.sandbox.children).map(comment => this.metadata.getAuthor(comment));
+    this.unmountFixture();
+
+    const passed = authors.join() === 'old_user,tagline_user,,sh_user,new_user,json_user';
+    return this.logTest('Author Extraction Per Version', passed, { authors });
+  }
+
+  // Test 2: Default to the OP
+  testDefaultsToOp() {
+    this.mountThread();
+    const highlight = this.createHighlight();
+
+    const started = highlight.start();
+    const marked = this.ids(Array.from(this.sandbox.querySelectorAll('[data-reddit-expander-author-highlight]')));
+    const panel = document.querySelector('.reddit-expander-author-panel');
+    const options = panel ? Array.from(panel.querySelectorAll('option')).map(option => option.textContent) : [];
+    const count = panel ? panel.querySelector('.reddit-expander-author-count').textContent : null;
+    highlight.stop();
+    this.unmountFixture();
+
+    const passed = started && highlight.author === null &&
+      marked === 't1_a,t1_c,t1_f' &&
+      options[0] === 'OP_user (OP) · 3' && options.length === 3 &&
+      count === '3 comments' &&
+      this.announcements[0] === 'Highlighting 3 comments by OP_user';
+    return this.logTest('Defaults To The Original Poster', passed, { marked, options, count });
+  }
+
+  // Test 3: Navigation
+  testNavigation() {
+    this.mountThread();
+    const highlight = this.createHighlight();
+    highlight.start();
+
+    const steps = [highlight.next(), highlight.next(), highlight.next(), highlight.next(), highlight.previous()];
+    const count = document.querySelector('.reddit-expander-author-count').textContent;
+    const current = this.ids(Array.from(this.sandbox.querySelectorAll('.reddit-expander-author-current')));
+    highlight.stop();
+    this.unmountFixture();
+
+    const passed = this.ids(steps) === 't1_a,t1_c,t1_f,t1_a,t1_f' &&
+      count === '3/3' && current === 't1_f' &&
+      this.announcements[1] === 'Comment 1 of 3 by OP_user';
+    return this.logTest('Next And Previous Navigation', passed, { steps: this.ids(steps), count, current });
+  }
+
+  // Test 4: Picking another author
+  testPickAuthor() {
+    this.mountThread();
+    const highlight = this.createHighlight();
+    highlight.start();
+    highlight.next();
+
+    const select = document.querySelector('.reddit-expander-author-panel select');
+    select.value = 'alice';
+    select.dispatchEvent(new Event('change'));
+    const marked = this.ids(Array.from(this.sandbox.querySelectorAll('[data-reddit-expander-author-highlight]')));
+    const current = this.sandbox.querySelectorAll('.reddit-expander-author-current').length;
+    const first = highlight.next();
+    highlight.stop();
+    this.unmountFixture();
+
+    const passed = marked === 't1_b,t1_e' && current === 0 && this.metadata.getFullname(first) === 't1_b';
+    return this.logTest('Pick Another Author', passed, { marked, current });
+  }
+
+  // Test 5: Late comments
+  async testLateComments() {
+    const root = this.mountThread();
+    const highlight = this.createHighlight();
+    highlight.start();
+
+    root.insertAdjacentHTML('beforeend', this.oldComment('late', 'OP_user'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const marked = this.ids(highlight.comments);
+    const count = document.querySelector('.reddit-expander-author-count').textContent;
+    highlight.stop();
+    this.unmountFixture();
+
+    const passed = marked === 't1_a,t1_c,t1_f,t1_late' && count === '4 comments';
+    return this.logTest('Late Comments Highlighted', passed, { marked, count });
+  }
+
+  // Test 6: Stop cleans up
+  testStop() {
+    this.mountThread();
+    const highlight = this.createHighlight();
+    highlight.start();
+    highlight.next();
+    highlight.toggle();
+
+    const leftovers = this.sandbox.querySelectorAll('[data-reddit-expander-author-highlight], .reddit-expander-author-current').length;
+    const panel = !!document.querySelector('.reddit-expander-author-panel');
+    const missing = highlight.next();
+    this.unmountFixture();
+
+    const passed = leftovers === 0 && !panel && !highlight.isActive() && missing === null &&
+      this.announcements.includes('Author highlighting off');
+    return this.logTest('Stop Removes Highlight', passed, { leftovers, panel });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Author Highlight Tests...\n');
+
+    const tests = [
+      () => this.testAuthorExtraction(),
+      () => this.testDefaultsToOp(),
+      () => this.testNavigation(),
+      () => this.testPickAuthor(),
+      () => this.testLateComments(),
+      () => this.testStop()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(AuthorHighlightTester);
@@ -0,0 +1,153 @@
+/**
+ * Automated Test for Branch-Scoped Expansion
+ *
+ * Tests:
+ * - Old Reddit and sh.reddit branches are the comment's nested subtree
+ * - New Reddit branches are the following rows indented deeper than the root
+ * - Rows inserted by an expansion join the branch after refresh()
+ * - Stubs outside the branch are filtered out of the queue
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Branch Scope Test Suite...');
+
+class BranchScopeTester extends SandboxTester {
+  constructor() {
+    super('branch');
+    this.metadata = new CommentMetadataExtractor();
+  }
+
+  // Test 1: Old Reddit replies are nested inside the root comment
+  testOldRedditBranch() {
+    const root = this.mountFixture(`
+      <div class="thing comment" id="root" data-author="alice">
+        <div class="child"><div class="sitetable listing">
+          <div class="thing morechildren" id="inside"><a href="#">load more comments</a></div>
+        </div></div>
+      </div>
+      <div class="thing comment" id="sibling">
+        <div class="child"><div class="sitetable listing">
+          <div class="thing morechildren" id="outside"><a href="#">load more comments</a></div>
+        </div></div>
+      </div>`);
+
+    const scope = new BranchScope(root.querySelector('#root'), { metadata: this.metadata });
+    const inside = scope.contains(root.querySelector('#inside a'));
+    const outside = scope.contains(root.querySelector('#outside a'));
+    const label = scope.describe();
+    this.unmountFixture();
+
+    return this.logTest('Old Reddit Branch Containment', inside && !outside && label === "u/alice's comment", {
+      inside, outside, label
+    });
+  }
+
+  // Test 2: sh.reddit replies are nested shreddit-comment elements
+  testShRedditBranch() {
+    const root = this.mountFixture(`
+      <shreddit-comment-tree>
+        <shreddit-comment thingid="t1_a" depth="0" id="root">
+          <shreddit-comment thingid="t1_b" depth="1">
+            <faceplate-partial slot="more-comments" id="inside"><button>2 more replies</button></faceplate-partial>
+          </shreddit-comment>
+        </shreddit-comment>
+        <shreddit-comment thingid="t1_c" depth="0">
+          <faceplate-partial slot="more-comments" id="outside"><button>4 more replies</button></faceplate-partial>
+        </shreddit-comment>
+      </shreddit-comment-tree>`);
+
+    const scope = new BranchScope(root.querySelector('#root'), { metadata: this.metadata });
+    const inside = scope.contains(root.querySelector('#inside button'));
+    const outside = scope.contains(root.querySelector('#outside button'));
+    this.unmountFixture();
+
+    return this.logTest('sh.reddit Branch Containment', inside && !outside, { inside, outside });
+  }
+
+  // Test 3: New Reddit rows are flat; the branch ends at the next row at the root's depth
+  testNewRedditRows() {
+    const root = this.mountFixture(`
+      <div style="padding-left: 16px"><div id="t1_root">root comment</div></div>
+      <div style="padding-left: 37px"><div id="t1_reply">reply <p style="padding-left: 4px">body</p></div></div>
+      <div style="padding-left: 58px"><div id="moreComments-t1_reply"><button id="inside">3 more replies</button></div></div>
+      <div style="padding-left: 16px"><div id="t1_next">next top-level comment</div></div>
+      <div style="padding-left: 37px"><div id="moreComments-t1_next"><button id="outside">5 more replies</button></div></div>`);
+
+    const scope = new BranchScope(root.querySelector('#t1_root'), { metadata: this.metadata });
+    const inside = scope.contains(root.querySelector('#inside'));
+    const reply = scope.contains(root.querySelector('#t1_reply p'));
+    const outside = scope.contains(root.querySelector('#outside'));
+    const next = scope.contains(root.querySelector('#t1_next'));
+    this.unmountFixture();
+
+    const passed = inside && reply && !outside && !next && scope.rows.size === 2;
+    return this.logTest('New Reddit Flat Row Branch', passed, { inside, reply, outside, next, rows: scope.rows.size });
+  }
+
+  // Test 4: Rows loaded by an expansion join the branch on refresh()
+  testRefreshPicksUpNewRows() {
+    const root = this.mountFixture(`
+      <div style="padding-left: 16px"><div id="t1_root">root comment</div></div>
+      <div style="padding-left: 37px" id="stub-row"><button>2 more replies</button></div>
+      <div style="padding-left: 16px"><div id="t1_next">next top-level comment</div></div>`);
+
+    const scope = new BranchScope(root.querySelector('#t1_root'), { metadata: this.metadata });
+    const loaded = document.createElement('div');
+    loaded.style.paddingLeft = '58px';
+    loaded.innerHTML = '<div id="moreComments-t1_new"><button id="new-stub">1 more reply</button></div>';
+    root.querySelector('#stub-row').after(loaded);
+
+    const before = scope.contains(loaded.querySelector('#new-stub'));
+    scope.refresh();
+    const after = scope.contains(loaded.querySelector('#new-stub'));
+    this.unmountFixture();
+
+    return this.logTest('Refresh Picks Up Loaded Rows', !before && after, { before, after });
+  }
+
+  // Test 5: isFilteredOut drops stubs outside the branch before depth and smart filters
+  testQueueFiltering() {
+    const root = this.mountFixture(`
+      <div class="thing comment" id="root">
+        <div class="child"><div class="thing morechildren" id="inside"><a href="#">load more comments</a></div></div>
+      </div>
+      <div class="thing morechildren" id="outside"><a href="#">load more comments</a></div>`);
+
+    const context = {
+      branchScope: new BranchScope(root.querySelector('#root'), { metadata: this.metadata }),
+      maxDepth: 0,
+      smartFilters: null,
+      isBeyondMaxDepth: () => false
+    };
+    const filtered = id => CommentExpander.prototype.isFilteredOut.call(context, {
+      element: root.querySelector(`#${id} a`),
+      category: 'moreComments'
+    });
+
+    const decisions = { inside: filtered('inside'), outside: filtered('outside') };
+    this.unmountFixture();
+
+    return this.logTest('Out-of-Branch Stubs Are Filtered', !decisions.inside && decisions.outside, { decisions });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Branch Scope Tests...\n');
+
+    const tests = [
+      () => this.testOldRedditBranch(),
+      () => this.testShRedditBranch(),
+      () => this.testNewRedditRows(),
+      () => this.testRefreshPicksUpNewRows(),
+      () => this.testQueueFiltering()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(BranchScopeTester);
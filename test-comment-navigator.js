@@ -0,0 +1,246 @@
+/**
+ * Automated Test for Keyboard Comment Navigation
+ *
+ * Tests:
+ * - Next/previous comment walk the visible comments in document order
+ * - Parent, next/previous sibling and first reply follow the tree
+ * - Comments inside collapsed branches are skipped
+ * - The focused comment gets the focus ring and is announced with author, level and score
+ * - Enter collapses and expands old Reddit, sh.reddit and JSON-rendered comments
+ * - Tree keys are ignored with modifiers, in text fields, with RES present and (for Enter)
+ *   on links or anything but the focused comment
+ *
+ * Runs against sample comments in a sandbox; run in the browser console on a
+ * Reddit comment page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Comment Navigator Test Suite...');
+
+class CommentNavigatorTester extends SandboxTester {
+  constructor() {
+    super('comment-navigator');
+    this.metadata = new CommentMetadataExtractor();
+    this.announcements = [];
+  }
+
+  oldComment(id, author, score, replies = '') {
+    return `
+      <div class="thing comment noncollapsed" data-fullname="t1_${id}" data-author="${author}">
+        <div class="entry"><p class="tagline"><a class="author">${author}</a> ${this.scoreSpans(score)}</p><div class="usertext-body"><div class="md"><p>comment ${id}</p></div></div></div>
+        <div class="child"><div class="sitetable listing">${replies}</div></div>
+      </div>`;
+  }
+
+  // a ─┬─ b ── c
+  //    └─ d
+  // e ── f
+  mountThread() {
+    return this.mountFixture(
+      this.oldComment('a', 'alice', 12, this.oldComment('b', 'bob', -4, this.oldComment('c', 'carol', 1)) + this.oldComment('d', 'dave', 3)) +
+      this.oldComment('e', 'erin', 7, this.oldComment('f', 'frank', 0))
+    );
+  }
+
+  createNavigator() {
+    this.announcements = [];
+    return new CommentNavigator({
+      metadata: this.metadata,
+      root: this.sandbox,
+      announce: message => this.announcements.push(message)
+    });
+  }
+
+  comment(id) {
+    return this.sandbox.querySelector(`[data-fullname="t1_${id}"]`);
+  }
+
+  id(comment) {
+    return comment ? this.metadata.getFullname(comment).replace('t1_', '') : null;
+  }
+
+  // Test 1: Next / previous
+  testNextPrevious() {
+    this.mountThread();
+    const navigator = this.createNavigator();
+
+    navigator.focus(this.comment('a'));
+    const forward = [navigator.next(), navigator.next(), navigator.next(), navigator.next(), navigator.next(), navigator.next()];
+    const backward = [navigator.previous(), navigator.previous()];
+    navigator.stop();
+    this.unmountFixture();
+
+    const passed = forward.map(comment => this.id(comment)).join() === 'b,c,d,e,f,' &&
+      backward.map(comment => this.id(comment)).join() === 'e,d' &&
+      this.announcements.includes('Last comment');
+    return this.logTest('Next And Previous Comment', passed, { forward: forward.map(comment => this.id(comment)) });
+  }
+
+  // Test 2: Tree moves
+  testTreeMoves() {
+    this.mountThread();
+    const navigator = this.createNavigator();
+
+    navigator.focus(this.comment('c'));
+    const moves = [
+      navigator.parent(), // b
+      navigator.nextSibling(), // d
+      navigator.nextSibling(), // none: d is a's last reply
+      navigator.previousSibling(), // b
+      navigator.parent(), // a
+      navigator.parent(), // none: top level
+      navigator.nextSibling(), // e
+      navigator.firstChild(), // f
+      navigator.firstChild() // none
+    ];
+    navigator.stop();
+    this.unmountFixture();
+
+    const ids = moves.map(comment => this.id(comment)).join();
+    const passed = ids === 'b,d,,b,a,,e,f,' &&
+      this.announcements.includes('No next sibling') &&
+      this.announcements.includes('Top-level comment, no parent') &&
+      this.announcements.includes('No replies shown');
+    return this.logTest('Parent, Sibling And Child Moves', passed, { ids });
+  }
+
+  // Test 3: Collapsed branches
+  testSkipsCollapsed() {
+    this.mountThread();
+    const navigator = this.createNavigator();
+    this.comment('a').querySelector(':scope > .child').style.display = 'none';
+
+    navigator.focus(this.comment('a'));
+    const next = navigator.next();
+    const child = navigator.firstChild();
+    navigator.stop();
+    this.unmountFixture();
+
+    const passed = this.id(next) === 'e' && this.id(child) === 'f';
+    return this.logTest('Collapsed Branches Skipped', passed, { next: this.id(next), child: this.id(child) });
+  }
+
+  // Test 4: Focus ring and announcement
+  testFocusAndAnnouncement() {
+    this.mountThread();
+    const navigator = this.createNavigator();
+
+    navigator.focus(this.comment('a'));
+    const moved = navigator.firstChild();
+    const ring = Array.from(this.sandbox.querySelectorAll('.reddit-expander-nav-focus')).map(comment => this.id(comment)).join();
+    const focused = document.activeElement === moved;
+    const previousTabindex = this.comment('a').hasAttribute('tabindex');
+    navigator.stop();
+    const leftovers = this.sandbox.querySelectorAll('.reddit-expander-nav-focus, [tabindex]').length;
+    this.unmountFixture();
+
+    const passed = ring === 'b' && focused && !previousTabindex && leftovers === 0 &&
+      this.announcements[0] === 'Comment by alice, level 1, 12 points' &&
+      this.announcements[1] === 'Comment by bob, level 2, -4 points';
+    return this.logTest('Focus Ring And Announcement', passed, { ring, focused, announcements: this.announcements });
+  }
+
+  // Test 5: Collapse toggle per version
+  testToggleCollapse() {
+    this.mountFixture(`
+      ${this.oldComment('old', 'alice', 1, this.oldComment('oldreply', 'bob', 1))}
+      <shreddit-comment thingid="t1_sh" author="sh_user" depth="0" score="5" style="display:block">sh</shreddit-comment>
+      <div class="reddit-expander-json-comment" data-reddit-expander-json-id="json" data-fullname="t1_json" data-author="json_user" data-depth="0">
+        <div class="reddit-expander-json-body">body</div>
+        <div class="reddit-expander-json-children"></div>
+      </div>`);
+    const navigator = this.createNavigator();
+
+    const states = ['old', 'sh', 'json'].map(id => {
+      const comment = this.comment(id) || this.sandbox.querySelector(`[thingid="t1_${id}"]`);
+      navigator.focus(comment);
+      navigator.toggleCollapse();
+      const collapsed = navigator.isCollapsed(comment);
+      navigator.toggleCollapse();
+      return `${collapsed}/${navigator.isCollapsed(comment)}`;
+    });
+    navigator.stop();
+    this.unmountFixture();
+
+    const passed = states.join() === 'true/false,true/false,true/false' &&
+      this.announcements.includes('Comment by sh_user, level 1, 5 points, collapsed');
+    return this.logTest('Collapse Toggle Per Version', passed, { states });
+  }
+
+  // Test 6: Key filtering in AccessibilityManager
+  testKeyFiltering() {
+    this.mountFixture(`<input type="text"><a href="#top">link</a><span tabindex="0">comment text</span>
+      <div class="reddit-expander-nav-focus" tabindex="-1">focused comment</div>`);
+    const manager = Object.create(AccessibilityManager.prototype);
+    manager.keyboardNav = {
+      isEnabled: true,
+      treeNavigation: true,
+      treeShortcuts: { J: 'nextComment', 'Shift+J': 'nextSibling', ENTER: 'toggleCollapse' }
+    };
+
+    // Record the actions without letting the content script move focus on the real page
+    const actions = [];
+    const record = event => {
+      actions.push(event.detail.action);
+      event.stopImmediatePropagation();
+    };
+    document.addEventListener('redditExpander:navigate', record, true);
+
+    const press = (target, key, init = {}) => {
+      const listener = event => manager.handleTreeNavigationKey(event);
+      target.addEventListener('keydown', listener);
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, composed: true, ...init });
+      target.dispatchEvent(event);
+      target.removeEventListener('keydown', listener);
+      return event.defaultPrevented;
+    };
+
+    // Run without RES first, whether or not this page has it
+    const root = document.documentElement;
+    const hadRes = root.classList.contains('res');
+    root.classList.remove('res');
+
+    const [input, link, text, focused] = this.sandbox.children;
+    const prevented = [
+      press(text, 'j'),
+      press(text, 'J', { shiftKey: true }),
+      press(text, 'j', { altKey: true, shiftKey: true }),
+      press(input, 'j'),
+      press(link, 'Enter'),
+      press(text, 'Enter'),
+      press(focused, 'Enter')
+    ];
+
+    // With RES on the page its own J/K selection wins
+    root.classList.add('res');
+    const withRes = press(text, 'j');
+    root.classList.toggle('res', hadRes);
+
+    document.removeEventListener('redditExpander:navigate', record, true);
+    this.unmountFixture();
+
+    const passed = prevented.join() === 'true,true,false,false,false,false,true' && !withRes &&
+      actions.join() === 'nextComment,nextSibling,toggleCollapse';
+    return this.logTest('Tree Keys Stay Out Of Text Fields', passed, { prevented, withRes, actions });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Comment Navigator Tests...\n');
+
+    const tests = [
+      () => this.testNextPrevious(),
+      () => this.testTreeMoves(),
+      () => this.testSkipsCollapsed(),
+      () => this.testFocusAndAnnouncement(),
+      () => this.testToggleCollapse(),
+      () => this.testKeyFiltering()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(CommentNavigatorTester);
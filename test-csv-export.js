@@ -0,0 +1,177 @@
+/**
+ * Automated Test for the CSV Export
+ *
+ * Tests:
+ * - One row per comment in page order with the documented columns
+ * - Quoting of delimiters, quotes and line breaks (round-trips through an RFC 4180 parser)
+ * - Formula-looking text is neutralized
+ * - Column selection and delimiter choice
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting CSV Export Test Suite...');
+
+class CsvExportTester extends SandboxTester {
+  comment(id, parentId, depth, author, score, bodyHtml, replies = [], expandedBy = null) {
+    return {
+      id,
+      parentId,
+      author,
+      score,
+      flair: null,
+      createdAt: Date.parse('2024-03-01T13:00:00Z'),
+      editedAt: null,
+      permalink: null,
+      depth,
+      body: bodyHtml.replace(/<[^>]+>/g, ''),
+      bodyHtml,
+      flags: { deleted: false, crowdControl: false, contestMode: false },
+      expandedBy,
+      replies
+    };
+  }
+
+  createThread() {
+    return {
+      version: 'oldReddit',
+      url: 'https://old.reddit.com/r/test/comments/abc/thread/',
+      extractedAt: Date.now(),
+      post: { id: 't3_abc', title: 'CSV', subreddit: 'r/test' },
+      comments: [
+        this.comment('t1_a', 't3_abc', 0, 'alice', 12, '<p>Hello, "world"</p><p>Second paragraph</p>', [
+          this.comment('t1_b', 't1_a', 1, 'bob', -2, '<p>=HYPERLINK("http://evil.example")</p>', [], 'moreReplies')
+        ]),
+        this.comment('t1_c', 't3_abc', 0, null, null, '<p>semi;colon and ünïcödé 👍</p>', [], 'collapsed')
+      ],
+      commentCount: 3
+    };
+  }
+
+  // Minimal RFC 4180 reader, to check what a spreadsheet would see
+  parse(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\r' && input[i + 1] === '\n') {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        i++;
+      } else {
+        field += char;
+      }
+    }
+    return rows;
+  }
+
+  // Test 1: Header and rows in page order
+  testRows() {
+    const csv = new CsvExporter().serialize(this.createThread());
+    const rows = this.parse(csv);
+
+    const header = rows[0].join(',');
+    const passed = csv.startsWith('\uFEFF') &&
+      header === 'id,parent_id,depth,author,score,timestamp,char_count,expanded_by,body' &&
+      rows.length === 4 &&
+      rows.slice(1).map(row => row[0]).join() === 't1_a,t1_b,t1_c' &&
+      rows[2][1] === 't1_a' && rows[2][2] === '1' && rows[2][7] === 'moreReplies' &&
+      rows[1][5] === '2024-03-01T13:00:00.000Z' && rows[1][7] === '' &&
+      rows[3][3] === '' && rows[3][4] === '';
+    return this.logTest('Rows In Page Order', passed, { rows });
+  }
+
+  // Test 2: Quotes, delimiters and paragraph breaks survive
+  testQuoting() {
+    const csv = new CsvExporter().serialize(this.createThread());
+    const rows = this.parse(csv);
+    const body = rows[1][8];
+
+    const passed = body === 'Hello, "world"\nSecond paragraph' &&
+      rows[1][6] === String(Array.from(body).length) &&
+      csv.includes('"Hello, ""world""\nSecond paragraph"') &&
+      rows[3][6] === String(Array.from('semi;colon and ünïcödé 👍').length);
+    return this.logTest('Quoting And Line Breaks', passed, { body, charCount: rows[1][6] });
+  }
+
+  // Test 3: Formulas are neutralized, negative numbers are not
+  testFormulaGuard() {
+    const rows = this.parse(new CsvExporter().serialize(this.createThread()));
+    const passed = rows[2][8] === '\'=HYPERLINK("http://evil.example")' && rows[2][4] === '-2';
+    return this.logTest('Formula Guard', passed, { body: rows[2][8], score: rows[2][4] });
+  }
+
+  // Test 4: Selected columns in canonical order; nothing selected means all
+  testColumnSelection() {
+    const exporter = new CsvExporter();
+    const selected = this.parse(exporter.serialize(this.createThread(), { columns: ['body', 'id', 'bogus'] }));
+    const none = this.parse(exporter.serialize(this.createThread(), { columns: [] }));
+
+    const passed = selected[0].join(',') === 'id,body' && selected[1].length === 2 && none[0].length === CsvExporter.COLUMNS.length;
+    return this.logTest('Column Selection', passed, { header: selected[0] });
+  }
+
+  // Test 5: Semicolon and tab delimiters
+  testDelimiters() {
+    const exporter = new CsvExporter();
+    const thread = this.createThread();
+    const semicolon = exporter.serialize(thread, { delimiter: 'semicolon', columns: ['id', 'body'] });
+    const tab = exporter.serialize(thread, { delimiter: 'tab', columns: ['id', 'body'] });
+    const comma = exporter.serialize(thread, { columns: ['id', 'body'] });
+
+    const passed = this.parse(semicolon, ';')[3][1] === 'semi;colon and ünïcödé 👍' &&
+      semicolon.includes('"semi;colon') &&
+      !comma.includes('"semi;colon') &&
+      this.parse(tab, '\t')[0].join('|') === 'id|body' &&
+      this.parse(tab, '\t')[1][1] === 'Hello, "world"\nSecond paragraph';
+    return this.logTest('Delimiter Choice', passed);
+  }
+
+  // Test 6: Registered as an export format
+  testRegistry() {
+    const exporter = new ThreadExporter({ extractor: { extract: () => null } });
+    const csv = exporter.getFormats().find(format => format.name === 'csv');
+    return this.logTest('CSV Format Registered', !!csv && csv.label === 'CSV', { formats: exporter.getFormats() });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running CSV Export Tests...\n');
+
+    const tests = [
+      () => this.testRows(),
+      () => this.testQuoting(),
+      () => this.testFormulaGuard(),
+      () => this.testColumnSelection(),
+      () => this.testDelimiters(),
+      () => this.testRegistry()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(CsvExportTester);
@@ -0,0 +1,159 @@
+/**
+ * Automated Test for Depth-Limited Expansion
+ *
+ * Tests:
+ * - Stub depth on old Reddit, new Reddit and sh.reddit markup
+ * - Stubs at or below maxDepth are skipped, top-level stubs and toggles never are
+ * - Skipped stubs are counted once across rescans
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Depth Limit Test Suite...');
+
+class DepthLimitTester extends SandboxTester {
+  constructor() {
+    super('depth');
+    this.metadata = new CommentMetadataExtractor();
+  }
+
+  // Stand-in for the parts of CommentExpander that isBeyondMaxDepth uses
+  createDepthContext(maxDepth) {
+    return {
+      maxDepth,
+      commentMetadata: this.metadata,
+      isStubBeyondDepth: CommentExpander.prototype.isStubBeyondDepth,
+      depthSkipped: new WeakSet(),
+      depthSkippedCount: 0
+    };
+  }
+
+  // Test 1: Old Reddit stubs are one level below the comment they hang under
+  testOldRedditDepth() {
+    const root = this.mountFixture(`
+      <div class="sitetable nestedlisting">
+        <div class="thing comment" data-fullname="t1_a">
+          <div class="child"><div class="sitetable listing">
+            <div class="thing comment" data-fullname="t1_b">
+              <div class="child"><div class="sitetable listing">
+                <div class="thing morechildren" id="stub-b"><span class="morecomments"><a href="#">load more comments</a></span></div>
+              </div></div>
+            </div>
+            <div class="thing morechildren" id="stub-a"><span class="morecomments"><a href="#">load more comments</a></span></div>
+          </div></div>
+        </div>
+        <div class="thing morechildren" id="stub-top"><span class="morecomments"><a href="#">load more comments</a></span></div>
+      </div>`);
+
+    const depths = ['stub-top', 'stub-a', 'stub-b'].map(id => this.metadata.getStubDepth(root.querySelector(`#${id} a`)));
+    this.unmountFixture();
+
+    return this.logTest('Old Reddit Stub Depth', JSON.stringify(depths) === JSON.stringify([0, 1, 2]), { depths });
+  }
+
+  // Test 2: sh.reddit reads the parent's depth attribute
+  testShRedditDepth() {
+    const root = this.mountFixture(`
+      <shreddit-comment-tree>
+        <shreddit-comment thingid="t1_x" depth="0">
+          <shreddit-comment thingid="t1_y" depth="1">
+            <faceplate-partial slot="more-comments" id="stub-y"><button>2 more replies</button></faceplate-partial>
+          </shreddit-comment>
+          <a slot="more-comments-permalink" id="continue-x" href="/r/test/comments/abc/_/x/">Continue this thread</a>
+        </shreddit-comment>
+      </shreddit-comment-tree>`);
+
+    const moreDepth = this.metadata.getStubDepth(root.querySelector('#stub-y button'));
+    const continueDepth = this.metadata.getStubDepth(root.querySelector('#continue-x'));
+    this.unmountFixture();
+
+    return this.logTest('sh.reddit Stub Depth', moreDepth === 2 && continueDepth === 1, { moreDepth, continueDepth });
+  }
+
+  // Test 3: New Reddit rows are flat; depth comes from the row indentation
+  testNewRedditDepth() {
+    const root = this.mountFixture(`
+      <div style="padding-left: 16px"><div id="t1_top">top-level comment</div></div>
+      <div style="padding-left: 37px"><div id="t1_reply">reply</div></div>
+      <div style="padding-left: 58px"><div id="moreComments-t1_reply"><button>3 more replies</button></div></div>`);
+
+    const commentDepth = this.metadata.extract(root.querySelector('#t1_reply')).depth;
+    const stubDepth = this.metadata.getStubDepth(root.querySelector('#moreComments-t1_reply button'));
+    this.unmountFixture();
+
+    return this.logTest('New Reddit Indent Depth', commentDepth === 1 && stubDepth === 2, { commentDepth, stubDepth });
+  }
+
+  // Test 4: Which stubs are skipped for maxDepth 2
+  testSkipDecisions() {
+    const root = this.mountFixture(`
+      <div class="thing comment" data-fullname="t1_a">
+        <div class="entry"><p class="tagline"><a class="expand" id="toggle-deep" href="#">[+]</a></p></div>
+        <div class="child"><div class="sitetable listing">
+          <div class="thing comment" data-fullname="t1_b">
+            <div class="child"><div class="sitetable listing">
+              <div class="thing morechildren" id="stub-b"><a href="#">load more comments</a></div>
+            </div></div>
+          </div>
+          <div class="thing morechildren" id="stub-a"><a href="#">load more comments</a></div>
+        </div></div>
+      </div>
+      <div class="thing morechildren" id="stub-top"><a href="#">load more comments</a></div>`);
+
+    const context = this.createDepthContext(2);
+    const check = (selector, category) =>
+      CommentExpander.prototype.isBeyondMaxDepth.call(context, { element: root.querySelector(selector), category });
+
+    const decisions = {
+      top: check('#stub-top a', 'moreComments'),
+      depth1: check('#stub-a a', 'moreReplies'),
+      depth2: check('#stub-b a', 'moreReplies'),
+      toggle: check('#toggle-deep', 'collapsed')
+    };
+    check('#stub-b a', 'moreReplies'); // Rescan of the same stub
+    this.unmountFixture();
+
+    const passed = !decisions.top && !decisions.depth1 && decisions.depth2 && !decisions.toggle &&
+      context.depthSkippedCount === 1;
+    return this.logTest('Skip Decisions For maxDepth 2', passed, { decisions, skipped: context.depthSkippedCount });
+  }
+
+  // Test 5: maxDepth 0 means unlimited
+  testUnlimited() {
+    const root = this.mountFixture(`
+      <div class="thing comment"><div class="child">
+        <div class="thing comment"><div class="child">
+          <div class="thing morechildren" id="deep"><a href="#">load more comments</a></div>
+        </div></div>
+      </div></div>`);
+
+    const context = this.createDepthContext(0);
+    const skipped = CommentExpander.prototype.isBeyondMaxDepth.call(context, {
+      element: root.querySelector('#deep a'),
+      category: 'moreReplies'
+    });
+    this.unmountFixture();
+
+    return this.logTest('maxDepth 0 Is Unlimited', skipped === false, { skipped });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Depth Limit Tests...\n');
+
+    const tests = [
+      () => this.testOldRedditDepth(),
+      () => this.testShRedditDepth(),
+      () => this.testNewRedditDepth(),
+      () => this.testSkipDecisions(),
+      () => this.testUnlimited()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(DepthLimitTester);
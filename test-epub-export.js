@@ -0,0 +1,249 @@
+/**
+ * Automated Test for the EPUB Export
+ *
+ * Unzips the generated book and validates its structure:
+ * - OCF container: "mimetype" first and uncompressed, container.xml points to the package
+ * - Package document: required metadata, every manifest item present, spine and nav
+ * - Every content document is well-formed XHTML
+ * - One chapter per top-level comment with replies nested inside
+ * - Links between comments resolve to the chapter that holds them
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting EPUB Export Test Suite...');
+
+class EpubExportTester extends SandboxTester {
+  comment(id, parentId, depth, author, bodyHtml, replies = []) {
+    return {
+      id,
+      parentId,
+      author,
+      score: 7,
+      flair: null,
+      createdAt: Date.parse('2024-03-01T13:00:00Z'),
+      editedAt: null,
+      permalink: null,
+      depth,
+      body: bodyHtml.replace(/<[^>]+>/g, ''),
+      bodyHtml,
+      flags: { deleted: false, crowdControl: false, contestMode: false },
+      expandedBy: null,
+      replies
+    };
+  }
+
+  // (a → b → c), d linking to b, e
+  createThread() {
+    return {
+      version: 'oldReddit',
+      url: 'https://old.reddit.com/r/IAmA/comments/abc/ama/',
+      extractedAt: Date.parse('2024-03-02T08:30:00Z'),
+      post: {
+        id: 't3_abc',
+        title: 'I am a <test> & AMA',
+        author: 'host',
+        score: 900,
+        createdAt: Date.parse('2024-03-01T12:00:00Z'),
+        permalink: 'https://old.reddit.com/r/IAmA/comments/abc/ama/',
+        subreddit: 'r/IAmA',
+        url: null,
+        body: 'Ask me',
+        bodyHtml: '<p>Ask me&nbsp;anything<br>really</p>'
+      },
+      comments: [
+        this.comment('t1_a', 't3_abc', 0, 'alice', '<p>Question one</p>', [
+          this.comment('t1_b', 't1_a', 1, 'host', '<p>Answer <img src="https://i.redd.it/x.png" alt="chart"></p>', [
+            this.comment('t1_c', 't1_b', 2, 'alice', '<p>Thanks\u0001</p>')
+          ])
+        ]),
+        this.comment('t1_d', 't3_abc', 0, 'dave', '<p>See <a href="https://old.reddit.com/r/IAmA/comments/abc/ama/b/">this answer</a><script>x()</script></p>'),
+        this.comment('t1_e', 't3_abc', 0, null, '<p>[deleted]</p>')
+      ],
+      commentCount: 5
+    };
+  }
+
+  /**
+   * Minimal ZIP reader: central directory entries with their local header and data
+   */
+  unzip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    let end = bytes.length - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < 0) throw new Error('No end of central directory');
+
+    const count = view.getUint16(end + 10, true);
+    let pointer = view.getUint32(end + 16, true);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(pointer, true) !== 0x02014b50) throw new Error('Bad central directory entry');
+      const nameLength = view.getUint16(pointer + 28, true);
+      const extraLength = view.getUint16(pointer + 30, true);
+      const commentLength = view.getUint16(pointer + 32, true);
+      const offset = view.getUint32(pointer + 42, true);
+      const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+
+      if (view.getUint32(offset, true) !== 0x04034b50) throw new Error(`Bad local header for ${name}`);
+      const localNameLength = view.getUint16(offset + 26, true);
+      const localExtraLength = view.getUint16(offset + 28, true);
+      const size = view.getUint32(offset + 18, true);
+      const start = offset + 30 + localNameLength + localExtraLength;
+      const data = bytes.subarray(start, start + size);
+
+      entries.push({
+        name,
+        offset,
+        method: view.getUint16(offset + 8, true),
+        localExtraLength,
+        crc: view.getUint32(offset + 14, true),
+        data,
+        text: decoder.decode(data)
+      });
+      pointer += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  build() {
+    const bytes = new EpubExporter().serialize(this.createThread());
+    const entries = this.unzip(bytes);
+    const files = new Map(entries.map(entry => [entry.name, entry]));
+    return { bytes, entries, files };
+  }
+
+  parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    return doc.getElementsByTagName('parsererror').length > 0 ? null : doc;
+  }
+
+  getPackage(files) {
+    return this.parseXml(files.get('OEBPS/content.opf').text);
+  }
+
+  // Test 1: OCF container rules
+  testContainer() {
+    const { bytes, entries, files } = this.build();
+    const first = entries[0];
+    const signature = new TextDecoder().decode(bytes.subarray(30, 58));
+    const container = this.parseXml(files.get('META-INF/container.xml').text);
+    const rootfile = container && container.getElementsByTagName('rootfile')[0];
+
+    const passed = first.name === 'mimetype' && first.offset === 0 && first.method === 0 &&
+      first.localExtraLength === 0 && signature === 'mimetypeapplication/epub+zip' &&
+      entries.every(entry => entry.method === 0 && entry.crc === ZipWriter.crc32(entry.data)) &&
+      ZipWriter.crc32(new TextEncoder().encode('123456789')) === 0xcbf43926 &&
+      !!rootfile && rootfile.getAttribute('media-type') === 'application/oebps-package+xml' &&
+      files.has(rootfile.getAttribute('full-path'));
+    return this.logTest('OCF Container', passed, { entries: entries.map(entry => entry.name) });
+  }
+
+  // Test 2: Package metadata, manifest and spine
+  testPackage() {
+    const { files } = this.build();
+    const opf = this.getPackage(files);
+    const dc = name => Array.from(opf.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', name)).map(node => node.textContent);
+    const pkg = opf.documentElement;
+    const identifier = opf.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', 'identifier')[0];
+    const modified = Array.from(opf.getElementsByTagName('meta')).find(meta => meta.getAttribute('property') === 'dcterms:modified');
+    const items = Array.from(opf.getElementsByTagName('item'));
+    const ids = new Set(items.map(item => item.getAttribute('id')));
+    const spine = Array.from(opf.getElementsByTagName('itemref')).map(itemref => itemref.getAttribute('idref'));
+    const content = Array.from(files.keys()).filter(name => name.startsWith('OEBPS/') && name !== 'OEBPS/content.opf');
+
+    const passed = pkg.getAttribute('version') === '3.0' &&
+      identifier.getAttribute('id') === pkg.getAttribute('unique-identifier') &&
+      dc('title')[0] === 'I am a <test> & AMA' &&
+      dc('language')[0] === 'en' &&
+      dc('subject').includes('r/IAmA') &&
+      dc('date')[0] === '2024-03-01T12:00:00Z' &&
+      !!modified && modified.textContent === '2024-03-02T08:30:00Z' &&
+      items.every(item => files.has(`OEBPS/${item.getAttribute('href')}`)) &&
+      content.every(name => items.some(item => `OEBPS/${item.getAttribute('href')}` === name)) &&
+      items.filter(item => (item.getAttribute('properties') || '').split(' ').includes('nav')).length === 1 &&
+      spine.length > 0 && spine.every(idref => ids.has(idref));
+    return this.logTest('Package Document', passed, { spine, title: dc('title')[0] });
+  }
+
+  // Test 3: Every content document is well-formed XHTML
+  testWellFormed() {
+    const { files } = this.build();
+    const documents = Array.from(files.values()).filter(entry => /\.(xhtml|ncx|opf|xml)$/.test(entry.name));
+    const broken = documents.filter(entry => {
+      const doc = this.parseXml(entry.text);
+      if (!doc) return true;
+      return entry.name.endsWith('.xhtml') && doc.documentElement.namespaceURI !== 'http://www.w3.org/1999/xhtml';
+    }).map(entry => entry.name);
+    const unsafe = documents.filter(entry => /<(script|img)\b/.test(entry.text) || /\u0001/.test(entry.text)).map(entry => entry.name);
+
+    return this.logTest('Well-Formed XHTML', documents.length === 8 && broken.length === 0 && unsafe.length === 0, { broken, unsafe });
+  }
+
+  // Test 4: Chapters follow top-level comments; replies nest; nav lists them in spine order
+  testChapters() {
+    const { files } = this.build();
+    const opf = this.getPackage(files);
+    const hrefs = new Map(Array.from(opf.getElementsByTagName('item')).map(item => [item.getAttribute('id'), item.getAttribute('href')]));
+    const spineFiles = Array.from(opf.getElementsByTagName('itemref')).map(itemref => hrefs.get(itemref.getAttribute('idref')));
+    const chapterFiles = spineFiles.filter(file => file.startsWith('chapter-'));
+
+    const first = this.parseXml(files.get(`OEBPS/${chapterFiles[0]}`).text);
+    const reply = first.getElementById('t1_c');
+    const nested = !!reply && reply.parentNode.parentNode.getAttribute('id') === 't1_b' &&
+      first.getElementById('t1_b').parentNode.parentNode.getAttribute('id') === 't1_a';
+
+    const nav = this.parseXml(files.get('OEBPS/nav.xhtml').text);
+    const navLinks = Array.from(nav.getElementsByTagName('a')).map(link => link.getAttribute('href'));
+    const navLabels = Array.from(nav.getElementsByTagName('a')).map(link => link.textContent);
+    const ncxPoints = this.parseXml(files.get('OEBPS/toc.ncx').text).getElementsByTagName('navPoint').length;
+
+    const passed = chapterFiles.length === 3 && nested &&
+      JSON.stringify(navLinks) === JSON.stringify(spineFiles) &&
+      navLabels[1] === 'u/alice: Question one' && navLabels[3] === '[deleted]: [deleted]' &&
+      ncxPoints === spineFiles.length;
+    return this.logTest('Chapters And Table Of Contents', passed, { chapterFiles, navLabels });
+  }
+
+  // Test 5: Links to comments point into the chapter that holds them; bodies are sanitized
+  testLinks() {
+    const { files } = this.build();
+    const second = this.parseXml(files.get('OEBPS/chapter-002.xhtml').text);
+    const links = Array.from(second.getElementsByTagName('a')).map(link => link.getAttribute('href'));
+    const first = files.get('OEBPS/chapter-001.xhtml').text;
+    const title = files.get('OEBPS/title.xhtml').text;
+
+    const passed = links.includes('chapter-001.xhtml#t1_b') &&
+      first.includes('href="https://i.redd.it/x.png"') && first.includes('[image: chart]') &&
+      /Ask me\u00a0anything<br ?\/>really/.test(title);
+    return this.logTest('Cross-Chapter Links', passed, { links });
+  }
+
+  // Test 6: Registered as an export format
+  testRegistry() {
+    const exporter = new ThreadExporter({ extractor: { extract: () => null } });
+    const epub = exporter.getFormats().find(format => format.name === 'epub');
+    return this.logTest('EPUB Format Registered', !!epub && epub.label === 'EPUB', { formats: exporter.getFormats() });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running EPUB Export Tests...\n');
+
+    const tests = [
+      () => this.testContainer(),
+      () => this.testPackage(),
+      () => this.testWellFormed(),
+      () => this.testChapters(),
+      () => this.testLinks(),
+      () => this.testRegistry()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(EpubExportTester);
@@ -0,0 +1,185 @@
+/**
+ * Automated Test for the Dry-Run Expansion Preview
+ *
+ * Tests:
+ * - Hidden comment counts read from button labels on each Reddit version
+ * - Duration estimates from the default speed and from batch history
+ * - Per-category breakdown, opt-in categories and uncounted buttons
+ * - Nothing is clicked during a preview
+ * - The live expander's filters and depth limit are left as they were
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Expansion Preview Test Suite...');
+
+class ExpansionPreviewTester extends SandboxTester {
+  constructor() {
+    super('preview');
+  }
+
+  // CommentExpander with only what preview() touches, scanning a fixed list of items
+  createPreviewContext(items) {
+    const context = Object.create(CommentExpander.prototype);
+    Object.assign(context, {
+      detector: {
+        getAllExpandableElements: () => items,
+        getHiddenCount: element => RedditDetector.prototype.getHiddenCount.call(null, element)
+      },
+      batchManager: new AdaptiveBatchManager(),
+      commentMetadata: new CommentMetadataExtractor(),
+      smartFilters: null
+    });
+    return context;
+  }
+
+  // Test 1: Counts from "N more replies" style labels
+  testHiddenCounts() {
+    const root = this.mountFixture(`
+      <button id="sh">12 more replies</button>
+      <span class="morecomments"><a id="old" href="#">load more comments (1,234 replies)</a></span>
+      <button id="aria" aria-label="Load 5 more comments"></button>
+      <a id="continue" href="#">Continue this thread</a>
+      <a id="toggle" class="expand" href="#">[+]</a>`);
+
+    const count = id => RedditDetector.prototype.getHiddenCount.call(null, root.querySelector(`#${id}`));
+    const counts = {
+      sh: count('sh'),
+      old: count('old'),
+      aria: count('aria'),
+      continue: count('continue'),
+      toggle: count('toggle')
+    };
+    this.unmountFixture();
+
+    const passed = counts.sh === 12 && counts.old === 1234 && counts.aria === 5 &&
+      counts.continue === null && counts.toggle === null;
+    return this.logTest('Hidden Counts From Labels', passed, { counts });
+  }
+
+  // Test 2: Without history the target speed is used
+  testDefaultEstimate() {
+    const manager = new AdaptiveBatchManager();
+    const estimate = manager.estimateDuration(10);
+
+    // 10 buttons at 2.5/s = 4s, plus 4 batches of 3 with a 500ms pause each
+    const passed = estimate.basis === 'default' && estimate.ms === 6000;
+    return this.logTest('Default Speed Estimate', passed, { estimate });
+  }
+
+  // Test 3: Measured speed survives the reset at the start of the next run
+  testHistoryEstimate() {
+    const manager = new AdaptiveBatchManager();
+    manager.recordBatchPerformance(5, 1000, 5, 5); // 5 buttons per second
+    manager.reset();
+    const estimate = manager.estimateDuration(10);
+
+    const passed = estimate.basis === 'history' && estimate.elementsPerSecond === 5 && estimate.ms === 4000;
+    return this.logTest('Estimate From Batch History', passed, { estimate });
+  }
+
+  // Test 4: Per-category breakdown and opt-in categories
+  testBreakdown() {
+    const root = this.mountFixture(`
+      <button id="r1">3 more replies</button>
+      <button id="r2">4 more replies</button>
+      <a id="c1" href="#">load more comments (10 replies)</a>
+      <a id="t1" href="#">Continue this thread</a>
+      <button id="d1">deleted</button>`);
+    const items = [
+      { category: 'moreReplies', element: root.querySelector('#r1') },
+      { category: 'moreReplies', element: root.querySelector('#r2') },
+      { category: 'moreComments', element: root.querySelector('#c1') },
+      { category: 'continueThread', element: root.querySelector('#t1') },
+      { category: 'deleted', element: root.querySelector('#d1') }
+    ];
+
+    const preview = this.createPreviewContext(items).preview({ expandDeleted: false });
+    this.unmountFixture();
+
+    const passed = preview.buttons === 4 &&
+      preview.hiddenComments === 17 &&
+      preview.uncounted === 1 &&
+      preview.filtered === 1 &&
+      preview.categories.moreReplies.buttons === 2 &&
+      preview.categories.moreReplies.hiddenComments === 7 &&
+      !preview.categories.deleted &&
+      typeof preview.estimate.text === 'string';
+    return this.logTest('Per-Category Breakdown', passed, {
+      buttons: preview.buttons,
+      hiddenComments: preview.hiddenComments,
+      uncounted: preview.uncounted,
+      filtered: preview.filtered,
+      categories: preview.categories
+    });
+  }
+
+  // Test 5: A preview never clicks
+  testNothingClicked() {
+    const root = this.mountFixture(`
+      <button id="r1">3 more replies</button>
+      <button id="r2">1 more reply</button>`);
+    let clicks = 0;
+    const buttons = Array.from(root.querySelectorAll('button'));
+    buttons.forEach(button => button.addEventListener('click', () => clicks++));
+
+    const items = buttons.map(element => ({ category: 'moreReplies', element }));
+    const preview = this.createPreviewContext(items).preview({ maxElements: 1 });
+    this.unmountFixture();
+
+    const passed = clicks === 0 && preview.buttons === 2 && preview.limitedBy === 'elements';
+    return this.logTest('Preview Clicks Nothing', passed, { clicks, limitedBy: preview.limitedBy });
+  }
+
+  // Test 6: Previewing with filters and a depth limit leaves the live run's settings alone
+  testLiveSettingsUntouched() {
+    const root = this.mountFixture(`
+      <div class="thing comment" data-fullname="t1_a">
+        <div class="entry"><p class="tagline"><a class="author">alice</a></p></div>
+        <div class="child"><div class="sitetable listing">
+          <div class="thing morechildren"><span class="morecomments"><a id="nested" href="#">load more comments (3 replies)</a></span></div>
+        </div></div>
+      </div>
+      <button id="top">2 more replies</button>`);
+    const items = [
+      { category: 'moreComments', element: root.querySelector('#nested') },
+      { category: 'moreReplies', element: root.querySelector('#top') }
+    ];
+
+    const context = this.createPreviewContext(items);
+    const liveFilters = { shouldSkip: () => true };
+    Object.assign(context, { smartFilters: liveFilters, maxDepth: 5, depthSkipped: new WeakSet(), depthSkippedCount: 2 });
+    const preview = context.preview({ maxDepth: 1 });
+    this.unmountFixture();
+
+    const passed = preview.buttons === 1 && preview.filtered === 1 &&
+      context.smartFilters === liveFilters && context.maxDepth === 5 && context.depthSkippedCount === 2;
+    return this.logTest('Live Run Settings Untouched', passed, {
+      buttons: preview.buttons,
+      filtered: preview.filtered,
+      maxDepth: context.maxDepth,
+      depthSkippedCount: context.depthSkippedCount
+    });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Expansion Preview Tests...\n');
+
+    const tests = [
+      () => this.testHiddenCounts(),
+      () => this.testDefaultEstimate(),
+      () => this.testHistoryEstimate(),
+      () => this.testBreakdown(),
+      () => this.testNothingClicked(),
+      () => this.testLiveSettingsUntouched()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(ExpansionPreviewTester);
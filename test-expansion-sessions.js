@@ -0,0 +1,159 @@
+/**
+ * Automated Test for Resumable Expansion Sessions
+ *
+ * Tests:
+ * - A saved session loads back for the same thread, whatever the URL's slug or query
+ * - Expired sessions are discarded on load
+ * - Saving prunes expired sessions of other threads
+ * - Saving keeps at most sessionMaxCount sessions, dropping the oldest
+ * - A session too large for the budget is saved without its processed ids
+ *
+ * Uses its own key prefix, so sessions of real threads are left alone. Run in the
+ * browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Expansion Session Test Suite...');
+
+class ExpansionSessionTester extends SandboxTester {
+  constructor() {
+    super();
+    this.prefix = 'reddit-expander-session-test:';
+  }
+
+  createState(options = {}) {
+    return new ExpansionState({
+      enablePersistence: false,
+      enableLogging: false,
+      sessionKeyPrefix: this.prefix,
+      ...options
+    });
+  }
+
+  session(linkId, extra = {}) {
+    return {
+      url: `https://www.reddit.com/r/test/comments/${linkId}/thread/`,
+      pendingStubIds: ['t1_stub'],
+      processedIds: ['t1_a', 't1_b'],
+      options: {},
+      progress: { processed: 2, percentDone: 40 },
+      ...extra
+    };
+  }
+
+  // Write a session as if an earlier page had saved it `ageMs` ago
+  plant(linkId, ageMs) {
+    localStorage.setItem(`${this.prefix}${linkId}`, JSON.stringify({ ...this.session(linkId), updatedAt: Date.now() - ageMs }));
+  }
+
+  savedIds() {
+    const ids = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(this.prefix)) ids.push(key.slice(this.prefix.length));
+    }
+    return ids.sort();
+  }
+
+  clearAll() {
+    this.savedIds().forEach(id => localStorage.removeItem(`${this.prefix}${id}`));
+  }
+
+  // Test 1: Save and load
+  testSaveAndLoad() {
+    this.clearAll();
+    const state = this.createState();
+    state.saveSession(this.session('abc123'), { immediate: true });
+
+    const loaded = state.loadSession('https://old.reddit.com/r/test/comments/abc123/other_slug/?sort=new');
+    const missing = state.loadSession('https://old.reddit.com/r/test/comments/zzz999/thread/');
+    this.clearAll();
+
+    const passed = !!loaded && loaded.processedIds.join() === 't1_a,t1_b' &&
+      loaded.pendingStubIds.join() === 't1_stub' && typeof loaded.updatedAt === 'number' && missing === null;
+    return this.logTest('Session Saved And Loaded', passed, { loaded, missing });
+  }
+
+  // Test 2: Expired sessions are discarded on load
+  testExpiryOnLoad() {
+    this.clearAll();
+    const state = this.createState({ sessionMaxAge: 60000 });
+    this.plant('old111', 120000);
+
+    const loaded = state.loadSession('https://www.reddit.com/r/test/comments/old111/thread/');
+    const left = this.savedIds();
+    this.clearAll();
+
+    return this.logTest('Expired Session Discarded', loaded === null && left.length === 0, { loaded, left });
+  }
+
+  // Test 3: Saving one thread prunes other threads' expired sessions
+  testPruneOnSave() {
+    this.clearAll();
+    const state = this.createState({ sessionMaxAge: 60000 });
+    this.plant('old111', 120000);
+    this.plant('new222', 1000);
+    localStorage.setItem(`${this.prefix}bad333`, 'not json');
+
+    state.saveSession(this.session('abc123'), { immediate: true });
+    const left = this.savedIds();
+    this.clearAll();
+
+    return this.logTest('Expired Sessions Pruned On Save', left.join() === 'abc123,new222', { left });
+  }
+
+  // Test 4: At most sessionMaxCount sessions are kept, newest first
+  testCountCap() {
+    this.clearAll();
+    const state = this.createState({ sessionMaxCount: 3 });
+    ['t1', 't2', 't3', 't4'].forEach((id, index) => this.plant(id, (index + 1) * 1000)); // t1 is the newest
+
+    state.saveSession(this.session('abc123'), { immediate: true });
+    const left = this.savedIds();
+    this.clearAll();
+
+    return this.logTest('Oldest Sessions Dropped Over The Cap', left.join() === 'abc123,t1,t2', { left });
+  }
+
+  // Test 5: An oversized session drops its processed ids and pushes out older sessions
+  testSizeCap() {
+    this.clearAll();
+    const state = this.createState({ sessionMaxChars: 1000 });
+    this.plant('other1', 1000);
+    const processedIds = Array.from({ length: 100 }, (_, i) => `t1_p${i}`);
+
+    state.saveSession(this.session('abc123', { processedIds }), { immediate: true });
+    const loaded = state.loadSession('https://www.reddit.com/r/test/comments/abc123/thread/');
+    const left = this.savedIds();
+
+    // Two small sessions fit the budget together
+    state.saveSession(this.session('def456'), { immediate: true });
+    const both = this.savedIds();
+    this.clearAll();
+
+    const passed = !!loaded && loaded.processedIds.length === 0 && loaded.pendingStubIds.length === 1 &&
+      left.join() === 'abc123,other1' && both.join() === 'abc123,def456,other1';
+    return this.logTest('Session Size Budget', passed, { processed: loaded && loaded.processedIds.length, left, both });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Expansion Session Tests...\n');
+
+    const tests = [
+      () => this.testSaveAndLoad(),
+      () => this.testExpiryOnLoad(),
+      () => this.testPruneOnSave(),
+      () => this.testCountCap(),
+      () => this.testSizeCap()
+    ];
+
+    const summary = await this.runTests(tests);
+    this.clearAll();
+    return summary;
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(ExpansionSessionTester);
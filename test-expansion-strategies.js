@@ -0,0 +1,202 @@
+/**
+ * Automated Test for the Expansion Strategy Registry
+ *
+ * Tests each strategy on its own, with a stub expander instead of the real one:
+ * - Lookup order (version-specific, then any version, then generic)
+ * - Registering and overriding strategies
+ * - detect / expand / verify hook sequencing, and falling back when detect turns an element down
+ * - sh.reddit crowd-control reveal through the comment's own toggle
+ * - sh.reddit contest-mode and deleted matches that aren't collapsed comments use the defaults
+ * - Old Reddit collapsed comment reveal (and not re-collapsing open comments)
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Expansion Strategy Test Suite...');
+
+class ExpansionStrategyTester extends SandboxTester {
+  constructor() {
+    super('strategy');
+  }
+
+  // Minimal stand-in for CommentExpander: records which method each strategy delegates to
+  createStubExpander() {
+    const calls = [];
+    const record = (name) => async () => {
+      calls.push(name);
+      return true;
+    };
+
+    return {
+      calls,
+      expandCollapsedComment: record('expandCollapsedComment'),
+      expandMoreComments: record('expandMoreComments'),
+      expandContinueThread: record('expandContinueThread'),
+      expandCrowdControl: record('expandCrowdControl'),
+      expandContestMode: record('expandContestMode'),
+      expandDeletedComment: record('expandDeletedComment'),
+      expandViewRest: record('expandViewRest'),
+      expandGeneric: record('expandGeneric'),
+      waitForExpansion: async () => {}
+    };
+  }
+
+  // Test 1: Lookup falls back from version to any version to generic
+  testResolutionOrder() {
+    const registry = new ExpansionStrategyRegistry();
+    const shCrowd = registry.resolve('shReddit', 'crowdControl').name;
+    const newCrowd = registry.resolve('newReddit', 'crowdControl').name;
+    const unknown = registry.resolve('newReddit', 'somethingNew').name;
+
+    const passed = shCrowd === 'shReddit:crowdControl' && newCrowd === 'crowdControl' && unknown === 'generic';
+    return this.logTest('Strategy Resolution Order', passed, { shCrowd, newCrowd, unknown });
+  }
+
+  // Test 2: Default strategies delegate to the matching expander method
+  async testDefaultDelegation() {
+    const registry = new ExpansionStrategyRegistry();
+    const expander = this.createStubExpander();
+    const element = this.mountFixture('<button>more replies</button>').firstElementChild;
+
+    const categories = ['moreComments', 'moreReplies', 'continueThread', 'viewRest', 'somethingNew'];
+    for (const category of categories) {
+      await registry.run(element, { expander, version: 'newReddit', category });
+    }
+    this.unmountFixture();
+
+    const expected = ['expandMoreComments', 'expandMoreComments', 'expandContinueThread', 'expandViewRest', 'expandGeneric'];
+    return this.logTest('Default Strategy Delegation', JSON.stringify(expander.calls) === JSON.stringify(expected), {
+      calls: expander.calls
+    });
+  }
+
+  // Test 3: Overrides replace defaults and hooks run detect -> expand -> verify
+  async testOverrideAndHookOrder() {
+    const registry = new ExpansionStrategyRegistry();
+    const order = [];
+    registry.register('newReddit', 'viewRest', {
+      detect: () => { order.push('detect'); return true; },
+      expand: async () => { order.push('expand'); return true; },
+      verify: async () => { order.push('verify'); return false; }
+    });
+
+    const element = this.mountFixture('<button>View all comments</button>').firstElementChild;
+    const result = await registry.run(element, { expander: this.createStubExpander(), version: 'newReddit', category: 'viewRest' });
+    this.unmountFixture();
+
+    const passed = result === false && JSON.stringify(order) === JSON.stringify(['detect', 'expand', 'verify']);
+    return this.logTest('Override and Hook Order', passed, { result, order });
+  }
+
+  // Test 4: detect=false skips a strategy's expand and falls back to the next one; nothing runs on detached elements
+  async testDetectGate() {
+    const registry = new ExpansionStrategyRegistry();
+    const expander = this.createStubExpander();
+    let expanded = false;
+    registry.register('newReddit', 'moreReplies', {
+      detect: () => false,
+      expand: async () => { expanded = true; return true; }
+    });
+
+    const element = this.mountFixture('<button>more replies</button>').firstElementChild;
+    const context = { expander, version: 'newReddit', category: 'moreReplies' };
+    const result = await registry.run(element, context);
+    this.unmountFixture();
+    const detached = await registry.run(element, context);
+
+    const passed = result === true && !expanded && detached === false && expander.calls.join() === 'expandMoreComments';
+    return this.logTest('Detect Gate', passed, { result, expanded, detached, calls: expander.calls });
+  }
+
+  // Test 5: sh.reddit crowd-control comments are revealed through their toggle and verified
+  async testShRedditCrowdControlReveal() {
+    const registry = new ExpansionStrategyRegistry();
+    const root = this.mountFixture(`
+      <shreddit-comment collapsed="true" class="crowd-control" thingid="t1_cc1">
+        <button aria-expanded="false">expand</button>
+      </shreddit-comment>`);
+    const comment = root.querySelector('shreddit-comment');
+    // Stands in for the component, which drops the attribute when its toggle opens it
+    let toggleClicks = 0;
+    comment.querySelector('button').addEventListener('click', () => {
+      toggleClicks++;
+      comment.removeAttribute('collapsed');
+    });
+
+    const result = await registry.run(comment, { expander: this.createStubExpander(), version: 'shReddit', category: 'crowdControl' });
+    const revealed = !comment.hasAttribute('collapsed');
+    this.unmountFixture();
+
+    return this.logTest('sh.reddit Crowd Control Reveal', result === true && revealed && toggleClicks === 1, { result, revealed, toggleClicks });
+  }
+
+  // Test 6: Old Reddit [+] reveals collapsed comments and leaves open ones alone
+  async testOldRedditCollapsedReveal() {
+    const registry = new ExpansionStrategyRegistry();
+    const root = this.mountFixture(`
+      <div class="thing comment collapsed" id="collapsed-thing">
+        <div class="entry"><p class="tagline"><a class="expand" href="#">[+]</a></p></div>
+      </div>
+      <div class="thing comment" id="open-thing">
+        <div class="entry"><p class="tagline"><a class="expand" href="#">[–]</a></p></div>
+      </div>`);
+
+    const collapsedThing = root.querySelector('#collapsed-thing');
+    const openThing = root.querySelector('#open-thing');
+    let openClicks = 0;
+    collapsedThing.querySelector('a.expand').addEventListener('click', (event) => {
+      event.preventDefault();
+      collapsedThing.classList.remove('collapsed');
+    });
+    openThing.querySelector('a.expand').addEventListener('click', (event) => {
+      event.preventDefault();
+      openClicks++;
+    });
+
+    const context = { expander: this.createStubExpander(), version: 'oldReddit', category: 'collapsed' };
+    const collapsedResult = await registry.run(collapsedThing.querySelector('a.expand'), context);
+    const openResult = await registry.run(openThing.querySelector('a.expand'), context);
+    this.unmountFixture();
+
+    const passed = collapsedResult === true && openResult === true && openClicks === 0;
+    return this.logTest('Old Reddit Collapsed Reveal', passed, { collapsedResult, openResult, openClicks });
+  }
+
+  // Test 7: sh.reddit matches the reveal strategy can't handle go to the category defaults
+  async testShRedditFallback() {
+    const registry = new ExpansionStrategyRegistry();
+    const expander = this.createStubExpander();
+    const root = this.mountFixture(`
+      <div data-contest-mode="true"><button>show comments</button></div>
+      <shreddit-comment thingid="t1_del1" data-deleted="true"></shreddit-comment>`);
+
+    const contest = await registry.run(root.querySelector('[data-contest-mode]'), { expander, version: 'shReddit', category: 'contestMode' });
+    const deleted = await registry.run(root.querySelector('shreddit-comment'), { expander, version: 'shReddit', category: 'deleted' });
+    this.unmountFixture();
+
+    const passed = contest === true && deleted === true && expander.calls.join() === 'expandContestMode,expandDeletedComment';
+    return this.logTest('sh.reddit Fallback To Defaults', passed, { contest, deleted, calls: expander.calls });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Expansion Strategy Tests...\n');
+
+    const tests = [
+      () => this.testResolutionOrder(),
+      () => this.testDefaultDelegation(),
+      () => this.testOverrideAndHookOrder(),
+      () => this.testDetectGate(),
+      () => this.testShRedditCrowdControlReveal(),
+      () => this.testOldRedditCollapsedReveal(),
+      () => this.testShRedditFallback()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(ExpansionStrategyTester);
@@ -0,0 +1,122 @@
+/**
+ * Shared Scaffolding for the Automated Tests
+ *
+ * SandboxTester is the base class of the test-*.js testers: it records results,
+ * mounts sample markup in a sandbox at the end of the page, runs a list of tests
+ * with a summary, and auto-runs a tester once the extension has had time to load.
+ *
+ * Paste or load this file in the browser console before the test file to run.
+ */
+
+console.log('🧪 Loading test helpers...');
+
+class SandboxTester {
+  /**
+   * @param {string} [sandboxName] - Marks the sandbox as data-<name>-test-sandbox
+   */
+  constructor(sandboxName = 'reddit-expander') {
+    this.testResults = [];
+    this.startTime = performance.now();
+    this.sandboxName = sandboxName;
+    this.sandbox = null;
+  }
+
+  // Test result tracking
+  logTest(name, passed, details = null) {
+    const result = {
+      name,
+      passed,
+      details,
+      timestamp: Date.now()
+    };
+    this.testResults.push(result);
+
+    const status = passed ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${name}`);
+    if (details) {
+      console.log(`   Details: ${JSON.stringify(details, null, 2)}`);
+    }
+    return passed;
+  }
+
+  mountFixture(html) {
+    this.unmountFixture();
+    this.sandbox = document.createElement('div');
+    this.sandbox.setAttribute(`data-${this.sandboxName}-test-sandbox`, '');
+    this.sandbox.innerHTML = html;
+    document.body.appendChild(this.sandbox);
+    return this.sandbox;
+  }
+
+  unmountFixture() {
+    if (this.sandbox) {
+      this.sandbox.remove();
+      this.sandbox = null;
+    }
+  }
+
+  // Old Reddit renders all three vote states' scores; CSS shows the one matching the user's vote
+  scoreSpans(score) {
+    if (score === null) return '<span class="score-hidden">[score hidden]</span>';
+    return [['dislikes', score - 1], ['unvoted', score], ['likes', score + 1]]
+      .map(([state, value]) => `<span class="score ${state}" title="${value}">${value} points</span>`)
+      .join('');
+  }
+
+  /**
+   * Run tests in order; a test that throws is logged as a failure and its fixture removed
+   */
+  async runTests(tests) {
+    for (const test of tests) {
+      try {
+        await test();
+      } catch (error) {
+        this.unmountFixture();
+        this.logTest('Unexpected Error', false, { error: error.message });
+      }
+    }
+
+    const totalTime = performance.now() - this.startTime;
+    const passedTests = this.testResults.filter(result => result.passed).length;
+    const totalTests = this.testResults.length;
+    const successRate = (passedTests / totalTests) * 100;
+
+    console.log('\n📊 Test Results Summary:');
+    console.log(`   Passed: ${passedTests}/${totalTests} (${successRate.toFixed(1)}%)`);
+    console.log(`   Total Time: ${totalTime.toFixed(2)}ms`);
+
+    return {
+      passed: passedTests,
+      total: totalTests,
+      successRate,
+      results: this.testResults,
+      totalTime
+    };
+  }
+
+  /**
+   * Expose a tester on window and run it once the page (and the extension) has loaded
+   */
+  static autoRun(Tester) {
+    if (typeof window === 'undefined') return;
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => {
+        setTimeout(() => {
+          new Tester().runAllTests();
+        }, 1000); // Give extension time to load
+      });
+    } else {
+      setTimeout(() => {
+        new Tester().runAllTests();
+      }, 1000);
+    }
+
+    window[Tester.name] = Tester;
+    console.log(`🧪 ${Tester.name} loaded. Run: new ${Tester.name}().runAllTests()`);
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.SandboxTester = SandboxTester;
+}
@@ -0,0 +1,172 @@
+/**
+ * Automated Test for the Offline HTML Export
+ *
+ * Tests:
+ * - The file is standalone: CSP, inline styles and script, nothing that loads a resource
+ * - Comment branches nest as <details> with ids and parent links
+ * - Body markup is reduced to inert formatting; images become links
+ * - Links to comments of the same thread become in-file anchors
+ * - OP comments are marked for highlighting
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting HTML Export Test Suite...');
+
+class HtmlExportTester extends SandboxTester {
+  comment(id, author, bodyHtml, replies = [], parentId = 't3_abc', depth = 0) {
+    return {
+      id,
+      parentId,
+      author,
+      score: 5,
+      flair: null,
+      createdAt: Date.parse('2024-03-01T13:00:00Z'),
+      editedAt: null,
+      permalink: `https://www.reddit.com/r/test/comments/abc/thread/${id.replace(/^t1_/, '')}/`,
+      depth,
+      body: bodyHtml.replace(/<[^>]+>/g, ''),
+      bodyHtml,
+      flags: { deleted: false, crowdControl: false, contestMode: false },
+      expandedBy: null,
+      replies
+    };
+  }
+
+  // op → (alice → op reply), bob
+  createThread() {
+    const reply = this.comment('t1_c', 'op', '<p>Thanks, see <a href="https://www.reddit.com/r/test/comments/abc/comment/b/">bob</a></p>', [], 't1_a', 1);
+    return {
+      version: 'shReddit',
+      url: 'https://www.reddit.com/r/test/comments/abc/thread/',
+      extractedAt: Date.parse('2024-03-02T00:00:00Z'),
+      post: {
+        id: 't3_abc',
+        title: 'A <thread> & more',
+        author: 'op',
+        score: 42,
+        createdAt: Date.parse('2024-03-01T12:00:00Z'),
+        permalink: 'https://www.reddit.com/r/test/comments/abc/thread/',
+        subreddit: 'r/test',
+        url: null,
+        body: 'Post body',
+        bodyHtml: '<p>Post body</p>'
+      },
+      comments: [
+        this.comment('t1_a', 'alice', [
+          '<p>Hello <strong>world</strong> <a href="https://example.com/" onclick="steal()">link</a></p>',
+          '<script>alert(1)</script>',
+          '<p><img src="https://i.redd.it/cat.png" alt="cat"> <span style="background:url(https://tracker.example/x.gif)">styled</span></p>',
+          '<faceplate-tracker><p>Inside a component</p></faceplate-tracker>',
+          '<p><a href="javascript:alert(1)">bad</a> <a href="/r/other/comments/zzz/other_thread/">other thread</a></p>'
+        ].join(''), [reply]),
+        this.comment('t1_b', 'bob', '<p>Second</p>')
+      ],
+      commentCount: 3
+    };
+  }
+
+  render() {
+    const html = new HtmlExporter().serialize(this.createThread());
+    return { html, doc: new DOMParser().parseFromString(html, 'text/html') };
+  }
+
+  // Test 1: Nothing in the file triggers a network request
+  testStandalone() {
+    const { html, doc } = this.render();
+    const csp = doc.querySelector('meta[http-equiv="Content-Security-Policy"]');
+    const loaders = doc.querySelectorAll('[src], [srcset], link, iframe, object, embed, img, video, audio');
+    const styled = doc.querySelectorAll('[style]');
+    const inlineCss = Array.from(doc.querySelectorAll('style')).map(style => style.textContent).join('');
+
+    const passed = html.startsWith('<!DOCTYPE html>') &&
+      !!csp && csp.getAttribute('content').includes("default-src 'none'") &&
+      loaders.length === 0 && styled.length === 0 && !/url\(/.test(inlineCss) &&
+      doc.querySelectorAll('script').length === 1;
+    return this.logTest('Standalone File', passed, { loaders: loaders.length, styled: styled.length });
+  }
+
+  // Test 2: Branches nest as details with anchors and parent links
+  testStructure() {
+    const { doc } = this.render();
+    const details = doc.querySelectorAll('main details.comment');
+    const reply = doc.getElementById('t1_c');
+    const parentLink = reply ? reply.querySelector(':scope > summary a[href="#t1_a"]') : null;
+
+    const passed = details.length === 3 &&
+      !!reply && reply.parentElement.closest('details') === doc.getElementById('t1_a') &&
+      !!parentLink &&
+      Array.from(details).every(element => element.open) &&
+      doc.title === 'A <thread> & more';
+    return this.logTest('Collapsible Branches', passed, { comments: details.length, title: doc.title });
+  }
+
+  // Test 3: Body markup is reduced to inert formatting
+  testSanitized() {
+    const { doc } = this.render();
+    const body = doc.querySelector('#t1_a > .body');
+    const links = Array.from(body.querySelectorAll('a'));
+    const imageLink = links.find(link => link.textContent === '[image: cat]');
+    const badLink = links.find(link => link.textContent === 'bad');
+
+    const passed = !body.innerHTML.includes('alert') &&
+      !body.querySelector('[onclick], [style], faceplate-tracker') &&
+      body.querySelector('strong') !== null &&
+      body.textContent.includes('Inside a component') &&
+      !!imageLink && imageLink.getAttribute('href') === 'https://i.redd.it/cat.png' &&
+      !!badLink && !badLink.hasAttribute('href');
+    return this.logTest('Body Sanitized', passed, { html: body.innerHTML });
+  }
+
+  // Test 4: Links to comments in this thread become anchors
+  testInternalAnchors() {
+    const { doc } = this.render();
+    const links = Array.from(doc.querySelectorAll('.body a')).map(link => link.getAttribute('href'));
+
+    const passed = links.includes('#t1_b') &&
+      links.some(href => /^https?:\/\/[^/]+\/r\/other\/comments\/zzz\/other_thread\/$/.test(href)) &&
+      links.includes('https://example.com/');
+    return this.logTest('In-File Comment Anchors', passed, { links });
+  }
+
+  // Test 5: OP comments are marked, every comment names its author
+  testAuthorHighlighting() {
+    const { doc } = this.render();
+    const opComments = Array.from(doc.querySelectorAll('details.comment.is-op')).map(element => element.id);
+    const authors = Array.from(doc.querySelectorAll('details.comment')).map(element => element.getAttribute('data-author'));
+
+    const passed = JSON.stringify(opComments) === JSON.stringify(['t1_c']) &&
+      JSON.stringify(authors) === JSON.stringify(['alice', 'op', 'bob']) &&
+      doc.querySelectorAll('button.author.is-op').length === 1;
+    return this.logTest('Author Highlighting', passed, { opComments, authors });
+  }
+
+  // Test 6: Registered as an export format
+  testRegistry() {
+    const exporter = new ThreadExporter({ extractor: { extract: () => null } });
+    const formats = exporter.getFormats();
+    const html = formats.find(format => format.name === 'html');
+    return this.logTest('HTML Format Registered', !!html && html.label === 'Offline HTML', { formats });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running HTML Export Tests...\n');
+
+    const tests = [
+      () => this.testStandalone(),
+      () => this.testStructure(),
+      () => this.testSanitized(),
+      () => this.testInternalAnchors(),
+      () => this.testAuthorHighlighting(),
+      () => this.testRegistry()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(HtmlExportTester);
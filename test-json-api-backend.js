@@ -0,0 +1,408 @@
+/**
+ * Automated Test for the JSON-API Expansion Backend
+ *
+ * This script tests RedditJsonApi and JsonApiExpander against a local mock
+ * endpoint (no requests reach reddit.com):
+ * - Thread listing fetch and "more" stub indexing
+ * - morechildren batching and nested stub resolution, stopping at the depth limit
+ * - Rate limit (429) handling, passing on Reddit's Retry-After
+ * - Splicing into old Reddit and sh.reddit markup
+ * - Sanitization of comment bodies
+ * - Fallback to clicking when a stub cannot be identified
+ * - Inline loading of "Continue this thread" targets at their page depth
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting JSON-API Backend Test Suite...');
+
+/**
+ * Local mock of Reddit's JSON endpoints. Serves fixtures by path and records
+ * every request so tests can assert on batching.
+ */
+class MockRedditEndpoint {
+  constructor() {
+    this.baseUrl = 'http://mock-reddit.local';
+    this.requests = [];
+    this.forcedStatus = null;
+    this.forcedHeaders = {};
+    this.comments = new Map();
+
+    this.linkId = 'abc123';
+    this.buildFixtures();
+  }
+
+  comment(id, parentId, depth, extra = {}) {
+    return {
+      kind: 't1',
+      data: {
+        id,
+        name: `t1_${id}`,
+        parent_id: parentId,
+        link_id: `t3_${this.linkId}`,
+        author: `user_${id}`,
+        body: `Comment ${id}`,
+        body_html: `<div class="md"><p>Comment ${id}</p></div>`,
+        score: 10,
+        created_utc: 1700000000,
+        depth,
+        permalink: `/r/test/comments/${this.linkId}/thread/${id}/`,
+        replies: '',
+        ...extra
+      }
+    };
+  }
+
+  more(name, parentId, children, depth) {
+    return {
+      kind: 'more',
+      data: { id: name.replace('t1_', ''), name, parent_id: parentId, children, count: children.length, depth }
+    };
+  }
+
+  buildFixtures() {
+    // 150 hidden top-level comments -> two morechildren batches
+    const hiddenTopLevel = Array.from({ length: 150 }, (_, i) => `top${i}`);
+    hiddenTopLevel.forEach(id => {
+      this.comments.set(id, this.comment(id, `t3_${this.linkId}`, 0));
+    });
+
+    // Nested: r1 -> "more" [c1, c2]; c2 returns another "more" [c3]
+    this.comments.set('c1', this.comment('c1', 't1_r1', 1));
+    this.comments.set('c2', this.comment('c2', 't1_r1', 1));
+    this.comments.set('c2more', this.more('t1_c3', 't1_c2', ['c3'], 2));
+    this.comments.set('c3', this.comment('c3', 't1_c2', 2, {
+      body_html: '<div class="md"><p>Hello</p><script>window.__pwned = true;</script><img src="x" onerror="window.__pwned = true"></div>'
+    }));
+
+    const r1 = this.comment('r1', `t3_${this.linkId}`, 0);
+    r1.data.replies = {
+      kind: 'Listing',
+      data: { children: [this.more('t1_c1', 't1_r1', ['c1', 'c2'], 1)] }
+    };
+
+    // Deep thread: d1's replies are only reachable through "Continue this thread"
+    const d1 = this.comment('d1', `t3_${this.linkId}`, 0);
+    const d2 = this.comment('d2', 't1_d1', 1);
+    const d3 = this.comment('d3', 't1_d2', 2);
+    d2.data.replies = { kind: 'Listing', data: { children: [d3] } };
+    d1.data.replies = { kind: 'Listing', data: { children: [d2] } };
+    this.deepThread = d1;
+
+    this.listing = [
+      { kind: 'Listing', data: { children: [{ kind: 't3', data: { id: this.linkId, name: `t3_${this.linkId}`, permalink: `/r/test/comments/${this.linkId}/thread/` } }] } },
+      { kind: 'Listing', data: { children: [r1, this.more('t1_top0', `t3_${this.linkId}`, hiddenTopLevel, 0)] } }
+    ];
+  }
+
+  async fetch(url) {
+    const parsed = new URL(url);
+    this.requests.push({ path: parsed.pathname, params: Object.fromEntries(parsed.searchParams) });
+
+    if (this.forcedStatus) {
+      return this.respond(this.forcedStatus, {}, this.forcedHeaders);
+    }
+
+    if (parsed.pathname === `/comments/${this.linkId}.json`) {
+      return this.respond(200, this.listing);
+    }
+
+    if (parsed.pathname === `/comments/${this.linkId}/_/d1.json`) {
+      return this.respond(200, [this.listing[0], { kind: 'Listing', data: { children: [this.deepThread] } }]);
+    }
+
+    if (parsed.pathname === '/api/morechildren.json') {
+      const ids = parsed.searchParams.get('children').split(',');
+      const things = [];
+      ids.forEach(id => {
+        if (this.comments.has(id)) things.push(this.comments.get(id));
+        // Returning c2 also returns the nested stub under it
+        if (id === 'c2') things.push(this.comments.get('c2more'));
+      });
+      return this.respond(200, { json: { errors: [], data: { things } } });
+    }
+
+    return this.respond(404, {});
+  }
+
+  respond(status, body, headers = {}) {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: name => (name in headers ? headers[name] : null) },
+      json: async () => JSON.parse(JSON.stringify(body))
+    };
+  }
+}
+
+class JsonApiBackendTester extends SandboxTester {
+  constructor() {
+    super('json-api');
+  }
+
+  createApi(endpoint) {
+    return new RedditJsonApi({
+      baseUrl: endpoint.baseUrl,
+      fetchImpl: (url) => endpoint.fetch(url),
+      threadUrl: `${endpoint.baseUrl}/r/test/comments/${endpoint.linkId}/thread/`
+    });
+  }
+
+  createExpander(version, endpoint) {
+    return new JsonApiExpander({ version }, { api: this.createApi(endpoint) });
+  }
+
+  // Test 1: Classes are loaded
+  testClassesLoaded() {
+    const hasApi = typeof RedditJsonApi !== 'undefined';
+    const hasExpander = typeof JsonApiExpander !== 'undefined';
+    return this.logTest('JSON Backend Classes Loaded', hasApi && hasExpander, {
+      RedditJsonApi: hasApi,
+      JsonApiExpander: hasExpander
+    });
+  }
+
+  // Test 2: Listing fetch indexes stubs by name and parent
+  async testListingIndexesStubs() {
+    const endpoint = new MockRedditEndpoint();
+    const api = this.createApi(endpoint);
+    const listing = await api.fetchThreadListing();
+
+    const passed = listing.linkFullname === 't3_abc123' &&
+      !!api.findStubByName('t1_c1') &&
+      api.findStubsByParent('t3_abc123').length === 1 &&
+      endpoint.requests[0].params.raw_json === '1';
+
+    return this.logTest('Listing Fetch Indexes Stubs', passed, {
+      stubs: api.getStats().unresolvedStubs,
+      firstRequest: endpoint.requests[0]
+    });
+  }
+
+  // Test 3: morechildren requests are batched at 100 ids
+  async testMoreChildrenBatching() {
+    const endpoint = new MockRedditEndpoint();
+    const api = this.createApi(endpoint);
+    const listing = await api.fetchThreadListing();
+    const things = await api.resolveStub(listing.linkFullname, api.findStubByName('t1_top0'));
+
+    const moreRequests = endpoint.requests.filter(request => request.path === '/api/morechildren.json');
+    const passed = moreRequests.length === 2 &&
+      moreRequests[0].params.children.split(',').length === 100 &&
+      moreRequests[0].params.link_id === 't3_abc123' &&
+      things.length === 150;
+
+    return this.logTest('morechildren Batching', passed, {
+      requests: moreRequests.length,
+      things: things.length
+    });
+  }
+
+  // Test 4: Nested stubs are resolved until none remain
+  async testNestedStubResolution() {
+    const endpoint = new MockRedditEndpoint();
+    const api = this.createApi(endpoint);
+    const listing = await api.fetchThreadListing();
+    const things = await api.resolveStub(listing.linkFullname, api.findStubByName('t1_c1'));
+
+    const names = things.map(thing => thing.data.name).sort();
+
+    // With a depth limit of 2 the depth-2 stub under c2 is returned as a stub, not fetched
+    const limitedEndpoint = new MockRedditEndpoint();
+    const limitedApi = this.createApi(limitedEndpoint);
+    const limitedListing = await limitedApi.fetchThreadListing();
+    const limited = await limitedApi.resolveStub(limitedListing.linkFullname, limitedApi.findStubByName('t1_c1'), { maxDepth: 2 });
+    const limitedKinds = limited.map(thing => `${thing.kind}:${thing.data.name}`).sort();
+    const limitedRequests = limitedEndpoint.requests.filter(request => request.path === '/api/morechildren.json').length;
+
+    const passed = JSON.stringify(names) === JSON.stringify(['t1_c1', 't1_c2', 't1_c3']) &&
+      !api.findStubByName('t1_c1') && !api.findStubByName('t1_c3') &&
+      limitedKinds.join() === 'more:t1_c3,t1:t1_c1,t1:t1_c2' && limitedRequests === 1;
+
+    return this.logTest('Nested Stub Resolution', passed, { names, limitedKinds, limitedRequests });
+  }
+
+  // Test 5: 429 responses surface as rate limit errors and report false
+  async testRateLimitHandling() {
+    const endpoint = new MockRedditEndpoint();
+    endpoint.forcedStatus = 429;
+    endpoint.forcedHeaders = { 'retry-after': '7' };
+    let rateLimited = null;
+    const expander = new JsonApiExpander({ version: 'oldReddit' }, {
+      api: this.createApi(endpoint),
+      rateLimiter: { waitIfNeeded: async () => {}, onRateLimit: retryAfterMs => { rateLimited = retryAfterMs; } }
+    });
+
+    const root = this.mountFixture('<div class="morecomments"><a class="button">load more comments</a></div>');
+    const result = await expander.expand(root.querySelector('a'), 'moreComments');
+    this.unmountFixture();
+
+    // Without Retry-After the wait runs until the quota window resets
+    const api = this.createApi(endpoint);
+    const fromReset = api.getRetryAfter({ get: name => (name === 'x-ratelimit-reset' ? '42' : null) });
+    const withoutHeaders = api.getRetryAfter({ get: () => null });
+
+    const passed = result === false && rateLimited === 7000 && fromReset === 42000 && withoutHeaders === null;
+    return this.logTest('Rate Limit Handling', passed, { result, rateLimited, fromReset, withoutHeaders });
+  }
+
+  // Test 6: Old Reddit stub is replaced by .thing.comment markup
+  async testOldRedditSplice() {
+    const endpoint = new MockRedditEndpoint();
+    const expander = this.createExpander('oldReddit', endpoint);
+    const root = this.mountFixture(`
+      <div class="thing comment" data-fullname="t1_r1">
+        <div class="child"><div class="sitetable listing">
+          <div class="thing morechildren" data-fullname="t1_c1">
+            <span class="morecomments"><a class="button" onclick="return morechildren(this, 't3_abc123', 'confidence', 'c1,c2', 'False')">load more comments</a></span>
+          </div>
+        </div></div>
+      </div>`);
+
+    const result = await expander.expand(root.querySelector('.morecomments a'), 'moreComments');
+    const sitetable = root.querySelector('.sitetable');
+    const topLevel = Array.from(sitetable.children).map(child => child.dataset.fullname);
+    const nested = root.querySelector('[data-fullname="t1_c2"] > .child > .sitetable > .thing.comment');
+
+    const passed = result === true &&
+      !root.querySelector('.morechildren') &&
+      JSON.stringify(topLevel) === JSON.stringify(['t1_c1', 't1_c2']) &&
+      nested && nested.dataset.fullname === 't1_c3';
+
+    this.unmountFixture();
+    return this.logTest('Old Reddit Splice', passed, { result, topLevel, nested: nested ? nested.dataset.fullname : null });
+  }
+
+  // Test 7: sh.reddit comments go into the parent's children slot
+  async testShRedditSplice() {
+    const endpoint = new MockRedditEndpoint();
+    const expander = this.createExpander('shReddit', endpoint);
+    const root = this.mountFixture(`
+      <shreddit-comment thingid="t1_r1">
+        <faceplate-partial loading="action"><button>1 more reply</button></faceplate-partial>
+      </shreddit-comment>`);
+
+    const result = await expander.expand(root.querySelector('button'), 'moreReplies');
+    const slotted = Array.from(root.querySelectorAll('shreddit-comment > [slot="children"]')).map(child => child.dataset.fullname);
+
+    const passed = result === true &&
+      !root.querySelector('faceplate-partial') &&
+      JSON.stringify(slotted) === JSON.stringify(['t1_c1', 't1_c2']);
+
+    this.unmountFixture();
+    return this.logTest('sh.reddit Splice', passed, { result, slotted });
+  }
+
+  // Test 8: Scripts and event handlers never reach the page
+  async testBodySanitization() {
+    const endpoint = new MockRedditEndpoint();
+    const expander = this.createExpander('shReddit', endpoint);
+    const root = this.mountFixture(`
+      <shreddit-comment thingid="t1_r1">
+        <faceplate-partial loading="action"><button>1 more reply</button></faceplate-partial>
+      </shreddit-comment>`);
+
+    await expander.expand(root.querySelector('button'), 'moreReplies');
+    const body = root.querySelector('[data-fullname="t1_c3"] .reddit-expander-json-body');
+    const passed = !!body &&
+      body.textContent.includes('Hello') &&
+      !body.querySelector('script') &&
+      !body.querySelector('[onerror]') &&
+      window.__pwned !== true;
+
+    this.unmountFixture();
+    return this.logTest('Comment Body Sanitization', passed, { html: body ? body.innerHTML : null });
+  }
+
+  // Test 9: Unknown stubs fall back to clicking
+  async testFallbackWhenStubUnknown() {
+    const endpoint = new MockRedditEndpoint();
+    const expander = this.createExpander('shReddit', endpoint);
+    const root = this.mountFixture(`
+      <shreddit-comment thingid="t1_unknown">
+        <faceplate-partial loading="action"><button>1 more reply</button></faceplate-partial>
+      </shreddit-comment>`);
+
+    const result = await expander.expand(root.querySelector('button'), 'moreReplies');
+    const stillThere = !!root.querySelector('faceplate-partial');
+    this.unmountFixture();
+
+    return this.logTest('Fallback When Stub Unknown', result === null && stillThere, { result, stillThere });
+  }
+
+  // Test 10: "Continue this thread" is grafted in place instead of navigating
+  async testInlineContinuation() {
+    const endpoint = new MockRedditEndpoint();
+    const expander = this.createExpander('oldReddit', endpoint);
+    // d1 is a reply on the page, so the thread's depths (counted from d1) shift down one level
+    const root = this.mountFixture(`
+      <div class="thing comment" data-fullname="t1_p0">
+        <div class="child"><div class="sitetable listing">
+          <div class="thing comment" data-fullname="t1_d1">
+            <div class="child"><div class="sitetable listing">
+              <span class="deepthread"><a href="${endpoint.baseUrl}/r/test/comments/abc123/thread/d1/">continue this thread</a></span>
+            </div></div>
+          </div>
+        </div></div>
+      </div>`);
+
+    const result = await expander.loadContinuation(root.querySelector('.deepthread a'));
+    const wrapper = root.querySelector('.sitetable > .reddit-expander-inline-thread[data-reddit-expander-inline="true"]');
+    const grafted = wrapper ? wrapper.querySelector(':scope > .thing.comment') : null;
+    const nested = grafted ? grafted.querySelector('.child .thing.comment') : null;
+
+    const passed = result === true &&
+      !root.querySelector('.deepthread') &&
+      grafted && grafted.dataset.fullname === 't1_d2' && grafted.dataset.depth === '2' &&
+      nested && nested.dataset.fullname === 't1_d3' && nested.dataset.depth === '3';
+
+    this.unmountFixture();
+    return this.logTest('Inline Thread Continuation', passed, {
+      result,
+      grafted: grafted ? `${grafted.dataset.fullname}@${grafted.dataset.depth}` : null,
+      nested: nested ? `${nested.dataset.fullname}@${nested.dataset.depth}` : null
+    });
+  }
+
+  // Test 11: Ordinary permalinks are not treated as continuations
+  async testPermalinkIgnored() {
+    const endpoint = new MockRedditEndpoint();
+    const expander = this.createExpander('oldReddit', endpoint);
+    const root = this.mountFixture(`<a class="bylink" href="${endpoint.baseUrl}/r/test/comments/abc123/thread/d1/">permalink</a>`);
+
+    const result = await expander.loadContinuation(root.querySelector('a'));
+    this.unmountFixture();
+
+    return this.logTest('Permalinks Ignored', result === null && endpoint.requests.length === 0, { result });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running JSON-API Backend Tests...\n');
+
+    const tests = [
+      () => this.testClassesLoaded(),
+      () => this.testListingIndexesStubs(),
+      () => this.testMoreChildrenBatching(),
+      () => this.testNestedStubResolution(),
+      () => this.testRateLimitHandling(),
+      () => this.testOldRedditSplice(),
+      () => this.testShRedditSplice(),
+      () => this.testBodySanitization(),
+      () => this.testFallbackWhenStubUnknown(),
+      () => this.testInlineContinuation(),
+      () => this.testPermalinkIgnored()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(JsonApiBackendTester);
+
+if (typeof window !== 'undefined') {
+  window.MockRedditEndpoint = MockRedditEndpoint;
+}
@@ -0,0 +1,255 @@
+/**
+ * Automated Test for the JSON Thread Export
+ *
+ * Tests:
+ * - The same thread in old Reddit and sh.reddit markup yields equivalent JSON
+ * - Every comment carries exactly the fields documented in thread-export.schema.json
+ * - Edited timestamps and deleted / crowd-control flags
+ * - expandedBy records the category that revealed a comment
+ * - parent_id from New Reddit's indented rows
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting JSON Export Test Suite...');
+
+class JsonExportTester extends SandboxTester {
+  constructor() {
+    super('export');
+  }
+
+  exportFixture(html, version) {
+    const root = this.mountFixture(html);
+    const thread = new ThreadExtractor({ root, version }).extract();
+    this.unmountFixture();
+    return new JsonExporter().build(thread);
+  }
+
+  // Fields that don't depend on the Reddit version the thread was read from
+  comparable(output) {
+    const { exported_at: exportedAt, source, ...rest } = output;
+    return {
+      ...rest,
+      post: { ...rest.post, permalink: undefined },
+      comments: rest.comments.map(comment => ({ ...comment, permalink: undefined }))
+    };
+  }
+
+  /*
+   * One thread, two renderings:
+   *   alice (12, edited)
+   *     [deleted]
+   *     carol (3, crowd control)
+   *   dave (-2)
+   */
+  oldRedditThread() {
+    const tagline = (score, created, edited = '') => `<p class="tagline"><span class="score dislikes" title="${score - 1}">${score - 1} points</span><span class="score unvoted" title="${score}">${score} points</span><span class="score likes" title="${score + 1}">${score + 1} points</span>
+      <time class="live-timestamp" datetime="${created}">x</time>${edited ? ` <time class="edited-timestamp" datetime="${edited}">*</time>` : ''}</p>`;
+    return `
+      <div id="siteTable">
+        <div class="thing link" data-fullname="t3_abc" data-author="op" data-score="42"
+             data-permalink="/r/test/comments/abc/same_thread/" data-subreddit="test">
+          <p class="title"><a class="title" href="/r/test/comments/abc/same_thread/">Same thread</a></p>
+          <p class="tagline"><time datetime="2024-03-01T12:00:00+00:00">x</time></p>
+          <div class="expando"><div class="usertext-body"><div class="md"><p>Post body</p></div></div></div>
+        </div>
+      </div>
+      <div class="commentarea"><div class="sitetable nestedlisting">
+        <div class="thing comment" data-fullname="t1_a" data-author="alice" data-permalink="/r/test/comments/abc/same_thread/a/">
+          <div class="entry">${tagline(12, '2024-03-01T13:00:00+00:00', '2024-03-01T14:00:00+00:00')}
+            <div class="usertext-body"><div class="md"><p>First <strong>comment</strong></p></div></div></div>
+          <div class="child"><div class="sitetable listing">
+            <div class="thing comment deleted" data-fullname="t1_b">
+              <div class="entry">${tagline(1, '2024-03-01T13:30:00+00:00')}
+                <div class="usertext-body"><div class="md"><p>[deleted]</p></div></div></div>
+              <div class="child"></div>
+            </div>
+            <div class="thing comment" data-fullname="t1_c" data-author="carol" data-crowd-control="true">
+              <div class="entry">${tagline(3, '2024-03-01T13:45:00+00:00')}
+                <div class="usertext-body"><div class="md"><p>Crowd controlled</p></div></div></div>
+              <div class="child"></div>
+            </div>
+          </div></div>
+        </div>
+        <div class="thing comment" data-fullname="t1_d" data-author="dave">
+          <div class="entry">${tagline(-2, '2024-03-01T15:00:00+00:00')}
+            <div class="usertext-body"><div class="md"><p>Second</p></div></div></div>
+          <div class="child"></div>
+        </div>
+      </div></div>`;
+  }
+
+  shRedditThread() {
+    const meta = (created, edited = '') => `<div slot="commentMeta"><faceplate-timeago ts="${created}">1h</faceplate-timeago>${edited ? `<span> • Edited <faceplate-timeago ts="${edited}">1h</faceplate-timeago></span>` : ''}</div>`;
+    return `
+      <shreddit-post id="t3_abc" post-title="Same thread" author="op" score="42" subreddit-prefixed-name="r/test"
+                     permalink="/r/test/comments/abc/same_thread/" created-timestamp="2024-03-01T12:00:00.000Z">
+        <div slot="text-body"><p>Post body</p></div>
+      </shreddit-post>
+      <shreddit-comment-tree>
+        <shreddit-comment thingid="t1_a" author="alice" score="12" depth="0" permalink="/r/test/comments/abc/comment/a/">
+          ${meta('2024-03-01T13:00:00.000Z', '2024-03-01T14:00:00.000Z')}
+          <div slot="comment"><p>First <strong>comment</strong></p></div>
+          <shreddit-comment thingid="t1_b" author="[deleted]" score="1" depth="1" deleted>
+            ${meta('2024-03-01T13:30:00.000Z')}
+            <div slot="comment"><p>[deleted]</p></div>
+          </shreddit-comment>
+          <shreddit-comment thingid="t1_c" author="carol" score="3" depth="1" collapsed-reason-code="CROWD_CONTROL">
+            ${meta('2024-03-01T13:45:00.000Z')}
+            <div slot="comment"><p>Crowd controlled</p></div>
+          </shreddit-comment>
+        </shreddit-comment>
+        <shreddit-comment thingid="t1_d" author="dave" score="-2" depth="0">
+          ${meta('2024-03-01T15:00:00.000Z')}
+          <div slot="comment"><p>Second</p></div>
+        </shreddit-comment>
+      </shreddit-comment-tree>`;
+  }
+
+  // Test 1: Old Reddit and sh.reddit renderings of one thread export the same data
+  testOldAndShEquivalent() {
+    const oldOutput = this.exportFixture(this.oldRedditThread(), 'oldReddit');
+    const shOutput = this.exportFixture(this.shRedditThread(), 'shReddit');
+
+    const oldJson = JSON.stringify(this.comparable(oldOutput));
+    const shJson = JSON.stringify(this.comparable(shOutput));
+    const passed = oldJson === shJson && oldOutput.comment_count === 4;
+    return this.logTest('Old Reddit And sh.reddit Equivalent', passed, passed
+      ? { comments: oldOutput.comment_count }
+      : { old: this.comparable(oldOutput), sh: this.comparable(shOutput) });
+  }
+
+  // Test 2: Document and comment fields match the schema
+  testSchemaFields() {
+    const output = this.exportFixture(this.shRedditThread(), 'shReddit');
+    const commentKeys = ['id', 'parent_id', 'depth', 'author', 'score', 'created', 'edited', 'permalink', 'body_text', 'body_html', 'flags', 'expandedBy'];
+    const topKeys = ['schema', 'schema_version', 'exported_at', 'source', 'post', 'comment_count', 'comments'];
+    const isIso = value => value === null || /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(value);
+
+    const problems = [];
+    if (JSON.stringify(Object.keys(output)) !== JSON.stringify(topKeys)) problems.push('top-level keys');
+    if (output.schema_version !== JsonExporter.SCHEMA_VERSION) problems.push('schema_version');
+    output.comments.forEach(comment => {
+      if (JSON.stringify(Object.keys(comment)) !== JSON.stringify(commentKeys)) problems.push(`${comment.id} keys`);
+      if (JSON.stringify(Object.keys(comment.flags)) !== JSON.stringify(['deleted', 'crowdControl', 'contestMode'])) problems.push(`${comment.id} flags`);
+      if (!isIso(comment.created) || !isIso(comment.edited)) problems.push(`${comment.id} timestamps`);
+    });
+
+    // Depth-first: every parent comes before its replies
+    const seen = new Set([output.post.id]);
+    output.comments.forEach(comment => {
+      if (!seen.has(comment.parent_id)) problems.push(`${comment.id} before parent`);
+      seen.add(comment.id);
+    });
+
+    return this.logTest('Schema Fields', problems.length === 0, problems.length ? { problems } : null);
+  }
+
+  // Test 3: Edited time and moderation flags
+  testEditedAndFlags() {
+    const output = this.exportFixture(this.oldRedditThread(), 'oldReddit');
+    const byId = Object.fromEntries(output.comments.map(comment => [comment.id, comment]));
+
+    const passed = byId.t1_a.edited === '2024-03-01T14:00:00.000Z' &&
+      byId.t1_d.edited === null &&
+      byId.t1_b.flags.deleted && byId.t1_b.author === null &&
+      byId.t1_c.flags.crowdControl && !byId.t1_c.flags.deleted &&
+      !byId.t1_a.flags.deleted && !byId.t1_a.flags.crowdControl && !byId.t1_a.flags.contestMode &&
+      byId.t1_b.parent_id === 't1_a' && byId.t1_a.parent_id === 't3_abc' && byId.t1_c.depth === 1;
+    return this.logTest('Edited Time And Flags', passed, { a: byId.t1_a, b: byId.t1_b.flags, c: byId.t1_c.flags });
+  }
+
+  // Test 4: expandedBy from ExpansionProvenance
+  testExpandedBy() {
+    const root = this.mountFixture(`
+      <shreddit-comment thingid="t1_p" author="pat" depth="0">
+        <div slot="comment"><p>Parent</p></div>
+        <faceplate-partial loading="action"><button>1 more reply</button></faceplate-partial>
+      </shreddit-comment>
+      <shreddit-comment thingid="t1_h" author="hidden" depth="0" collapsed>
+        <div slot="comment"><p>Collapsed by crowd control</p></div>
+      </shreddit-comment>`);
+    const provenance = new ExpansionProvenance({ root });
+    provenance.snapshot();
+    // Stands in for the expander's content observer
+    const observer = new MutationObserver(provenance.handleMutations);
+    observer.observe(root, { childList: true, subtree: true });
+
+    // "1 more reply" loads a new reply into the parent
+    const parent = root.querySelector('[thingid="t1_p"]');
+    const stub = parent.querySelector('faceplate-partial');
+    const entry = provenance.begin(stub, 'moreReplies');
+    stub.outerHTML = '<shreddit-comment thingid="t1_r" author="rae" depth="1"><div slot="comment"><p>Loaded</p></div></shreddit-comment>';
+    // Arrives meanwhile outside the parent, so this expansion didn't load it
+    root.insertAdjacentHTML('beforeend', '<shreddit-comment thingid="t1_x" author="xan" depth="0"><div slot="comment"><p>Elsewhere</p></div></shreddit-comment>');
+    provenance.handleMutations(observer.takeRecords());
+    provenance.record(entry);
+
+    // Revealing an existing comment tags the comment itself
+    const hidden = root.querySelector('[thingid="t1_h"]');
+    const revealEntry = provenance.begin(hidden, 'crowdControl');
+    hidden.removeAttribute('collapsed');
+    provenance.record(revealEntry);
+    observer.disconnect();
+
+    const thread = new ThreadExtractor({ root, version: 'shReddit' }).extract();
+    const output = new JsonExporter().build(thread);
+    this.unmountFixture();
+
+    const expandedBy = Object.fromEntries(output.comments.map(comment => [comment.id, comment.expandedBy]));
+    const passed = expandedBy.t1_p === null && expandedBy.t1_r === 'moreReplies' && expandedBy.t1_h === 'crowdControl' &&
+      expandedBy.t1_x === null &&
+      provenance.getStats().moreReplies === 1;
+    return this.logTest('expandedBy From Provenance', passed, { expandedBy, stats: provenance.getStats() });
+  }
+
+  // Test 5: New Reddit flat rows get parent_id from indentation
+  testNewRedditParents() {
+    const row = (id, indent) => `<div style="padding-left: ${indent}px"><div id="${id}"><a data-testid="comment_author_link">u${id}</a><div data-testid="comment"><p>${id}</p></div></div></div>`;
+    const output = this.exportFixture([row('t1_x', 16), row('t1_y', 37), row('t1_z', 16)].join(''), 'newReddit');
+    const parents = output.comments.map(comment => `${comment.id}<${comment.parent_id}`);
+
+    const passed = output.comments[1].parent_id === 't1_x' && output.comments[2].parent_id === output.comments[0].parent_id &&
+      output.comments[1].depth === 1;
+    return this.logTest('New Reddit Parent Ids', passed, { parents });
+  }
+
+  // Test 6: Registered as an export format and serialized as parseable JSON
+  testRegistry() {
+    const exporter = new ThreadExporter({ extractor: { extract: () => null } });
+    const formats = exporter.getFormats().map(format => format.name);
+    const json = new JsonExporter();
+    const text = json.serialize({ version: 'oldReddit', url: 'https://old.reddit.com/r/test/comments/abc/', extractedAt: 0, post: {}, comments: [] });
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      parsed = null;
+    }
+
+    const passed = formats.includes('json') && json.extension === 'json' && !!parsed && parsed.comment_count === 0;
+    return this.logTest('JSON Format Registered', passed, { formats });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running JSON Export Tests...\n');
+
+    const tests = [
+      () => this.testOldAndShEquivalent(),
+      () => this.testSchemaFields(),
+      () => this.testEditedAndFlags(),
+      () => this.testExpandedBy(),
+      () => this.testNewRedditParents(),
+      () => this.testRegistry()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(JsonExportTester);
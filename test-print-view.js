@@ -0,0 +1,149 @@
+/**
+ * Automated Test for the Print View
+ *
+ * Tests:
+ * - One row per comment, indented by depth, header before body
+ * - "Hide deleted comments" hides only the deleted rows
+ * - The view is a direct child of <body> and marks <html> while open (print rules)
+ * - Bodies are sanitized
+ * - The print dialog is requested after the view renders
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Print View Test Suite...');
+
+class PrintViewTester extends SandboxTester {
+  comment(id, author, depth, replies = [], deleted = false) {
+    return {
+      id,
+      parentId: null,
+      author,
+      score: 3,
+      flair: null,
+      createdAt: Date.parse('2024-03-01T13:00:00Z'),
+      editedAt: null,
+      permalink: null,
+      depth,
+      body: deleted ? '[deleted]' : `Comment ${id}`,
+      bodyHtml: deleted ? '<p>[deleted]</p>' : `<p>Comment <em>${id}</em></p><script>window.printViewInjected = true</script>`,
+      flags: { deleted, crowdControl: false, contestMode: false },
+      expandedBy: null,
+      replies
+    };
+  }
+
+  // a → (deleted → c), d
+  createView() {
+    const thread = {
+      version: 'shReddit',
+      url: 'https://www.reddit.com/r/test/comments/abc/thread/',
+      extractedAt: Date.now(),
+      post: { id: 't3_abc', title: 'Print me', author: 'op', score: 10, createdAt: null, permalink: null, subreddit: 'r/test', url: null, body: '', bodyHtml: '' },
+      comments: [
+        this.comment('t1_a', 'op', 0, [
+          this.comment('t1_b', null, 1, [this.comment('t1_c', 'carol', 2)], true)
+        ]),
+        this.comment('t1_d', 'dave', 0)
+      ],
+      commentCount: 4
+    };
+    return new PrintView({ extractor: { extract: () => thread } });
+  }
+
+  // Test 1: Flat rows in page order, indented by depth
+  testRows() {
+    const view = this.createView();
+    view.open({ print: false });
+    const rows = Array.from(view.container.querySelectorAll('.reddit-expander-print-comment'));
+    const depths = rows.map(row => row.style.getPropertyValue('--depth').trim());
+    const headersFirst = rows.every(row => row.firstElementChild.classList.contains('reddit-expander-print-header'));
+    const opMarked = rows[0].querySelector('.reddit-expander-print-header').textContent.includes('u/op (OP)');
+    view.close();
+
+    const passed = rows.length === 4 && JSON.stringify(depths) === JSON.stringify(['0', '1', '2', '0']) && headersFirst && opMarked;
+    return this.logTest('Rows Indented By Depth', passed, { rows: rows.length, depths });
+  }
+
+  // Test 2: Hide deleted comments keeps their replies
+  testHideDeleted() {
+    const view = this.createView();
+    view.open({ print: false, hideDeleted: true });
+    const checkbox = view.container.querySelector('.reddit-expander-print-toolbar input[type="checkbox"]');
+    const deletedRows = Array.from(view.container.querySelectorAll('.reddit-expander-print-comment[data-deleted]'));
+    const hiding = view.container.classList.contains('hide-deleted');
+
+    checkbox.checked = false;
+    checkbox.dispatchEvent(new Event('change'));
+    const shownAgain = !view.container.classList.contains('hide-deleted');
+    view.close();
+
+    const passed = hiding && checkbox !== null && deletedRows.length === 1 &&
+      deletedRows[0].textContent.includes('[deleted]') && shownAgain;
+    return this.logTest('Hide Deleted Comments', passed, { deleted: deletedRows.length, hiding, shownAgain });
+  }
+
+  // Test 3: Print rules depend on the view being a body child and the html class
+  testOpenClose() {
+    const view = this.createView();
+    view.open({ print: false });
+    const open = view.container.parentElement === document.body &&
+      document.documentElement.classList.contains('reddit-expander-printing') && view.isOpen();
+
+    view.container.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    const closed = !document.getElementById('reddit-expander-print-view') &&
+      !document.documentElement.classList.contains('reddit-expander-printing') && !view.isOpen();
+
+    return this.logTest('Open And Close', open && closed, { open, closed });
+  }
+
+  // Test 4: Bodies are sanitized
+  testSanitized() {
+    const view = this.createView();
+    view.open({ print: false });
+    const body = view.container.querySelector('.reddit-expander-print-body');
+    const passed = !!body.querySelector('em') && !view.container.querySelector('script') && !window.printViewInjected;
+    view.close();
+    return this.logTest('Bodies Sanitized', passed, { html: body.innerHTML });
+  }
+
+  // Test 5: The print dialog opens once the view is rendered
+  async testPrintRequested() {
+    const view = this.createView();
+    const originalPrint = window.print;
+    let renderedWhenPrinted = null;
+    window.print = () => {
+      renderedWhenPrinted = !!document.querySelector('#reddit-expander-print-view .reddit-expander-print-comment');
+    };
+
+    try {
+      view.open();
+      await new Promise(resolve => setTimeout(resolve, 100));
+    } finally {
+      window.print = originalPrint;
+      view.close();
+    }
+
+    return this.logTest('Print Dialog Requested', renderedWhenPrinted === true, { renderedWhenPrinted });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Print View Tests...\n');
+
+    const tests = [
+      () => this.testRows(),
+      () => this.testHideDeleted(),
+      () => this.testOpenClose(),
+      () => this.testSanitized(),
+      () => this.testPrintRequested()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(PrintViewTester);
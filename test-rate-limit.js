@@ -0,0 +1,142 @@
+/**
+ * Automated Test for Rate-Limit Detection
+ *
+ * Tests:
+ * - 429 responses pause the rate limiter for Retry-After / x-ratelimit-reset
+ * - x-ratelimit-remaining paces requests over the quota window
+ * - An exhausted quota pauses until the window resets
+ * - waitIfNeeded() honours the pause
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Rate Limit Test Suite...');
+
+class RateLimitTester extends SandboxTester {
+  createMonitor() {
+    const limiter = new AdaptiveRateLimiter();
+    const pauses = [];
+    limiter.onPause = ms => pauses.push(ms);
+    return { limiter, pauses, monitor: new RateLimitMonitor(limiter) };
+  }
+
+  // Roughly equal, allowing for the time the test itself takes
+  near(actual, expected) {
+    return Math.abs(actual - expected) < 250;
+  }
+
+  // Test 1: 429 with Retry-After seconds
+  testRetryAfter() {
+    const { limiter, pauses, monitor } = this.createMonitor();
+    const result = monitor.handleResponse({
+      url: 'https://www.reddit.com/svc/shreddit/more-comments/test',
+      status: 429,
+      headers: { 'retry-after': '7' }
+    });
+
+    const pause = limiter.getPauseRemaining();
+    const passed = result.limited && this.near(pause, 7000) && limiter.currentDelay === limiter.maxDelay &&
+      pauses.length === 1 && monitor.getStats().rateLimited === 1;
+    return this.logTest('429 With Retry-After', passed, { result, pause, pauses });
+  }
+
+  // Test 2: 429 falls back to x-ratelimit-reset, then to the default
+  testResetFallback() {
+    const withReset = this.createMonitor();
+    withReset.monitor.handleResponse({
+      url: 'https://old.reddit.com/api/morechildren',
+      status: 429,
+      headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '30' }
+    });
+
+    const bare = this.createMonitor();
+    bare.monitor.handleResponse({ url: 'https://old.reddit.com/api/morechildren', status: 429, headers: {} });
+
+    const resetPause = withReset.limiter.getPauseRemaining();
+    const defaultPause = bare.limiter.getPauseRemaining();
+    const passed = this.near(resetPause, 30000) && this.near(defaultPause, bare.monitor.defaultRetryMs);
+    return this.logTest('429 Without Retry-After', passed, { resetPause, defaultPause });
+  }
+
+  // Test 3: Remaining quota spreads requests over the window, capped at maxDelay
+  testQuotaPacing() {
+    const roomy = this.createMonitor();
+    roomy.monitor.handleResponse({
+      url: 'https://old.reddit.com/api/morechildren',
+      status: 200,
+      headers: { 'x-ratelimit-remaining': '100', 'x-ratelimit-reset': '60' }
+    });
+
+    const tight = this.createMonitor();
+    tight.monitor.handleResponse({
+      url: 'https://old.reddit.com/api/morechildren',
+      status: 200,
+      headers: { 'x-ratelimit-remaining': '10', 'x-ratelimit-reset': '60' }
+    });
+
+    const passed = roomy.limiter.currentDelay === 600 &&
+      tight.limiter.currentDelay === tight.limiter.maxDelay &&
+      roomy.limiter.getPauseRemaining() === 0 &&
+      roomy.monitor.getStats().remaining === 100;
+    return this.logTest('Quota Pacing', passed, {
+      roomyDelay: roomy.limiter.currentDelay,
+      tightDelay: tight.limiter.currentDelay
+    });
+  }
+
+  // Test 4: An exhausted quota on a successful response still pauses
+  testExhaustedQuota() {
+    const { limiter, pauses, monitor } = this.createMonitor();
+    const result = monitor.handleResponse({
+      url: 'https://www.reddit.com/comments/abc.json',
+      status: 200,
+      headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '12' }
+    });
+
+    const pause = limiter.getPauseRemaining();
+    const passed = !result.limited && this.near(pause, 12000) && pauses.length === 1;
+    return this.logTest('Exhausted Quota Pauses', passed, { pause });
+  }
+
+  // Test 5: Retry-After as an HTTP date
+  testRetryAfterDate() {
+    const { monitor } = this.createMonitor();
+    const ms = monitor.parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+    const passed = ms !== null && ms > 3000 && ms <= 5000 && monitor.parseRetryAfter('soon') === null;
+    return this.logTest('Retry-After HTTP Date', passed, { ms });
+  }
+
+  // Test 6: waitIfNeeded waits out the pause
+  async testWaitHonoursPause() {
+    const limiter = new AdaptiveRateLimiter();
+    limiter.currentDelay = 0;
+    limiter.pausedUntil = Date.now() + 300;
+
+    const start = Date.now();
+    await limiter.waitIfNeeded();
+    const waited = Date.now() - start;
+
+    return this.logTest('waitIfNeeded Honours Pause', waited >= 280, { waited });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Rate Limit Tests...\n');
+
+    const tests = [
+      () => this.testRetryAfter(),
+      () => this.testResetFallback(),
+      () => this.testQuotaPacing(),
+      () => this.testExhaustedQuota(),
+      () => this.testRetryAfterDate(),
+      () => this.testWaitHonoursPause()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(RateLimitTester);
@@ -0,0 +1,222 @@
+/**
+ * Automated Test for Smart Filters
+ *
+ * Tests CommentMetadataExtractor and SmartFilterEngine against small DOM fixtures:
+ * - Metadata extraction on old Reddit and sh.reddit markup
+ * - Resolving the parent comment of a "load more" stub
+ * - Skip rules, include exceptions (first match wins) and per-rule hit counts
+ * - Feature-gated fields and regex, invalid rules
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Smart Filter Test Suite...');
+
+class SmartFilterTester extends SandboxTester {
+  constructor() {
+    super('smart-filter');
+    this.metadata = new CommentMetadataExtractor();
+  }
+
+  // Old Reddit: a downvoted parent with a "load more" stub, and a well-received one
+  mountOldRedditThread() {
+    const created = new Date(Date.now() - 5 * 3600000).toISOString();
+    return this.mountFixture(`
+      <div class="thing comment" id="thing_t1_low" data-fullname="t1_low" data-author="grumpy">
+        <div class="entry">
+          <p class="tagline">
+            <a class="author">grumpy</a>
+            <span class="flair">Regular</span>
+            <span class="score dislikes" title="-26">-26 points</span><span class="score unvoted" title="-25">-25 points</span><span class="score likes" title="-24">-24 points</span>
+            <time datetime="${created}">5 hours ago</time>
+          </p>
+          <div class="usertext-body"><div class="md"><p>This take is SPOILER heavy</p></div></div>
+        </div>
+        <div class="child"><div class="sitetable listing">
+          <div class="thing morechildren" id="more-low"><span class="morecomments"><a href="#">load more comments (4 replies)</a></span></div>
+        </div></div>
+      </div>
+      <div class="thing comment" id="thing_t1_high" data-fullname="t1_high" data-author="helpful">
+        <div class="entry">
+          <p class="tagline"><span class="score dislikes" title="309">309 points</span><span class="score unvoted" title="310">310 points</span><span class="score likes" title="311">311 points</span></p>
+          <div class="usertext-body"><div class="md"><p>Great answer</p></div></div>
+        </div>
+        <div class="child"><div class="sitetable listing">
+          <div class="thing comment" id="thing_t1_nested" data-fullname="t1_nested" data-author="grumpy">
+            <div class="entry"><p class="tagline"><span class="score dislikes" title="-41">-41 points</span><span class="score unvoted" title="-40">-40 points</span><span class="score likes" title="-39">-39 points</span></p></div>
+            <div class="child"><div class="sitetable listing">
+              <div class="thing morechildren" id="more-nested"><span class="morecomments"><a href="#">load more comments (2 replies)</a></span></div>
+            </div></div>
+          </div>
+          <div class="thing morechildren" id="more-high"><span class="morecomments"><a href="#">load more comments (9 replies)</a></span></div>
+        </div></div>
+      </div>`);
+  }
+
+  stub(root, id) {
+    return { element: root.querySelector(`#${id} a`), category: 'moreComments' };
+  }
+
+  // Test 1: Old Reddit metadata
+  testOldRedditMetadata() {
+    const root = this.mountOldRedditThread();
+    const meta = this.metadata.extract(root.querySelector('#thing_t1_low'));
+    const nested = this.metadata.extract(root.querySelector('#thing_t1_nested'));
+    this.unmountFixture();
+
+    const passed = meta.author === 'grumpy' && meta.score === -25 && meta.flair === 'Regular' &&
+      meta.depth === 0 && nested.depth === 1 && Math.round((Date.now() - meta.createdAt) / 3600000) === 5 &&
+      meta.body.includes('SPOILER');
+    return this.logTest('Old Reddit Metadata', passed, { meta, nestedDepth: nested.depth });
+  }
+
+  // Test 2: sh.reddit metadata
+  testShRedditMetadata() {
+    const root = this.mountFixture(`
+      <shreddit-comment thingid="t1_sh1" author="someone" score="12" depth="2">
+        <div slot="commentMeta"><faceplate-timeago ts="2024-01-01T00:00:00.000Z"></faceplate-timeago></div>
+        <div slot="comment"><p>Hello there</p></div>
+      </shreddit-comment>`);
+    const meta = this.metadata.extract(root.querySelector('shreddit-comment'));
+    this.unmountFixture();
+
+    const passed = meta.fullname === 't1_sh1' && meta.author === 'someone' && meta.score === 12 &&
+      meta.depth === 2 && meta.createdAt === Date.parse('2024-01-01T00:00:00.000Z') && meta.body === 'Hello there';
+    return this.logTest('sh.reddit Metadata', passed, { meta });
+  }
+
+  // Test 3: A "load more" stub belongs to the comment it hangs under
+  testStubOwner() {
+    const root = this.mountOldRedditThread();
+    const lowOwner = this.metadata.findOwnerComment(root.querySelector('#more-low a'));
+    const highOwner = this.metadata.findOwnerComment(root.querySelector('#more-high a'));
+    this.unmountFixture();
+
+    const passed = lowOwner && lowOwner.id === 'thing_t1_low' && highOwner && highOwner.id === 'thing_t1_high';
+    return this.logTest('Stub Owner Resolution', passed, {
+      lowOwner: lowOwner && lowOwner.id,
+      highOwner: highOwner && highOwner.id
+    });
+  }
+
+  // Test 4: Skip rule on score, with hit counts
+  testSkipDownvotedBranches() {
+    const root = this.mountOldRedditThread();
+    const engine = new SmartFilterEngine({
+      metadata: this.metadata,
+      rules: [{ id: 'downvoted', action: 'skip', conditions: [{ field: 'score', op: 'lt', value: -10 }] }]
+    });
+
+    const decisions = ['more-low', 'more-high', 'more-nested'].map(id => engine.shouldSkip(this.stub(root, id)));
+    const hits = engine.getHitCounts()[0].hits;
+    this.unmountFixture();
+
+    const passed = JSON.stringify(decisions) === JSON.stringify([true, false, true]) && hits === 2;
+    return this.logTest('Skip Downvoted Branches', passed, { decisions, hits, stats: engine.getStats() });
+  }
+
+  // Test 5: First matching rule wins, so an include rule before a skip rule is an exception
+  testIncludeException() {
+    const root = this.mountOldRedditThread();
+    const engine = new SmartFilterEngine({
+      metadata: this.metadata,
+      rules: [
+        { id: 'keep-deep', action: 'include', conditions: [{ field: 'depth', op: 'gte', value: 1 }] },
+        { id: 'downvoted', action: 'skip', conditions: [{ field: 'score', op: 'lt', value: -10 }] }
+      ]
+    });
+
+    const lowSkipped = engine.shouldSkip(this.stub(root, 'more-low'));
+    const nestedSkipped = engine.shouldSkip(this.stub(root, 'more-nested'));
+    const hits = engine.getHitCounts().map(rule => rule.hits);
+    this.unmountFixture();
+
+    const passed = lowSkipped && !nestedSkipped && JSON.stringify(hits) === JSON.stringify([1, 1]);
+    return this.logTest('Include Exception (First Match Wins)', passed, { lowSkipped, nestedSkipped, hits });
+  }
+
+  // Test 6: Rescanning the same element does not recount hits
+  testNoDoubleCounting() {
+    const root = this.mountOldRedditThread();
+    const engine = new SmartFilterEngine({
+      metadata: this.metadata,
+      rules: [{ id: 'downvoted', action: 'skip', conditions: [{ field: 'score', op: 'lt', value: -10 }] }]
+    });
+
+    const item = this.stub(root, 'more-low');
+    engine.shouldSkip(item);
+    engine.shouldSkip(item);
+    engine.shouldSkip(item);
+    const hits = engine.getHitCounts()[0].hits;
+    this.unmountFixture();
+
+    return this.logTest('No Double Counting On Rescan', hits === 1, { hits });
+  }
+
+  // Test 7: Fields and regex locked by feature gates are dropped, as are invalid rules
+  testGatedAndInvalidRules() {
+    const engine = new SmartFilterEngine({
+      metadata: this.metadata,
+      allowedFields: ['score', 'depth', 'age'],
+      allowRegex: false,
+      rules: [
+        { id: 'author', action: 'skip', conditions: [{ field: 'author', op: 'is', value: 'grumpy' }] },
+        { id: 'regex', action: 'skip', conditions: [{ field: 'score', op: 'matches', value: '^-' }] },
+        { id: 'bad-number', action: 'skip', conditions: [{ field: 'score', op: 'lt', value: 'low' }] },
+        { id: 'disabled', enabled: false, action: 'skip', conditions: [{ field: 'score', op: 'lt', value: 0 }] },
+        { id: 'valid', action: 'skip', conditions: [{ field: 'depth', op: 'gt', value: 3 }] }
+      ]
+    });
+    const unlocked = new SmartFilterEngine({
+      metadata: this.metadata,
+      rules: [
+        { id: 'bad-regex', action: 'skip', conditions: [{ field: 'body', op: 'matches', value: '(' }] },
+        { id: 'spoilers', action: 'skip', conditions: [{ field: 'body', op: 'matches', value: 'spoiler' }] }
+      ]
+    });
+
+    const kept = engine.rules.map(rule => rule.id);
+    const unlockedKept = unlocked.rules.map(rule => rule.id);
+    const passed = JSON.stringify(kept) === JSON.stringify(['valid']) &&
+      JSON.stringify(unlockedKept) === JSON.stringify(['spoilers']);
+    return this.logTest('Gated and Invalid Rules Dropped', passed, { kept, unlockedKept });
+  }
+
+  // Test 8: Regex over the parent body
+  testBodyRegex() {
+    const root = this.mountOldRedditThread();
+    const engine = new SmartFilterEngine({
+      metadata: this.metadata,
+      rules: [{ id: 'spoilers', action: 'skip', conditions: [{ field: 'body', op: 'matches', value: 'spoil(er|s)' }] }]
+    });
+
+    const lowSkipped = engine.shouldSkip(this.stub(root, 'more-low'));
+    const highSkipped = engine.shouldSkip(this.stub(root, 'more-high'));
+    this.unmountFixture();
+
+    return this.logTest('Body Regex', lowSkipped && !highSkipped, { lowSkipped, highSkipped });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Smart Filter Tests...\n');
+
+    const tests = [
+      () => this.testOldRedditMetadata(),
+      () => this.testShRedditMetadata(),
+      () => this.testStubOwner(),
+      () => this.testSkipDownvotedBranches(),
+      () => this.testIncludeException(),
+      () => this.testNoDoubleCounting(),
+      () => this.testGatedAndInvalidRules(),
+      () => this.testBodyRegex()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(SmartFilterTester);
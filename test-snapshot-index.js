@@ -0,0 +1,239 @@
+/**
+ * Automated Test for the Snapshot Search Index and Reading List
+ *
+ * Tests:
+ * - Tokenizing lowercases, folds accents and drops stop words
+ * - Queries split into words, author: / u/ and subreddit: / r/ filters
+ * - Index anchors match the ids in the offline HTML, including unnamed comments
+ * - Search across threads by keyword, prefix, author and subreddit
+ * - Deleting a snapshot removes it from the index
+ * - Read later snapshots leave the reading list once read
+ * - Snapshots saved before the index existed are indexed on upgrade
+ *
+ * Uses its own database, so saved snapshots are not touched. Run in the DevTools
+ * console of the extension's snapshots page ("Saved snapshots" in the popup), which
+ * loads the snapshot scripts and whose IndexedDB is the extension's own; the store
+ * and index are not content scripts, so they don't exist on Reddit pages.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Snapshot Index Test Suite...');
+
+class SnapshotIndexTester extends SandboxTester {
+  constructor() {
+    super();
+    this.dbName = 'reddit-expander-snapshot-index-test';
+    this.store = null;
+  }
+
+  comment(id, author, body, replies = []) {
+    return {
+      id,
+      parentId: null,
+      author,
+      score: 1,
+      flair: null,
+      createdAt: null,
+      editedAt: null,
+      permalink: null,
+      depth: 0,
+      body,
+      bodyHtml: `<p>${body}</p>`,
+      flags: { deleted: !author, crowdControl: false, contestMode: false },
+      expandedBy: null,
+      replies
+    };
+  }
+
+  createThread(title, subreddit, comments) {
+    return {
+      version: 'old',
+      url: `https://old.reddit.com/${subreddit}/comments/abc/thread/`,
+      extractedAt: Date.parse('2024-03-02T00:00:00Z'),
+      post: { id: 't3_abc', title, author: 'op', score: 10, createdAt: null, permalink: null, subreddit, url: null, body: '', bodyHtml: '' },
+      comments,
+      commentCount: comments.length
+    };
+  }
+
+  linuxThread() {
+    return this.createThread('Laptop freezes after update', 'r/linux', [
+      this.comment('t1_a', 'alice', 'Kernel panic on boot, rolled back the driver', [
+        this.comment('t1_b', 'bob', 'Same kernel here, no panic though')
+      ]),
+      this.comment('t1_c', 'carol', 'Check the logs first')
+    ]);
+  }
+
+  rustThread() {
+    return this.createThread('Borrow checker question', 'r/rust', [
+      this.comment('t1_d', 'alice', 'The kernel of the problem is a lifetime issue')
+    ]);
+  }
+
+  deleteDatabase() {
+    return new Promise(resolve => {
+      const request = indexedDB.deleteDatabase(this.dbName);
+      request.onsuccess = request.onerror = request.onblocked = () => resolve();
+    });
+  }
+
+  // Test 1: Tokenizing
+  testTokenize() {
+    const terms = SnapshotIndex.tokenize('The Café crashed, the CAFÉ crashed! a x 404');
+
+    const passed = terms.join() === 'cafe,crashed,404';
+    return this.logTest('Tokenize', passed, { terms });
+  }
+
+  // Test 2: Query parsing
+  testParseQuery() {
+    const parsed = SnapshotIndex.parseQuery('Crash author:Alice r/Linux u/bob subreddit:Rust the');
+
+    const passed = parsed.words.join() === 'crash' &&
+      parsed.authors.join() === 'alice,bob' &&
+      parsed.subreddits.join() === 'linux,rust' &&
+      SnapshotIndex.isEmpty(SnapshotIndex.parseQuery('  the  '));
+    return this.logTest('Parse Query', passed, parsed);
+  }
+
+  // Test 3: Anchors are the element ids in the offline HTML
+  testAnchorsMatchHtml() {
+    const thread = this.createThread('Unnamed', 'r/test', [
+      this.comment(null, 'alice', 'first unnamed', [this.comment(null, 'bob', 'nested unnamed')]),
+      this.comment('t1_z', 'carol', 'named'),
+      this.comment(null, 'dave', 'second unnamed')
+    ]);
+
+    const anchors = [];
+    SnapshotIndex.walk(thread, (comment, anchor) => anchors.push(anchor));
+    const doc = new DOMParser().parseFromString(new HtmlExporter().serialize(thread, { script: false }), 'text/html');
+
+    const passed = anchors.join() === 'post,comment-1,comment-2,t1_z,comment-3' &&
+      anchors.every(anchor => !!doc.getElementById(anchor)) &&
+      !doc.querySelector('script') &&
+      doc.getElementById('comment-2').getAttribute('data-author') === 'bob';
+    return this.logTest('Anchors Match Offline HTML', passed, { anchors });
+  }
+
+  // Test 4: Search across threads
+  async testSearch() {
+    const linux = await this.store.save(this.linuxThread(), 1000);
+    const rust = await this.store.save(this.rustThread(), 2000);
+
+    const anchorsOf = hits => hits.map(hit => `${hit.snapshot.id === linux.id ? 'linux' : 'rust'}:${hit.anchor}`).join();
+    const kernel = await this.store.search('kernel');
+    const kernelLinux = await this.store.search('Kernel r/linux');
+    const prefix = await this.store.search('pani');
+    const both = await this.store.search('kernel panic');
+    const author = await this.store.search('author:alice');
+    const title = await this.store.search('freezes');
+    const subreddit = await this.store.search('r/rust');
+
+    const results = {
+      kernel: anchorsOf(kernel),
+      kernelLinux: anchorsOf(kernelLinux),
+      prefix: anchorsOf(prefix),
+      both: anchorsOf(both),
+      author: anchorsOf(author),
+      title: anchorsOf(title),
+      subreddit: anchorsOf(subreddit)
+    };
+
+    const passed = results.kernel === 'rust:t1_d,linux:t1_a,linux:t1_b' &&
+      results.kernelLinux === 'linux:t1_a,linux:t1_b' &&
+      results.prefix === 'linux:t1_a,linux:t1_b' &&
+      results.both === 'linux:t1_a,linux:t1_b' &&
+      results.author === 'rust:t1_d,linux:t1_a' &&
+      results.title === 'linux:post' &&
+      results.subreddit === 'rust:post' &&
+      kernel[0].author === 'alice' && kernel[0].snippet.includes('lifetime') &&
+      rust.id !== linux.id;
+    return this.logTest('Search Across Threads', passed, results);
+  }
+
+  // Test 5: Deleting a snapshot removes its postings
+  async testDeleteRemovesPostings() {
+    const summary = await this.store.save(this.createThread('Doomed', 'r/test', [this.comment('t1_x', 'eve', 'xylophone')]));
+    const before = await this.store.search('xylophone');
+    await this.store.delete(summary.id);
+    const after = await this.store.search('xylophone');
+
+    const db = await this.store.open();
+    const postings = await SnapshotStore.result(db.transaction('terms', 'readonly').objectStore('terms').index('snapshotId').count(summary.id));
+
+    const passed = before.length === 1 && after.length === 0 && postings === 0;
+    return this.logTest('Delete Removes Postings', passed, { before: before.length, after: after.length, postings });
+  }
+
+  // Test 6: Reading list
+  async testReadLater() {
+    const later = await this.store.save(this.createThread('Later', 'r/test', []), 3000, { readLater: true });
+    const plain = await this.store.save(this.createThread('Plain', 'r/test', []), 3000);
+    await this.store.markRead(later.id, 4000);
+    await this.store.markRead(plain.id, 4000);
+    const list = await this.store.list();
+    const read = list.find(snapshot => snapshot.id === later.id);
+    const untouched = list.find(snapshot => snapshot.id === plain.id);
+
+    const passed = later.readLater === true && later.readAt === null &&
+      read.readAt === 4000 && !untouched.readLater && !('readAt' in untouched);
+    return this.logTest('Read Later', passed, { later, read, untouched });
+  }
+
+  // Test 7: A version 1 database is indexed on upgrade
+  async testUpgradeIndexesExisting() {
+    this.store.close();
+    await this.deleteDatabase();
+
+    const thread = this.linuxThread();
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true }).createIndex('savedAt', 'savedAt');
+        db.createObjectStore('threads', { keyPath: 'id' });
+        request.transaction.objectStore('snapshots').add({ ...SnapshotStore.summarize(thread, 1000), id: 7 });
+        request.transaction.objectStore('threads').add({ id: 7, thread });
+      };
+      request.onsuccess = () => {
+        request.result.close();
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    this.store = new SnapshotStore({ dbName: this.dbName });
+    const hits = await this.store.search('panic');
+
+    const passed = hits.map(hit => `${hit.snapshot.id}:${hit.anchor}`).join() === '7:t1_a,7:t1_b';
+    return this.logTest('Upgrade Indexes Existing Snapshots', passed, { hits: hits.length });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Snapshot Index Tests...\n');
+
+    await this.deleteDatabase();
+    this.store = new SnapshotStore({ dbName: this.dbName });
+
+    const tests = [
+      () => this.testTokenize(),
+      () => this.testParseQuery(),
+      () => this.testAnchorsMatchHtml(),
+      () => this.testSearch(),
+      () => this.testDeleteRemovesPostings(),
+      () => this.testReadLater(),
+      () => this.testUpgradeIndexesExisting()
+    ];
+
+    const summary = await this.runTests(tests);
+    this.store.close();
+    await this.deleteDatabase();
+    return summary;
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(SnapshotIndexTester);
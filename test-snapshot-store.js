@@ -0,0 +1,142 @@
+/**
+ * Automated Test for the Snapshot Store
+ *
+ * Tests:
+ * - Saving returns a summary with subreddit, title, date, comment count and size
+ * - Listing is newest first and never carries thread content
+ * - A saved thread reads back unchanged and deletes from both object stores
+ * - Sizes are UTF-8 byte counts
+ * - Re-exporting a snapshot resolves links against the thread, not the current page
+ *
+ * Uses its own database, so saved snapshots are not touched. Run in the DevTools
+ * console of the extension's snapshots page ("Saved snapshots" in the popup), which
+ * loads the snapshot scripts and whose IndexedDB is the extension's own; the store
+ * and index are not content scripts, so they don't exist on Reddit pages.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Snapshot Store Test Suite...');
+
+class SnapshotStoreTester extends SandboxTester {
+  constructor() {
+    super();
+    this.dbName = 'reddit-expander-snapshots-test';
+    this.store = null;
+  }
+
+  createThread(title, subreddit = 'r/test') {
+    return {
+      version: 'shReddit',
+      url: 'https://www.reddit.com/r/test/comments/abc/thread/',
+      extractedAt: Date.parse('2024-03-02T00:00:00Z'),
+      post: { id: 't3_abc', title, author: 'op', score: 10, createdAt: null, permalink: null, subreddit, url: null, body: '', bodyHtml: '' },
+      comments: [{
+        id: 't1_a',
+        parentId: 't3_abc',
+        author: 'alice',
+        score: 3,
+        flair: null,
+        createdAt: Date.parse('2024-03-01T13:00:00Z'),
+        editedAt: null,
+        permalink: null,
+        depth: 0,
+        body: 'See the other thread 👍',
+        bodyHtml: '<p>See <a href="/r/test/comments/zzz/other/">the other thread</a> 👍</p>',
+        flags: { deleted: false, crowdControl: false, contestMode: false },
+        expandedBy: 'moreComments',
+        replies: []
+      }],
+      commentCount: 1
+    };
+  }
+
+  deleteDatabase() {
+    return new Promise(resolve => {
+      const request = indexedDB.deleteDatabase(this.dbName);
+      request.onsuccess = request.onerror = request.onblocked = () => resolve();
+    });
+  }
+
+  // Test 1: Save returns a summary; list is newest first
+  async testSaveAndList() {
+    const first = await this.store.save(this.createThread('Older', 'r/zeta'), 1000);
+    const second = await this.store.save(this.createThread('Newer', 'r/alpha'), 2000);
+    const list = await this.store.list();
+
+    const passed = typeof first.id === 'number' && second.id !== first.id &&
+      second.subreddit === 'r/alpha' && second.title === 'Newer' && second.savedAt === 2000 &&
+      second.commentCount === 1 && second.size > 0 &&
+      list.map(snapshot => snapshot.title).join() === 'Newer,Older' &&
+      list.every(snapshot => !('thread' in snapshot));
+    return this.logTest('Save And List', passed, { first, list: list.map(snapshot => snapshot.title) });
+  }
+
+  // Test 2: A saved thread reads back unchanged
+  async testGet() {
+    const thread = this.createThread('Round trip');
+    const summary = await this.store.save(thread);
+    const snapshot = await this.store.get(summary.id);
+    const missing = await this.store.get(999999);
+
+    const passed = !!snapshot && JSON.stringify(snapshot.thread) === JSON.stringify(thread) &&
+      snapshot.title === 'Round trip' && missing === null;
+    return this.logTest('Thread Round Trip', passed, { id: summary.id });
+  }
+
+  // Test 3: Delete removes summary and content
+  async testDelete() {
+    const summary = await this.store.save(this.createThread('Doomed'));
+    await this.store.delete(summary.id);
+    const snapshot = await this.store.get(summary.id);
+    const list = await this.store.list();
+
+    const passed = snapshot === null && !list.some(item => item.id === summary.id);
+    return this.logTest('Delete Snapshot', passed, { remaining: list.length });
+  }
+
+  // Test 4: Size counts UTF-8 bytes
+  testSize() {
+    const thread = this.createThread('Größe');
+    const summary = SnapshotStore.summarize(thread, 0);
+    const expected = new TextEncoder().encode(JSON.stringify(thread)).length;
+
+    const passed = summary.size === expected && summary.size > JSON.stringify(thread).length;
+    return this.logTest('UTF-8 Size', passed, { size: summary.size, characters: JSON.stringify(thread).length });
+  }
+
+  // Test 5: Re-export resolves relative links against the thread URL
+  async testReExport() {
+    const summary = await this.store.save(this.createThread('Export me'));
+    const snapshot = await this.store.get(summary.id);
+    const exporter = new ThreadExporter({ extractor: { extract: () => snapshot.thread } });
+    const markdown = exporter.export('markdown').content;
+
+    const passed = markdown.includes('[the other thread](https://www.reddit.com/r/test/comments/zzz/other/)');
+    return this.logTest('Re-Export From Snapshot', passed, { markdown });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Snapshot Store Tests...\n');
+
+    await this.deleteDatabase();
+    this.store = new SnapshotStore({ dbName: this.dbName });
+
+    const tests = [
+      () => this.testSaveAndList(),
+      () => this.testGet(),
+      () => this.testDelete(),
+      () => this.testSize(),
+      () => this.testReExport()
+    ];
+
+    const summary = await this.runTests(tests);
+    this.store.close();
+    await this.deleteDatabase();
+    return summary;
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(SnapshotStoreTester);
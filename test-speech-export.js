@@ -0,0 +1,165 @@
+/**
+ * Automated Test for the Speech (Listening) Export
+ *
+ * Tests:
+ * - Spoken-style headers with level, author, score, position and reply target
+ * - No markup noise: tags, entities and raw URLs never reach the text
+ * - Links, quotes, code, images, spoilers and u/ r/ prefixes are read as words
+ * - Deleted and low-score comments can be skipped without losing their replies
+ * - Brief headers
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Speech Export Test Suite...');
+
+class SpeechExportTester extends SandboxTester {
+  comment(id, depth, author, score, bodyHtml, replies = [], deleted = false) {
+    return {
+      id,
+      parentId: null,
+      author,
+      score,
+      flair: null,
+      createdAt: Date.parse('2024-03-01T13:00:00Z'),
+      editedAt: null,
+      permalink: null,
+      depth,
+      body: bodyHtml.replace(/<[^>]+>/g, ''),
+      bodyHtml,
+      flags: { deleted, crowdControl: false, contestMode: false },
+      expandedBy: null,
+      replies
+    };
+  }
+
+  // host → alice → (deleted → carol), dave (score -5)
+  createThread() {
+    return {
+      version: 'shReddit',
+      url: 'https://www.reddit.com/r/AskScience/comments/abc/thread/',
+      extractedAt: Date.now(),
+      post: {
+        id: 't3_abc',
+        title: 'Why is the sky blue?',
+        author: 'host',
+        score: 900,
+        createdAt: Date.parse('2024-03-01T12:00:00Z'),
+        permalink: null,
+        subreddit: 'r/AskScience',
+        url: null,
+        body: 'Asking for a friend',
+        bodyHtml: '<p>Asking for a <strong>friend</strong> &amp; family</p>'
+      },
+      comments: [
+        this.comment('t1_a', 0, 'host', 12, '<p>Context first.</p>', [
+          this.comment('t1_b', 1, 'alice', 45, [
+            '<p>Read <a href="https://www.example.com/rayleigh">this article</a> or <a href="https://en.wikipedia.org/wiki/Rayleigh_scattering">https://en.wikipedia.org/wiki/Rayleigh_scattering</a>, as <a href="/u/bob">u/bob</a> said in r/Physics.</p>',
+            '<blockquote><p>Shorter wavelengths scatter more.</p></blockquote>',
+            '<pre><code>I = 1 / λ^4</code></pre>',
+            '<p><span class="md-spoiler-text">It is not the ocean</span> <img src="https://i.redd.it/x.png" alt="chart"> see https://imgur.com/a/xyz</p>'
+          ].join(''), [
+            this.comment('t1_c', 2, null, 3, '<p>[deleted]</p>', [
+              this.comment('t1_d', 3, 'carol', 7, '<p>Still here</p>')
+            ], true)
+          ])
+        ]),
+        this.comment('t1_e', 0, 'dave', -5, '<p>Because <em>reasons</em></p>')
+      ],
+      commentCount: 5
+    };
+  }
+
+  // Test 1: Spoken-style headers
+  testHeaders() {
+    const text = new SpeechExporter().serialize(this.createThread());
+
+    const checks = {
+      title: text.startsWith('Why is the sky blue?\n\nPosted in subreddit AskScience by user host, 900 points, March 1, 2024.'),
+      count: text.includes('5 comments.'),
+      topLevel: text.includes('Comment 1 of 5. Top-level comment by user host, the original poster, 12 points, March 1, 2024.'),
+      reply: text.includes('Comment 2 of 5. Reply, level 2, by user alice, 45 points, March 1, 2024. Replying to user host.'),
+      deleted: text.includes('Reply, level 3, by a deleted account, 3 points'),
+      negative: text.includes('by user dave, minus 5 points'),
+      end: text.trim().endsWith('End of thread.')
+    };
+    const passed = Object.values(checks).every(Boolean);
+    return this.logTest('Spoken Headers', passed, passed ? null : { checks, text });
+  }
+
+  // Test 2: No markup noise
+  testNoMarkup() {
+    const text = new SpeechExporter().serialize(this.createThread());
+    const passed = !/[<>*]|&amp;|https?:\/\/|\/u\/|\u00a0/.test(text) &&
+      text.includes('Asking for a friend & family');
+    return this.logTest('No Markup Noise', passed, passed ? null : { text });
+  }
+
+  // Test 3: Links, quotes, code, images and spoilers are announced
+  testAnnouncements() {
+    const text = new SpeechExporter().serialize(this.createThread());
+    const checks = {
+      namedLink: text.includes('this article (link to example.com)'),
+      bareLink: text.includes('or link to en.wikipedia.org,'),
+      user: text.includes('as user bob said in subreddit Physics.'),
+      quote: text.includes('Quote: Shorter wavelengths scatter more. End quote.'),
+      code: text.includes('Code block: I = 1 / λ^4 End code block.'),
+      spoiler: text.includes('Spoiler: It is not the ocean End spoiler.'),
+      image: text.includes('Image: chart.'),
+      textUrl: text.includes('see link to imgur.com')
+    };
+    const passed = Object.values(checks).every(Boolean);
+    return this.logTest('Links And Quotes Announced', passed, passed ? null : { checks, text });
+  }
+
+  // Test 4: Skipping keeps the replies of skipped comments
+  testSkipping() {
+    const text = new SpeechExporter().serialize(this.createThread(), { skipDeleted: true, minScore: 0 });
+    const checks = {
+      summary: text.includes('3 comments, 2 skipped.'),
+      deletedGone: !text.includes('by a deleted account') && !text.includes('[deleted]'),
+      lowGone: !text.includes('dave'),
+      replyKept: text.includes('Comment 3 of 3. Reply, level 4, by user carol, 7 points, March 1, 2024. Replying to a deleted account.')
+    };
+    const passed = Object.values(checks).every(Boolean);
+    return this.logTest('Skip Deleted And Low Score', passed, passed ? null : { checks, text });
+  }
+
+  // Test 5: Brief headers leave out position, date and reply target
+  testBrief() {
+    const text = new SpeechExporter().serialize(this.createThread(), { verbosity: 'brief' });
+    const passed = text.includes('\n\nReply, level 2, by user alice, 45 points.\nRead this article') &&
+      !text.includes('Comment 1 of') && !text.includes('Replying to') && !text.includes('2024');
+    return this.logTest('Brief Headers', passed, passed ? null : { text });
+  }
+
+  // Test 6: Registered as a text export format
+  testRegistry() {
+    const exporter = new ThreadExporter({ extractor: { extract: () => this.createThread() } });
+    const result = exporter.export('speech', { verbosity: 'brief' });
+    const passed = exporter.has('speech') && typeof result.content === 'string' &&
+      result.filename.endsWith('.txt') && !result.content.includes('Comment 1 of');
+    return this.logTest('Speech Format Registered', passed, { filename: result.filename });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Speech Export Tests...\n');
+
+    const tests = [
+      () => this.testHeaders(),
+      () => this.testNoMarkup(),
+      () => this.testAnnouncements(),
+      () => this.testSkipping(),
+      () => this.testBrief(),
+      () => this.testRegistry()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(SpeechExportTester);
@@ -0,0 +1,301 @@
+/**
+ * Automated Test for the Thread Diff (new comments since the last visit)
+ *
+ * Tests:
+ * - Fullnames and badge placement on old Reddit, new Reddit, sh.reddit and JSON-rendered comments
+ * - A first visit marks nothing and records the thread's comment ids
+ * - The next visit marks only new comments, with a "new since" badge and summary
+ * - Stored ids accumulate, so a visit that loaded fewer comments doesn't resurface the rest
+ * - Next/previous step through new comments in document order and wrap around
+ * - Comments loaded after the visit started are marked on refresh
+ * - The page observer settles once badges and the panel are in place
+ * - Only the most recently visited threads are kept
+ * - Records are capped in size, and a full storage quota evicts the oldest threads until the write fits
+ *
+ * Uses an in-memory stand-in for chrome.storage.local, so real visit records
+ * are not touched. Run in the browser console on a Reddit page after the
+ * extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Thread Diff Test Suite...');
+
+class ThreadDiffTester extends SandboxTester {
+  constructor() {
+    super('thread-diff');
+    this.metadata = new CommentMetadataExtractor();
+    this.url = 'https://old.reddit.com/r/test/comments/abc123/thread/';
+  }
+
+  // quota: the most bytes of JSON the stand-in holds before set() fails like chrome.storage does
+  createStorage(initial = {}, quota = Infinity) {
+    const data = { ...initial };
+    return {
+      data,
+      get: async keys => Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]])),
+      set: async items => {
+        const copy = JSON.parse(JSON.stringify(items));
+        if (JSON.stringify({ ...data, ...copy }).length > quota) {
+          throw new Error('QUOTA_BYTES quota exceeded');
+        }
+        Object.assign(data, copy);
+      },
+      remove: async keys => {
+        keys.forEach(key => delete data[key]);
+      }
+    };
+  }
+
+  createDiff(storage, options = {}) {
+    return new ThreadDiff({
+      metadata: this.metadata,
+      root: this.sandbox,
+      storage,
+      refreshDelay: 0,
+      saveDelay: 0,
+      ...options
+    });
+  }
+
+  oldComment(id, replies = '') {
+    return `
+      <div class="thing comment" data-fullname="t1_${id}" data-author="user_${id}">
+        <div class="entry"><p class="tagline"><a class="author">user_${id}</a></p><div class="usertext-body"><div class="md"><p>${id}</p></div></div></div>
+        <div class="child"><div class="sitetable listing">${replies}</div></div>
+      </div>`;
+  }
+
+  markedIds() {
+    return Array.from(this.sandbox.querySelectorAll('[data-reddit-expander-new]'))
+      .map(comment => this.metadata.getFullname(comment));
+  }
+
+  // Test 1: Every version's comment markup yields its fullname and a badge host
+  testVersions() {
+    this.mountFixture(`
+      ${this.oldComment('old')}
+      <shreddit-comment thingid="t1_sh" author="sh_user"><div slot="commentMeta"><span>sh_user</span></div><div slot="comment"><p>sh</p></div></shreddit-comment>
+      <div id="t1_new"><div><a data-testid="comment_author_link">new_user</a></div><p>new</p></div>
+      <div class="reddit-expander-json-comment" data-reddit-expander-json-id="json" data-fullname="t1_json"><div class="reddit-expander-json-meta">json_user</div></div>
+      <div id="t1_new-comment-rtjson-content">inner element, not a comment</div>`);
+
+    const diff = this.createDiff(this.createStorage());
+    const comments = this.metadata.getComments(this.sandbox);
+    const ids = comments.map(comment => this.metadata.getFullname(comment));
+    const hosts = comments.map(comment => {
+      const host = diff.getBadgeHost(comment);
+      return host ? (host.className || host.getAttribute('slot') || host.tagName.toLowerCase()) : null;
+    });
+    this.unmountFixture();
+
+    const passed = ids.join() === 't1_old,t1_sh,t1_new,t1_json' &&
+      hosts.join() === 'tagline,commentMeta,div,reddit-expander-json-meta';
+    return this.logTest('Fullnames And Badge Hosts Per Version', passed, { ids, hosts });
+  }
+
+  // Test 2: First visit marks nothing; the second marks only new comments
+  async testFirstAndSecondVisit() {
+    const storage = this.createStorage();
+    this.mountFixture(this.oldComment('a', this.oldComment('b')));
+    const first = this.createDiff(storage);
+    await first.start(this.url);
+    const firstMarked = this.markedIds();
+    const firstSummary = first.getSummary();
+    await first.stop();
+    const record = storage.data['threadVisit:abc123'];
+
+    this.mountFixture(this.oldComment('a', this.oldComment('b') + this.oldComment('c')) + this.oldComment('d'));
+    const second = this.createDiff(storage);
+    await second.start(`${this.url}?sort=new`);
+    const secondMarked = this.markedIds();
+    const badges = Array.from(this.sandbox.querySelectorAll('.entry .tagline .reddit-expander-new-badge')).map(badge => badge.textContent);
+    const summary = second.getSummary();
+    const panel = document.querySelector('.reddit-expander-new-panel');
+    const panelText = panel ? panel.textContent : null;
+    await second.stop();
+    const leftovers = this.sandbox.querySelectorAll('[data-reddit-expander-new], .reddit-expander-new-badge').length;
+    this.unmountFixture();
+
+    const passed = firstMarked.length === 0 && firstSummary === null &&
+      record && record.ids.slice().sort().join() === 't1_a,t1_b' &&
+      secondMarked.join() === 't1_c,t1_d' &&
+      badges.length === 2 && badges.every(text => text.startsWith('new since ')) &&
+      /^2 new comments since /.test(summary) &&
+      !!panelText && panelText.includes(summary) &&
+      !document.querySelector('.reddit-expander-new-panel') && leftovers === 0;
+    return this.logTest('First And Second Visit', passed, { firstMarked, secondMarked, badges, summary, panelText });
+  }
+
+  // Test 3: Ids accumulate across visits
+  async testIdsAccumulate() {
+    const storage = this.createStorage();
+    const visit = async html => {
+      this.mountFixture(html);
+      const diff = this.createDiff(storage);
+      await diff.start(this.url);
+      const marked = this.markedIds();
+      await diff.stop();
+      return marked;
+    };
+
+    await visit(this.oldComment('a') + this.oldComment('b') + this.oldComment('c'));
+    const partial = await visit(this.oldComment('a'));
+    const full = await visit(this.oldComment('a') + this.oldComment('b') + this.oldComment('c'));
+    this.unmountFixture();
+
+    const passed = partial.length === 0 && full.length === 0 &&
+      storage.data['threadVisit:abc123'].ids.length === 3;
+    return this.logTest('Stored Ids Accumulate', passed, { partial, full });
+  }
+
+  // Test 4: Next/previous in document order, wrapping
+  async testNavigation() {
+    const storage = this.createStorage({
+      threadVisitIndex: { abc123: 1000 },
+      'threadVisit:abc123': { visitedAt: 1000, ids: ['t1_a'] }
+    });
+    this.mountFixture(this.oldComment('a', this.oldComment('b')) + this.oldComment('c') + this.oldComment('d'));
+    const announcements = [];
+    const diff = this.createDiff(storage, { announce: message => announcements.push(message) });
+    await diff.start(this.url);
+
+    const id = comment => (comment ? this.metadata.getFullname(comment) : null);
+    const steps = [id(diff.next()), id(diff.next()), id(diff.next()), id(diff.next()), id(diff.previous()), id(diff.previous())];
+    const current = Array.from(this.sandbox.querySelectorAll('.reddit-expander-new-current')).map(id);
+    await diff.stop();
+    this.unmountFixture();
+
+    const passed = steps.join() === 't1_b,t1_c,t1_d,t1_b,t1_d,t1_c' &&
+      current.join() === 't1_c' &&
+      announcements[0] === 'New comment 1 of 3 by user_b';
+    return this.logTest('Next And Previous Navigation', passed, { steps, current, announcements: announcements.slice(0, 2) });
+  }
+
+  // Test 5: Late comments are diffed by refresh()
+  async testLateComments() {
+    const storage = this.createStorage({
+      threadVisitIndex: { abc123: 1000 },
+      'threadVisit:abc123': { visitedAt: 1000, ids: ['t1_a'] }
+    });
+    const root = this.mountFixture(this.oldComment('a', ''));
+    const diff = this.createDiff(storage);
+    await diff.start(this.url);
+    const before = diff.newComments.length;
+
+    root.querySelector('.sitetable').insertAdjacentHTML('beforeend', this.oldComment('late'));
+    diff.refresh();
+    const after = this.markedIds();
+    await diff.stop();
+    this.unmountFixture();
+
+    const passed = before === 0 && after.join() === 't1_late' &&
+      storage.data['threadVisit:abc123'].ids.includes('t1_late');
+    return this.logTest('Late Comments Marked On Refresh', passed, { before, after });
+  }
+
+  // Test 6: The observer settles once marks and the panel are applied
+  async testObserverSettles() {
+    const storage = this.createStorage({
+      threadVisitIndex: { abc123: 1000 },
+      'threadVisit:abc123': { visitedAt: 1000, ids: ['t1_a'] }
+    });
+    const root = this.mountFixture(this.oldComment('a'));
+    const diff = this.createDiff(storage);
+    await diff.start(this.url);
+
+    // Count scheduled refreshes and run them at once (the real timer would also re-check the URL);
+    // a few are enough to show a loop without hanging the page
+    let refreshes = 0;
+    diff.scheduleRefresh = () => {
+      refreshes++;
+      if (refreshes <= 5) diff.refresh();
+    };
+    const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+    root.querySelector('.sitetable').insertAdjacentHTML('beforeend', this.oldComment('late'));
+    await settle();
+    // Panel updates inside the observed root must not count either
+    if (diff.panel) root.appendChild(diff.panel);
+    await settle();
+    const afterMarks = refreshes;
+    diff.refresh();
+    await settle();
+    const afterIdle = refreshes;
+    const marked = this.markedIds();
+    await diff.stop();
+    this.unmountFixture();
+
+    const passed = afterMarks === 1 && afterIdle === afterMarks && marked.join() === 't1_late';
+    return this.logTest('Observer Settles After Marking', passed, { afterMarks, afterIdle, marked });
+  }
+
+  // Test 7: Retention keeps the newest threads
+  async testRetention() {
+    const storage = this.createStorage({
+      threadVisitIndex: { old1: 1, old2: 2, recent: Date.now() },
+      'threadVisit:old1': { visitedAt: 1, ids: [] },
+      'threadVisit:old2': { visitedAt: 2, ids: [] },
+      'threadVisit:recent': { visitedAt: Date.now(), ids: [] }
+    });
+    this.mountFixture(this.oldComment('a'));
+    const diff = this.createDiff(storage, { retention: 2 });
+    await diff.start(this.url);
+    await diff.stop();
+    this.unmountFixture();
+
+    const kept = Object.keys(storage.data.threadVisitIndex).sort();
+    const records = Object.keys(storage.data).filter(key => key.startsWith('threadVisit:')).sort();
+    const passed = kept.join() === 'abc123,recent' && records.join() === 'threadVisit:abc123,threadVisit:recent';
+    return this.logTest('Retention Limit', passed, { kept, records });
+  }
+
+  // Test 8: Records keep the latest maxIds ids; a full quota evicts the least recently visited threads
+  async testQuotaEviction() {
+    const bigIds = Array.from({ length: 400 }, (_, i) => `t1_big${i}`);
+    const initial = {
+      threadVisitIndex: { old1: 1, old2: 2, recent: 3 },
+      'threadVisit:old1': { visitedAt: 1, ids: bigIds },
+      'threadVisit:old2': { visitedAt: 2, ids: bigIds },
+      'threadVisit:recent': { visitedAt: 3, ids: ['t1_r'] }
+    };
+    // Room for one big record besides the rest, not two
+    const quota = JSON.stringify(initial).length - JSON.stringify(bigIds).length + 500;
+    const storage = this.createStorage(initial, quota);
+
+    this.mountFixture(this.oldComment('a') + this.oldComment('b') + this.oldComment('c'));
+    const diff = this.createDiff(storage, { maxIds: 2 });
+    await diff.start(this.url);
+    await diff.stop();
+    this.unmountFixture();
+
+    const kept = Object.keys(storage.data.threadVisitIndex).sort();
+    const records = Object.keys(storage.data).filter(key => key.startsWith('threadVisit:')).sort();
+    const saved = storage.data['threadVisit:abc123'];
+    const passed = kept.join() === 'abc123,old2,recent' &&
+      records.join() === 'threadVisit:abc123,threadVisit:old2,threadVisit:recent' &&
+      !!saved && saved.ids.join() === 't1_b,t1_c';
+    return this.logTest('Quota Eviction', passed, { kept, records, ids: saved && saved.ids });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Thread Diff Tests...\n');
+
+    const tests = [
+      () => this.testVersions(),
+      () => this.testFirstAndSecondVisit(),
+      () => this.testIdsAccumulate(),
+      () => this.testNavigation(),
+      () => this.testLateComments(),
+      () => this.testObserverSettles(),
+      () => this.testRetention(),
+      () => this.testQuotaEviction()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(ThreadDiffTester);
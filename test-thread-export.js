@@ -0,0 +1,199 @@
+/**
+ * Automated Test for Thread Extraction and Markdown Export
+ *
+ * Tests:
+ * - Comment trees from old Reddit, sh.reddit and New Reddit (flat rows) markup
+ * - Post metadata and permalinks
+ * - Markdown output: nested blockquotes, bylines, body conversion
+ * - Export format registry and filenames
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Thread Export Test Suite...');
+
+class ThreadExportTester extends SandboxTester {
+  constructor() {
+    super('export');
+  }
+
+  // Tree shape as nested author lists, e.g. ['alice', ['bob']]
+  shape(comments) {
+    return comments.map(comment => (comment.replies.length > 0 ? [comment.author, this.shape(comment.replies)] : comment.author));
+  }
+
+  oldRedditFixture() {
+    return `
+      <div id="siteTable">
+        <div class="thing link" data-fullname="t3_abc" data-author="op" data-score="321"
+             data-permalink="/r/test/comments/abc/a_test_post/" data-subreddit="test">
+          <p class="title"><a class="title" href="/r/test/comments/abc/a_test_post/">A test post</a></p>
+          <p class="tagline"><time datetime="2024-03-01T12:00:00+00:00">1 day ago</time></p>
+          <div class="expando"><div class="usertext-body"><div class="md"><p>Post body</p></div></div></div>
+        </div>
+      </div>
+      <div class="commentarea"><div class="sitetable nestedlisting">
+        <div class="thing comment" data-fullname="t1_a" data-author="alice" data-permalink="/r/test/comments/abc/a_test_post/a/">
+          <div class="entry"><p class="tagline"><span class="score dislikes" title="11">11 points</span><span class="score unvoted" title="12">12 points</span><span class="score likes" title="13">13 points</span>
+            <time datetime="2024-03-01T13:00:00+00:00">x</time></p>
+            <div class="usertext-body"><div class="md"><p>First <strong>comment</strong></p></div></div></div>
+          <div class="child"><div class="sitetable listing">
+            <div class="thing comment" data-fullname="t1_b" data-author="bob">
+              <div class="entry"><div class="usertext-body"><div class="md"><p>A reply</p></div></div></div>
+              <div class="child"></div>
+            </div>
+          </div></div>
+        </div>
+        <div class="thing comment" data-fullname="t1_c" data-author="carol">
+          <div class="entry"><div class="usertext-body"><div class="md"><p>Second top-level</p></div></div></div>
+          <div class="child"></div>
+        </div>
+      </div></div>`;
+  }
+
+  // Test 1: Old Reddit post and nested comment tree
+  testOldRedditTree() {
+    const root = this.mountFixture(this.oldRedditFixture());
+    const thread = new ThreadExtractor({ root, version: 'oldReddit' }).extract();
+    this.unmountFixture();
+
+    const shape = this.shape(thread.comments);
+    const passed = JSON.stringify(shape) === JSON.stringify([['alice', ['bob']], 'carol']) &&
+      thread.commentCount === 3 &&
+      thread.post.title === 'A test post' &&
+      thread.post.score === 321 &&
+      thread.post.subreddit === 'r/test' &&
+      thread.comments[0].score === 12 &&
+      thread.comments[0].replies[0].depth === 1 &&
+      /\/r\/test\/comments\/abc\/a_test_post\/a\/$/.test(thread.comments[0].permalink);
+    return this.logTest('Old Reddit Thread Tree', passed, { shape, post: thread.post.title, count: thread.commentCount });
+  }
+
+  // Test 2: sh.reddit nested shreddit-comment elements; inner t1_ ids are not comments
+  testShRedditTree() {
+    const root = this.mountFixture(`
+      <shreddit-post id="t3_abc" post-title="Sh post" author="op" score="5" subreddit-prefixed-name="r/test"
+                     permalink="/r/test/comments/abc/sh_post/" created-timestamp="2024-03-01T12:00:00.000Z"></shreddit-post>
+      <shreddit-comment-tree>
+        <shreddit-comment thingid="t1_x" author="xavier" score="3" depth="0" permalink="/r/test/comments/abc/comment/x/">
+          <div slot="comment" id="t1_x-comment-rtjson-content"><p>Top</p></div>
+          <shreddit-comment thingid="t1_y" author="yvonne" score="1" depth="1">
+            <div slot="comment"><p>Nested</p></div>
+          </shreddit-comment>
+        </shreddit-comment>
+      </shreddit-comment-tree>`);
+    const thread = new ThreadExtractor({ root, version: 'shReddit' }).extract();
+    this.unmountFixture();
+
+    const shape = this.shape(thread.comments);
+    const passed = JSON.stringify(shape) === JSON.stringify([['xavier', ['yvonne']]]) &&
+      thread.commentCount === 2 &&
+      thread.post.title === 'Sh post' &&
+      thread.comments[0].bodyHtml.includes('Top');
+    return this.logTest('sh.reddit Thread Tree', passed, { shape, count: thread.commentCount });
+  }
+
+  // Test 3: New Reddit flat rows become a tree by indentation
+  testNewRedditTree() {
+    const author = name => `<a data-testid="comment_author_link">${name}</a>`;
+    const root = this.mountFixture(`
+      <div style="padding-left: 16px"><div id="t1_p">${author('pat')}<div data-testid="comment"><p>One</p></div></div></div>
+      <div style="padding-left: 37px"><div id="t1_q">${author('quinn')}<div data-testid="comment"><p>Two</p></div></div></div>
+      <div style="padding-left: 58px"><div id="t1_r">${author('rae')}<div data-testid="comment"><p>Three</p></div></div></div>
+      <div style="padding-left: 37px"><div id="t1_s">${author('sam')}<div data-testid="comment"><p>Four</p></div></div></div>
+      <div style="padding-left: 16px"><div id="t1_t">${author('tess')}<div data-testid="comment"><p>Five</p></div></div></div>`);
+    const thread = new ThreadExtractor({ root, version: 'newReddit' }).extract();
+    this.unmountFixture();
+
+    const shape = this.shape(thread.comments);
+    const expected = [['pat', [['quinn', ['rae']], 'sam']], 'tess'];
+    const passed = JSON.stringify(shape) === JSON.stringify(expected) &&
+      /\/p\/$/.test(thread.comments[0].permalink);
+    return this.logTest('New Reddit Flat Rows To Tree', passed, { shape, permalink: thread.comments[0].permalink });
+  }
+
+  // Test 4: Markdown nesting and bylines
+  testMarkdownOutput() {
+    const root = this.mountFixture(this.oldRedditFixture());
+    const thread = new ThreadExtractor({ root, version: 'oldReddit' }).extract();
+    this.unmountFixture();
+    const markdown = new MarkdownExporter().serialize(thread);
+
+    const checks = {
+      title: markdown.startsWith('# A test post'),
+      postBody: markdown.includes('\nPost body\n'),
+      count: markdown.includes('## Comments (3)'),
+      topByline: /^> \*\*u\/alice\*\* · 12 points · 2024-03-01 13:00 UTC · \[permalink\]\(.+\/a\/\)$/m.test(markdown),
+      topBody: markdown.includes('> First **comment**'),
+      reply: /^>> \*\*u\/bob\*\*/m.test(markdown) && markdown.includes('>> A reply'),
+      sibling: /^> \*\*u\/carol\*\*/m.test(markdown)
+    };
+    const passed = Object.values(checks).every(Boolean);
+    return this.logTest('Markdown Nested Blockquotes', passed, passed ? { checks } : { checks, markdown });
+  }
+
+  // Test 5: Body HTML to Markdown
+  testHtmlToMarkdown() {
+    const exporter = new MarkdownExporter();
+    const markdown = exporter.htmlToMarkdown(`
+      <p>Hello <em>there</em> <a href="https://example.com/">link</a></p>
+      <ul><li>one</li><li>two</li></ul>
+      <blockquote><p>quoted</p></blockquote>
+      <pre><code>let x = 1;</code></pre>
+      <p>inline <code>code</code> and <del>gone</del></p>`);
+
+    const expected = [
+      'Hello *there* [link](https://example.com/)',
+      '',
+      '- one',
+      '- two',
+      '',
+      '> quoted',
+      '',
+      '```',
+      'let x = 1;',
+      '```',
+      '',
+      'inline `code` and ~~gone~~'
+    ].join('\n');
+    return this.logTest('HTML To Markdown', markdown === expected, markdown === expected ? null : { markdown });
+  }
+
+  // Test 6: Format registry and filenames
+  testRegistry() {
+    const exporter = new ThreadExporter({ extractor: { extract: () => null } });
+    const formats = exporter.getFormats().map(format => format.name);
+    const filename = exporter.getFilename({ post: { subreddit: 'r/AskScience', title: 'Why is the sky blue?' } }, 'md');
+
+    let rejected = false;
+    try {
+      exporter.register('broken', {});
+    } catch (error) {
+      rejected = true;
+    }
+
+    const passed = formats.includes('markdown') && filename === 'reddit-AskScience-why-is-the-sky-blue.md' && rejected;
+    return this.logTest('Export Format Registry', passed, { formats, filename, rejected });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Thread Export Tests...\n');
+
+    const tests = [
+      () => this.testOldRedditTree(),
+      () => this.testShRedditTree(),
+      () => this.testNewRedditTree(),
+      () => this.testMarkdownOutput(),
+      () => this.testHtmlToMarkdown(),
+      () => this.testRegistry()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(ThreadExportTester);
@@ -0,0 +1,264 @@
+/**
+ * Automated Test for the Thread Minimap
+ *
+ * Tests:
+ * - Depth and score colors
+ * - Starting indexes the loaded comments (depth, score, OP) and subscribes to the expander's observer
+ * - Mutations index only the comments they add
+ * - Layout places comments and search hits in page order and skips hidden or removed comments
+ * - Page offsets are read once per comment, and again for all only after a resize or removal
+ * - The rail collapses and reports it
+ * - Clicking the rail scrolls to the matching point of the page
+ *
+ * Runs against sample comments in a sandbox with a stand-in expander; run in the
+ * browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Thread Minimap Test Suite...');
+
+class ThreadMinimapTester extends SandboxTester {
+  constructor() {
+    super('thread-minimap');
+  }
+
+  oldComment(id, author, score, replies = '') {
+    return `
+      <div class="thing comment" data-fullname="t1_${id}" data-author="${author}">
+        <div class="entry"><p class="tagline"><a class="author">${author}</a> ${this.scoreSpans(score)}</p><div class="usertext-body"><div class="md"><p>comment ${id}</p></div></div></div>
+        <div class="child"><div class="sitetable listing">${replies}</div></div>
+      </div>`;
+  }
+
+  mountThread() {
+    return this.mountFixture(`
+      <div class="thing link" data-fullname="t3_post" data-author="op_user"><a class="title">Post</a></div>
+      <shreddit-post id="t3_post" post-title="Post" author="op_user"></shreddit-post>
+      <div data-test-id="post-content"><h1>Post</h1><a data-testid="post_author_link">u/op_user</a></div>
+      ${this.oldComment('a', 'op_user', 120, this.oldComment('b', 'alice', -4, this.oldComment('c', 'bob', 1)))}
+      ${this.oldComment('d', 'carol', 7)}`);
+  }
+
+  // Stand-in for CommentExpander.addMutationListener
+  createExpander() {
+    const expander = { listeners: new Set() };
+    expander.addMutationListener = listener => {
+      expander.listeners.add(listener);
+      return () => expander.listeners.delete(listener);
+    };
+    return expander;
+  }
+
+  createMinimap(options = {}) {
+    const metadata = new CommentMetadataExtractor();
+    const extract = metadata.extract.bind(metadata);
+    metadata.extractCalls = 0;
+    metadata.extract = comment => {
+      metadata.extractCalls++;
+      return extract(comment);
+    };
+    return new ThreadMinimap({ metadata, root: this.sandbox, drawInterval: 0, ...options });
+  }
+
+  ids(minimap) {
+    return Array.from(minimap.entries.keys()).map(comment => comment.getAttribute('data-fullname')).join();
+  }
+
+  // Test 1: Colors
+  testColors() {
+    const depths = [0, 1, 8].map(depth => ThreadMinimap.depthColor(depth));
+    const neutral = ThreadMinimap.scoreColor(null);
+    const downvoted = ThreadMinimap.scoreColor(-50);
+    const upvoted = ThreadMinimap.scoreColor(5000);
+
+    const passed = depths[0] === depths[2] && depths[0] !== depths[1] &&
+      neutral === '#b0b0b0' && downvoted.startsWith('hsl(0,') && upvoted === 'hsl(120, 70%, 40%)';
+    return this.logTest('Depth And Score Colors', passed, { depths, neutral, downvoted, upvoted });
+  }
+
+  // Test 2: Start indexes and subscribes
+  testStart() {
+    this.mountThread();
+    const expander = this.createExpander();
+    const minimap = this.createMinimap({ expander });
+    minimap.start();
+
+    const entries = Array.from(minimap.entries.values());
+    const subscribed = expander.listeners.size;
+    const rail = !!document.querySelector('.reddit-expander-minimap canvas');
+    minimap.stop();
+    this.unmountFixture();
+
+    const passed = this.ids(minimap) === '' && entries.map(entry => entry.depth).join() === '0,1,2,0' &&
+      entries.map(entry => entry.score).join() === '120,-4,1,7' &&
+      entries.map(entry => entry.op).join() === 'true,false,false,false' &&
+      subscribed === 1 && expander.listeners.size === 0 && rail &&
+      !document.querySelector('.reddit-expander-minimap');
+    return this.logTest('Start Indexes Comments', passed, { entries, subscribed });
+  }
+
+  // Test 3: Incremental indexing
+  testIncremental() {
+    const root = this.mountThread();
+    const expander = this.createExpander();
+    const minimap = this.createMinimap({ expander });
+    minimap.start();
+    const before = minimap.metadata.extractCalls;
+
+    const listing = root.querySelector('[data-fullname="t1_d"] > .child > .sitetable');
+    listing.insertAdjacentHTML('beforeend', this.oldComment('e', 'op_user', 3, this.oldComment('f', 'dave', 0)));
+    const added = listing.lastElementChild;
+    const listener = Array.from(expander.listeners)[0];
+    listener([{ type: 'childList', addedNodes: [added], removedNodes: [] }]);
+    // A batch repeating known comments costs nothing
+    listener([{ type: 'childList', addedNodes: [added], removedNodes: [] }]);
+
+    const extracted = minimap.metadata.extractCalls - before;
+    const ids = this.ids(minimap);
+    const op = minimap.entries.get(added).op;
+    minimap.stop();
+    this.unmountFixture();
+
+    const passed = extracted === 2 && ids === 't1_a,t1_b,t1_c,t1_d,t1_e,t1_f' && op;
+    return this.logTest('Mutations Index Only New Comments', passed, { extracted, ids });
+  }
+
+  // Test 4: Layout
+  testLayout() {
+    const root = this.mountThread();
+    const expander = this.createExpander();
+    const minimap = this.createMinimap({ expander });
+    minimap.start();
+
+    root.querySelector('[data-fullname="t1_c"]').style.display = 'none';
+    const paragraph = root.querySelector('[data-fullname="t1_b"] > .entry .md p');
+    paragraph.innerHTML = 'a <mark class="reddit-expander-search-hit">hit</mark>';
+    const removed = root.querySelector('[data-fullname="t1_d"]');
+    removed.remove();
+    const listener = Array.from(expander.listeners)[0];
+    listener([
+      { type: 'childList', addedNodes: [paragraph.querySelector('mark')], removedNodes: [] },
+      { type: 'childList', addedNodes: [], removedNodes: [removed] }
+    ]);
+
+    const { comments, hits } = minimap.layout(500);
+    const ordered = comments.every((comment, index) => index === 0 || comment.y >= comments[index - 1].y);
+    const pruned = !minimap.entries.has(removed);
+    minimap.stop();
+    this.unmountFixture();
+
+    const passed = comments.length === 2 && ordered && pruned &&
+      comments.map(comment => comment.depth).join() === '0,1' &&
+      hits.length === 1 && hits[0] >= comments[1].y;
+    return this.logTest('Layout In Page Order', passed, { comments, hits });
+  }
+
+  // Test 5: Offsets are read for new comments only, and for all after a resize or removal
+  testCachedOffsets() {
+    const root = this.mountThread();
+    const expander = this.createExpander();
+    const minimap = this.createMinimap({ expander });
+    const listener = () => Array.from(expander.listeners)[0];
+
+    const measure = Element.prototype.getBoundingClientRect;
+    let reads = 0;
+    Element.prototype.getBoundingClientRect = function () {
+      if (this.matches && this.matches('.thing.comment')) reads++;
+      return measure.call(this);
+    };
+    const readsDuring = action => {
+      const before = reads;
+      action();
+      minimap.layout(500);
+      return reads - before;
+    };
+
+    let counts;
+    try {
+      const initial = readsDuring(() => minimap.start());
+      const redraw = readsDuring(() => {});
+      const listing = root.querySelector('[data-fullname="t1_d"] > .child > .sitetable');
+      const added = readsDuring(() => {
+        listing.insertAdjacentHTML('beforeend', this.oldComment('e', 'erin', 2));
+        listener()([{ type: 'childList', addedNodes: [listing.lastElementChild], removedNodes: [] }]);
+      });
+      const resized = readsDuring(() => minimap.handleResize());
+      const removal = readsDuring(() => {
+        const removed = listing.lastElementChild;
+        removed.remove();
+        listener()([{ type: 'childList', addedNodes: [], removedNodes: [removed] }]);
+      });
+      counts = { initial, redraw, added, resized, removal };
+    } finally {
+      Element.prototype.getBoundingClientRect = measure;
+      minimap.stop();
+      this.unmountFixture();
+    }
+
+    // start() draws once itself, so its count covers that draw and the layout() after it
+    const passed = counts.initial === 4 && counts.redraw === 0 && counts.added === 1 &&
+      counts.resized === 5 && counts.removal === 4;
+    return this.logTest('Offsets Cached Between Draws', passed, counts);
+  }
+
+  // Test 6: Collapse
+  testCollapse() {
+    this.mountThread();
+    const toggles = [];
+    const minimap = this.createMinimap({ onToggle: collapsed => toggles.push(collapsed) });
+    minimap.start();
+
+    const button = document.querySelector('.reddit-expander-minimap-toggle');
+    button.click();
+    const collapsed = document.querySelector('.reddit-expander-minimap').classList.contains('reddit-expander-minimap-collapsed');
+    const expanded = button.getAttribute('aria-expanded');
+    button.click();
+    minimap.stop();
+    this.unmountFixture();
+
+    const passed = collapsed && expanded === 'false' && toggles.join() === 'true,false';
+    return this.logTest('Collapse Toggle', passed, { collapsed, expanded, toggles });
+  }
+
+  // Test 7: Click to scroll
+  testClickToScroll() {
+    this.mountThread();
+    const minimap = this.createMinimap();
+    minimap.start();
+
+    const originalScrollTo = window.scrollTo;
+    let target = null;
+    window.scrollTo = options => {
+      target = options.top;
+    };
+    minimap.scale = 0.1;
+    minimap.scrollToRailY(200);
+    window.scrollTo = originalScrollTo;
+    minimap.stop();
+    this.unmountFixture();
+
+    const passed = target === Math.max(0, 2000 - window.innerHeight / 2);
+    return this.logTest('Click To Scroll', passed, { target });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Thread Minimap Tests...\n');
+
+    const tests = [
+      () => this.testColors(),
+      () => this.testStart(),
+      () => this.testIncremental(),
+      () => this.testLayout(),
+      () => this.testCachedOffsets(),
+      () => this.testCollapse(),
+      () => this.testClickToScroll()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(ThreadMinimapTester);
@@ -0,0 +1,213 @@
+/**
+ * Automated Test for In-Thread Search
+ *
+ * Tests:
+ * - Plain queries are literal, case-insensitive unless "Match case" is on
+ * - Regular expressions, invalid patterns and zero-length matches
+ * - Matches spanning formatting are highlighted as one hit
+ * - Next/previous wrap around and announce the current match
+ * - Jumping to a hit opens collapsed ancestors on old Reddit, sh.reddit and New Reddit
+ * - Closing restores the original comment markup
+ *
+ * Runs against sample comments in a sandbox; run in the browser console on a
+ * Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Thread Search Test Suite...');
+
+class ThreadSearchTester extends SandboxTester {
+  constructor() {
+    super('thread-search');
+    this.announcements = [];
+  }
+
+  oldComment(id, body, { collapsed = false, replies = '' } = {}) {
+    return `
+      <div class="thing comment ${collapsed ? 'collapsed' : 'noncollapsed'}" data-fullname="t1_${id}" data-author="user_${id}">
+        <div class="entry"><p class="tagline"><a class="author">user_${id}</a></p><div class="usertext-body"><div class="md">${body}</div></div></div>
+        <div class="child"><div class="sitetable listing">${replies}</div></div>
+      </div>`;
+  }
+
+  // A collapsed New Reddit row: replies are the following rows with a deeper indent
+  newRow(id, depth, body) {
+    return `
+      <div style="padding-left: ${16 + depth * 21}px">
+        <div id="t1_${id}"><button aria-expanded="false">expand</button><div data-testid="comment"><p>${body}</p></div></div>
+      </div>`;
+  }
+
+  mountThread() {
+    return this.mountFixture(
+      this.oldComment('a', '<p>The Kernel panicked twice</p>', {
+        replies: this.oldComment('b', '<p>kernel <strong>pan</strong>ic here too</p>')
+      }) +
+      this.oldComment('c', '<p>Unrelated, version 5.10 and 5x10</p>')
+    );
+  }
+
+  createSearch() {
+    this.announcements = [];
+    return new ThreadSearch({
+      root: this.sandbox,
+      searchDelay: 0,
+      announce: message => this.announcements.push(message)
+    });
+  }
+
+  hitTexts(search) {
+    return search.hits.map(hit => hit.marks.map(mark => mark.textContent).join(''));
+  }
+
+  // Test 1: Literal and case options
+  testLiteralAndCase() {
+    this.mountThread();
+    const search = this.createSearch();
+
+    const insensitive = search.search('kernel');
+    const literal = search.search('5.10');
+    search.options.caseSensitive = true;
+    const sensitive = search.search('kernel');
+    const sensitiveTexts = this.hitTexts(search);
+    search.close();
+    this.unmountFixture();
+
+    const passed = insensitive === 2 && literal === 1 && sensitive === 1 && sensitiveTexts.join() === 'kernel';
+    return this.logTest('Literal And Case Options', passed, { insensitive, literal, sensitive });
+  }
+
+  // Test 2: Regex mode
+  testRegex() {
+    this.mountThread();
+    const search = this.createSearch();
+    search.options.regex = true;
+
+    const versions = search.search('5.10');
+    const versionTexts = this.hitTexts(search);
+    search.open();
+    const invalid = search.search('(unclosed');
+    const invalidCount = search.count.textContent;
+    const zeroLength = search.search('x*');
+    search.close();
+    this.unmountFixture();
+
+    const passed = versions === 2 && versionTexts.join() === '5.10,5x10' &&
+      invalid === 0 && invalidCount === 'Invalid regular expression' &&
+      zeroLength === 1;
+    return this.logTest('Regular Expressions', passed, { versions, versionTexts, invalidCount, zeroLength });
+  }
+
+  // Test 3: A hit across <strong> is one hit with two marks
+  testSpanningFormatting() {
+    this.mountThread();
+    const search = this.createSearch();
+
+    const count = search.search('panic');
+    const marks = search.hits[1].marks.map(mark => mark.textContent);
+    const inStrong = search.hits[1].marks[0].parentElement.tagName === 'STRONG';
+    search.close();
+    this.unmountFixture();
+
+    const passed = count === 2 && marks.join() === 'pan,ic' && inStrong;
+    return this.logTest('Matches Spanning Formatting', passed, { count, marks, inStrong });
+  }
+
+  // Test 4: Navigation wraps and announces
+  testNavigation() {
+    this.mountThread();
+    const search = this.createSearch();
+    search.open();
+
+    search.search('e');
+    const total = search.hits.length;
+    const first = search.currentIndex;
+    search.previous();
+    const wrappedBack = search.currentIndex;
+    search.next();
+    const wrappedForward = search.currentIndex;
+    const current = this.sandbox.querySelectorAll('mark.reddit-expander-search-current').length;
+    const count = search.count.textContent;
+    search.close();
+    this.unmountFixture();
+
+    const passed = total > 3 && first === 0 && wrappedBack === total - 1 && wrappedForward === 0 &&
+      current === 1 && count === `1 of ${total}` &&
+      this.announcements[0] === `Match 1 of ${total}, comment by user_a: e`;
+    return this.logTest('Next And Previous Navigation', passed, { total, wrappedBack, count, announcement: this.announcements[0] });
+  }
+
+  // Test 5: Collapsed ancestors open on jump
+  testOpensCollapsedAncestors() {
+    this.mountFixture(
+      this.oldComment('parent', '<p>parent</p>', {
+        collapsed: true,
+        replies: this.oldComment('child', '<p>needle</p>', { collapsed: true })
+      }) +
+      `<shreddit-comment thingid="t1_sh" author="sh_user" collapsed>
+        <div slot="comment"><p>parent</p></div>
+        <shreddit-comment thingid="t1_shchild" author="sh_child"><div slot="comment"><p>second needle</p></div></shreddit-comment>
+      </shreddit-comment>
+      <div>${this.newRow('np', 0, 'parent')}${this.newRow('nsib', 0, 'sibling')}${this.newRow('nc', 1, 'third needle')}</div>`
+    );
+    // Stand in for New Reddit's expand buttons
+    const clicked = [];
+    this.sandbox.querySelectorAll('button[aria-expanded]').forEach(button => button.addEventListener('click', () => {
+      clicked.push(button.closest('[id^="t1_"]').id);
+      button.setAttribute('aria-expanded', 'true');
+    }));
+    const search = this.createSearch();
+
+    search.search('needle');
+    const oldOpened = this.sandbox.querySelectorAll('.thing.comment.collapsed').length === 0;
+    search.next();
+    const shOpened = !this.sandbox.querySelector('shreddit-comment[collapsed]');
+    search.next();
+    const newOpened = clicked.join();
+    search.close();
+    this.unmountFixture();
+
+    const passed = oldOpened && shOpened && newOpened === 't1_nsib,t1_nc';
+    return this.logTest('Opens Collapsed Ancestors', passed, { oldOpened, shOpened, newOpened });
+  }
+
+  // Test 6: Closing leaves the markup as it was
+  testCloseRestoresMarkup() {
+    const root = this.mountThread();
+    const before = root.innerHTML;
+    const search = this.createSearch();
+    search.open();
+
+    search.search('a');
+    const marked = root.querySelectorAll('mark.reddit-expander-search-hit').length;
+    const barShown = !!document.querySelector('.reddit-expander-search-bar');
+    search.close();
+    const after = root.innerHTML;
+    const textNodes = Array.from(root.querySelectorAll('.md p')).every(p => Array.from(p.childNodes).every(node => node.nodeType !== Node.TEXT_NODE || node.data.length > 0));
+    this.unmountFixture();
+
+    const passed = marked > 0 && barShown && before === after && textNodes &&
+      !document.querySelector('.reddit-expander-search-bar');
+    return this.logTest('Close Restores Markup', passed, { marked, barShown, restored: before === after });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Thread Search Tests...\n');
+
+    const tests = [
+      () => this.testLiteralAndCase(),
+      () => this.testRegex(),
+      () => this.testSpanningFormatting(),
+      () => this.testNavigation(),
+      () => this.testOpensCollapsedAncestors(),
+      () => this.testCloseRestoresMarkup()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(ThreadSearchTester);
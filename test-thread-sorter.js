@@ -0,0 +1,263 @@
+/**
+ * Automated Test for Thread Sorting
+ *
+ * Tests:
+ * - Sort keys: unknown scores last, contest-mode ties broken by time and id, controversial weighting
+ * - Old Reddit siblings sort by score at every level; separators and "load more" stubs stay put
+ * - Restoring puts back the original order with the same elements
+ * - sh.reddit comments sort newest first with their replies inside them
+ * - New Reddit's flat rows move as whole subtrees; unknown depths leave the page alone
+ * - Reply counts drive the replies and controversial orders
+ * - New Reddit scores are read from the vote arrows; without them score orders are refused
+ *
+ * Runs against sample comments in a sandbox; run in the browser console on a
+ * Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Thread Sorter Test Suite...');
+
+class ThreadSorterTester extends SandboxTester {
+  constructor() {
+    super('thread-sorter');
+    this.metadata = new CommentMetadataExtractor();
+  }
+
+  oldComment(id, score, created, replies = '') {
+    return `
+      <div class="thing comment" data-fullname="t1_${id}" data-author="user_${id}">
+        <div class="entry"><p class="tagline"><a class="author">user_${id}</a> ${this.scoreSpans(score)}
+          <time class="live-timestamp" datetime="${new Date(created * 1000).toISOString()}"></time></p><div class="usertext-body"><div class="md"><p>${id}</p></div></div></div>
+        <div class="child"><div class="sitetable listing">${replies}</div></div>
+      </div><div class="clearleft"></div>`;
+  }
+
+  shComment(id, created, replies = '') {
+    return `
+      <shreddit-comment thingid="t1_${id}" author="user_${id}" depth="${id.length - 1}" score="1" slot="children">
+        <faceplate-timeago slot="commentMeta" ts="${new Date(created * 1000).toISOString()}"></faceplate-timeago>
+        <div slot="comment"><p>${id}</p></div>
+        ${replies}
+      </shreddit-comment>`;
+  }
+
+  // New Reddit rows: the score sits between the vote arrows ("Vote" when hidden); null leaves the arrows out
+  newRow(id, depth, created, score = null) {
+    const arrows = score === null ? ''
+      : `<div id="vote-arrows-t1_${id}"><button aria-label="upvote">upvote</button><div>${score}</div><button aria-label="downvote">downvote</button></div>`;
+    return `
+      <div style="padding-left: ${16 + depth * 21}px">
+        <div id="t1_${id}">${arrows}<a data-testid="comment_author_link">u/user_${id}</a><time datetime="${new Date(created * 1000).toISOString()}"></time></div>
+      </div>`;
+  }
+
+  // a(5) ─┬─ a1(1)
+  //       ├─ a2(9)
+  //       └─ [load more]
+  // b(20)
+  // c(null, hidden score)
+  mountOldThread() {
+    return this.mountFixture(`
+      <div class="sitetable nestedlisting">
+        ${this.oldComment('a', 5, 100, this.oldComment('a1', 1, 110) + this.oldComment('a2', 9, 120) + '<div class="thing morechildren"><a>load more comments</a></div>')}
+        ${this.oldComment('b', 20, 200)}
+        ${this.oldComment('c', null, 300)}
+      </div>`);
+  }
+
+  createSorter() {
+    this.announcements = [];
+    return new ThreadSorter({
+      metadata: this.metadata,
+      root: this.sandbox,
+      announce: message => this.announcements.push(message)
+    });
+  }
+
+  ids() {
+    return Array.from(this.sandbox.querySelectorAll(this.metadata.commentSelector))
+      .filter(element => this.metadata.isCommentRoot(element))
+      .map(comment => this.metadata.getFullname(comment).replace('t1_', ''))
+      .join();
+  }
+
+  // Test 1: Sort keys and ties
+  testComparator() {
+    const node = (fullname, score, createdAt, replies = 0, index = 0) => ({ meta: { fullname, score, createdAt }, replies, index });
+    const names = (order, nodes) => nodes.sort(ThreadSorter.comparator(order)).map(item => item.meta.fullname).join();
+
+    const score = names('score', [node('t1_low', 1, 5), node('t1_hidden', null, 1), node('t1_high', 50, 9)]);
+    // Contest mode hides scores and shuffles the page; the result must not depend on the input order
+    const contest = [
+      names('score', [node('t1_b', null, 2), node('t1_c', null, 1), node('t1_a', null, 2)]),
+      names('score', [node('t1_a', null, 2), node('t1_b', null, 2), node('t1_c', null, 1)])
+    ];
+    const controversial = names('controversial', [node('t1_popular', 100, 1, 10), node('t1_argued', -2, 2, 10), node('t1_quiet', 0, 3, 0)]);
+
+    const passed = score === 't1_high,t1_low,t1_hidden' &&
+      contest[0] === 't1_c,t1_a,t1_b' && contest[1] === contest[0] &&
+      controversial === 't1_argued,t1_popular,t1_quiet' &&
+      ThreadSorter.orders.join() === 'original,score,new,old,controversial,replies';
+    return this.logTest('Sort Keys And Tie-Breaks', passed, { score, contest, controversial });
+  }
+
+  // Test 2: Old Reddit
+  testOldReddit() {
+    this.mountOldThread();
+    const sorter = this.createSorter();
+
+    const count = sorter.sort('score');
+    const order = this.ids();
+    const listing = this.sandbox.querySelector('[data-fullname="t1_a"] > .child > .sitetable');
+    const stubLast = listing.lastElementChild.matches('.morechildren');
+    const separated = Array.from(this.sandbox.querySelectorAll('.thing.comment'))
+      .every(comment => comment.nextElementSibling && comment.nextElementSibling.matches('.clearleft'));
+    const markers = document.createTreeWalker(this.sandbox, NodeFilter.SHOW_COMMENT).nextNode();
+    this.unmountFixture();
+
+    const passed = count === 5 && order === 'b,a,a2,a1,c' && stubLast && separated && !markers &&
+      sorter.isSorted() && this.announcements[0] === '5 comments sorted: Top score';
+    return this.logTest('Old Reddit Sort By Score', passed, { order, stubLast, separated });
+  }
+
+  // Test 3: Restore
+  testRestore() {
+    this.mountOldThread();
+    const sorter = this.createSorter();
+    const before = this.ids();
+    const elements = Array.from(this.sandbox.querySelectorAll('.thing.comment'));
+
+    sorter.sort('new');
+    const newest = this.ids();
+    sorter.sort('replies');
+    sorter.restore();
+    const after = this.ids();
+    const same = Array.from(this.sandbox.querySelectorAll('.thing.comment')).every((comment, index) => comment === elements[index]);
+    this.unmountFixture();
+
+    const passed = newest === 'c,b,a,a2,a1' && after === before && same && !sorter.isSorted() &&
+      this.announcements.includes('Original comment order restored');
+    return this.logTest('Restore Original Order', passed, { before, newest, after, same });
+  }
+
+  // Test 4: sh.reddit
+  testShReddit() {
+    this.mountFixture(`
+      <shreddit-comment-tree>
+        ${this.shComment('a', 100, this.shComment('ax', 150) + this.shComment('ay', 300))}
+        ${this.shComment('b', 200)}
+        <faceplate-partial loading="action"></faceplate-partial>
+      </shreddit-comment-tree>`);
+    const sorter = this.createSorter();
+
+    sorter.sort('new');
+    const order = this.ids();
+    const nested = this.sandbox.querySelector('[thingid="t1_ay"]').parentElement.getAttribute('thingid');
+    const partialLast = this.sandbox.querySelector('shreddit-comment-tree').lastElementChild.tagName === 'FACEPLATE-PARTIAL';
+    this.unmountFixture();
+
+    const passed = order === 'b,a,ay,ax' && nested === 't1_a' && partialLast;
+    return this.logTest('sh.reddit Sort Newest First', passed, { order, nested, partialLast });
+  }
+
+  // Test 5: New Reddit rows
+  testNewReddit() {
+    this.mountFixture(`<div class="rows">
+      ${this.newRow('a', 0, 100)}${this.newRow('ax', 1, 300)}${this.newRow('axx', 2, 400)}${this.newRow('ay', 1, 150)}
+      ${this.newRow('b', 0, 200)}${this.newRow('bx', 1, 250)}
+    </div>`);
+    const sorter = this.createSorter();
+
+    sorter.sort('new');
+    const order = this.ids();
+    sorter.restore();
+    const restored = this.ids();
+
+    // A row without its indent: sorting refuses rather than detach replies from parents
+    this.sandbox.querySelector('#t1_bx').parentElement.removeAttribute('style');
+    let error = null;
+    try {
+      sorter.sort('old');
+    } catch (caught) {
+      error = caught.message;
+    }
+    const untouched = this.ids();
+    this.unmountFixture();
+
+    const passed = order === 'b,bx,a,ax,axx,ay' && restored === 'a,ax,axx,ay,b,bx' &&
+      !!error && untouched === restored;
+    return this.logTest('New Reddit Rows Move As Subtrees', passed, { order, restored, error });
+  }
+
+  // Test 6: Reply counts
+  testReplyCounts() {
+    this.mountFixture(`
+      <div class="sitetable nestedlisting">
+        ${this.oldComment('a', 50, 100, this.oldComment('a1', 1, 110))}
+        ${this.oldComment('b', 2, 200, this.oldComment('b1', 1, 210, this.oldComment('b2', 1, 220)) + this.oldComment('b3', 1, 230))}
+        ${this.oldComment('c', 0, 300)}
+      </div>`);
+    const sorter = this.createSorter();
+
+    const replies = sorter.buildTree().map(node => `${node.meta.fullname.replace('t1_', '')}:${node.replies}`).join();
+    sorter.sort('replies');
+    const byReplies = this.ids();
+    sorter.sort('controversial');
+    const byControversy = this.ids();
+    this.unmountFixture();
+
+    const passed = replies === 'a:1,b:3,c:0' &&
+      byReplies === 'b,b1,b2,b3,a,a1,c' &&
+      byControversy === 'b,b1,b2,b3,a,a1,c';
+    return this.logTest('Reply Counts Drive Replies And Controversial', passed, { replies, byReplies, byControversy });
+  }
+
+  // Test 7: New Reddit scores come from the vote arrows
+  testNewRedditScores() {
+    this.mountFixture(`<div class="rows">
+      ${this.newRow('b', 0, 200, '-3')}
+      ${this.newRow('a', 0, 100, '12')}${this.newRow('ay', 1, 150, 'Vote')}${this.newRow('ax', 1, 300, '1.2k')}
+    </div>`);
+    const scores = ['a', 'ax', 'ay', 'b'].map(id => this.metadata.extract(this.sandbox.querySelector(`#t1_${id}`)).score);
+    const sorter = this.createSorter();
+    sorter.sort('score');
+    const order = this.ids();
+
+    // Without vote arrows nothing can be sorted by score; the page is left alone
+    this.mountFixture(`<div class="rows">${this.newRow('a', 0, 100)}${this.newRow('b', 0, 200)}</div>`);
+    const unreadable = this.createSorter();
+    let error = null;
+    try {
+      unreadable.sort('controversial');
+    } catch (caught) {
+      error = caught.message;
+    }
+    const untouched = this.ids();
+    this.unmountFixture();
+
+    const passed = scores.join() === '12,1200,,-3' && order === 'a,ax,ay,b' &&
+      !!error && untouched === 'a,b' && !unreadable.isSorted();
+    return this.logTest('New Reddit Scores From Vote Arrows', passed, { scores, order, error });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Thread Sorter Tests...\n');
+
+    const tests = [
+      () => this.testComparator(),
+      () => this.testOldReddit(),
+      () => this.testRestore(),
+      () => this.testShReddit(),
+      () => this.testNewReddit(),
+      () => this.testReplyCounts(),
+      () => this.testNewRedditScores()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(ThreadSorterTester);
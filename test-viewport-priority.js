@@ -0,0 +1,175 @@
+/**
+ * Automated Test for the Heap Priority Queue and Viewport Prioritization
+ *
+ * Tests:
+ * - Dequeue order (priority, then viewport band, then insertion order)
+ * - update()/remove() keep the heap consistent
+ * - Re-scoring thousands of items stays fast
+ * - ViewportPrioritizer bands for stubs in, near and far from the viewport
+ * - Scrolling a far stub into view moves it to the front of the queue
+ *
+ * Run in the browser console on a Reddit page after the extension has loaded.
+ *
+ * Needs test-helpers.js loaded first; it provides the SandboxTester base class.
+ */
+
+console.log('🧪 Starting Viewport Priority Test Suite...');
+
+class ViewportPriorityTester extends SandboxTester {
+  // Absolutely positioned stubs at the given offsets (in viewport heights) from the top of the page
+  mountStubs(offsets) {
+    this.unmountFixture();
+    this.sandbox = document.createElement('div');
+    this.sandbox.style.cssText = `position: absolute; top: 0; left: 0; width: 100px; height: ${(Math.max(...offsets) + 2) * 100}vh;`;
+    offsets.forEach((offset, index) => {
+      const stub = document.createElement('button');
+      stub.id = `viewport-stub-${index}`;
+      stub.textContent = 'more replies';
+      stub.style.cssText = `position: absolute; top: ${offset * 100}vh; left: 0;`;
+      this.sandbox.appendChild(stub);
+    });
+    document.body.appendChild(this.sandbox);
+    return Array.from(this.sandbox.children);
+  }
+
+  waitForObservers() {
+    return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 100)));
+  }
+
+  // Test 1: Dequeue order
+  testDequeueOrder() {
+    const queue = new PriorityQueue();
+    queue.enqueue({ id: 'far', priority: 0, viewportBand: 3 });
+    queue.enqueue({ id: 'visible-1', priority: 0, viewportBand: 0 });
+    queue.enqueue({ id: 'resumed', priority: 1, viewportBand: 3 });
+    queue.enqueue({ id: 'near', priority: 0, viewportBand: 1 });
+    queue.enqueue({ id: 'visible-2', priority: 0, viewportBand: 0 });
+    queue.enqueue({ id: 'unknown' });
+
+    const order = queue.dequeueBatch(10).map(item => item.id);
+    const expected = ['resumed', 'visible-1', 'visible-2', 'near', 'far', 'unknown'];
+    return this.logTest('Dequeue Order', JSON.stringify(order) === JSON.stringify(expected), { order });
+  }
+
+  // Test 2: update() and remove() against a sorted reference
+  testUpdateAndRemove() {
+    const queue = new PriorityQueue();
+    const items = [];
+    for (let i = 0; i < 200; i++) {
+      const item = { id: i, priority: 0, viewportBand: i % 4 };
+      items.push(item);
+      queue.enqueue(item);
+    }
+
+    // Move every 7th item into view and drop every 11th
+    items.forEach((item, i) => {
+      if (i % 7 === 0) {
+        item.viewportBand = 0;
+        queue.update(item);
+      }
+    });
+    const removed = items.filter((item, i) => i % 11 === 0);
+    removed.forEach(item => queue.remove(item));
+
+    const expected = items
+      .filter(item => !removed.includes(item))
+      .sort((a, b) => a.viewportBand - b.viewportBand || a.id - b.id)
+      .map(item => item.id);
+    const actual = queue.dequeueBatch(1000).map(item => item.id);
+
+    const passed = JSON.stringify(actual) === JSON.stringify(expected) && queue.isEmpty() && queue.positions.size === 0;
+    return this.logTest('Update and Remove Keep Heap Order', passed, {
+      size: actual.length,
+      firstMismatch: actual.findIndex((id, i) => id !== expected[i])
+    });
+  }
+
+  // Test 3: Re-scoring thousands of items is not a sorting hotspot
+  testRescoringPerformance() {
+    const queue = new PriorityQueue();
+    const items = [];
+    for (let i = 0; i < 5000; i++) {
+      const item = { id: i, priority: 0, viewportBand: 3 };
+      items.push(item);
+      queue.enqueue(item);
+    }
+
+    const start = performance.now();
+    for (let round = 0; round < 4; round++) {
+      items.forEach((item, i) => {
+        item.viewportBand = (i + round) % 4;
+        queue.update(item);
+      });
+    }
+    const elapsed = performance.now() - start;
+
+    return this.logTest('Re-scoring 20,000 Updates', elapsed < 500, { elapsedMs: Math.round(elapsed) });
+  }
+
+  // Test 4: Initial bands from position relative to the viewport
+  testInitialBands() {
+    window.scrollTo(0, 0);
+    const stubs = this.mountStubs([0.2, 1.5, 3.5, 8]);
+    const queue = new PriorityQueue();
+    const prioritizer = new ViewportPrioritizer(queue);
+    const items = stubs.map(element => ({ element, category: 'moreReplies', priority: 0 }));
+    items.forEach(item => {
+      queue.enqueue(item);
+      prioritizer.observe(item);
+    });
+
+    const bands = items.map(item => item.viewportBand);
+    prioritizer.disconnect();
+    this.unmountFixture();
+
+    return this.logTest('Initial Viewport Bands', JSON.stringify(bands) === JSON.stringify([0, 1, 2, 3]), { bands });
+  }
+
+  // Test 5: Scrolling a far stub into view moves it to the front
+  async testScrollReprioritizes() {
+    if (typeof IntersectionObserver === 'undefined') {
+      return this.logTest('Scroll Re-prioritizes Queue', true, { skipped: 'IntersectionObserver unavailable' });
+    }
+
+    window.scrollTo(0, 0);
+    const stubs = this.mountStubs([0.2, 8]);
+    const queue = new PriorityQueue();
+    const prioritizer = new ViewportPrioritizer(queue);
+    const items = stubs.map(element => ({ element, category: 'moreReplies', priority: 0 }));
+    items.forEach(item => {
+      queue.enqueue(item);
+      prioritizer.observe(item);
+    });
+    const before = queue.peek().element.id;
+
+    stubs[1].scrollIntoView({ block: 'center' });
+    await this.waitForObservers();
+    const after = queue.peek().element.id;
+    const stats = prioritizer.getStats();
+
+    prioritizer.disconnect();
+    this.unmountFixture();
+    window.scrollTo(0, 0);
+
+    const passed = before === 'viewport-stub-0' && after === 'viewport-stub-1' && stats.reprioritized > 0;
+    return this.logTest('Scroll Re-prioritizes Queue', passed, { before, after, stats });
+  }
+
+  // Run all tests
+  async runAllTests() {
+    console.log('🚀 Running Viewport Priority Tests...\n');
+
+    const tests = [
+      () => this.testDequeueOrder(),
+      () => this.testUpdateAndRemove(),
+      () => this.testRescoringPerformance(),
+      () => this.testInitialBands(),
+      () => this.testScrollReprioritizes()
+    ];
+
+    return this.runTests(tests);
+  }
+}
+
+// Auto-run the test if this script is executed directly
+SandboxTester.autoRun(ViewportPriorityTester);